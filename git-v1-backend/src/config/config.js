@@ -16,27 +16,82 @@ module.exports = {
   mongodbUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/design-branch-manager',
   
   // JWT configuration
+  // Checked at startup: production refuses to boot with missing or placeholder secrets
+  // (see services/auth/signingKeys.js)
   jwt: {
-    secret: process.env.JWT_SECRET || 'default-secret-change-in-production',
-    expire: process.env.JWT_EXPIRE || '7d',
-    refreshSecret: process.env.JWT_REFRESH_SECRET || 'default-refresh-secret-change-in-production',
+    // Access token signing: HS256 (JWT_SECRET), RS256 or EdDSA (private key below)
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    secret: process.env.JWT_SECRET,
+    // Access tokens are short-lived; the add-on renews them with its refresh token
+    expire: process.env.JWT_EXPIRE || '1h',
+    refreshSecret: process.env.JWT_REFRESH_SECRET,
     refreshExpire: process.env.JWT_REFRESH_EXPIRE || '30d',
+    // RS256/EdDSA: PEM private key (JWT_PRIVATE_KEY) and/or a directory of <kid>.pem keys;
+    // JWT_KEY_ID picks the signing key, the others (public keys of retired ones) only verify
+    privateKey: process.env.JWT_PRIVATE_KEY,
+    keyId: process.env.JWT_KEY_ID,
+    keysDir: process.env.JWT_KEYS_DIR,
+    // Retired secrets (comma-separated) still accepted until the tokens they signed expire
+    previousSecrets: (process.env.JWT_PREVIOUS_SECRETS || '').split(',').map(s => s.trim()).filter(Boolean),
+    previousRefreshSecrets: (process.env.JWT_PREVIOUS_REFRESH_SECRETS || '').split(',').map(s => s.trim()).filter(Boolean),
   },
   
-  // Adobe OAuth configuration (for future integration)
+  // Adobe IMS sign-in (tokens posted to /auth/login are verified against IMS, see services/auth/identityVerifier.js)
   adobe: {
     clientId: process.env.ADOBE_CLIENT_ID,
     clientSecret: process.env.ADOBE_CLIENT_SECRET,
     redirectUri: process.env.ADOBE_REDIRECT_URI,
+    // IMS base URL (token issuer) and its signing keys; point both at a local stub for testing
+    imsUrl: process.env.ADOBE_IMS_URL || 'https://ims-na1.adobelogin.com',
+    jwksUrl: process.env.ADOBE_IMS_JWKS_URL || `${process.env.ADOBE_IMS_URL || 'https://ims-na1.adobelogin.com'}/ims/keys`,
+    // Scopes the add-on requests when signing in
+    scope: process.env.ADOBE_IMS_SCOPE || 'openid,AdobeID,email,profile',
+  },
+
+  // Authentication
+  auth: {
+    // Development mode: /auth/dev-login signs in as any user without a token (the add-on's
+    // user switcher); ignored when NODE_ENV is production
+    devMode: process.env.AUTH_DEV_MODE === 'true' && process.env.NODE_ENV !== 'production',
   },
   
   // File storage configuration
   storage: {
-    // Currently using local storage
-    // TODO: Migrate to AWS S3 or Google Cloud Storage for production
-    // Benefits: Scalability, CDN integration, better performance
+    // Storage driver: gridfs (default), local (files under path) or s3 (AWS S3 / S3-compatible)
+    driver: process.env.STORAGE_DRIVER || 'gridfs',
     path: process.env.STORAGE_PATH || './src/storage',
+    s3: {
+      // Custom endpoint for S3-compatible services (e.g. http://localhost:9000 for MinIO)
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // Path-style URLs (bucket in the path) - the default for custom endpoints
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(process.env.S3_ENDPOINT),
+    },
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB default
+    // Compression for stored JSON snapshots: gzip (default), br or none
+    snapshotCompression: process.env.SNAPSHOT_COMPRESSION || 'gzip',
+    // Chunked commit uploads: part size, largest snapshot, and how long an unfinished
+    // upload can be resumed after its last part
+    uploadPartSize: parseInt(process.env.UPLOAD_PART_SIZE) || 5242880, // 5MB default
+    maxUploadSize: parseInt(process.env.MAX_UPLOAD_SIZE) || 104857600, // 100MB default
+    uploadExpiryMinutes: parseInt(process.env.UPLOAD_EXPIRY_MINUTES) || 1440,
+    // Content-addressed object GC: how often to sweep (0 disables) and how long
+    // an object must stay unreferenced before it is deleted
+    objectGcIntervalMinutes: parseInt(process.env.OBJECT_GC_INTERVAL_MINUTES ?? '60'),
+    objectGcGraceMinutes: parseInt(process.env.OBJECT_GC_GRACE_MINUTES) || 60,
+  },
+  
+  // Uploaded snapshot limits (validation and sanitization, see utils/snapshotSanitizer.js)
+  snapshots: {
+    // Deepest allowed group nesting (1 = top-level elements only)
+    maxElementDepth: parseInt(process.env.SNAPSHOT_MAX_ELEMENT_DEPTH) || 32,
+    // Largest embedded image after base64 decoding
+    maxImageSize: parseInt(process.env.SNAPSHOT_MAX_IMAGE_SIZE) || 5242880, // 5MB default
   },
   
   // Email service configuration
@@ -0,0 +1,86 @@
+/**
+ * API Token Controller
+ *
+ * Handles the project API tokens used by scripts and CI
+ * Members manage their own personal tokens; owners and managers (tokens:manage) see and
+ * revoke all tokens of the project and are the only ones who can create service tokens
+ */
+
+const {
+  createApiToken: issueApiToken,
+  listApiTokens,
+  revokeApiToken,
+  serializeApiToken,
+} = require('../services/auth/apiTokenService');
+const { AppError } = require('../middleware/errorHandler');
+const { hasPermission } = require('../utils/permissions');
+
+const canManageTokens = req => hasPermission(req.teamMember?.role, 'tokens:manage');
+
+/**
+ * List the project's API tokens (managers: all, others: their own)
+ */
+const getApiTokens = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const tokens = await listApiTokens(projectId, canManageTokens(req) ? null : req.userId);
+
+    res.json({
+      success: true,
+      tokens: tokens.map(serializeApiToken),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an API token { name, type, scopes, expiresInDays }
+ * The token is only returned here; it cannot be retrieved later
+ */
+const createApiToken = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const { name, type, scopes, expiresInDays } = req.body;
+
+    if (type === 'service' && !canManageTokens(req)) {
+      throw new AppError('FORBIDDEN', 'Only owners and managers can create service tokens', 403);
+    }
+
+    const { apiToken, token } = await issueApiToken(projectId, { name, type, scopes, expiresInDays }, req.userId);
+
+    res.status(201).json({
+      success: true,
+      token,
+      apiToken: serializeApiToken(apiToken),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API token (managers: any, others: their own)
+ */
+const deleteApiToken = async (req, res, next) => {
+  try {
+    const { projectId, tokenId } = req.params;
+    const revoked = await revokeApiToken(projectId, tokenId, canManageTokens(req) ? {} : { createdBy: req.userId });
+    if (!revoked) {
+      throw new AppError('NOT_FOUND', 'API token not found', 404);
+    }
+
+    res.json({
+      success: true,
+      message: 'API token revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getApiTokens,
+  createApiToken,
+  deleteApiToken,
+};
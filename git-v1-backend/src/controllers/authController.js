@@ -2,49 +2,163 @@
  * Authentication Controller
  * 
  * Handles user authentication and token management
- * TODO: Integrate with Adobe OAuth for production
+ * Users sign in with an Adobe IMS token (verified by services/auth/identityVerifier.js);
+ * in development mode /auth/dev-login signs in as any user for the add-on's user switcher
+ * Each sign-in starts a server-side session (services/auth/sessionService.js) that can be
+ * listed and revoked per device
  */
 
 const User = require('../models/User');
-const { generateToken, generateRefreshToken } = require('../services/auth/jwtService');
+const config = require('../config/config');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  listSessions,
+  revokeOtherSessions,
+} = require('../services/auth/sessionService');
+const { verifyIdentityToken } = require('../services/auth/identityVerifier');
+const { getPublicJwks } = require('../services/auth/signingKeys');
 const { AppError } = require('../middleware/errorHandler');
 
+/**
+ * Create or update the user for a signed-in identity
+ * @param {Object} identity - { userId, email, name, avatarUrl }
+ * @returns {Object} User document
+ */
+const upsertUser = async ({ userId, email, name, avatarUrl }) => {
+  let user = await User.findOne({ userId });
+
+  if (!user) {
+    if (!email) {
+      throw new AppError('UNAUTHORIZED', 'Your Adobe account did not share an email address (email scope required)', 401);
+    }
+    return User.create({
+      userId,
+      email,
+      name: name || email,
+      avatarUrl: avatarUrl || null,
+    });
+  }
+
+  // Update existing user info (fields the identity provider did not share are kept)
+  if (email) user.email = email;
+  if (name) user.name = name;
+  if (avatarUrl) user.avatarUrl = avatarUrl;
+  await user.save();
+  return user;
+};
+
+/**
+ * Start a session and respond with the user and its token pair
+ */
+const sendSession = async (req, res, user) => {
+  const { token, refreshToken, sessionId } = await createSession(user.userId, req);
+
+  res.json({
+    success: true,
+    user: {
+      userId: user.userId,
+      email: user.email,
+      name: user.name,
+      avatarUrl: user.avatarUrl,
+    },
+    token,
+    refreshToken,
+    sessionId,
+  });
+};
+
 /**
  * Login - Exchange Adobe token for JWT
- * TODO: Validate Adobe OAuth token with Adobe API
+ * The user is taken from the verified token; identity fields in the body are ignored
  */
 const login = async (req, res, next) => {
   try {
-    const { adobeToken, userId, email, name, avatarUrl } = req.body;
+    const { adobeToken } = req.body;
 
-    // TODO: Validate adobeToken with Adobe API
-    // const isValid = await validateAdobeToken(adobeToken);
-    // if (!isValid) {
-    //   throw new AppError('UNAUTHORIZED', 'Invalid Adobe token', 401);
-    // }
+    if (!adobeToken) {
+      throw new AppError('UNAUTHORIZED', 'Adobe token required', 401);
+    }
 
-    // Find or create user
-    let user = await User.findOne({ userId });
+    const identity = await verifyIdentityToken(adobeToken);
+    const user = await upsertUser(identity);
 
-    if (!user) {
-      // Create new user
-      user = await User.create({
-        userId,
-        email,
-        name,
-        avatarUrl: avatarUrl || null,
-      });
-    } else {
-      // Update existing user info
-      user.email = email;
-      user.name = name;
-      if (avatarUrl) user.avatarUrl = avatarUrl;
-      await user.save();
+    await sendSession(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Development login - Sign in as any user without a token (user switcher)
+ * Only available when AUTH_DEV_MODE=true outside production
+ */
+const devLogin = async (req, res, next) => {
+  try {
+    if (!config.auth.devMode) {
+      throw new AppError('NOT_FOUND', 'Route not found', 404);
     }
 
-    // Generate tokens
-    const token = generateToken({ userId: user.userId });
-    const refreshToken = generateRefreshToken({ userId: user.userId });
+    const { userId, email, name, avatarUrl } = req.body;
+    if (!userId || !email || !name) {
+      throw new AppError('VALIDATION_ERROR', 'userId, email and name are required', 400);
+    }
+
+    console.warn(`⚠️ Development login as "${userId}" (AUTH_DEV_MODE)`);
+    const user = await upsertUser({ userId: String(userId), email, name, avatarUrl });
+
+    await sendSession(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign-in settings for the add-on (public)
+ */
+const getAuthConfig = (req, res) => {
+  res.json({
+    success: true,
+    devMode: config.auth.devMode,
+    ims: {
+      clientId: config.adobe.clientId || null,
+      authorizationUrl: `${config.adobe.imsUrl}/ims/authorize/v2`,
+      tokenUrl: `${config.adobe.imsUrl}/ims/token/v3`,
+      scope: config.adobe.scope,
+    },
+  });
+};
+
+/**
+ * Public keys that verify access tokens (JWKS, public)
+ * Empty while tokens are signed with a shared secret (HS256)
+ */
+const getJwks = (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({ keys: getPublicJwks() });
+};
+
+/**
+ * Refresh token
+ * The refresh token is rotated: the returned one replaces it, and using the old one
+ * again revokes the session
+ */
+const refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      throw new AppError('UNAUTHORIZED', 'Refresh token required', 401);
+    }
+
+    const session = await rotateRefreshToken(refreshToken, req);
+
+    const user = await User.findOne({ userId: session.userId });
+    if (!user) {
+      await revokeSession(session.sessionId, 'revoked');
+      throw new AppError('UNAUTHORIZED', 'User not found', 401);
+    }
 
     res.json({
       success: true,
@@ -54,8 +168,9 @@ const login = async (req, res, next) => {
         name: user.name,
         avatarUrl: user.avatarUrl,
       },
-      token,
-      refreshToken,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      sessionId: session.sessionId,
     });
   } catch (error) {
     next(error);
@@ -63,31 +178,75 @@ const login = async (req, res, next) => {
 };
 
 /**
- * Refresh token
+ * Logout - End the current session (its access and refresh tokens stop working)
  */
-const refreshToken = async (req, res, next) => {
+const logout = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    await revokeSession(req.sessionId, 'logout', { userId: req.userId });
 
-    if (!refreshToken) {
-      throw new AppError('UNAUTHORIZED', 'Refresh token required', 401);
-    }
+    res.json({
+      success: true,
+      message: 'Signed out',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const { verifyRefreshToken } = require('../services/auth/jwtService');
-    const decoded = verifyRefreshToken(refreshToken);
+/**
+ * List the current user's active sessions (one per signed-in device)
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.userId);
 
-    const user = await User.findOne({ userId: decoded.userId });
-    if (!user) {
-      throw new AppError('UNAUTHORIZED', 'User not found', 401);
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        sessionId: session.sessionId,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.sessionId === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ */
+const deleteSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, 'revoked', { userId: req.userId });
+    if (!revoked) {
+      throw new AppError('NOT_FOUND', 'Session not found', 404);
     }
 
-    const token = generateToken({ userId: user.userId });
-    const newRefreshToken = generateRefreshToken({ userId: user.userId });
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke all of the current user's sessions except the current one
+ */
+const deleteOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await revokeOtherSessions(req.userId, req.sessionId);
 
     res.json({
       success: true,
-      token,
-      refreshToken: newRefreshToken,
+      revoked,
     });
   } catch (error) {
     next(error);
@@ -122,6 +281,13 @@ const getMe = async (req, res, next) => {
 
 module.exports = {
   login,
+  devLogin,
+  getAuthConfig,
+  getJwks,
   refreshToken,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
   getMe,
 };
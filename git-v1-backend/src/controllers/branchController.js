@@ -10,8 +10,12 @@ const MergeRequest = require('../models/MergeRequest');
 const User = require('../models/User');
 const TeamMember = require('../models/TeamMember');
 const { AppError } = require('../middleware/errorHandler');
-const { generateCommitHash } = require('../utils/commitHash');
-const { saveFile, saveCurrentSnapshot, getCurrentSnapshot, copyCurrentSnapshot } = require('../services/storage/fileStorage');
+const { hasPermission } = require('../utils/permissions');
+const { hashCommit, generateCommitHash } = require('../utils/commitHash');
+const { saveFile, saveCurrentSnapshot, getCurrentSnapshot, copyCurrentSnapshot, copyForkSnapshot } = require('../services/storage/fileStorage');
+const { computeCommitChanges, prepareSnapshotUpload } = require('../services/storage/snapshotLoader');
+const { resolveBranchSnapshotFile, sendSnapshot } = require('../services/storage/snapshotTransport');
+const { refreshBranchMergeRequests } = require('../services/merge/mergeRequestService');
 const {
   emitBranchCreated,
   emitBranchUpdated,
@@ -450,6 +454,10 @@ const createBranch = async (req, res, next) => {
       type,
       description: description || '',
       baseBranch,
+      createdFrom: {
+        branchId: baseBranchDoc._id.toString(),
+        commitHash: baseBranchDoc.lastCommit?.hash || null,
+      },
       createdBy: userIdString,
       isPrimary: false,
       status: 'active',
@@ -467,17 +475,33 @@ const createBranch = async (req, res, next) => {
       // Continue anyway - branch can start empty
     }
 
+    // Without a base commit, keep the copied snapshot as the merge base for later merges
+    if (!baseBranchDoc.lastCommit?.hash) {
+      try {
+        branch.createdFrom.snapshotUrl = await copyForkSnapshot(projectId, baseBranchDoc._id.toString(), branch._id.toString());
+        await branch.save();
+      } catch (error) {
+        console.warn(`⚠️ Could not keep fork snapshot for branch "${fullName}":`, error.message);
+      }
+    }
+
     // Create initial commit from base branch
     if (baseBranchDoc.lastCommit) {
       const baseCommit = await Commit.findOne({ hash: baseBranchDoc.lastCommit.hash });
       
       if (baseCommit) {
-        // Copy base branch snapshot
-        const commitHash = generateCommitHash(projectId, branch._id.toString(), 'Initial commit from base branch', userIdString);
+        const initialMessage = 'Initial commit from base branch';
         
         // Read the base branch's current snapshot to copy it as the initial commit
         try {
           const baseSnapshot = await getCurrentSnapshot(projectId, baseBranchDoc._id.toString());
+          const identity = hashCommit({
+            snapshot: baseSnapshot,
+            parentHash: baseCommit.hash,
+            authorId: userIdString,
+            message: initialMessage,
+          });
+          const commitHash = identity.hash;
           
           // Save as commit file
           const commitFilePath = await saveFile(
@@ -488,20 +512,20 @@ const createBranch = async (req, res, next) => {
             'json'
           );
           
+          // The base branch's working copy may have moved on since its last commit
+          const changes = await computeCommitChanges(projectId, baseCommit.hash, baseSnapshot);
+
           // Create commit record - ensure authorId is a string for consistency
           const commit = await Commit.create({
             projectId,
             branchId: branch._id,
             hash: commitHash,
-            message: 'Initial commit from base branch',
+            contentHash: identity.contentHash,
+            message: initialMessage,
             authorId: userIdString,
+            timestamp: identity.timestamp,
             parentCommitHash: baseCommit.hash,
-            changes: {
-              filesAdded: 0,
-              filesModified: 0,
-              filesDeleted: 0,
-              componentsUpdated: 0,
-            },
+            changes,
             snapshot: {
               fileUrl: commitFilePath,
               thumbnailUrl: baseCommit.snapshot.thumbnailUrl,
@@ -519,12 +543,22 @@ const createBranch = async (req, res, next) => {
         } catch (snapshotError) {
           console.warn(`⚠️ Could not copy base branch snapshot for commit:`, snapshotError.message);
           // Create commit without snapshot file reference - ensure authorId is a string for consistency
+          // Same content as the base commit, so its content hash applies
+          const timestamp = new Date();
         const commit = await Commit.create({
           projectId,
           branchId: branch._id,
-          hash: commitHash,
-          message: 'Initial commit from base branch',
+          hash: generateCommitHash({
+            contentHash: baseCommit.contentHash,
+            parentHash: baseCommit.hash,
+            authorId: userIdString,
+            message: initialMessage,
+            timestamp,
+          }),
+          contentHash: baseCommit.contentHash,
+          message: initialMessage,
           authorId: userIdString,
+          timestamp,
           parentCommitHash: baseCommit.hash,
           changes: {
             filesAdded: 0,
@@ -621,6 +655,8 @@ const deleteBranch = async (req, res, next) => {
 /**
  * Get branch snapshot (current state)
  * Used when checking out a branch
+ * Responds with the snapshot JSON itself, streamed from storage: 304 if If-None-Match
+ * matches its ETag, 204 if the branch has no snapshot
  */
 const getBranchSnapshot = async (req, res, next) => {
   try {
@@ -632,64 +668,15 @@ const getBranchSnapshot = async (req, res, next) => {
       throw new AppError('NOT_FOUND', 'Branch not found', 404);
     }
 
-    // Try to get current snapshot
-    let snapshotData = null;
-    let snapshotUrl = null;
-
-    try {
-      // Ensure we use the branch's actual _id from database for consistency
-      const branchIdString = branch._id.toString();
-      const snapshotBuffer = await getCurrentSnapshot(projectId, branchIdString);
-      snapshotData = JSON.parse(snapshotBuffer.toString());
-      snapshotUrl = `projects/${projectId}/branches/${branchIdString}/current.json`;
-    } catch (error) {
-      // If no current snapshot, try to get from last commit
-      if (branch.lastCommit && branch.lastCommit.hash) {
-        const lastCommit = await Commit.findOne({ hash: branch.lastCommit.hash });
-        if (lastCommit && lastCommit.snapshot && lastCommit.snapshot.fileUrl) {
-          // Read the commit file
-          const { readFile } = require('../services/storage/fileStorage');
-          try {
-            const commitBuffer = await readFile(lastCommit.snapshot.fileUrl);
-            snapshotData = JSON.parse(commitBuffer.toString());
-            snapshotUrl = lastCommit.snapshot.fileUrl;
-          } catch (readError) {
-            console.warn('Could not read commit snapshot:', readError);
-          }
-        }
-      }
-
-      // If still no snapshot, try base branch
-      if (!snapshotData && branch.baseBranch) {
-        const baseBranch = await Branch.findOne({
-          projectId,
-          name: branch.baseBranch,
-          status: 'active',
-        });
-
-        if (baseBranch) {
-          try {
-            const baseBranchIdString = baseBranch._id.toString();
-            const baseSnapshotBuffer = await getCurrentSnapshot(projectId, baseBranchIdString);
-            snapshotData = JSON.parse(baseSnapshotBuffer.toString());
-            snapshotUrl = `projects/${projectId}/branches/${baseBranchIdString}/current.json`;
-          } catch (baseError) {
-            console.warn('Could not read base branch snapshot:', baseError);
-          }
-        }
-      }
+    // Working snapshot, else last commit, else base branch
+    const file = await resolveBranchSnapshotFile(projectId, branch);
+    if (!file) {
+      return res.status(204).end();
     }
 
-    res.json({
-      success: true,
-      branch: {
-        _id: branch._id,
-        name: branch.name,
-        projectId: branch.projectId,
-      },
-      snapshot: snapshotData,
-      snapshotUrl: snapshotUrl,
-      hasSnapshot: !!snapshotData,
+    await sendSnapshot(req, res, file, {
+      'X-Snapshot-Url': file.filePath,
+      'X-Snapshot-Source': file.source,
     });
   } catch (error) {
     next(error);
@@ -715,20 +702,23 @@ const saveBranchSnapshot = async (req, res, next) => {
     // Check branch ownership: Only the branch owner can save changes
     const branchCreatorId = String(branch.createdBy || '');
     const currentUserIdString = String(userId || '');
-    const isManager = req.teamMember?.role === 'manager';
+    const canWriteAnyBranch = hasPermission(req.teamMember?.role, 'branch:write_any');
     const isPrimaryBranch = branch.isPrimary === true || branch.name === 'main';
     
-    // Managers can save to any branch, but designers can only save to their own branches
-    // Exception: Primary/main branch can be saved by anyone (but typically only managers modify main)
-    if (!isManager && branchCreatorId !== currentUserIdString && !isPrimaryBranch) {
+    // Owners and managers can save to any branch, but designers can only save to their own branches
+    // Exception: Primary/main branch can be saved by anyone who can commit (but typically only managers modify main)
+    if (!canWriteAnyBranch && branchCreatorId !== currentUserIdString && !isPrimaryBranch) {
       console.log(`[Save Branch Snapshot] Access denied: User "${currentUserIdString}" (role: ${req.teamMember?.role || 'unknown'}) attempted to save changes to branch "${branch.name}" owned by "${branchCreatorId}"`);
       throw new AppError('FORBIDDEN', 'Only the branch owner can save changes to this branch', 403);
     }
     
     console.log(`[Save Branch Snapshot] ✅ Access granted: User "${currentUserIdString}" saving snapshot to branch "${branch.name}"`);
 
-    // Convert snapshot to buffer
-    const snapshotBuffer = Buffer.from(JSON.stringify(snapshot));
+    // Upgrade older snapshot versions and validate against the snapshot schema
+    if (!snapshot) {
+      throw new AppError('VALIDATION_ERROR', 'Design snapshot is required', 400);
+    }
+    const snapshotBuffer = await prepareSnapshotUpload(snapshot, projectId);
 
     // Save current snapshot - use the branch's actual _id from database for consistency
     const branchIdString = branch._id.toString();
@@ -740,6 +730,7 @@ const saveBranchSnapshot = async (req, res, next) => {
 
     // Emit WebSocket event
     emitBranchUpdated(projectId, branch);
+    refreshBranchMergeRequests(projectId, branch.name);
 
     res.json({
       success: true,
@@ -780,18 +771,21 @@ const checkoutBranch = async (req, res, next) => {
     if (sourceBranch && currentSnapshot) {
       const sourceBranchCreatorId = String(sourceBranch.createdBy || '');
       const currentUserIdString = String(userId || '');
-      const isManager = req.teamMember?.role === 'manager';
+      const canCommit = hasPermission(req.teamMember?.role, 'commit:create');
+      const canWriteAnyBranch = hasPermission(req.teamMember?.role, 'branch:write_any');
       const isPrimaryBranch = sourceBranch.isPrimary === true || sourceBranch.name === 'main';
       
-      // Only save if user is owner, manager, or it's the primary branch
-      if (isManager || sourceBranchCreatorId === currentUserIdString || isPrimaryBranch) {
-        const snapshotBuffer = Buffer.from(JSON.stringify(currentSnapshot));
+      // Only save if user is owner, manager, or it's the primary branch (never for viewers and reviewers)
+      if (canCommit && (canWriteAnyBranch || sourceBranchCreatorId === currentUserIdString || isPrimaryBranch)) {
+        // Same upgrade, sanitization and validation as saveBranchSnapshot (400 VALIDATION_ERROR)
+        const snapshotBuffer = await prepareSnapshotUpload(currentSnapshot, projectId);
         // Use the actual branch _id from the database to ensure consistency
         await saveCurrentSnapshot(snapshotBuffer, projectId, sourceBranch._id.toString());
         
         // Update source branch
         sourceBranch.updatedAt = new Date();
         await sourceBranch.save();
+        refreshBranchMergeRequests(projectId, sourceBranch.name);
         
         console.log(`[Checkout Branch] ✅ Saved snapshot for source branch "${sourceBranch.name}" (user is owner/manager)`);
       } else {
@@ -801,52 +795,9 @@ const checkoutBranch = async (req, res, next) => {
       }
     }
 
-    // Get target branch snapshot
-    let targetSnapshot = null;
-    let targetSnapshotUrl = null;
-
-    try {
-      // Use the actual branch _id from the database to ensure consistency
-      const targetBranchIdString = targetBranch._id.toString();
-      const snapshotBuffer = await getCurrentSnapshot(projectId, targetBranchIdString);
-      targetSnapshot = JSON.parse(snapshotBuffer.toString());
-      targetSnapshotUrl = `projects/${projectId}/branches/${targetBranchIdString}/current.json`;
-    } catch (error) {
-      // If no current snapshot, try last commit
-      if (targetBranch.lastCommit && targetBranch.lastCommit.hash) {
-        const lastCommit = await Commit.findOne({ hash: targetBranch.lastCommit.hash });
-        if (lastCommit && lastCommit.snapshot && lastCommit.snapshot.fileUrl) {
-          const { readFile } = require('../services/storage/fileStorage');
-          try {
-            const commitBuffer = await readFile(lastCommit.snapshot.fileUrl);
-            targetSnapshot = JSON.parse(commitBuffer.toString());
-            targetSnapshotUrl = lastCommit.snapshot.fileUrl;
-          } catch (readError) {
-            console.warn('Could not read commit snapshot:', readError);
-          }
-        }
-      }
-
-      // If still no snapshot, use base branch
-      if (!targetSnapshot && targetBranch.baseBranch) {
-        const baseBranch = await Branch.findOne({
-          projectId,
-          name: targetBranch.baseBranch,
-          status: 'active',
-        });
-
-        if (baseBranch) {
-          try {
-            const baseBranchIdString = baseBranch._id.toString();
-            const baseSnapshotBuffer = await getCurrentSnapshot(projectId, baseBranchIdString);
-            targetSnapshot = JSON.parse(baseSnapshotBuffer.toString());
-            targetSnapshotUrl = `projects/${projectId}/branches/${baseBranchIdString}/current.json`;
-          } catch (baseError) {
-            console.warn('Could not read base branch snapshot:', baseError);
-          }
-        }
-      }
-    }
+    // Locate the target branch snapshot; the client downloads it from
+    // GET /:branchId/snapshot (a 304 when its cached copy has the same ETag)
+    const targetFile = await resolveBranchSnapshotFile(projectId, targetBranch);
 
     res.json({
       success: true,
@@ -855,11 +806,11 @@ const checkoutBranch = async (req, res, next) => {
         name: targetBranch.name,
         projectId: targetBranch.projectId,
       },
-      snapshot: targetSnapshot,
-      snapshotUrl: targetSnapshotUrl,
-      hasSnapshot: !!targetSnapshot,
-      message: targetSnapshot 
-        ? 'Branch checked out successfully' 
+      snapshotUrl: targetFile?.filePath || null,
+      snapshotEtag: targetFile?.etag || null,
+      hasSnapshot: !!targetFile,
+      message: targetFile
+        ? 'Branch checked out successfully'
         : 'Branch checked out (no snapshot available, starting fresh)',
     });
   } catch (error) {
@@ -6,21 +6,78 @@
 
 const Commit = require('../models/Commit');
 const Branch = require('../models/Branch');
+const MergeRequest = require('../models/MergeRequest');
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
-const { generateCommitHash } = require('../utils/commitHash');
-const { saveFile, saveCurrentSnapshot, getCommitSnapshot } = require('../services/storage/fileStorage');
+const { hashCommit, shortHash } = require('../utils/commitHash');
+const {
+  saveFile,
+  readFile,
+  saveCurrentSnapshot,
+  getCommitSnapshot,
+  saveCommitThumbnail,
+  getContentType,
+} = require('../services/storage/fileStorage');
+const {
+  resolveSnapshotRef,
+  findBranch,
+  findCommit,
+  computeCommitChanges,
+  verifyCommitIntegrity,
+  validateSnapshotUpload,
+} = require('../services/storage/snapshotLoader');
+const {
+  describeUpload,
+  createUploadSession,
+  findUploadSession,
+  storeUploadPart,
+  claimUploadSession,
+  releaseUploadSession,
+  readUploadedSnapshot,
+  finishUploadSession,
+  abortUploadSession,
+} = require('../services/storage/uploadStore');
+const { resolveMergeBase, findMergeCommit } = require('../services/merge/mergeService');
+const { refreshBranchMergeRequests } = require('../services/merge/mergeRequestService');
+const { parseSnapshot, diffSnapshots, summarizeSnapshot } = require('../utils/snapshotDiff');
 const { emitBranchUpdated } = require('../services/websocket/websocketService');
+const { detectImageType } = require('../utils/snapshotSanitizer');
+const { hasPermission } = require('../utils/permissions');
+const mongoose = require('mongoose');
+const config = require('../config/config');
 const multer = require('multer');
 
 // Configure multer for file uploads
 const upload = multer({
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB
+    fileSize: config.storage.maxFileSize,
   },
   storage: multer.memoryStorage(),
 });
 
+// Accepted thumbnail image types (rendered by the add-on)
+const THUMBNAIL_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+};
+
+/**
+ * Get the storage extension for an uploaded thumbnail
+ * The type is read from the image bytes; the declared Content-Type must agree with it
+ * @param {Object} file - Multer file
+ * @returns {String} Extension
+ */
+const getThumbnailExtension = (file) => {
+  const mimeType = detectImageType(file.buffer);
+  if (!mimeType) {
+    throw new AppError('VALIDATION_ERROR', 'Thumbnail must be a PNG or JPEG image', 400);
+  }
+  if (file.mimetype !== mimeType) {
+    throw new AppError('VALIDATION_ERROR', `Thumbnail is declared as ${file.mimetype} but is ${mimeType}`, 400);
+  }
+  return THUMBNAIL_EXTENSIONS[mimeType];
+};
+
 /**
  * Get commit history
  */
@@ -78,13 +135,86 @@ const getHistory = async (req, res, next) => {
   }
 };
 
+/**
+ * Validate a snapshot and record it as a new commit on a branch
+ * @param {Object} commitData - { projectId, branch, userId, message, snapshotData, thumbnail (multer file, optional) }
+ *   snapshotData is the uploaded JSON or, for chunked uploads, the already parsed snapshot
+ * @returns {Object} Created commit
+ */
+const commitSnapshot = async ({ projectId, branch, userId, message, snapshotData, thumbnail = null }) => {
+  const branchId = branch._id.toString();
+  const thumbnailExtension = thumbnail ? getThumbnailExtension(thumbnail) : null;
+
+  // Upgrade older snapshot versions and validate against the snapshot schema
+  // The parsed snapshot is used from here on; large uploads are not serialized and re-parsed per step
+  const snapshot = await validateSnapshotUpload(snapshotData, projectId);
+
+  // Hash the snapshot content and commit metadata
+  const parentHash = branch.lastCommit?.hash || null;
+  const identity = hashCommit({ snapshot, parentHash, authorId: userId, message });
+
+  // Compute change statistics against the parent commit (client-supplied counts are ignored)
+  const changes = await computeCommitChanges(projectId, parentHash, snapshot);
+  const commitHash = identity.hash;
+
+  // Save file to storage
+  const filePath = await saveFile(
+    snapshot,
+    projectId,
+    branchId,
+    commitHash,
+    'json'
+  );
+
+  // Save current snapshot
+  await saveCurrentSnapshot(snapshot, projectId, branchId);
+
+  // Save page thumbnail rendered by the add-on (optional)
+  const thumbnailPath = thumbnail
+    ? await saveCommitThumbnail(thumbnail.buffer, projectId, branchId, commitHash, thumbnailExtension)
+    : null;
+
+  // Create commit record
+  const commit = await Commit.create({
+    projectId,
+    branchId,
+    hash: commitHash,
+    contentHash: identity.contentHash,
+    message,
+    authorId: userId,
+    timestamp: identity.timestamp,
+    parentCommitHash: parentHash,
+    changes,
+    snapshot: {
+      fileUrl: filePath,
+      thumbnailUrl: thumbnailPath,
+    },
+  });
+
+  // Update branch last commit
+  branch.lastCommit = {
+    hash: commit.hash,
+    message: commit.message,
+    timestamp: commit.timestamp,
+    authorId: commit.authorId,
+  };
+  branch.updatedAt = new Date();
+  await branch.save();
+
+  // Emit WebSocket event
+  emitBranchUpdated(projectId, branch);
+  refreshBranchMergeRequests(projectId, branch.name);
+
+  return commit;
+};
+
 /**
  * Create new commit
  */
 const createCommit = async (req, res, next) => {
   try {
     const { projectId } = req.params;
-    const { branchId, message, changes } = req.body;
+    const { branchId, message } = req.body;
     const userId = req.userId;
 
     // Get branch
@@ -93,60 +223,145 @@ const createCommit = async (req, res, next) => {
       throw new AppError('NOT_FOUND', 'Branch not found', 404);
     }
 
-    // Get file from request (multer middleware should handle this)
-    const file = req.file;
+    // Get files from request (multer middleware should handle this)
+    const file = req.files?.snapshot?.[0];
     if (!file) {
       throw new AppError('VALIDATION_ERROR', 'Design snapshot file is required', 400);
     }
 
-    // Generate commit hash
-    const parentHash = branch.lastCommit?.hash || null;
-    const commitHash = generateCommitHash(projectId, branchId, message, userId, parentHash);
-
-    // Save file to storage
-    const filePath = await saveFile(
-      file.buffer,
+    const commit = await commitSnapshot({
       projectId,
-      branchId,
-      commitHash,
-      'json'
-    );
+      branch,
+      userId,
+      message,
+      snapshotData: file.buffer,
+      thumbnail: req.files?.thumbnail?.[0] || null,
+    });
 
-    // Save current snapshot
-    await saveCurrentSnapshot(file.buffer, projectId, branchId);
+    res.status(201).json({
+      success: true,
+      commit,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Create commit record
-    const commit = await Commit.create({
+/**
+ * Start a chunked commit upload
+ * Body: { projectId, branchId, size, sha256 } (size and SHA-256 of the whole snapshot)
+ */
+const initCommitUpload = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const { branchId, size, sha256 } = req.body;
+
+    const branch = await Branch.findById(branchId);
+    if (!branch || branch.projectId !== projectId) {
+      throw new AppError('NOT_FOUND', 'Branch not found', 404);
+    }
+
+    const session = await createUploadSession({
       projectId,
-      branchId,
-      hash: commitHash,
-      message,
-      authorId: userId,
-      parentCommitHash: parentHash,
-      changes: changes || {
-        filesAdded: 0,
-        filesModified: 0,
-        filesDeleted: 0,
-        componentsUpdated: 0,
-      },
-      snapshot: {
-        fileUrl: filePath,
-        thumbnailUrl: null, // TODO: Generate thumbnail
-      },
+      branchId: branch._id.toString(),
+      userId: req.userId,
+      size,
+      sha256,
     });
 
-    // Update branch last commit
-    branch.lastCommit = {
-      hash: commit.hash,
-      message: commit.message,
-      timestamp: commit.timestamp,
-      authorId: commit.authorId,
-    };
-    branch.updatedAt = new Date();
-    await branch.save();
+    res.status(201).json({
+      success: true,
+      upload: describeUpload(session),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Emit WebSocket event
-    emitBranchUpdated(projectId, branch);
+/**
+ * Get the state of a chunked upload (received parts, for resuming)
+ */
+const getCommitUpload = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      upload: describeUpload(req.uploadSession),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload one part (raw body, optional X-Content-SHA256 header)
+ * Re-sending a part replaces it
+ */
+const uploadCommitPart = async (req, res, next) => {
+  try {
+    const session = await storeUploadPart(
+      req.uploadSession,
+      req.params.partNumber,
+      req,
+      req.get('x-content-sha256') || null
+    );
+
+    res.json({
+      success: true,
+      upload: describeUpload(session),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete a chunked upload and create the commit
+ * Multipart body: message, thumbnail (optional)
+ * Completing an already completed upload returns its commit
+ */
+const completeCommitUpload = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const { message } = req.body;
+    const session = req.uploadSession;
+
+    if (session.status === 'completed') {
+      const commit = await Commit.findOne({ projectId, hash: session.commitHash });
+      return res.json({
+        success: true,
+        commit,
+      });
+    }
+
+    if (!message || !String(message).trim()) {
+      throw new AppError('VALIDATION_ERROR', 'Commit message is required', 400);
+    }
+
+    const branch = await Branch.findById(session.branchId);
+    if (!branch || branch.projectId !== projectId) {
+      throw new AppError('NOT_FOUND', 'Branch not found', 404);
+    }
+
+    const claimed = await claimUploadSession(session);
+    if (!claimed) {
+      throw new AppError('CONFLICT', 'Upload is already being completed', 409);
+    }
+
+    let commit;
+    try {
+      commit = await commitSnapshot({
+        projectId,
+        branch,
+        userId: req.userId,
+        message,
+        snapshotData: await readUploadedSnapshot(claimed),
+        thumbnail: req.file || null,
+      });
+    } catch (error) {
+      await releaseUploadSession(claimed);
+      throw error;
+    }
+    await finishUploadSession(claimed, commit.hash);
 
     res.status(201).json({
       success: true,
@@ -157,6 +372,35 @@ const createCommit = async (req, res, next) => {
   }
 };
 
+/**
+ * Abort a chunked upload and delete its parts
+ */
+const abortCommitUpload = async (req, res, next) => {
+  try {
+    await abortUploadSession(req.uploadSession);
+
+    res.json({
+      success: true,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load the upload session named in the route (started by the current user)
+ * and expose its project to checkProjectAccess
+ */
+const loadUploadSession = async (req, res, next) => {
+  try {
+    req.uploadSession = await findUploadSession(req.params.uploadId, req.userId);
+    req.params.projectId = req.uploadSession.projectId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Revert branch to a specific commit
  */
@@ -173,12 +417,8 @@ const revertToCommit = async (req, res, next) => {
       throw new AppError('NOT_FOUND', 'Branch not found', 404);
     }
 
-    // Get commit
-    const commit = await Commit.findOne({
-      projectId,
-      branchId,
-      hash: commitHash,
-    });
+    // Get commit (full or abbreviated hash)
+    const commit = await findCommit(projectId, commitHash, { branchId });
 
     if (!commit) {
       throw new AppError('NOT_FOUND', 'Commit not found', 404);
@@ -187,7 +427,7 @@ const revertToCommit = async (req, res, next) => {
     // Get commit snapshot
     let commitSnapshot;
     try {
-      commitSnapshot = await getCommitSnapshot(projectId, branchId, commitHash);
+      commitSnapshot = await getCommitSnapshot(projectId, branchId, commit.hash);
     } catch (error) {
       throw new AppError('NOT_FOUND', 'Commit snapshot file not found', 404);
     }
@@ -197,14 +437,14 @@ const revertToCommit = async (req, res, next) => {
 
     // Create revert commit (soft rollback - preserves history)
     const parentHash = branch.lastCommit?.hash || null;
-    const revertMessage = `Reverted to commit ${commitHash.substring(0, 7)}: ${commit.message}`;
-    const revertCommitHash = generateCommitHash(
-      projectId,
-      branchId,
-      revertMessage,
-      userId,
-      parentHash
-    );
+    const revertMessage = `Reverted to commit ${shortHash(commit.hash)}: ${commit.message}`;
+    const revertIdentity = hashCommit({
+      snapshot: commitSnapshot,
+      parentHash,
+      authorId: userId,
+      message: revertMessage,
+    });
+    const revertCommitHash = revertIdentity.hash;
 
     // Save revert commit snapshot file
     const revertCommitFilePath = await saveFile(
@@ -215,27 +455,24 @@ const revertToCommit = async (req, res, next) => {
       'json'
     );
 
-    // Count elements for commit metadata
-    const commitData = JSON.parse(commitSnapshot.toString());
-    const elementCount = commitData?.pages?.[0]?.artboards?.[0]?.elements?.length || 0;
+    // Compute what the revert changes relative to the current head
+    const changes = await computeCommitChanges(projectId, parentHash, commitSnapshot);
 
     // Create revert commit record
     const revertCommit = await Commit.create({
       projectId,
       branchId,
       hash: revertCommitHash,
+      contentHash: revertIdentity.contentHash,
       message: revertMessage,
       authorId: userId,
+      timestamp: revertIdentity.timestamp,
       parentCommitHash: parentHash,
-      changes: {
-        filesAdded: 0,
-        filesModified: 1,
-        filesDeleted: 0,
-        componentsUpdated: elementCount,
-      },
+      changes,
       snapshot: {
         fileUrl: revertCommitFilePath,
-        thumbnailUrl: null,
+        // Same content as the reverted-to commit, so its thumbnail still applies
+        thumbnailUrl: commit.snapshot.thumbnailUrl || null,
       },
     });
 
@@ -251,6 +488,7 @@ const revertToCommit = async (req, res, next) => {
 
     // Emit WebSocket event
     emitBranchUpdated(projectId, branch);
+    refreshBranchMergeRequests(projectId, branch.name);
 
     res.json({
       success: true,
@@ -263,12 +501,304 @@ const revertToCommit = async (req, res, next) => {
   }
 };
 
+/**
+ * Resolve the two sides of a merge request diff
+ * Merged requests compare the merge commit with its parent; open ones compare the
+ * source branch with the common ancestor or fork point (what the request would bring in)
+ * @param {String} projectId - Project ID
+ * @param {String} mergeRequestId - Merge request number
+ * @returns {Object} { fromRef, toRef }
+ */
+const resolveMergeRequestRefs = async (projectId, mergeRequestId) => {
+  const mergeRequest = await MergeRequest.findOne({
+    projectId,
+    mergeRequestId: parseInt(mergeRequestId),
+  });
+
+  if (!mergeRequest) {
+    throw new AppError('NOT_FOUND', 'Merge request not found', 404);
+  }
+
+  const sourceBranch = await findBranch(projectId, mergeRequest.sourceBranch);
+  const targetBranch = await findBranch(projectId, mergeRequest.targetBranch);
+
+  if (!sourceBranch || !targetBranch) {
+    throw new AppError('NOT_FOUND', 'Merge request branches not found', 404);
+  }
+
+  if (['merged', 'reverted'].includes(mergeRequest.status)) {
+    const mergeCommit = await findMergeCommit(mergeRequest, targetBranch);
+
+    if (mergeCommit?.parentCommitHash) {
+      return {
+        fromRef: await resolveSnapshotRef(projectId, mergeCommit.parentCommitHash),
+        toRef: await resolveSnapshotRef(projectId, mergeCommit.hash),
+      };
+    }
+  }
+
+  const { mergeBase, forkSnapshot } = await resolveMergeBase(projectId, sourceBranch, targetBranch);
+
+  let fromRef;
+  if (mergeBase) {
+    fromRef = await resolveSnapshotRef(projectId, mergeBase.hash);
+  } else if (forkSnapshot) {
+    fromRef = {
+      type: 'fork',
+      ref: `fork:${sourceBranch._id}`,
+      label: `Fork point of ${mergeRequest.sourceBranch} and ${mergeRequest.targetBranch}`,
+      commitHash: null,
+      branchId: null,
+      snapshot: forkSnapshot,
+    };
+  } else {
+    fromRef = await resolveSnapshotRef(projectId, `branch:${targetBranch._id}`);
+  }
+
+  return {
+    fromRef,
+    toRef: await resolveSnapshotRef(projectId, `branch:${sourceBranch._id}`),
+  };
+};
+
+/**
+ * Get structured diff between two snapshots
+ * Refs can be a commit hash, "commit:<hash>" or "branch:<name or id>"; or pass mergeRequestId
+ * includeSnapshots=true also returns both snapshots (without image data) for previews
+ */
+const getDiff = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const { from, to, mergeRequestId, includeSnapshots } = req.query;
+
+    let fromRef;
+    let toRef;
+
+    if (mergeRequestId) {
+      ({ fromRef, toRef } = await resolveMergeRequestRefs(projectId, mergeRequestId));
+    } else {
+      if (!from || !to) {
+        throw new AppError('VALIDATION_ERROR', 'Both "from" and "to" refs are required (or mergeRequestId)', 400);
+      }
+
+      fromRef = await resolveSnapshotRef(projectId, from);
+      if (!fromRef) {
+        throw new AppError('NOT_FOUND', `Unknown ref "${from}"`, 404);
+      }
+
+      toRef = await resolveSnapshotRef(projectId, to);
+      if (!toRef) {
+        throw new AppError('NOT_FOUND', `Unknown ref "${to}"`, 404);
+      }
+    }
+
+    if (!fromRef || !toRef) {
+      throw new AppError('NOT_FOUND', 'Could not resolve snapshots to compare', 404);
+    }
+
+    const fromData = parseSnapshot(fromRef.snapshot);
+    const toData = parseSnapshot(toRef.snapshot);
+    const diff = diffSnapshots(fromData, toData);
+    const { snapshot: fromSnapshot, ...fromInfo } = fromRef;
+    const { snapshot: toSnapshot, ...toInfo } = toRef;
+
+    res.json({
+      success: true,
+      from: { ...fromInfo, hasSnapshot: !!fromSnapshot },
+      to: { ...toInfo, hasSnapshot: !!toSnapshot },
+      ...diff,
+      // Image-free copies of both snapshots for rendering previews
+      ...(includeSnapshots === 'true' && {
+        snapshots: {
+          from: summarizeSnapshot(fromData),
+          to: summarizeSnapshot(toData),
+        },
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Commits re-hashed per integrity request (each check loads a full snapshot)
+const INTEGRITY_PAGE_SIZE = 50;
+const MAX_INTEGRITY_PAGE_SIZE = 200;
+
+/**
+ * Verify stored snapshots against their content hashes, one page of commits at a time
+ * Optional filters: branch (name or id) or commitHash; paging: limit and cursor
+ * (nextCursor of the previous page, null once every commit was checked)
+ */
+const verifyIntegrity = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const { branch, commitHash, cursor } = req.query;
+
+    const limit = req.query.limit === undefined ? INTEGRITY_PAGE_SIZE : parseInt(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_INTEGRITY_PAGE_SIZE) {
+      throw new AppError('VALIDATION_ERROR', `limit must be between 1 and ${MAX_INTEGRITY_PAGE_SIZE}`, 400);
+    }
+    if (cursor !== undefined && !mongoose.Types.ObjectId.isValid(cursor)) {
+      throw new AppError('VALIDATION_ERROR', 'Invalid cursor', 400);
+    }
+
+    let commits;
+    let nextCursor = null;
+    if (commitHash) {
+      const commit = await findCommit(projectId, commitHash);
+      if (!commit) {
+        throw new AppError('NOT_FOUND', 'Commit not found', 404);
+      }
+      commits = [commit];
+    } else {
+      const query = { projectId };
+      if (branch) {
+        const branchDoc = await findBranch(projectId, branch);
+        if (!branchDoc) {
+          throw new AppError('NOT_FOUND', 'Branch not found', 404);
+        }
+        query.branchId = branchDoc._id;
+      }
+      if (cursor) {
+        query._id = { $gt: cursor };
+      }
+      // One extra tells whether another page follows
+      commits = await Commit.find(query).sort({ _id: 1 }).limit(limit + 1);
+      if (commits.length > limit) {
+        commits = commits.slice(0, limit);
+        nextCursor = commits[commits.length - 1]._id.toString();
+      }
+    }
+
+    const summary = { checked: 0, ok: 0, legacy: 0, corrupted: 0, missing: 0 };
+    const issues = [];
+
+    // Sequential: each check loads a full snapshot
+    for (const commit of commits) {
+      const result = await verifyCommitIntegrity(commit);
+      summary.checked++;
+      summary[result.status]++;
+      if (result.status === 'corrupted' || result.status === 'missing') {
+        issues.push({ ...result, message: commit.message, timestamp: commit.timestamp });
+      }
+    }
+
+    if (issues.length > 0) {
+      console.warn(`⚠️ Integrity check found ${issues.length} damaged commit(s) in project ${projectId}`);
+    }
+
+    res.json({
+      success: true,
+      healthy: issues.length === 0,
+      summary,
+      issues,
+      nextCursor,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get commit thumbnail image
+ */
+const getCommitThumbnail = async (req, res, next) => {
+  try {
+    const { projectId, commitHash } = req.params;
+
+    const commit = await findCommit(projectId, commitHash);
+    if (!commit) {
+      throw new AppError('NOT_FOUND', 'Commit not found', 404);
+    }
+
+    if (!commit.snapshot.thumbnailUrl) {
+      throw new AppError('NOT_FOUND', 'Commit has no thumbnail', 404);
+    }
+
+    let image;
+    try {
+      image = await readFile(commit.snapshot.thumbnailUrl);
+    } catch (error) {
+      throw new AppError('NOT_FOUND', 'Thumbnail file not found', 404);
+    }
+
+    // Commit content never changes, so the thumbnail can be cached
+    res.set('Content-Type', getContentType(commit.snapshot.thumbnailUrl));
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(image);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload a thumbnail for a commit that does not have one yet
+ * (e.g. merge commits, which are created server-side)
+ * Only the commit author, or someone who can write to any branch, can add it
+ */
+const uploadCommitThumbnail = async (req, res, next) => {
+  try {
+    const { projectId, commitHash } = req.params;
+
+    const commit = await findCommit(projectId, commitHash);
+    if (!commit) {
+      throw new AppError('NOT_FOUND', 'Commit not found', 404);
+    }
+
+    const canWriteAnyBranch = hasPermission(req.teamMember?.role, 'branch:write_any');
+    if (!canWriteAnyBranch && String(commit.authorId) !== String(req.userId)) {
+      throw new AppError('FORBIDDEN', 'Only the commit author or a manager can add its thumbnail', 403);
+    }
+
+    if (commit.snapshot.thumbnailUrl) {
+      throw new AppError('CONFLICT', 'Commit already has a thumbnail', 409);
+    }
+
+    if (!req.file) {
+      throw new AppError('VALIDATION_ERROR', 'Thumbnail image is required', 400);
+    }
+
+    const thumbnailPath = await saveCommitThumbnail(
+      req.file.buffer,
+      projectId,
+      commit.branchId.toString(),
+      commit.hash,
+      getThumbnailExtension(req.file)
+    );
+
+    commit.snapshot.thumbnailUrl = thumbnailPath;
+    await commit.save();
+
+    res.json({
+      success: true,
+      commit,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Export multer middleware for use in routes
-const uploadMiddleware = upload.single('snapshot');
+const uploadMiddleware = upload.fields([
+  { name: 'snapshot', maxCount: 1 },
+  { name: 'thumbnail', maxCount: 1 },
+]);
+const thumbnailUploadMiddleware = upload.single('thumbnail');
 
 module.exports = {
   getHistory,
+  getDiff,
   createCommit,
+  initCommitUpload,
+  getCommitUpload,
+  uploadCommitPart,
+  completeCommitUpload,
+  abortCommitUpload,
+  loadUploadSession,
   uploadMiddleware,
+  thumbnailUploadMiddleware,
   revertToCommit,
+  getCommitThumbnail,
+  uploadCommitThumbnail,
+  verifyIntegrity,
 };
@@ -0,0 +1,85 @@
+/**
+ * Media Controller
+ *
+ * Handles image uploads and downloads for the media store
+ * (images referenced from snapshots by mediaId, see services/storage/mediaStore.js)
+ */
+
+const express = require('express');
+const config = require('../config/config');
+const { AppError } = require('../middleware/errorHandler');
+const { isMediaId, storeMedia, readMedia, findMissingMedia } = require('../services/storage/mediaStore');
+
+// Raw image body, limited to the largest accepted image
+const mediaUploadMiddleware = express.raw({ type: () => true, limit: config.snapshots.maxImageSize });
+
+/**
+ * Check which media ids still have to be uploaded to the project
+ * POST /api/v1/media/missing
+ */
+const getMissingMedia = async (req, res, next) => {
+  try {
+    const missing = await findMissingMedia(req.body.mediaIds, req.params.projectId);
+
+    res.json({
+      success: true,
+      missing,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload an image under its media id (SHA-256 of the bytes)
+ * Uploading an image that already exists is a no-op
+ * PUT /api/v1/media/:mediaId
+ */
+const uploadMedia = async (req, res, next) => {
+  try {
+    const { mediaId } = req.params;
+    if (!isMediaId(mediaId)) {
+      throw new AppError('VALIDATION_ERROR', 'Media id must be a lowercase hex SHA-256', 400);
+    }
+
+    const media = await storeMedia(req.body, req.params.projectId, mediaId);
+
+    res.status(201).json({
+      success: true,
+      media,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download an image
+ * Media are immutable (the id is their hash), so clients may cache them indefinitely
+ * GET /api/v1/media/:mediaId
+ */
+const getMedia = async (req, res, next) => {
+  try {
+    const { mediaId } = req.params;
+    const etag = `"${mediaId}"`;
+    const cacheHeaders = { 'Cache-Control': 'private, max-age=31536000, immutable', ETag: etag };
+
+    if (isMediaId(mediaId) && req.get('if-none-match') === etag) {
+      res.status(304).set(cacheHeaders).end();
+      return;
+    }
+
+    const { data, contentType } = await readMedia(mediaId, req.params.projectId);
+    res.set({ ...cacheHeaders, 'Content-Type': contentType });
+    res.send(data);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  mediaUploadMiddleware,
+  getMissingMedia,
+  uploadMedia,
+  getMedia,
+};
@@ -11,12 +11,22 @@ const Project = require('../models/Project');
 const TeamMember = require('../models/TeamMember');
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
-const { generateCommitHash } = require('../utils/commitHash');
-const { getCurrentSnapshot, saveCurrentSnapshot, saveFile, copyCurrentSnapshot, getCommitSnapshot } = require('../services/storage/fileStorage');
+const { hasPermission, rolesWithPermission } = require('../utils/permissions');
+const { hashCommit } = require('../utils/commitHash');
+const { saveCurrentSnapshot, saveFile, getCommitSnapshot } = require('../services/storage/fileStorage');
+const { computeCommitChanges, prepareSnapshotUpload } = require('../services/storage/snapshotLoader');
+const { findMergeCommit, validateResolution } = require('../services/merge/mergeService');
+const {
+  ACTIVE_STATUSES,
+  prepareMerge,
+  refreshMergeConflicts,
+  refreshBranchMergeRequests,
+} = require('../services/merge/mergeRequestService');
 const { v4: uuidv4 } = require('uuid');
 const {
   emitMergeRequestCreated,
   emitMergeRequestApproved,
+  emitMergeRequestConflictsUpdated,
   emitMergeRequestMerged,
   emitMergeRequestClosed,
   emitBranchUpdated,
@@ -207,12 +217,12 @@ const createMergeRequest = async (req, res, next) => {
     // Check branch ownership: Only the branch owner can create merge requests
     const sourceBranchCreatorId = String(sourceBranchDoc.createdBy || '');
     const currentUserIdString = String(userId || '');
-    const isManager = req.teamMember?.role === 'manager';
+    const canWriteAnyBranch = hasPermission(req.teamMember?.role, 'branch:write_any');
     const isPrimaryBranch = sourceBranchDoc.isPrimary === true || sourceBranchDoc.name === 'main';
     
-    // Managers can create MRs from any branch, but designers can only create MRs from their own branches
-    // Exception: Primary/main branch can be used by anyone (but typically only managers create MRs from main)
-    if (!isManager && sourceBranchCreatorId !== currentUserIdString && !isPrimaryBranch) {
+    // Owners and managers can create MRs from any branch, but designers can only create MRs from their own branches
+    // Exception: Primary/main branch can be used by anyone who can create MRs (but typically only managers do)
+    if (!canWriteAnyBranch && sourceBranchCreatorId !== currentUserIdString && !isPrimaryBranch) {
       console.log(`[Create Merge Request] Access denied: User "${currentUserIdString}" (role: ${req.teamMember?.role || 'unknown'}) attempted to create MR from branch "${sourceBranchName}" owned by "${sourceBranchCreatorId}"`);
       throw new AppError('FORBIDDEN', 'Only the branch owner can create merge requests from this branch', 403);
     }
@@ -230,10 +240,10 @@ const createMergeRequest = async (req, res, next) => {
     const project = await Project.findOne({ projectId });
     const minReviews = project?.settings?.branchProtection?.minReviews || 2;
 
-    // Get team members who can review (managers and designers)
+    // Get team members who can review (owners, managers, designers and reviewers)
     const reviewers = await TeamMember.find({
       projectId,
-      role: { $in: ['manager', 'designer'] },
+      role: { $in: rolesWithPermission('merge_request:review') },
       status: 'active',
     }).limit(minReviews);
 
@@ -272,12 +282,20 @@ const createMergeRequest = async (req, res, next) => {
       }
     }
 
+    // Record the conflicts up front; they are kept current as the branches change
+    let createdMergeRequest = mergeRequest;
+    try {
+      createdMergeRequest = await refreshMergeConflicts(projectId, mergeRequest) || mergeRequest;
+    } catch (error) {
+      console.warn(`⚠️ Could not compute conflicts of merge request #${mergeRequestId}:`, error.message);
+    }
+
     // Emit WebSocket event
-    emitMergeRequestCreated(projectId, mergeRequest);
+    emitMergeRequestCreated(projectId, createdMergeRequest);
 
     res.status(201).json({
       success: true,
-      mergeRequest,
+      mergeRequest: createdMergeRequest,
     });
   } catch (error) {
     next(error);
@@ -306,14 +324,14 @@ const approveMergeRequest = async (req, res, next) => {
       throw new AppError('FORBIDDEN', 'You cannot approve your own merge request', 403);
     }
 
-    // Check if user is a manager (managers can always approve)
+    // Check if user is an owner or manager (they can always approve)
     const teamMember = await TeamMember.findOne({
       projectId,
       userId,
       status: 'active',
     });
 
-    const isManager = teamMember && teamMember.role === 'manager';
+    const isManager = hasPermission(teamMember?.role, 'merge_request:review_any');
 
     // Find reviewer or add manager if not in list
     let reviewer = mergeRequest.reviewers.find(r => r.userId === userId);
@@ -395,14 +413,14 @@ const requestChanges = async (req, res, next) => {
       throw new AppError('FORBIDDEN', 'You cannot request changes on your own merge request', 403);
     }
 
-    // Check if user is a manager (managers can always request changes)
+    // Check if user is an owner or manager (they can always request changes)
     const teamMember = await TeamMember.findOne({
       projectId,
       userId,
       status: 'active',
     });
 
-    const isManager = teamMember && teamMember.role === 'manager';
+    const isManager = hasPermission(teamMember?.role, 'merge_request:review_any');
 
     // Find reviewer or add manager if not in list
     let reviewer = mergeRequest.reviewers.find(r => r.userId === userId);
@@ -461,12 +479,12 @@ const requestChanges = async (req, res, next) => {
 };
 
 /**
- * Complete merge
+ * Get merge conflicts
+ * Read-only: conflicts are recorded when the request is opened and whenever either branch changes
  */
-const completeMerge = async (req, res, next) => {
+const getMergeConflicts = async (req, res, next) => {
   try {
     const { projectId, mergeRequestId } = req.params;
-    const userId = req.userId;
 
     const mergeRequest = await MergeRequest.findOne({
       projectId,
@@ -477,82 +495,161 @@ const completeMerge = async (req, res, next) => {
       throw new AppError('NOT_FOUND', 'Merge request not found', 404);
     }
 
-    // Allow merging from 'open' status (no approval needed in simplified flow - manager decides directly)
-    // Reject if status is 'merged', 'closed', 'rejected', or 'reverted'
-    if (!['open', 'approved'].includes(mergeRequest.status)) {
-      throw new AppError('VALIDATION_ERROR', `Merge request is ${mergeRequest.status} and cannot be merged`, 400);
+    res.json({
+      success: true,
+      conflicts: mergeRequest.conflicts,
+      unresolvedCount: mergeRequest.conflicts.filter(c => !c.resolution).length,
+      mergeBaseHash: mergeRequest.mergeBaseHash,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve merge conflicts
+ * Body: { resolutions: [{ elementId, strategy: 'ours'|'theirs'|'custom', properties?, value? }] }
+ */
+const resolveMergeConflicts = async (req, res, next) => {
+  try {
+    const { projectId, mergeRequestId } = req.params;
+    const { resolutions } = req.body;
+    const userId = req.userId;
+
+    if (!Array.isArray(resolutions) || resolutions.length === 0) {
+      throw new AppError('VALIDATION_ERROR', 'At least one resolution is required', 400);
     }
 
-    // Get source and target branches
-    const sourceBranch = await Branch.findOne({
+    const mergeRequest = await MergeRequest.findOne({
       projectId,
-      name: mergeRequest.sourceBranch,
-      status: 'active',
+      mergeRequestId: parseInt(mergeRequestId),
     });
 
-    const targetBranch = await Branch.findOne({
+    if (!mergeRequest) {
+      throw new AppError('NOT_FOUND', 'Merge request not found', 404);
+    }
+
+    // Resolutions become merge content: reviewers comment and approve, they do not write it
+    const role = req.teamMember?.role;
+    if (!hasPermission(role, 'merge_request:resolve') && String(mergeRequest.createdBy) !== String(userId)) {
+      throw new AppError(
+        'FORBIDDEN',
+        'Only owners, managers and the merge request author can resolve conflicts',
+        403,
+        { permission: 'merge_request:resolve', role }
+      );
+    }
+
+    if (!ACTIVE_STATUSES.includes(mergeRequest.status)) {
+      throw new AppError('VALIDATION_ERROR', `Merge request is ${mergeRequest.status} and cannot be changed`, 400);
+    }
+
+    // Resolve against the current conflicts, not the ones stored from an older attempt
+    const { mergeBase, result } = await prepareMerge(projectId, mergeRequest);
+    const conflicts = result.conflicts;
+
+    for (const resolution of resolutions) {
+      const conflict = conflicts.find(c => c.elementId === String(resolution?.elementId));
+      if (!conflict) {
+        throw new AppError('VALIDATION_ERROR', `No conflict found for element ${resolution?.elementId}`, 400);
+      }
+
+      const validationError = validateResolution(conflict, resolution);
+      if (validationError) {
+        throw new AppError('VALIDATION_ERROR', validationError, 400);
+      }
+
+      conflict.resolution = {
+        strategy: resolution.strategy,
+        properties: resolution.strategy === 'custom' ? resolution.properties || null : null,
+        value: resolution.strategy === 'custom' && resolution.value !== undefined ? resolution.value : null,
+        resolvedBy: userId,
+        resolvedAt: new Date(),
+      };
+    }
+
+    mergeRequest.mergeBaseHash = mergeBase ? mergeBase.hash : null;
+    mergeRequest.conflicts = conflicts;
+    await mergeRequest.save();
+
+    emitMergeRequestConflictsUpdated(projectId, mergeRequest);
+
+    res.json({
+      success: true,
+      conflicts: mergeRequest.conflicts,
+      unresolvedCount: mergeRequest.conflicts.filter(c => !c.resolution).length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete merge
+ */
+const completeMerge = async (req, res, next) => {
+  try {
+    const { projectId, mergeRequestId } = req.params;
+    const userId = req.userId;
+
+    const mergeRequest = await MergeRequest.findOne({
       projectId,
-      name: mergeRequest.targetBranch,
-      status: 'active',
+      mergeRequestId: parseInt(mergeRequestId),
     });
 
-    if (!sourceBranch) {
-      throw new AppError('NOT_FOUND', 'Source branch not found or inactive', 404);
+    if (!mergeRequest) {
+      throw new AppError('NOT_FOUND', 'Merge request not found', 404);
     }
 
-    if (!targetBranch) {
-      throw new AppError('NOT_FOUND', 'Target branch not found or inactive', 404);
+    // Allow merging from 'open' status (no approval needed in simplified flow - manager decides directly)
+    // Reject if status is 'merged', 'closed', 'rejected', or 'reverted'
+    if (!ACTIVE_STATUSES.includes(mergeRequest.status)) {
+      throw new AppError('VALIDATION_ERROR', `Merge request is ${mergeRequest.status} and cannot be merged`, 400);
     }
 
-    // Branch protection check (for future use)
-    // In simplified flow, managers can merge directly without approval requirement
-    // This check is kept for potential future branch protection features
-    if (targetBranch.isPrimary) {
-      const project = await Project.findOne({ projectId });
-      // Note: In simplified flow, no approval requirement check needed
-      // Managers can merge directly from 'open' status
+    const { sourceBranch, targetBranch, mergeBase, result } = await prepareMerge(projectId, mergeRequest);
+    const { snapshot: mergedSnapshot, conflicts, stats } = result;
+
+    mergeRequest.mergeBaseHash = mergeBase ? mergeBase.hash : null;
+    mergeRequest.conflicts = conflicts;
+
+    // Block the merge until every conflict has a resolution
+    const unresolvedCount = conflicts.filter(c => !c.resolution).length;
+    if (unresolvedCount > 0) {
+      await mergeRequest.save();
+      emitMergeRequestConflictsUpdated(projectId, mergeRequest);
+      return res.status(409).json({
+        error: {
+          code: 'MERGE_CONFLICT',
+          message: `Merge has ${unresolvedCount} unresolved conflict(s)`,
+          details: conflicts,
+        },
+      });
     }
 
-    // Perform actual merge: Replace target branch content with source branch content
-    // Strategy: Completely overwrite target branch snapshot with source branch snapshot
-    // This means branch2 will have the exact same content as branch1 (all properties preserved)
-    console.log(`Merging branch "${mergeRequest.sourceBranch}" (${sourceBranch._id}) into "${mergeRequest.targetBranch}" (${targetBranch._id})`);
-    console.log(`Strategy: Completely replace target branch content with source branch content`);
+    // Custom resolutions come from the client: validate the merged result like an upload (400 VALIDATION_ERROR)
+    const mergedSnapshotBuffer = await prepareSnapshotUpload(mergedSnapshot, projectId);
 
-    // Simply copy the entire snapshot from source branch to target branch
-    // This preserves ALL properties: font, size, color, alignment, spacing, corner radius, etc.
-    let mergedSnapshot = null;
+    // Save merged snapshot as the target branch's current state
     try {
-      await copyCurrentSnapshot(projectId, sourceBranch._id.toString(), targetBranch._id.toString());
-      console.log(`✅ Successfully copied source branch snapshot to target branch (target branch content replaced)`);
-      
-      // Verify the copy by reading it back and parse it for later use
-      const targetSnapshotBuffer = await getCurrentSnapshot(projectId, targetBranch._id.toString());
-      mergedSnapshot = JSON.parse(targetSnapshotBuffer.toString());
-      
-      if (mergedSnapshot.pages && mergedSnapshot.pages.length > 0) {
-        const targetPage = mergedSnapshot.pages[0];
-        const elementCount = targetPage.artboards?.[0]?.elements?.length || 0;
-        console.log(`📦 Target branch now contains ${elementCount} elements with all properties preserved`);
-      }
+      await saveCurrentSnapshot(mergedSnapshotBuffer, projectId, targetBranch._id.toString());
     } catch (error) {
-      console.error('❌ Error copying source branch snapshot:', error);
-      throw new AppError('INTERNAL_ERROR', `Failed to copy source branch snapshot: ${error.message}`, 500);
+      console.error('❌ Error saving merged snapshot:', error);
+      throw new AppError('INTERNAL_ERROR', `Failed to save merged snapshot: ${error.message}`, 500);
     }
 
     // 4. Create merge commit
-    // Get the merged snapshot buffer to save as commit file
-    const mergedSnapshotBuffer = await getCurrentSnapshot(projectId, targetBranch._id.toString());
-    
     const parentHash = targetBranch.lastCommit?.hash || null;
     const commitMessage = `Merge ${mergeRequest.sourceBranch} into ${mergeRequest.targetBranch}`;
-    const commitHash = generateCommitHash(
-      projectId,
-      targetBranch._id.toString(),
-      commitMessage,
-      userId,
-      parentHash
-    );
+    const mergeParentHash = sourceBranch.lastCommit?.hash || null;
+    const identity = hashCommit({
+      snapshot: mergedSnapshotBuffer,
+      parentHash,
+      mergeParentHash,
+      authorId: userId,
+      message: commitMessage,
+    });
+    const commitHash = identity.hash;
 
     // Save commit snapshot file (using the merged snapshot)
     const commitFilePath = await saveFile(
@@ -563,26 +660,25 @@ const completeMerge = async (req, res, next) => {
       'json'
     );
 
-    // Count elements for commit metadata (mergedSnapshot already parsed above)
-    const elementCount = mergedSnapshot?.pages?.[0]?.artboards?.[0]?.elements?.length || 0;
+    // Commit stats describe the change to the target branch; MR stats describe what the source brought in
+    const changes = await computeCommitChanges(projectId, parentHash, mergedSnapshotBuffer);
+    const componentsUpdated = stats.added + stats.modified + stats.removed;
 
     // Create commit record
     const mergeCommit = await Commit.create({
       projectId,
       branchId: targetBranch._id,
       hash: commitHash,
+      contentHash: identity.contentHash,
       message: commitMessage,
       authorId: userId,
+      timestamp: identity.timestamp,
       parentCommitHash: parentHash,
-      changes: {
-        filesAdded: 0,
-        filesModified: 1,
-        filesDeleted: 0,
-        componentsUpdated: elementCount,
-      },
+      mergeParentHash,
+      changes,
       snapshot: {
         fileUrl: commitFilePath,
-        thumbnailUrl: null,
+        thumbnailUrl: null, // Uploaded by the add-on once it renders the merged canvas
       },
     });
 
@@ -597,21 +693,22 @@ const completeMerge = async (req, res, next) => {
     await targetBranch.save();
 
     // Update merge request stats
-    // Use mergedSnapshot which we already parsed earlier
     mergeRequest.stats = {
-      filesChanged: 1,
-      componentsUpdated: mergedSnapshot.pages?.[0]?.artboards?.[0]?.elements?.length || 0,
+      filesChanged: componentsUpdated > 0 ? 1 : 0,
+      componentsUpdated,
     };
 
     // Update merge request status
     mergeRequest.status = 'merged';
     mergeRequest.mergedAt = new Date();
     mergeRequest.mergedBy = userId;
+    mergeRequest.mergeCommitHash = mergeCommit.hash;
     await mergeRequest.save();
     console.log(`Merge request #${mergeRequest.mergeRequestId} status updated to 'merged'`);
 
     // Emit branch updated event
     emitBranchUpdated(projectId, targetBranch);
+    refreshBranchMergeRequests(projectId, targetBranch.name);
 
     // If auto-delete enabled, mark source branch as merged
     const project = await Project.findOne({ projectId });
@@ -641,6 +738,9 @@ const completeMerge = async (req, res, next) => {
     res.json({
       success: true,
       mergeRequest: updatedMergeRequest || mergeRequest,
+      mergeCommit: {
+        hash: mergeCommit.hash,
+      },
       targetBranch: {
         id: targetBranch._id.toString(),
         name: targetBranch.name,
@@ -690,19 +790,8 @@ const revertMerge = async (req, res, next) => {
       throw new AppError('NOT_FOUND', 'Target branch not found', 404);
     }
 
-    // Find the commit before the merge
-    // The merge commit message should contain "Merge" keyword
-    const mergeCommits = await Commit.find({
-      projectId,
-      branchId: targetBranch._id,
-      message: { $regex: /^Merge .* into/ },
-    }).sort({ timestamp: -1 });
-
-    // Find the merge commit for this specific merge request
-    const mergeCommit = mergeCommits.find(c => 
-      c.message.includes(mergeRequest.sourceBranch) && 
-      c.message.includes(mergeRequest.targetBranch)
-    );
+    // The merge commit of this request; its parent is the state before the merge
+    const mergeCommit = await findMergeCommit(mergeRequest, targetBranch);
 
     if (!mergeCommit) {
       throw new AppError('NOT_FOUND', 'Merge commit not found', 404);
@@ -733,13 +822,13 @@ const revertMerge = async (req, res, next) => {
     // Create revert commit
     const parentHash = targetBranch.lastCommit?.hash || null;
     const revertMessage = `Reverted merge #${mergeRequestId}: ${mergeRequest.title}`;
-    const revertCommitHash = generateCommitHash(
-      projectId,
-      targetBranch._id.toString(),
-      revertMessage,
-      userId,
-      parentHash
-    );
+    const revertIdentity = hashCommit({
+      snapshot: parentSnapshot,
+      parentHash,
+      authorId: userId,
+      message: revertMessage,
+    });
+    const revertCommitHash = revertIdentity.hash;
 
     // Save revert commit snapshot file
     const revertCommitFilePath = await saveFile(
@@ -750,27 +839,24 @@ const revertMerge = async (req, res, next) => {
       'json'
     );
 
-    // Count elements for commit metadata
-    const parentData = JSON.parse(parentSnapshot.toString());
-    const elementCount = parentData?.pages?.[0]?.artboards?.[0]?.elements?.length || 0;
+    // Compute what the revert changes relative to the current head
+    const changes = await computeCommitChanges(projectId, parentHash, parentSnapshot);
 
     // Create revert commit record
     const revertCommit = await Commit.create({
       projectId,
       branchId: targetBranch._id,
       hash: revertCommitHash,
+      contentHash: revertIdentity.contentHash,
       message: revertMessage,
       authorId: userId,
+      timestamp: revertIdentity.timestamp,
       parentCommitHash: parentHash,
-      changes: {
-        filesAdded: 0,
-        filesModified: 1,
-        filesDeleted: 0,
-        componentsUpdated: elementCount,
-      },
+      changes,
       snapshot: {
         fileUrl: revertCommitFilePath,
-        thumbnailUrl: null,
+        // Restores the pre-merge state, so the pre-merge thumbnail still applies
+        thumbnailUrl: parentCommit.snapshot.thumbnailUrl || null,
       },
     });
 
@@ -792,6 +878,7 @@ const revertMerge = async (req, res, next) => {
 
     // Emit WebSocket events
     emitBranchUpdated(projectId, targetBranch);
+    refreshBranchMergeRequests(projectId, targetBranch.name);
     emitMergeRequestClosed(projectId, mergeRequest);
 
     res.json({
@@ -815,6 +902,8 @@ module.exports = {
   createMergeRequest,
   approveMergeRequest,
   requestChanges,
+  getMergeConflicts,
+  resolveMergeConflicts,
   completeMerge,
   revertMerge,
 };
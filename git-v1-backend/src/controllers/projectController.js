@@ -90,7 +90,7 @@ const createProject = async (req, res, next) => {
       projectId,
       userId,
       email: userEmail,
-      role: 'manager', // Project creator becomes manager
+      role: 'owner', // Project creator becomes owner
       status: 'active',
       joinedAt: new Date(),
     });
@@ -7,6 +7,7 @@
 const TeamMember = require('../models/TeamMember');
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
 const { v4: uuidv4 } = require('uuid');
 const {
   emitTeamMemberAdded,
@@ -14,6 +15,35 @@ const {
 } = require('../services/websocket/websocketService');
 const { sendTeamInvitation } = require('../services/email/emailService');
 
+/**
+ * Only owners may grant, change or remove the owner role
+ * @param {Object} req - Express request (req.teamMember is the acting member)
+ * @throws {AppError} FORBIDDEN for everyone else
+ */
+const assertCanManageOwners = (req) => {
+  if (!hasPermission(req.teamMember?.role, 'team:manage_owners')) {
+    throw new AppError('FORBIDDEN', 'Only owners can grant or change the owner role', 403);
+  }
+};
+
+/**
+ * A project must keep at least one active owner
+ * @param {String} projectId - Project
+ * @param {String} userId - Owner about to lose the role
+ * @throws {AppError} VALIDATION_ERROR if they are the last owner
+ */
+const assertNotLastOwner = async (projectId, userId) => {
+  const otherOwners = await TeamMember.countDocuments({
+    projectId,
+    role: 'owner',
+    status: 'active',
+    userId: { $ne: userId },
+  });
+  if (otherOwners === 0) {
+    throw new AppError('VALIDATION_ERROR', 'A project needs at least one owner; make someone else owner first', 400);
+  }
+};
+
 /**
  * Get team members
  */
@@ -48,6 +78,7 @@ const getTeamMembers = async (req, res, next) => {
     res.json({
       success: true,
       teamMembers: teamMembersWithUsers,
+      permissions: PERMISSIONS,
     });
   } catch (error) {
     next(error);
@@ -63,6 +94,10 @@ const inviteMember = async (req, res, next) => {
     const { email, role } = req.body;
     const userId = req.userId;
 
+    if (role === 'owner') {
+      assertCanManageOwners(req);
+    }
+
     // Check if user already exists
     let user = await User.findOne({ email });
 
@@ -215,6 +250,13 @@ const updateMemberRole = async (req, res, next) => {
       throw new AppError('NOT_FOUND', 'Team member not found', 404);
     }
 
+    if (role === 'owner' || teamMember.role === 'owner') {
+      assertCanManageOwners(req);
+    }
+    if (teamMember.role === 'owner' && role !== 'owner') {
+      await assertNotLastOwner(projectId, userId);
+    }
+
     teamMember.role = role;
     await teamMember.save();
 
@@ -246,12 +288,13 @@ const removeMember = async (req, res, next) => {
       throw new AppError('NOT_FOUND', 'Team member not found', 404);
     }
 
-    // Cannot remove owner
+    // Owners can only be removed by other owners, and never the last one
     if (teamMember.role === 'owner') {
-      throw new AppError('FORBIDDEN', 'Cannot remove project owner', 403);
+      assertCanManageOwners(req);
+      await assertNotLastOwner(projectId, userId);
     }
 
-    await teamMember.remove();
+    await teamMember.deleteOne();
 
     res.json({
       success: true,
@@ -363,6 +406,7 @@ const getAllUsers = async (req, res, next) => {
     res.json({
       success: true,
       users: usersWithDetails,
+      permissions: PERMISSIONS,
     });
   } catch (error) {
     next(error);
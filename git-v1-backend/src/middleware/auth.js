@@ -3,11 +3,78 @@
  * 
  * Validates JWT tokens and attaches user information to requests
  * Protects routes that require authentication
+ * Tokens are only accepted while their session is active (logout and revocation apply at once)
+ * Project API tokens (gv1_...) are accepted only on routes that opt in with allowApiToken()
  */
 
-const jwt = require('jsonwebtoken');
-const config = require('../config/config');
 const User = require('../models/User');
+const { verifyToken } = require('../services/auth/jwtService');
+const { findActiveSession } = require('../services/auth/sessionService');
+const { API_TOKEN_SCOPES, isApiToken, findActiveApiToken } = require('../services/auth/apiTokenService');
+
+/**
+ * Allow project API tokens on a route (must come before authenticate)
+ * @param {...String} scopes - Scopes that grant access (any one of them)
+ */
+const allowApiToken = (...scopes) => {
+  const unknown = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown API token scope: ${unknown.join(', ')}`);
+  }
+  return (req, res, next) => {
+    req.apiTokenScopes = scopes;
+    next();
+  };
+};
+
+/**
+ * Authenticate with a project API token
+ * The project itself is checked by checkProjectAccess
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  if (!req.apiTokenScopes) {
+    return res.status(403).json({
+      error: {
+        code: 'FORBIDDEN',
+        message: 'API tokens cannot be used for this endpoint.',
+      },
+    });
+  }
+
+  const apiToken = await findActiveApiToken(token);
+  if (!apiToken) {
+    return res.status(401).json({
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Invalid, expired or revoked API token.',
+      },
+    });
+  }
+
+  if (!apiToken.scopes.some(scope => req.apiTokenScopes.includes(scope))) {
+    return res.status(403).json({
+      error: {
+        code: 'INSUFFICIENT_SCOPE',
+        message: `This endpoint requires an API token with one of these scopes: ${req.apiTokenScopes.join(', ')}.`,
+      },
+    });
+  }
+
+  const user = await User.findOne({ userId: apiToken.userId });
+  if (!user) {
+    return res.status(401).json({
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'User not found. Token may be invalid.',
+      },
+    });
+  }
+
+  req.user = user;
+  req.userId = user.userId;
+  req.apiToken = apiToken;
+  next();
+};
 
 /**
  * Middleware to verify JWT token
@@ -30,8 +97,23 @@ const authenticate = async (req, res, next) => {
     // Extract token (remove 'Bearer ' prefix)
     const token = authHeader.substring(7);
 
+    if (isApiToken(token)) {
+      return await authenticateApiToken(req, res, next, token);
+    }
+
     // Verify token
-    const decoded = jwt.verify(token, config.jwt.secret);
+    const decoded = verifyToken(token);
+
+    // Check the session has not been signed out or revoked
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        error: {
+          code: 'SESSION_REVOKED',
+          message: 'Session has ended. Please sign in again.',
+        },
+      });
+    }
 
     // Get user from database
     const user = await User.findOne({ userId: decoded.userId });
@@ -48,6 +130,7 @@ const authenticate = async (req, res, next) => {
     // Attach user to request object
     req.user = user;
     req.userId = user.userId;
+    req.sessionId = session.sessionId;
     
     // Debug logging
     console.log(`[Auth Middleware] User authenticated: userId="${user.userId}", name="${user.name}"`);
@@ -92,12 +175,14 @@ const optionalAuth = async (req, res, next) => {
     
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const decoded = jwt.verify(token, config.jwt.secret);
-      const user = await User.findOne({ userId: decoded.userId });
+      const decoded = verifyToken(token);
+      const session = await findActiveSession(decoded);
+      const user = session ? await User.findOne({ userId: decoded.userId }) : null;
       
       if (user) {
         req.user = user;
         req.userId = user.userId;
+        req.sessionId = session.sessionId;
       }
     }
     
@@ -109,6 +194,7 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  allowApiToken,
   authenticate,
   optionalAuth,
 };
@@ -2,12 +2,16 @@
  * Authorization Middleware
  * 
  * Checks if user has permission to perform actions
- * Role-based access control (RBAC)
+ * Role-based access control (RBAC): roles map to permissions in utils/permissions.js
  */
 
 const TeamMember = require('../models/TeamMember');
 const Project = require('../models/Project');
 const { AppError } = require('./errorHandler');
+const { rolesWithPermission } = require('../utils/permissions');
+
+// Role of service API tokens: least privilege, so a scope never reaches merges, reverts or deletes
+const SERVICE_ACCOUNT_ROLE = 'designer';
 
 /**
  * Check if user has access to a project
@@ -20,6 +24,17 @@ const checkProjectAccess = async (req, res, next) => {
     const { projectId } = req.params;
     const userId = req.userId;
 
+    // API tokens only work in their own project
+    if (req.apiToken && req.apiToken.projectId !== String(projectId)) {
+      throw new AppError('FORBIDDEN', 'This API token belongs to another project', 403);
+    }
+
+    // Service accounts are not team members; they get the designer role, further limited by their scopes
+    if (req.apiToken?.type === 'service') {
+      req.teamMember = { projectId: String(projectId), userId: String(userId), role: SERVICE_ACCOUNT_ROLE, status: 'active' };
+      return next();
+    }
+
     // Debug logging
     console.log(`[CheckProjectAccess] Looking for team member: projectId="${projectId}", userId="${userId}"`);
 
@@ -49,20 +64,26 @@ const checkProjectAccess = async (req, res, next) => {
 };
 
 /**
- * Check if user has required role in project
- * @param {Array} allowedRoles - Array of allowed roles
+ * Check if user has a permission (or one of the given roles) in the project
+ * @param {String|Array} requirement - Permission name (e.g. 'merge_request:merge') or array of allowed roles
  */
-const checkRole = (allowedRoles) => {
+const checkRole = (requirement) => {
+  const permission = typeof requirement === 'string' ? requirement : null;
+  const allowedRoles = permission ? rolesWithPermission(permission) : requirement;
+
   return async (req, res, next) => {
     try {
       const { projectId } = req.params;
       const userId = req.userId;
 
-      const teamMember = await TeamMember.findOne({
-        projectId,
-        userId,
-        status: 'active',
-      });
+      // Reuse the membership checkProjectAccess loaded (service accounts have no TeamMember)
+      const teamMember = req.teamMember?.projectId === String(projectId)
+        ? req.teamMember
+        : await TeamMember.findOne({
+          projectId,
+          userId,
+          status: 'active',
+        });
 
       if (!teamMember) {
         throw new AppError('FORBIDDEN', 'You do not have access to this project', 403);
@@ -72,7 +93,8 @@ const checkRole = (allowedRoles) => {
         throw new AppError(
           'FORBIDDEN',
           `This action requires one of these roles: ${allowedRoles.join(', ')}`,
-          403
+          403,
+          permission ? { permission, role: teamMember.role } : undefined
         );
       }
 
@@ -85,21 +107,20 @@ const checkRole = (allowedRoles) => {
 };
 
 /**
- * Check if user is manager (has full control)
+ * Check if user runs the project (owner or manager)
  */
-const checkManager = checkRole(['manager']);
+const checkManager = checkRole('team:manage');
 
 /**
- * Check if user is manager (for actions requiring full control)
- * Alias for checkManager for backward compatibility
+ * Check if user can change project settings
+ * Alias kept for backward compatibility
  */
-const checkOwnerOrAdmin = checkRole(['manager']);
+const checkOwnerOrAdmin = checkRole('project:settings');
 
 /**
  * Check if user can review merge requests
- * Both managers and designers can review
  */
-const checkReviewer = checkRole(['manager', 'designer']);
+const checkReviewer = checkRole('merge_request:review');
 
 module.exports = {
   checkProjectAccess,
@@ -7,12 +7,14 @@
 
 /**
  * Custom error class for application errors
+ * details (optional) is returned to the client, e.g. the failing fields of a VALIDATION_ERROR
  */
 class AppError extends Error {
-  constructor(code, message, statusCode = 400) {
+  constructor(code, message, statusCode = 400, details = undefined) {
     super(message);
     this.code = code;
     this.statusCode = statusCode;
+    this.details = details;
     this.isOperational = true;
     Error.captureStackTrace(this, this.constructor);
   }
@@ -38,7 +40,9 @@ const errorHandler = (err, req, res, next) => {
       error: {
         code: err.code,
         message: err.message,
-        ...(process.env.NODE_ENV === 'development' && { details: err }),
+        ...(err.details !== undefined
+          ? { details: err.details }
+          : process.env.NODE_ENV === 'development' && { details: err }),
       },
     });
   }
@@ -55,6 +59,26 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Upload larger than MAX_FILE_SIZE (JSON body or multipart file)
+  if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      error: {
+        code: 'PAYLOAD_TOO_LARGE',
+        message: 'Request body exceeds the maximum upload size',
+      },
+    });
+  }
+
+  // Malformed JSON body
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Request body must be valid JSON',
+      },
+    });
+  }
+
   // Mongoose duplicate key error
   if (err.code === 11000) {
     const field = Object.keys(err.keyPattern)[0];
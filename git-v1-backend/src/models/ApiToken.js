@@ -0,0 +1,94 @@
+/**
+ * API Token Model
+ *
+ * Project API tokens for scripts and CI (see services/auth/apiTokenService.js)
+ * Only the SHA-256 hash of a token is stored; the token itself is shown once, when created
+ * - personal tokens act as the member who created them (and stop working when they leave)
+ * - service tokens act as a service account of the project (created by managers)
+ */
+
+const mongoose = require('mongoose');
+
+const apiTokenSchema = new mongoose.Schema({
+  // Public id (used to list and revoke the token)
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  // First characters of the token, so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+
+  projectId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'Project',
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+
+  type: {
+    type: String,
+    enum: ['personal', 'service'],
+    default: 'personal',
+  },
+
+  // User the token acts as: the creator (personal) or the service account (service)
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+
+  createdBy: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+
+  // history:read, commits:write, merge_requests:manage
+  scopes: {
+    type: [String],
+    required: true,
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+apiTokenSchema.index({ projectId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -41,6 +41,14 @@ const branchSchema = new mongoose.Schema({
     required: true,
   },
   
+  // Fork point: the base branch and its last commit when this branch was created
+  // snapshotUrl keeps the copied snapshot when the base branch had no commits yet
+  createdFrom: {
+    branchId: { type: String, default: null },
+    commitHash: { type: String, default: null },
+    snapshotUrl: { type: String, default: null },
+  },
+  
   // User who created this branch
   createdBy: {
     type: String,
@@ -22,7 +22,8 @@ const commitSchema = new mongoose.Schema({
     ref: 'Branch',
   },
   
-  // Unique commit hash (generated using crypto)
+  // Unique commit hash: SHA-256 of content hash, parents, author, timestamp and message
+  // (64 hex characters; commits created before content hashing have 12)
   hash: {
     type: String,
     required: true,
@@ -30,6 +31,13 @@ const commitSchema = new mongoose.Schema({
     index: true,
   },
   
+  // SHA-256 of the canonicalized snapshot (null for commits created before content hashing)
+  contentHash: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  
   message: {
     type: String,
     required: true,
@@ -59,8 +67,7 @@ const commitSchema = new mongoose.Schema({
   
   // Snapshot information
   snapshot: {
-    // Local file path (for now)
-    // TODO: Migrate to S3 URL when using cloud storage
+    // Storage key (resolved by the configured storage driver)
     fileUrl: {
       type: String,
       required: true,
@@ -77,6 +84,13 @@ const commitSchema = new mongoose.Schema({
     default: null,
     ref: 'Commit',
   },
+  
+  // Second parent for merge commits (head of the merged source branch)
+  mergeParentHash: {
+    type: String,
+    default: null,
+    ref: 'Commit',
+  },
 }, {
   timestamps: false, // We use custom timestamp field
 });
@@ -29,6 +29,34 @@ const reviewerSchema = new mongoose.Schema({
   },
 }, { _id: false });
 
+const resolutionSchema = new mongoose.Schema({
+  // "ours" = keep target branch version, "theirs" = take source branch version
+  strategy: {
+    type: String,
+    enum: ['ours', 'theirs', 'custom'],
+    required: true,
+  },
+  // Per-property choices for custom resolutions, e.g. { fill: 'theirs', translation: 'ours' }
+  properties: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Replacement element for custom resolutions (null removes the element)
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  resolvedBy: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  resolvedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const conflictSchema = new mongoose.Schema({
   filePath: {
     type: String,
@@ -36,8 +64,49 @@ const conflictSchema = new mongoose.Schema({
   },
   conflictType: {
     type: String,
+    enum: ['both_modified', 'deleted_modified', 'duplicate_id'],
     required: true,
   },
+  // Element-level details (filePath is pages/{pageId}/artboards/{artboardId}/elements/{groupIds...}/{elementId})
+  elementId: {
+    type: String,
+    default: null,
+  },
+  elementType: {
+    type: String,
+    default: null,
+  },
+  pageId: {
+    type: String,
+    default: null,
+  },
+  artboardId: {
+    type: String,
+    default: null,
+  },
+  // Properties changed differently on both sides (both_modified only)
+  properties: {
+    type: [String],
+    default: [],
+  },
+  // Element as it was in the common ancestor, source branch and target branch (null if absent)
+  baseValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  sourceValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  targetValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Chosen resolution (kept for audit once the merge completes)
+  resolution: {
+    type: resolutionSchema,
+    default: null,
+  },
 }, { _id: false });
 
 const mergeRequestSchema = new mongoose.Schema({
@@ -79,7 +148,7 @@ const mergeRequestSchema = new mongoose.Schema({
   // Merge request status
   status: {
     type: String,
-    enum: ['open', 'approved', 'merged', 'closed', 'rejected'],
+    enum: ['open', 'approved', 'merged', 'closed', 'rejected', 'reverted'],
     default: 'open',
     index: true,
   },
@@ -97,6 +166,12 @@ const mergeRequestSchema = new mongoose.Schema({
   // Conflicts detected during merge
   conflicts: [conflictSchema],
   
+  // Common ancestor commit used for the last merge attempt
+  mergeBaseHash: {
+    type: String,
+    default: null,
+  },
+  
   // Statistics about the merge
   stats: {
     filesChanged: { type: Number, default: 0 },
@@ -126,6 +201,24 @@ const mergeRequestSchema = new mongoose.Schema({
     default: null,
     ref: 'User',
   },
+  
+  // Commit created on the target branch by the merge (diffs and reverts use it)
+  mergeCommitHash: {
+    type: String,
+    default: null,
+  },
+  
+  // When and by whom the merge was reverted (if reverted)
+  revertedAt: {
+    type: Date,
+    default: null,
+  },
+  
+  revertedBy: {
+    type: String,
+    default: null,
+    ref: 'User',
+  },
 }, {
   timestamps: true,
 });
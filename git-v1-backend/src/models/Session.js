@@ -0,0 +1,75 @@
+/**
+ * Session Model
+ *
+ * One signed-in device of a user (created on login, see services/auth/sessionService.js)
+ * Access and refresh tokens carry the sessionId; the refresh token in use is tracked by
+ * tokenId and replaced on every refresh, so presenting an older one reveals a leaked token
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+
+  // jti of the only refresh token that may be used next
+  tokenId: {
+    type: String,
+    required: true,
+  },
+
+  // Device description shown when listing sessions
+  deviceName: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ipAddress: {
+    type: String,
+    default: null,
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // Expiry of the current refresh token (extended on every refresh);
+  // MongoDB removes the session after it
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+
+  // Set when the session is ended; its tokens are rejected from then on
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse', null],
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
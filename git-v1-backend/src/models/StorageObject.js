@@ -0,0 +1,59 @@
+/**
+ * Storage Object Model
+ *
+ * Bookkeeping for content-addressed objects (embedded images, large element subtrees
+ * and uploaded media)
+ * The object bytes live in the GridFS 'objects' bucket under their SHA-256 hash;
+ * this document tracks how many stored snapshot files reference them
+ */
+
+const mongoose = require('mongoose');
+
+const storageObjectSchema = new mongoose.Schema({
+  // SHA-256 of the stored bytes (hex)
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  // How the bytes are decoded when a snapshot is read back
+  // text: raw string (e.g. base64 image data), json: serialized element subtree,
+  // media: image bytes referenced by elements as mediaId (never inlined on read)
+  encoding: {
+    type: String,
+    required: true,
+    enum: ['text', 'json', 'media'],
+  },
+
+  // MIME type of media objects
+  contentType: {
+    type: String,
+  },
+
+  // Projects that uploaded this media; only they may read or reference it
+  projectIds: {
+    type: [String],
+    default: undefined,
+    index: true,
+  },
+
+  // Size of the stored bytes
+  size: {
+    type: Number,
+    required: true,
+  },
+
+  // Number of stored snapshot files referencing this object
+  // Objects at zero are removed by garbage collection after a grace period
+  refCount: {
+    type: Number,
+    default: 0,
+    index: true,
+  },
+}, {
+  timestamps: true, // updatedAt marks the last reference change (used by the GC grace period)
+});
+
+module.exports = mongoose.model('StorageObject', storageObjectSchema);
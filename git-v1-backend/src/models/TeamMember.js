@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
 
 const teamMemberSchema = new mongoose.Schema({
   projectId: {
@@ -30,10 +31,10 @@ const teamMemberSchema = new mongoose.Schema({
     index: true,
   },
   
-  // Role: manager (full control), designer (limited access)
+  // Role: owner, manager, designer, reviewer or viewer (permissions in utils/permissions.js)
   role: {
     type: String,
-    enum: ['manager', 'designer'],
+    enum: ROLES,
     default: 'designer',
   },
   
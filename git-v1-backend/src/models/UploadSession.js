@@ -0,0 +1,96 @@
+/**
+ * Upload Session Model
+ *
+ * Chunked, resumable snapshot upload for a commit (init / upload part / complete)
+ * Part bytes live in the 'uploads' storage namespace under {uploadId}/{partNumber};
+ * this document tracks which parts arrived so a client can resume after a network drop
+ */
+
+const mongoose = require('mongoose');
+
+const uploadPartSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  // SHA-256 of the part bytes (hex)
+  sha256: {
+    type: String,
+    required: true,
+  },
+}, { _id: false });
+
+const uploadSessionSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+
+  projectId: {
+    type: String,
+    required: true,
+  },
+
+  branchId: {
+    type: String,
+    required: true,
+  },
+
+  // Only the user who started the upload may add parts or complete it
+  userId: {
+    type: String,
+    required: true,
+  },
+
+  // Total snapshot size in bytes and its SHA-256, checked when the upload completes
+  size: {
+    type: Number,
+    required: true,
+  },
+  sha256: {
+    type: String,
+    required: true,
+  },
+
+  // Every part except the last is exactly partSize bytes
+  partSize: {
+    type: Number,
+    required: true,
+  },
+  partCount: {
+    type: Number,
+    required: true,
+  },
+
+  parts: [uploadPartSchema],
+
+  status: {
+    type: String,
+    enum: ['active', 'completing', 'completed'],
+    default: 'active',
+    index: true,
+  },
+
+  // Set once the commit is created, so a retried complete returns the same commit
+  commitHash: {
+    type: String,
+    default: null,
+  },
+
+  // Unfinished sessions and their parts are removed after this (see uploadStore)
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -6,15 +6,43 @@
 
 const express = require('express');
 const router = express.Router();
-const { login, refreshToken, getMe } = require('../controllers/authController');
+const {
+  login,
+  devLogin,
+  getAuthConfig,
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  getMe,
+} = require('../controllers/authController');
 const { authenticate } = require('../middleware/auth');
 
-// POST /auth/login - Exchange Adobe token for JWT
+// GET /auth/config - Sign-in settings (IMS client, development mode)
+router.get('/config', getAuthConfig);
+
+// POST /auth/login - Exchange Adobe token for JWT { adobeToken }
 router.post('/login', login);
 
-// POST /auth/refresh - Refresh JWT token
+// POST /auth/dev-login - Sign in without a token { userId, email, name } (AUTH_DEV_MODE only)
+router.post('/dev-login', devLogin);
+
+// POST /auth/refresh - Rotate the refresh token and issue a new access token { refreshToken }
 router.post('/refresh', refreshToken);
 
+// POST /auth/logout - End the current session (protected)
+router.post('/logout', authenticate, logout);
+
+// GET /auth/sessions - Active sessions of the current user (protected)
+router.get('/sessions', authenticate, getSessions);
+
+// DELETE /auth/sessions - Revoke all sessions except the current one (protected)
+router.delete('/sessions', authenticate, deleteOtherSessions);
+
+// DELETE /auth/sessions/:sessionId - Revoke one session (protected)
+router.delete('/sessions/:sessionId', authenticate, deleteSession);
+
 // GET /auth/me - Get current user info (protected)
 router.get('/me', authenticate, getMe);
 
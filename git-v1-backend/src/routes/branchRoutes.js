@@ -16,8 +16,8 @@ const {
   checkoutBranch,
   debugBranchCreators,
 } = require('../controllers/branchController');
-const { authenticate } = require('../middleware/auth');
-const { checkProjectAccess, checkManager } = require('../middleware/authorization');
+const { allowApiToken, authenticate } = require('../middleware/auth');
+const { checkProjectAccess, checkRole } = require('../middleware/authorization');
 const { validateCreateBranch } = require('../utils/validators');
 
 // GET /api/v1/branches/debug?projectId=:projectId - Debug branch creator data (temporary endpoint)
@@ -28,54 +28,54 @@ router.get('/debug', authenticate, (req, res, next) => {
 
 // GET /api/v1/branches?projectId=:projectId - Get all branches
 // Note: projectId comes from query params, so we need to add it to req.params for middleware
-router.get('/', authenticate, (req, res, next) => {
+router.get('/', allowApiToken('history:read'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
 }, checkProjectAccess, getBranches);
 
 // POST /api/v1/branches - Create new branch
-router.post('/', authenticate, (req, res, next) => {
+router.post('/', allowApiToken('commits:write'), authenticate, (req, res, next) => {
   req.params.projectId = req.body.projectId;
   next();
-}, checkProjectAccess, validateCreateBranch, createBranch);
+}, checkProjectAccess, checkRole('branch:create'), validateCreateBranch, createBranch);
 
-// POST /api/v1/branches/checkout?projectId=:projectId - Checkout branch
+// POST /api/v1/branches/checkout?projectId=:projectId - Checkout branch (JSON body, at most MAX_FILE_SIZE)
 // Must come before generic routes to avoid conflicts
 router.post('/checkout', authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, checkoutBranch);
+}, checkProjectAccess, checkRole('branch:checkout'), checkoutBranch);
 
-// GET /api/v1/branches/:branchId/snapshot?projectId=:projectId - Get branch snapshot
+// GET /api/v1/branches/:branchId/snapshot?projectId=:projectId - Get branch snapshot (raw JSON, ETag / 304)
 // Must come before generic /:branchName route to avoid conflicts
-router.get('/:branchId/snapshot', authenticate, (req, res, next) => {
+router.get('/:branchId/snapshot', allowApiToken('history:read'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
 }, checkProjectAccess, getBranchSnapshot);
 
-// POST /api/v1/branches/:branchId/snapshot?projectId=:projectId - Save branch snapshot
+// POST /api/v1/branches/:branchId/snapshot?projectId=:projectId - Save branch snapshot (JSON body, at most MAX_FILE_SIZE)
 // Must come before generic /:branchName route to avoid conflicts
-router.post('/:branchId/snapshot', authenticate, (req, res, next) => {
+router.post('/:branchId/snapshot', allowApiToken('commits:write'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, saveBranchSnapshot);
+}, checkProjectAccess, checkRole('commit:create'), saveBranchSnapshot);
 
 // GET /api/v1/branches/:branchName?projectId=:projectId - Get single branch
 // Using regex to handle branch names with forward slashes (e.g., "design/TEST3")
 // The regex .+ matches one or more characters including forward slashes
 // Must come AFTER specific routes like /:branchId/snapshot
-router.get('/:branchName(.+)', authenticate, (req, res, next) => {
+router.get('/:branchName(.+)', allowApiToken('history:read'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
 }, checkProjectAccess, getBranch);
 
 // DELETE /api/v1/branches/:branchName?projectId=:projectId - Delete branch
-// Only managers can delete branches
+// Only owners and managers can delete branches
 // Using regex to handle branch names with forward slashes (e.g., "design/TEST3")
 // The regex .+ matches one or more characters including forward slashes
 router.delete('/:branchName(.+)', authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, checkManager, deleteBranch);
+}, checkProjectAccess, checkRole('branch:delete'), deleteBranch);
 
 module.exports = router;
@@ -8,19 +8,76 @@ const express = require('express');
 const router = express.Router();
 const {
   getHistory,
+  getDiff,
   createCommit,
+  initCommitUpload,
+  getCommitUpload,
+  uploadCommitPart,
+  completeCommitUpload,
+  abortCommitUpload,
+  loadUploadSession,
   uploadMiddleware,
+  thumbnailUploadMiddleware,
   revertToCommit,
+  getCommitThumbnail,
+  uploadCommitThumbnail,
+  verifyIntegrity,
 } = require('../controllers/commitController');
-const { authenticate } = require('../middleware/auth');
-const { checkProjectAccess } = require('../middleware/authorization');
+const { allowApiToken, authenticate } = require('../middleware/auth');
+const { checkProjectAccess, checkRole } = require('../middleware/authorization');
+const { AppError } = require('../middleware/errorHandler');
 
 // GET /api/v1/history?projectId=:projectId&branch=:branchName&limit=:limit - Get commit history
-router.get('/', authenticate, (req, res, next) => {
+router.get('/', allowApiToken('history:read'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
 }, checkProjectAccess, getHistory);
 
+// GET /api/v1/history/diff?projectId=:projectId&from=:ref&to=:ref - Structured diff between two snapshots
+// Refs: commit hash, "commit:<hash>" or "branch:<name or id>"; use &mergeRequestId=:id to diff a merge request
+router.get('/diff', allowApiToken('history:read'), authenticate, (req, res, next) => {
+  req.params.projectId = req.query.projectId;
+  next();
+}, checkProjectAccess, getDiff);
+
+// GET /api/v1/history/integrity?projectId=:projectId&branch=:branch&commitHash=:hash&limit=:limit&cursor=:cursor
+// Re-hash stored snapshots, one page of commits per request (owners and managers)
+router.get('/integrity', allowApiToken('history:read'), authenticate, (req, res, next) => {
+  req.params.projectId = req.query.projectId;
+  next();
+}, checkProjectAccess, checkRole('history:verify'), verifyIntegrity);
+
+// Chunked, resumable commit uploads: init -> PUT parts -> complete
+// POST /api/v1/commits/uploads - Start an upload { projectId, branchId, size, sha256 }
+router.post('/uploads', allowApiToken('commits:write'), authenticate, (req, res, next) => {
+  req.params.projectId = req.body.projectId || req.query.projectId;
+  next();
+}, checkProjectAccess, checkRole('commit:create'), initCommitUpload);
+
+// GET /api/v1/commits/uploads/:uploadId - Upload state (received parts, for resuming)
+router.get('/uploads/:uploadId', allowApiToken('commits:write'), authenticate, loadUploadSession, checkProjectAccess, checkRole('commit:create'), getCommitUpload);
+
+// PUT /api/v1/commits/uploads/:uploadId/parts/:partNumber - Upload one part (raw bytes, 1-based)
+router.put('/uploads/:uploadId/parts/:partNumber', allowApiToken('commits:write'), authenticate, loadUploadSession, checkProjectAccess, checkRole('commit:create'), uploadCommitPart);
+
+// POST /api/v1/commits/uploads/:uploadId/complete - Create the commit { message, thumbnail (file) }
+router.post('/uploads/:uploadId/complete', allowApiToken('commits:write'), authenticate, loadUploadSession, checkProjectAccess, checkRole('commit:create'), thumbnailUploadMiddleware, completeCommitUpload);
+
+// DELETE /api/v1/commits/uploads/:uploadId - Abort an upload
+router.delete('/uploads/:uploadId', allowApiToken('commits:write'), authenticate, loadUploadSession, checkProjectAccess, checkRole('commit:create'), abortCommitUpload);
+
+// GET /api/v1/commits/:commitHash/thumbnail?projectId=:projectId - Get commit thumbnail image
+router.get('/:commitHash/thumbnail', allowApiToken('history:read'), authenticate, (req, res, next) => {
+  req.params.projectId = req.query.projectId;
+  next();
+}, checkProjectAccess, getCommitThumbnail);
+
+// POST /api/v1/commits/:commitHash/thumbnail?projectId=:projectId - Add thumbnail to a commit without one
+router.post('/:commitHash/thumbnail', allowApiToken('commits:write'), authenticate, (req, res, next) => {
+  req.params.projectId = req.query.projectId;
+  next();
+}, checkProjectAccess, checkRole('commit:create'), thumbnailUploadMiddleware, uploadCommitThumbnail);
+
 // POST /api/v1/commits/:branchId/revert/:commitHash?projectId=:projectId - Revert branch to commit
 // IMPORTANT: This route must come BEFORE the generic POST / route to ensure proper matching
 // Using explicit path matching to avoid conflicts
@@ -33,7 +90,7 @@ router.post('/:branchId/revert/:commitHash', (req, res, next) => {
     query: req.query
   });
   next();
-}, authenticate, (req, res, next) => {
+}, allowApiToken('commits:write'), authenticate, (req, res, next) => {
   console.log('✅ Revert route matched after auth!', {
     branchId: req.params.branchId,
     commitHash: req.params.commitHash,
@@ -42,12 +99,16 @@ router.post('/:branchId/revert/:commitHash', (req, res, next) => {
   });
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, revertToCommit);
+}, checkProjectAccess, checkRole('commit:revert'), revertToCommit);
 
-// POST /api/v1/commits - Create new commit (with file upload)
-router.post('/', authenticate, (req, res, next) => {
-  req.params.projectId = req.body.projectId;
+// POST /api/v1/commits?projectId=:projectId - Create new commit (with file upload)
+// projectId comes from the query so access is checked before the upload is buffered
+router.post('/', allowApiToken('commits:write'), authenticate, (req, res, next) => {
+  if (!req.query.projectId) {
+    return next(new AppError('VALIDATION_ERROR', 'projectId query parameter is required', 400));
+  }
+  req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, uploadMiddleware, createCommit);
+}, checkProjectAccess, checkRole('commit:create'), uploadMiddleware, createCommit);
 
 module.exports = router;
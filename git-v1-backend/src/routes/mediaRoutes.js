@@ -0,0 +1,36 @@
+/**
+ * Media Routes
+ *
+ * Handles media store endpoints (images referenced from snapshots by mediaId)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  mediaUploadMiddleware,
+  getMissingMedia,
+  uploadMedia,
+  getMedia,
+} = require('../controllers/mediaController');
+const { allowApiToken, authenticate } = require('../middleware/auth');
+const { checkProjectAccess, checkRole } = require('../middleware/authorization');
+
+// POST /api/v1/media/missing - Media ids that still have to be uploaded { projectId, mediaIds }
+router.post('/missing', allowApiToken('commits:write'), authenticate, (req, res, next) => {
+  req.params.projectId = req.body.projectId || req.query.projectId;
+  next();
+}, checkProjectAccess, checkRole('commit:create'), getMissingMedia);
+
+// PUT /api/v1/media/:mediaId?projectId=:projectId - Upload an image (raw PNG/JPEG bytes)
+router.put('/:mediaId', allowApiToken('commits:write'), authenticate, (req, res, next) => {
+  req.params.projectId = req.query.projectId;
+  next();
+}, checkProjectAccess, checkRole('commit:create'), mediaUploadMiddleware, uploadMedia);
+
+// GET /api/v1/media/:mediaId?projectId=:projectId - Download an image
+router.get('/:mediaId', allowApiToken('history:read'), authenticate, (req, res, next) => {
+  req.params.projectId = req.query.projectId;
+  next();
+}, checkProjectAccess, getMedia);
+
+module.exports = router;
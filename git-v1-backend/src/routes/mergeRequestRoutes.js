@@ -12,57 +12,72 @@ const {
   createMergeRequest,
   approveMergeRequest,
   requestChanges,
+  getMergeConflicts,
+  resolveMergeConflicts,
   completeMerge,
   revertMerge,
 } = require('../controllers/mergeRequestController');
-const { authenticate } = require('../middleware/auth');
-const { checkProjectAccess, checkReviewer, checkManager } = require('../middleware/authorization');
+const { allowApiToken, authenticate } = require('../middleware/auth');
+const { checkProjectAccess, checkRole } = require('../middleware/authorization');
 const { validateCreateMergeRequest } = require('../utils/validators');
 
 // GET /api/v1/merge-requests?projectId=:projectId&status=:status - Get merge requests
-router.get('/', authenticate, (req, res, next) => {
+router.get('/', allowApiToken('history:read', 'merge_requests:manage'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
 }, checkProjectAccess, getMergeRequests);
 
 // GET /api/v1/merge-requests/:mergeRequestId?projectId=:projectId - Get single merge request
-router.get('/:mergeRequestId', authenticate, (req, res, next) => {
+router.get('/:mergeRequestId', allowApiToken('history:read', 'merge_requests:manage'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
 }, checkProjectAccess, getMergeRequest);
 
 // POST /api/v1/merge-requests - Create merge request
-router.post('/', authenticate, (req, res, next) => {
+router.post('/', allowApiToken('merge_requests:manage'), authenticate, (req, res, next) => {
   // Extract projectId from body and add to params for middleware
   if (req.body.projectId) {
   req.params.projectId = req.body.projectId;
   }
   next();
-}, checkProjectAccess, validateCreateMergeRequest, createMergeRequest);
+}, checkProjectAccess, checkRole('merge_request:create'), validateCreateMergeRequest, createMergeRequest);
 
 // POST /api/v1/merge-requests/:mergeRequestId/approve - Approve merge request
-router.post('/:mergeRequestId/approve', authenticate, (req, res, next) => {
+router.post('/:mergeRequestId/approve', allowApiToken('merge_requests:manage'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, checkReviewer, approveMergeRequest);
+}, checkProjectAccess, checkRole('merge_request:review'), approveMergeRequest);
 
 // POST /api/v1/merge-requests/:mergeRequestId/request-changes - Request changes
-router.post('/:mergeRequestId/request-changes', authenticate, (req, res, next) => {
+router.post('/:mergeRequestId/request-changes', allowApiToken('merge_requests:manage'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, checkReviewer, requestChanges);
+}, checkProjectAccess, checkRole('merge_request:review'), requestChanges);
+
+// GET /api/v1/merge-requests/:mergeRequestId/conflicts?projectId=:projectId - List merge conflicts
+router.get('/:mergeRequestId/conflicts', allowApiToken('history:read', 'merge_requests:manage'), authenticate, (req, res, next) => {
+  req.params.projectId = req.query.projectId;
+  next();
+}, checkProjectAccess, getMergeConflicts);
+
+// POST /api/v1/merge-requests/:mergeRequestId/conflicts/resolve?projectId=:projectId - Resolve conflicts
+// Owners and managers (merge_request:resolve) or the merge request author; checked in resolveMergeConflicts
+router.post('/:mergeRequestId/conflicts/resolve', allowApiToken('merge_requests:manage'), authenticate, (req, res, next) => {
+  req.params.projectId = req.query.projectId;
+  next();
+}, checkProjectAccess, resolveMergeConflicts);
 
 // POST /api/v1/merge-requests/:mergeRequestId/merge - Complete merge
-// Only managers can complete merge (designers can only approve)
-router.post('/:mergeRequestId/merge', authenticate, (req, res, next) => {
+// Only owners and managers can complete merge (designers and reviewers can only approve)
+router.post('/:mergeRequestId/merge', allowApiToken('merge_requests:manage'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, checkManager, completeMerge);
+}, checkProjectAccess, checkRole('merge_request:merge'), completeMerge);
 
 // POST /api/v1/merge-requests/:mergeRequestId/revert?projectId=:projectId - Revert merge
-router.post('/:mergeRequestId/revert', authenticate, (req, res, next) => {
+router.post('/:mergeRequestId/revert', allowApiToken('merge_requests:manage'), authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, checkManager, revertMerge);
+}, checkProjectAccess, checkRole('merge_request:merge'), revertMerge);
 
 module.exports = router;
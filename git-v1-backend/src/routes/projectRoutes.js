@@ -11,16 +11,30 @@ const {
   createProject,
   updateProjectSettings,
 } = require('../controllers/projectController');
-const { authenticate } = require('../middleware/auth');
-const { checkProjectAccess, checkOwnerOrAdmin } = require('../middleware/authorization');
+const {
+  getApiTokens,
+  createApiToken,
+  deleteApiToken,
+} = require('../controllers/apiTokenController');
+const { allowApiToken, authenticate } = require('../middleware/auth');
+const { checkProjectAccess, checkRole } = require('../middleware/authorization');
 
 // GET /api/v1/projects/:projectId - Get project details
-router.get('/:projectId', authenticate, checkProjectAccess, getProject);
+router.get('/:projectId', allowApiToken('history:read'), authenticate, checkProjectAccess, getProject);
 
 // POST /api/v1/projects - Create new project
 router.post('/', authenticate, createProject);
 
 // PUT /api/v1/projects/:projectId/settings - Update project settings
-router.put('/:projectId/settings', authenticate, checkProjectAccess, checkOwnerOrAdmin, updateProjectSettings);
+router.put('/:projectId/settings', authenticate, checkProjectAccess, checkRole('project:settings'), updateProjectSettings);
+
+// GET /api/v1/projects/:projectId/tokens - API tokens (managers: all, others: their own)
+router.get('/:projectId/tokens', authenticate, checkProjectAccess, getApiTokens);
+
+// POST /api/v1/projects/:projectId/tokens - Create an API token { name, type, scopes, expiresInDays }
+router.post('/:projectId/tokens', authenticate, checkProjectAccess, createApiToken);
+
+// DELETE /api/v1/projects/:projectId/tokens/:tokenId - Revoke an API token
+router.delete('/:projectId/tokens/:tokenId', authenticate, checkProjectAccess, deleteApiToken);
 
 module.exports = router;
@@ -16,8 +16,8 @@ const {
   getAllUsers,
 } = require('../controllers/teamController');
 const { authenticate, optionalAuth } = require('../middleware/auth');
-const { checkProjectAccess, checkManager } = require('../middleware/authorization');
-const { validateInviteMember } = require('../utils/validators');
+const { checkProjectAccess, checkRole } = require('../middleware/authorization');
+const { validateInviteMember, validateUpdateMemberRole } = require('../utils/validators');
 
 // GET /api/v1/team?projectId=:projectId - Get team members
 router.get('/', authenticate, (req, res, next) => {
@@ -29,7 +29,7 @@ router.get('/', authenticate, (req, res, next) => {
 router.post('/invite', authenticate, (req, res, next) => {
   req.params.projectId = req.body.projectId;
   next();
-}, checkProjectAccess, checkManager, validateInviteMember, inviteMember);
+}, checkProjectAccess, checkRole('team:manage'), validateInviteMember, inviteMember);
 
 // POST /api/v1/team/accept-invite - Accept invitation
 // Optional authentication - if user is logged in, links to their account
@@ -39,19 +39,19 @@ router.post('/accept-invite', optionalAuth, acceptInvitation);
 router.put('/:userId/role', authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, checkManager, updateMemberRole);
+}, checkProjectAccess, checkRole('team:manage'), validateUpdateMemberRole, updateMemberRole);
 
 // DELETE /api/v1/team/:userId?projectId=:projectId - Remove team member
 router.delete('/:userId', authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId;
   next();
-}, checkProjectAccess, checkManager, removeMember);
+}, checkProjectAccess, checkRole('team:manage'), removeMember);
 
 // POST /api/v1/team/add-designer?projectId=:projectId - Add designer directly (hackathon demo)
 router.post('/add-designer', authenticate, (req, res, next) => {
   req.params.projectId = req.query.projectId || req.body.projectId;
   next();
-}, checkProjectAccess, checkManager, addDesigner);
+}, checkProjectAccess, checkRole('team:manage'), addDesigner);
 
 // GET /api/v1/team/users?projectId=:projectId - Get all users for switcher
 router.get('/users', authenticate, (req, res, next) => {
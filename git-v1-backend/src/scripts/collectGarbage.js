@@ -0,0 +1,44 @@
+/**
+ * Object Store Garbage Collection
+ *
+ * Removes unreferenced content-addressed objects and expired chunked uploads
+ * Usage: npm run storage:gc -- [--recount] [--grace=<minutes>]
+ *   --recount        Rebuild reference counts from stored snapshot files before collecting
+ *   --grace=<min>    Override the grace period (OBJECT_GC_GRACE_MINUTES)
+ */
+
+const config = require('../config/config');
+const { connectDB, disconnectDB } = require('../config/database');
+const { recountObjectReferences } = require('../services/storage/fileStorage');
+const { collectGarbage } = require('../services/storage/objectStore');
+const { collectExpiredUploads } = require('../services/storage/uploadStore');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const graceArg = args.find(arg => arg.startsWith('--grace='));
+  const graceMinutes = graceArg
+    ? parseInt(graceArg.substring('--grace='.length))
+    : config.storage.objectGcGraceMinutes;
+
+  await connectDB();
+
+  try {
+    if (args.includes('--recount')) {
+      const corrected = await recountObjectReferences();
+      console.log(`✅ Reference counts rebuilt (${corrected} corrected)`);
+    }
+
+    const { deleted, freedBytes } = await collectGarbage({ graceMinutes });
+    console.log(`✅ Removed ${deleted} unreferenced object(s), freed ${freedBytes} bytes`);
+
+    const uploads = await collectExpiredUploads();
+    console.log(`✅ Removed ${uploads} expired upload(s)`);
+  } finally {
+    await disconnectDB();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Object GC failed:', error);
+  process.exit(1);
+});
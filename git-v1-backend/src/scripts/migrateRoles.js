@@ -0,0 +1,65 @@
+/**
+ * Role Migration
+ *
+ * Projects created before the owner role existed have managers only, so nobody can grant
+ * or change the owner role. This makes the project creator (Project.ownerId) owner, or the
+ * earliest active manager if the creator is no longer on the team.
+ * Projects that already have an active owner are skipped, so it is safe to run again.
+ *
+ * Usage: npm run roles:migrate -- [--dry-run]
+ */
+
+const { connectDB, disconnectDB } = require('../config/database');
+const Project = require('../models/Project');
+const TeamMember = require('../models/TeamMember');
+
+/**
+ * Pick and promote the owner of one project
+ * @param {Object} project - Project document
+ * @param {Boolean} dryRun - Only report
+ * @returns {String|null} userId of the new owner, or null if skipped
+ */
+const migrateProject = async (project, dryRun) => {
+  const { projectId } = project;
+  if (await TeamMember.exists({ projectId, role: 'owner', status: 'active' })) {
+    return null;
+  }
+
+  const creator = await TeamMember.findOne({ projectId, userId: project.ownerId, status: 'active' });
+  const owner = creator || await TeamMember.findOne({ projectId, role: 'manager', status: 'active' }).sort({ joinedAt: 1 });
+  if (!owner) {
+    console.warn(`⚠️ ${projectId}: no active creator or manager to make owner`);
+    return null;
+  }
+
+  if (!dryRun) {
+    await TeamMember.updateOne({ _id: owner._id }, { $set: { role: 'owner' } });
+  }
+  console.log(`👑 ${projectId}: ${owner.userId} (${owner.role}) → owner`);
+  return owner.userId;
+};
+
+const run = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await connectDB();
+
+  let promoted = 0;
+  try {
+    console.log(`🔐 Assigning project owners${dryRun ? ' (dry run)' : ''}`);
+    for await (const project of Project.find({}).cursor()) {
+      if (await migrateProject(project, dryRun)) {
+        promoted++;
+      }
+    }
+  } finally {
+    await disconnectDB();
+  }
+
+  console.log(`✅ ${promoted} project(s) got an owner`);
+};
+
+run().catch((error) => {
+  console.error('❌ Role migration failed:', error);
+  process.exit(1);
+});
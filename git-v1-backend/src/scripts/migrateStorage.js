@@ -0,0 +1,102 @@
+/**
+ * Storage Migration
+ *
+ * Copies every stored file (content-addressed objects first, then snapshots and thumbnails)
+ * from one storage driver to another, keeping keys, content types and metadata
+ * Files already present in the target with the same size are skipped, so an
+ * interrupted run can be resumed. The source is left untouched.
+ *
+ * Usage: npm run storage:migrate -- --from=gridfs --to=s3 [--dry-run] [--overwrite]
+ * Afterwards set STORAGE_DRIVER to the target driver and restart the server.
+ */
+
+const { connectDB, disconnectDB } = require('../config/database');
+const { STORAGE_DRIVERS, createStorageAdapter } = require('../services/storage/adapters');
+const { NAMESPACE: OBJECTS_NAMESPACE } = require('../services/storage/objectStore');
+const { NAMESPACE: SNAPSHOTS_NAMESPACE } = require('../services/storage/fileStorage');
+
+// Objects first, so migrated snapshots never reference missing objects
+const NAMESPACES = [OBJECTS_NAMESPACE, SNAPSHOTS_NAMESPACE];
+
+const getArg = (args, name) => {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.substring(name.length + 3) : null;
+};
+
+/**
+ * Copy all files of one namespace
+ * @param {String} namespace - Storage namespace
+ * @param {String} from - Source driver
+ * @param {String} to - Target driver
+ * @param {Object} options - { dryRun, overwrite }
+ * @returns {Object} { copied, skipped, failed }
+ */
+const migrateNamespace = async (namespace, from, to, { dryRun, overwrite }) => {
+  const source = createStorageAdapter(from, namespace);
+  const target = createStorageAdapter(to, namespace);
+  const stats = { copied: 0, skipped: 0, failed: 0 };
+
+  // Only keys and sizes are needed here; contents and metadata are read when copying
+  const files = await source.list('', { metadata: false });
+  console.log(`📦 ${namespace}: ${files.length} file(s) in ${from}`);
+
+  for (const file of files) {
+    try {
+      const existing = await target.head(file.key);
+      if (existing && existing.size === file.size && !overwrite) {
+        stats.skipped++;
+        continue;
+      }
+
+      if (!dryRun) {
+        const { data, contentType, metadata } = await source.get(file.key);
+        await target.put(file.key, data, { contentType, metadata });
+      }
+      stats.copied++;
+    } catch (error) {
+      console.error(`❌ ${namespace}/${file.key}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  console.log(`✅ ${namespace}: ${stats.copied} copied, ${stats.skipped} skipped, ${stats.failed} failed`);
+  return stats;
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const from = getArg(args, 'from');
+  const to = getArg(args, 'to');
+  const dryRun = args.includes('--dry-run');
+  const overwrite = args.includes('--overwrite');
+
+  if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to) || from === to) {
+    console.error(`Usage: npm run storage:migrate -- --from=<driver> --to=<driver> [--dry-run] [--overwrite]`);
+    console.error(`Drivers: ${STORAGE_DRIVERS.join(', ')}`);
+    process.exit(1);
+  }
+
+  // GridFS and the object reference counts both need the database
+  await connectDB();
+
+  let failed = 0;
+  try {
+    console.log(`🚚 Migrating storage ${from} → ${to}${dryRun ? ' (dry run)' : ''}`);
+    for (const namespace of NAMESPACES) {
+      failed += (await migrateNamespace(namespace, from, to, { dryRun, overwrite })).failed;
+    }
+  } finally {
+    await disconnectDB();
+  }
+
+  if (failed > 0) {
+    console.error(`⚠️ ${failed} file(s) failed to copy - rerun to retry`);
+    process.exit(1);
+  }
+  console.log(`✅ Migration complete. Set STORAGE_DRIVER=${to} and restart the server.`);
+};
+
+run().catch((error) => {
+  console.error('❌ Storage migration failed:', error);
+  process.exit(1);
+});
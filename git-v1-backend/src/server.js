@@ -13,6 +13,10 @@ const config = require('./config/config');
 const { connectDB } = require('./config/database');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { initializeWebSocket } = require('./services/websocket/websocketService');
+const { scheduleGarbageCollection } = require('./services/storage/objectStore');
+const { scheduleUploadCleanup } = require('./services/storage/uploadStore');
+const { initializeSigningKeys } = require('./services/auth/signingKeys');
+const { getJwks } = require('./controllers/authController');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -21,6 +25,7 @@ const branchRoutes = require('./routes/branchRoutes');
 const commitRoutes = require('./routes/commitRoutes');
 const mergeRequestRoutes = require('./routes/mergeRequestRoutes');
 const teamRoutes = require('./routes/teamRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
 
 // Initialize Express app
 const app = express();
@@ -77,10 +82,15 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Content-SHA256', 'If-None-Match'],
+  // Branch snapshots are revalidated with their ETag
+  exposedHeaders: ['ETag', 'X-Snapshot-Url', 'X-Snapshot-Source'],
 }));
 
 // Body parser middleware
+// Checkouts and branch snapshot saves post whole documents as JSON (up to MAX_FILE_SIZE);
+// every other endpoint keeps the default 100kb limit
+app.use(['/api/v1/branches/checkout', '/api/v1/branches/:branchId/snapshot'], express.json({ limit: config.storage.maxFileSize }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -107,6 +117,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys of the access token signers (RS256/EdDSA)
+app.get('/.well-known/jwks.json', getJwks);
+
 // API routes
 app.use('/auth', authRoutes);
 app.use('/api/v1/projects', projectRoutes);
@@ -115,6 +128,7 @@ app.use('/api/v1/history', commitRoutes); // History endpoint
 app.use('/api/v1/commits', commitRoutes); // Commit creation endpoint
 app.use('/api/v1/merge-requests', mergeRequestRoutes);
 app.use('/api/v1/team', teamRoutes);
+app.use('/api/v1/media', mediaRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -128,9 +142,18 @@ app.use(errorHandler);
 
 const startServer = async () => {
   try {
+    // Refuse to start with missing or insecure JWT secrets and keys
+    initializeSigningKeys();
+
     // Connect to database
     await connectDB();
 
+    // Sweep unreferenced snapshot objects periodically
+    scheduleGarbageCollection();
+
+    // Remove chunked uploads that were never completed
+    scheduleUploadCleanup();
+
     // Start server
     const PORT = config.port;
     server.listen(PORT, () => {
@@ -0,0 +1,171 @@
+/**
+ * API Token Service
+ *
+ * Project API tokens let scripts and CI call the API without borrowing a user's session:
+ * - a token belongs to one project and carries scopes (history:read, commits:write,
+ *   merge_requests:manage); routes opt in with allowApiToken(scope) and every other route rejects it
+ * - tokens look like gv1_<random>; only their SHA-256 hash is stored
+ * - personal tokens act as their creator (with the creator's role), service tokens act as a
+ *   service account of the project
+ */
+
+const crypto = require('crypto');
+const ApiToken = require('../../models/ApiToken');
+const User = require('../../models/User');
+const { AppError } = require('../../middleware/errorHandler');
+
+const API_TOKEN_PREFIX = 'gv1_';
+
+const API_TOKEN_SCOPES = ['history:read', 'commits:write', 'merge_requests:manage'];
+
+const API_TOKEN_TYPES = ['personal', 'service'];
+
+// Longest lifetime a token can be created with (tokens without expiry are allowed)
+const MAX_LIFETIME_DAYS = 365;
+
+// Most active tokens per project
+const MAX_TOKENS_PER_PROJECT = 50;
+
+// lastUsedAt is written at most this often per token
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether a bearer token is an API token (rather than a JWT)
+ * @param {String} token - Bearer token
+ * @returns {Boolean}
+ */
+const isApiToken = token => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Public fields of a token (never the hash)
+ * @param {Object} apiToken - ApiToken document
+ * @returns {Object}
+ */
+const serializeApiToken = apiToken => ({
+  tokenId: apiToken.tokenId,
+  name: apiToken.name,
+  type: apiToken.type,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  userId: apiToken.userId,
+  createdBy: apiToken.createdBy,
+  createdAt: apiToken.createdAt,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+});
+
+/**
+ * Create a token
+ * @param {String} projectId - Project
+ * @param {Object} options - { name, type, scopes, expiresInDays }
+ * @param {String} createdBy - Creating user
+ * @returns {Object} { apiToken, token } - token is the secret, returned only here
+ * @throws {AppError} VALIDATION_ERROR for invalid options
+ */
+const createApiToken = async (projectId, { name, type = 'personal', scopes, expiresInDays = null }, createdBy) => {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    throw new AppError('VALIDATION_ERROR', 'Token name is required (at most 100 characters)', 400);
+  }
+  if (!API_TOKEN_TYPES.includes(type)) {
+    throw new AppError('VALIDATION_ERROR', `Token type must be one of: ${API_TOKEN_TYPES.join(', ')}`, 400);
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_TOKEN_SCOPES.includes(scope))) {
+    throw new AppError('VALIDATION_ERROR', `Token scopes must be a non-empty list of: ${API_TOKEN_SCOPES.join(', ')}`, 400);
+  }
+  const days = expiresInDays === null || expiresInDays === undefined ? null : Number(expiresInDays);
+  if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_LIFETIME_DAYS)) {
+    throw new AppError('VALIDATION_ERROR', `expiresInDays must be a whole number from 1 to ${MAX_LIFETIME_DAYS}`, 400);
+  }
+
+  const activeTokens = await ApiToken.countDocuments({ projectId, revokedAt: null });
+  if (activeTokens >= MAX_TOKENS_PER_PROJECT) {
+    throw new AppError('VALIDATION_ERROR', `A project can have at most ${MAX_TOKENS_PER_PROJECT} API tokens`, 400);
+  }
+
+  const tokenId = `tok_${crypto.randomBytes(8).toString('hex')}`;
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  // Service tokens get their own user, so commits and reviews they make have an author
+  let userId = createdBy;
+  if (type === 'service') {
+    userId = `service_${tokenId}`;
+    await User.create({
+      userId,
+      email: `${tokenId}@service.invalid`,
+      name: `${name.trim()} (service)`,
+    });
+  }
+
+  const apiToken = await ApiToken.create({
+    tokenId,
+    tokenHash: hashToken(token),
+    prefix: token.substring(0, API_TOKEN_PREFIX.length + 6),
+    projectId,
+    name: name.trim(),
+    type,
+    userId,
+    createdBy,
+    scopes: [...new Set(scopes)],
+    expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+  });
+
+  console.log(`🔑 API token "${apiToken.name}" (${type}, ${apiToken.scopes.join(' ')}) created in project ${projectId} by ${createdBy}`);
+  return { apiToken, token };
+};
+
+/**
+ * Active tokens of a project, newest first
+ * @param {String} projectId - Project
+ * @param {String} createdBy - Only tokens created by this user (optional)
+ * @returns {Array} ApiToken documents
+ */
+const listApiTokens = (projectId, createdBy = null) => ApiToken.find({
+  projectId,
+  revokedAt: null,
+  ...(createdBy && { createdBy }),
+}).sort({ createdAt: -1 });
+
+/**
+ * Revoke a token
+ * @param {String} projectId - Project
+ * @param {String} tokenId - Token
+ * @param {Object} filter - Extra conditions (e.g. { createdBy })
+ * @returns {Boolean} True if an active token was revoked
+ */
+const revokeApiToken = async (projectId, tokenId, filter = {}) => {
+  const { modifiedCount } = await ApiToken.updateOne(
+    { ...filter, projectId, tokenId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Find the active token for a bearer token and record its use
+ * @param {String} token - Bearer token (gv1_...)
+ * @returns {Object|null} ApiToken, or null if unknown, revoked or expired
+ */
+const findActiveApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token), revokedAt: null });
+  if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+    return null;
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.warn('⚠️ Could not update API token activity:', error.message));
+  }
+  return apiToken;
+};
+
+module.exports = {
+  API_TOKEN_SCOPES,
+  isApiToken,
+  serializeApiToken,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  findActiveApiToken,
+};
@@ -0,0 +1,212 @@
+/**
+ * Identity Verifier
+ *
+ * Verifies the identity token posted to /auth/login and returns the user it proves
+ * Every verifier implements verify(token) -> { userId, email, name, avatarUrl }
+ * (email, name and avatarUrl may be null) and throws an AppError if the token is not valid
+ *
+ * The default verifier checks Adobe IMS tokens (access or ID tokens, RS256) against the
+ * public keys published at ADOBE_IMS_JWKS_URL; pointing ADOBE_IMS_URL / ADOBE_IMS_JWKS_URL at
+ * a local stub that signs tokens with a test key exercises the same checks offline.
+ * setIdentityVerifier() replaces the verifier entirely (e.g. for tests)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../config/config');
+const { AppError } = require('../../middleware/errorHandler');
+
+// How long fetched signing keys are trusted before they are fetched again
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+
+// An unknown key id triggers a refetch at most this often (key rotation without hammering IMS)
+const JWKS_REFETCH_INTERVAL_MS = 30 * 1000;
+
+// Token types that identify a signed-in user (IMS also issues refresh tokens and codes)
+const IDENTITY_TOKEN_TYPES = ['access_token', 'id_token'];
+
+const rejectToken = (message) => {
+  throw new AppError('UNAUTHORIZED', `Invalid Adobe token: ${message}`, 401);
+};
+
+/**
+ * Signing keys from a JWKS endpoint, cached by key id
+ * @param {String} jwksUrl - JWKS URL
+ * @returns {Function} kid -> Promise<KeyObject|null>
+ */
+const createKeyStore = (jwksUrl) => {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let pending = null;
+
+  const refresh = async () => {
+    const response = await fetch(jwksUrl, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    const { keys: jwks = [] } = await response.json();
+
+    const next = new Map();
+    for (const jwk of jwks) {
+      if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) {
+        continue;
+      }
+      try {
+        next.set(jwk.kid || null, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unusable signing key ${jwk.kid}:`, error.message);
+      }
+    }
+    keys = next;
+    fetchedAt = Date.now();
+  };
+
+  return async (kid) => {
+    const age = Date.now() - fetchedAt;
+    if (age > JWKS_CACHE_MS || (!keys.has(kid) && age > JWKS_REFETCH_INTERVAL_MS)) {
+      // Concurrent logins share one request
+      pending = pending || refresh().finally(() => { pending = null; });
+      try {
+        await pending;
+      } catch (error) {
+        console.error('❌ Could not fetch identity provider keys:', error.message);
+        if (keys.size === 0) {
+          throw new AppError('SERVICE_UNAVAILABLE', 'Adobe sign-in is temporarily unavailable', 503);
+        }
+      }
+    }
+    return keys.get(kid) || null;
+  };
+};
+
+/**
+ * Expiry of a token: exp (ID tokens), else created_at + expires_in in ms (IMS access tokens)
+ * @param {Object} claims - Token claims
+ * @returns {Number|null} Expiry in ms since the epoch
+ */
+const getTokenExpiry = (claims) => {
+  if (claims.exp !== undefined) {
+    return Number(claims.exp) * 1000;
+  }
+  if (claims.created_at !== undefined && claims.expires_in !== undefined) {
+    return Number(claims.created_at) + Number(claims.expires_in);
+  }
+  return null;
+};
+
+/**
+ * Fetch the profile of an IMS access token (access tokens carry no email or name)
+ * @param {String} imsUrl - IMS base URL
+ * @param {String} token - Access token
+ * @returns {Object} userinfo claims ({} if unavailable)
+ */
+const fetchImsProfile = async (imsUrl, token) => {
+  try {
+    const response = await fetch(`${imsUrl}/ims/userinfo/v2`, { headers: { Authorization: `Bearer ${token}` } });
+    return response.ok ? await response.json() : {};
+  } catch (error) {
+    console.warn('⚠️ Could not fetch Adobe profile:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Verifier for Adobe IMS tokens
+ * @param {Object} options - { imsUrl, jwksUrl, clientId }
+ * @returns {Object} Identity verifier
+ */
+const createImsVerifier = ({ imsUrl, jwksUrl, clientId }) => {
+  const getKey = createKeyStore(jwksUrl);
+
+  const verify = async (token) => {
+    if (!clientId) {
+      throw new AppError('SERVICE_UNAVAILABLE', 'Adobe sign-in is not configured (ADOBE_CLIENT_ID)', 503);
+    }
+    if (typeof token !== 'string' || token.split('.').length !== 3) {
+      rejectToken('not a signed token');
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || decoded.header.alg !== 'RS256') {
+      rejectToken('unsupported token format');
+    }
+    const key = await getKey(decoded.header.kid || null);
+    if (!key) {
+      rejectToken('unknown signing key');
+    }
+
+    let claims;
+    try {
+      // Expiry is checked below: IMS access tokens use created_at + expires_in instead of exp
+      claims = jwt.verify(token, key, { algorithms: ['RS256'], ignoreExpiration: true });
+    } catch (error) {
+      rejectToken(error.message);
+    }
+
+    const expiry = getTokenExpiry(claims);
+    if (!expiry || expiry <= Date.now()) {
+      rejectToken('token has expired');
+    }
+    if (claims.type && !IDENTITY_TOKEN_TYPES.includes(claims.type)) {
+      rejectToken(`${claims.type} cannot be used to sign in`);
+    }
+    if (claims.iss && claims.iss !== imsUrl) {
+      rejectToken('issued by another identity provider');
+    }
+    const audience = claims.client_id || claims.aud;
+    if (![].concat(audience).includes(clientId)) {
+      rejectToken('issued to another application');
+    }
+
+    const userId = claims.sub || claims.user_id;
+    if (!userId) {
+      rejectToken('token has no user');
+    }
+
+    const profile = claims.email ? claims : { ...(await fetchImsProfile(imsUrl, token)), ...claims };
+    const fullName = [profile.given_name, profile.family_name].filter(Boolean).join(' ');
+    return {
+      userId: String(userId),
+      email: profile.email || null,
+      name: profile.name || fullName || null,
+      avatarUrl: profile.picture || null,
+    };
+  };
+
+  return { name: 'ims', verify };
+};
+
+let verifier = null;
+
+/**
+ * Get the identity verifier (IMS unless replaced with setIdentityVerifier)
+ * @returns {Object} { name, verify(token) }
+ */
+const getIdentityVerifier = () => {
+  if (!verifier) {
+    verifier = createImsVerifier(config.adobe);
+  }
+  return verifier;
+};
+
+/**
+ * Replace the identity verifier (null restores the configured one)
+ * @param {Object|null} customVerifier - { name, verify(token) }
+ */
+const setIdentityVerifier = (customVerifier) => {
+  verifier = customVerifier;
+};
+
+/**
+ * Verify an identity token with the current verifier
+ * @param {String} token - Identity token
+ * @returns {Object} { userId, email, name, avatarUrl }
+ */
+const verifyIdentityToken = token => getIdentityVerifier().verify(token);
+
+module.exports = {
+  createImsVerifier,
+  getIdentityVerifier,
+  setIdentityVerifier,
+  verifyIdentityToken,
+};
@@ -1,12 +1,108 @@
 /**
  * JWT Service
- * 
+ *
  * Handles JWT token generation and validation
  * Used for authentication and authorization
+ * Tokens are signed with the current key and carry its id (kid); any configured key,
+ * including retired ones, verifies them (see signingKeys.js)
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const config = require('../../config/config');
+const { getKeyRings } = require('./signingKeys');
+
+const encodeSegment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign an EdDSA (Ed25519) token; jsonwebtoken only handles HMAC, RSA and ECDSA
+ * @param {Object} claims - Token claims
+ * @param {Object} key - Signing key
+ * @returns {String} JWT
+ */
+const signEdDSA = (claims, key) => {
+  const input = `${encodeSegment({ alg: 'EdDSA', typ: 'JWT', kid: key.kid })}.${encodeSegment(claims)}`;
+  return `${input}.${crypto.sign(null, Buffer.from(input), key.privateKey).toString('base64url')}`;
+};
+
+/**
+ * Verify an EdDSA token (same errors as jwt.verify)
+ * @param {String} token - JWT
+ * @param {Object} key - Verification key
+ * @returns {Object} Claims
+ */
+const verifyEdDSA = (token, key) => {
+  const [header, payload, signature = ''] = token.split('.');
+  if (!crypto.verify(null, Buffer.from(`${header}.${payload}`), key.publicKey, Buffer.from(signature, 'base64url'))) {
+    throw new jwt.JsonWebTokenError('invalid signature');
+  }
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (typeof claims.exp !== 'number') {
+    throw new jwt.JsonWebTokenError('invalid exp value');
+  }
+  if (claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new jwt.TokenExpiredError('jwt expired', new Date(claims.exp * 1000));
+  }
+  return claims;
+};
+
+/**
+ * Sign a token with a key ring's current key
+ * @param {Object} ring - Key ring
+ * @param {Object} payload - Token payload
+ * @param {String} tokenId - Token id (jti, optional)
+ * @returns {String} JWT
+ */
+const signWith = (ring, payload, tokenId) => {
+  const key = ring.signingKey;
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = { ...payload, iat, exp: iat + ring.lifetime, ...(tokenId && { jti: tokenId }) };
+
+  if (key.algorithm === 'EdDSA') {
+    return signEdDSA(claims, key);
+  }
+  return jwt.sign(claims, key.secret || key.privateKey, { algorithm: key.algorithm, keyid: key.kid });
+};
+
+/**
+ * Verify a token against a key ring
+ * @param {Object} ring - Key ring
+ * @param {String} token - JWT
+ * @returns {Object} Decoded token payload
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token is invalid or expired
+ */
+const verifyWith = (ring, token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  // Tokens issued before key ids were added were signed with a shared secret
+  const { kid, alg } = decoded.header;
+  const candidates = ring.keys.filter(key => (kid ? key.kid === kid : key.algorithm === 'HS256'));
+  if (candidates.length === 0) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  let lastError = null;
+  for (const key of candidates) {
+    if (alg !== key.algorithm) {
+      lastError = new jwt.JsonWebTokenError('invalid algorithm');
+      continue;
+    }
+    try {
+      return key.algorithm === 'EdDSA'
+        ? verifyEdDSA(token, key)
+        : jwt.verify(token, key.secret || key.publicKey, { algorithms: [key.algorithm] });
+    } catch (error) {
+      // Only a wrong key is worth another candidate; expiry and claim errors are final
+      if (error.message !== 'invalid signature') {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+  throw lastError;
+};
 
 /**
  * Generate JWT access token
@@ -14,20 +110,17 @@ const config = require('../../config/config');
  * @returns {String} JWT token
  */
 const generateToken = (payload) => {
-  return jwt.sign(payload, config.jwt.secret, {
-    expiresIn: config.jwt.expire,
-  });
+  return signWith(getKeyRings().access, payload);
 };
 
 /**
  * Generate JWT refresh token
  * @param {Object} payload - Token payload
+ * @param {String} tokenId - Token id (jti), used to detect reuse after rotation
  * @returns {String} Refresh token
  */
-const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, config.jwt.refreshSecret, {
-    expiresIn: config.jwt.refreshExpire,
-  });
+const generateRefreshToken = (payload, tokenId) => {
+  return signWith(getKeyRings().refresh, payload, tokenId);
 };
 
 /**
@@ -36,7 +129,7 @@ const generateRefreshToken = (payload) => {
  * @returns {Object} Decoded token payload
  */
 const verifyToken = (token) => {
-  return jwt.verify(token, config.jwt.secret);
+  return verifyWith(getKeyRings().access, token);
 };
 
 /**
@@ -45,7 +138,7 @@ const verifyToken = (token) => {
  * @returns {Object} Decoded token payload
  */
 const verifyRefreshToken = (token) => {
-  return jwt.verify(token, config.jwt.refreshSecret);
+  return verifyWith(getKeyRings().refresh, token);
 };
 
 module.exports = {
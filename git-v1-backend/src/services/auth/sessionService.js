@@ -0,0 +1,196 @@
+/**
+ * Session Service
+ *
+ * Server-side sessions behind the JWTs:
+ * - login creates a session; its access and refresh tokens carry the sessionId (sid)
+ * - every refresh rotates the refresh token (new jti); the previous one stops working
+ * - presenting a refresh token that was already rotated away means it leaked or was
+ *   replayed: the whole session is revoked
+ * - access tokens are accepted only while their session is active (logout and
+ *   revocation take effect immediately)
+ */
+
+const crypto = require('crypto');
+const Session = require('../../models/Session');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('./jwtService');
+const { AppError } = require('../../middleware/errorHandler');
+
+// lastUsedAt is written at most this often per session
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Longest stored device description / user agent
+const MAX_DEVICE_FIELD_LENGTH = 256;
+
+const newId = () => crypto.randomBytes(16).toString('hex');
+
+const truncate = value => (value ? String(value).substring(0, MAX_DEVICE_FIELD_LENGTH) : null);
+
+/**
+ * Device details of a request
+ * @param {Object} req - Express request
+ * @returns {Object} { deviceName, userAgent, ipAddress }
+ */
+const describeDevice = req => ({
+  deviceName: truncate(req.body?.deviceName),
+  userAgent: truncate(req.get('user-agent')),
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Sign a token pair for a session
+ * @param {String} userId - User
+ * @param {String} sessionId - Session
+ * @param {String} tokenId - jti of the refresh token
+ * @returns {Object} { token, refreshToken, refreshExpiresAt }
+ */
+const issueTokens = (userId, sessionId, tokenId) => {
+  const refreshToken = generateRefreshToken({ userId, sid: sessionId }, tokenId);
+  const { exp } = verifyRefreshToken(refreshToken);
+  return {
+    token: generateToken({ userId, sid: sessionId }),
+    refreshToken,
+    refreshExpiresAt: new Date(exp * 1000),
+  };
+};
+
+/**
+ * Start a session for a signed-in user
+ * @param {String} userId - User
+ * @param {Object} req - Login request (device details)
+ * @returns {Object} { token, refreshToken, sessionId }
+ */
+const createSession = async (userId, req) => {
+  const sessionId = newId();
+  const tokenId = newId();
+  const { token, refreshToken, refreshExpiresAt } = issueTokens(userId, sessionId, tokenId);
+
+  await Session.create({
+    sessionId,
+    userId,
+    tokenId,
+    ...describeDevice(req),
+    expiresAt: refreshExpiresAt,
+  });
+  return { token, refreshToken, sessionId };
+};
+
+/**
+ * Revoke a session
+ * @param {String} sessionId - Session
+ * @param {String} reason - 'logout', 'revoked' or 'reuse'
+ * @param {Object} filter - Extra conditions (e.g. { userId })
+ * @returns {Boolean} True if an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, filter = {}) => {
+  const { modifiedCount } = await Session.updateOne(
+    { ...filter, sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * @param {String} refreshToken - Refresh token
+ * @param {Object} req - Refresh request (device details)
+ * @returns {Object} { userId, token, refreshToken, sessionId }
+ * @throws {AppError} UNAUTHORIZED if the token is invalid, expired or its session ended;
+ *   TOKEN_REUSED (and the session is revoked) if it was already used
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new AppError('UNAUTHORIZED', 'Invalid or expired refresh token', 401);
+  }
+  if (!decoded.sid || !decoded.jti) {
+    // Issued before sessions existed; cannot be revoked, so it is not honored
+    throw new AppError('UNAUTHORIZED', 'Refresh token is no longer supported, please sign in again', 401);
+  }
+
+  const tokenId = newId();
+  const tokens = issueTokens(decoded.userId, decoded.sid, tokenId);
+  const { userAgent, ipAddress } = describeDevice(req);
+
+  // Only the current token of an active session may rotate it (atomic, so a token works once)
+  const session = await Session.findOneAndUpdate(
+    { sessionId: decoded.sid, userId: decoded.userId, tokenId: decoded.jti, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { tokenId, lastUsedAt: new Date(), expiresAt: tokens.refreshExpiresAt, userAgent, ipAddress } },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findOne({ sessionId: decoded.sid, userId: decoded.userId });
+    if (existing && !existing.revokedAt && existing.tokenId !== decoded.jti) {
+      await revokeSession(existing.sessionId, 'reuse');
+      console.warn(`⚠️ Refresh token reuse detected for user "${decoded.userId}", session ${existing.sessionId} revoked`);
+      throw new AppError('TOKEN_REUSED', 'Refresh token was already used; the session has been revoked, please sign in again', 401);
+    }
+    throw new AppError('UNAUTHORIZED', 'Session has expired or was revoked, please sign in again', 401);
+  }
+
+  return {
+    userId: decoded.userId,
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    sessionId: session.sessionId,
+  };
+};
+
+/**
+ * Find the active session of an access token and record its use
+ * @param {Object} decoded - Verified access token payload ({ userId, sid })
+ * @returns {Object|null} Session, or null if it ended (or the token predates sessions)
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded?.sid) {
+    return null;
+  }
+  const session = await Session.findOne({
+    sessionId: decoded.sid,
+    userId: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (session && Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.warn('⚠️ Could not update session activity:', error.message));
+  }
+  return session;
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {String} userId - User
+ * @returns {Array} Sessions
+ */
+const listSessions = userId => Session.find({
+  userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+}).sort({ lastUsedAt: -1 });
+
+/**
+ * Revoke every active session of a user except one
+ * @param {String} userId - User
+ * @param {String} keepSessionId - Session to keep (optional)
+ * @returns {Number} Number of sessions revoked
+ */
+const revokeOtherSessions = async (userId, keepSessionId = null) => {
+  const { modifiedCount } = await Session.updateMany(
+    { userId, revokedAt: null, ...(keepSessionId && { sessionId: { $ne: keepSessionId } }) },
+    { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+  );
+  return modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  findActiveSession,
+  listSessions,
+  revokeOtherSessions,
+};
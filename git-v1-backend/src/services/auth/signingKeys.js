@@ -0,0 +1,289 @@
+/**
+ * Signing Keys
+ *
+ * Keys for the backend's own JWTs, loaded and checked once at startup:
+ * - access tokens are signed with JWT_ALGORITHM: HS256 (JWT_SECRET), RS256 or EdDSA
+ *   (JWT_PRIVATE_KEY, or a private key in JWT_KEYS_DIR picked by JWT_KEY_ID)
+ * - every token names its key (kid); retired keys (public keys in JWT_KEYS_DIR,
+ *   JWT_PREVIOUS_SECRETS) still verify, so issued tokens stay valid during a rollover
+ * - refresh tokens are only ever read by this backend and are always HS256 (JWT_REFRESH_SECRET,
+ *   JWT_PREVIOUS_REFRESH_SECRETS)
+ * - public keys are published as a JWKS (GET /.well-known/jwks.json)
+ * In production, missing, placeholder or short secrets stop the server from starting
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/config');
+
+const ALGORITHMS = ['HS256', 'RS256', 'EdDSA'];
+
+const MIN_SECRET_LENGTH = 32;
+const MIN_RSA_KEY_BITS = 2048;
+
+// Used outside production when no secret is set; never accepted in production
+const DEVELOPMENT_SECRETS = {
+  JWT_SECRET: 'default-secret-change-in-production',
+  JWT_REFRESH_SECRET: 'default-refresh-secret-change-in-production',
+};
+
+// Example values from the docs
+const PLACEHOLDER_SECRETS = [
+  ...Object.values(DEVELOPMENT_SECRETS),
+  'your-super-secret-jwt-key-change-in-production',
+  'your-super-secret-refresh-key-change-in-production',
+];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parse a token lifetime ('30', '15m', '1h', '30d')
+ * @param {String|Number} value - Lifetime
+ * @returns {Number|null} Seconds, or null if not a valid lifetime
+ */
+const parseLifetime = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  const seconds = match ? Number(match[1]) * DURATION_UNITS[match[2] || 's'] : 0;
+  return seconds > 0 ? seconds : null;
+};
+
+/**
+ * Key id of a shared secret (a short hash; the secret itself is not revealed)
+ * @param {String} secret - HMAC secret
+ * @returns {String} kid
+ */
+const secretKeyId = secret => `hs-${crypto.createHash('sha256').update(secret).digest('hex').substring(0, 16)}`;
+
+/**
+ * Key id of a public key: its RFC 7638 JWK thumbprint
+ * @param {KeyObject} publicKey - Public key
+ * @returns {String} kid
+ */
+const thumbprint = (publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const members = jwk.kty === 'RSA' ? { e: jwk.e, kty: jwk.kty, n: jwk.n } : { crv: jwk.crv, kty: jwk.kty, x: jwk.x };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+/**
+ * Read a PEM key (private keys can sign, public keys only verify)
+ * @param {String} pem - PEM text (literal \n sequences allowed, for single-line env values)
+ * @param {String} source - Where it came from (for error messages)
+ * @param {Array<String>} problems - Collects configuration problems
+ * @returns {Object|null} { algorithm, privateKey, publicKey }
+ */
+const readKeyPair = (pem, source, problems) => {
+  let privateKey = null;
+  let publicKey;
+  try {
+    const text = pem.replace(/\\n/g, '\n');
+    if (text.includes('PRIVATE KEY')) {
+      privateKey = crypto.createPrivateKey(text);
+      publicKey = crypto.createPublicKey(privateKey);
+    } else {
+      publicKey = crypto.createPublicKey(text);
+    }
+  } catch (error) {
+    problems.push(`${source} is not a readable PEM key (${error.message})`);
+    return null;
+  }
+
+  if (publicKey.asymmetricKeyType === 'rsa') {
+    if (publicKey.asymmetricKeyDetails.modulusLength < MIN_RSA_KEY_BITS) {
+      problems.push(`${source} is an RSA key shorter than ${MIN_RSA_KEY_BITS} bits`);
+      return null;
+    }
+    return { algorithm: 'RS256', privateKey, publicKey };
+  }
+  if (publicKey.asymmetricKeyType === 'ed25519') {
+    return { algorithm: 'EdDSA', privateKey, publicKey };
+  }
+  problems.push(`${source} is a ${publicKey.asymmetricKeyType} key; only RSA (RS256) and Ed25519 (EdDSA) keys are supported`);
+  return null;
+};
+
+/**
+ * Check a configured secret
+ * @param {String} name - Environment variable
+ * @param {String} value - Secret
+ * @param {Array<String>} problems - Collects configuration problems
+ * @returns {String|null} Secret to use
+ */
+const checkSecret = (name, value, problems) => {
+  const production = config.nodeEnv === 'production';
+  if (!value) {
+    if (production || !DEVELOPMENT_SECRETS[name]) {
+      problems.push(`${name} is not set`);
+      return null;
+    }
+    console.warn(`⚠️  ${name} is not set, using an insecure development secret`);
+    return DEVELOPMENT_SECRETS[name];
+  }
+  if (production && PLACEHOLDER_SECRETS.includes(value)) {
+    problems.push(`${name} is a placeholder value`);
+  } else if (production && value.length < MIN_SECRET_LENGTH) {
+    problems.push(`${name} must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  return value;
+};
+
+/**
+ * HS256 keys for a secret and its retired predecessors
+ * @param {String} name - Environment variable of the current secret
+ * @param {String} value - Current secret
+ * @param {String} previousName - Environment variable of the retired secrets
+ * @param {Array<String>} previous - Retired secrets
+ * @param {Array<String>} problems - Collects configuration problems
+ * @param {Boolean} signing - Whether the current secret signs new tokens
+ * @returns {Array<Object>} Keys
+ */
+const secretKeys = (name, value, previousName, previous, problems, signing) => {
+  const current = checkSecret(name, value, problems);
+  const keys = current ? [{ kid: secretKeyId(current), algorithm: 'HS256', secret: current, signing }] : [];
+  previous.forEach((secret, index) => {
+    const checked = checkSecret(`${previousName}[${index}]`, secret, problems);
+    if (checked) {
+      keys.push({ kid: secretKeyId(checked), algorithm: 'HS256', secret: checked, signing: false });
+    }
+  });
+  return keys;
+};
+
+/**
+ * Asymmetric access token keys (JWT_PRIVATE_KEY and JWT_KEYS_DIR/<kid>.pem)
+ * @param {Array<String>} problems - Collects configuration problems
+ * @returns {Array<Object>} Keys; the one that signs has signing: true
+ */
+const asymmetricKeys = (problems) => {
+  const { algorithm, keyId, privateKey, keysDir } = config.jwt;
+  const keys = [];
+
+  if (privateKey) {
+    const pair = readKeyPair(privateKey, 'JWT_PRIVATE_KEY', problems);
+    if (pair && !pair.privateKey) {
+      problems.push('JWT_PRIVATE_KEY must be a private key');
+    } else if (pair) {
+      keys.push({ kid: keyId || thumbprint(pair.publicKey), ...pair });
+    }
+  }
+
+  if (keysDir) {
+    let files = [];
+    try {
+      files = fs.readdirSync(keysDir).filter(file => file.endsWith('.pem')).sort();
+    } catch (error) {
+      problems.push(`JWT_KEYS_DIR cannot be read (${error.message})`);
+    }
+    files.forEach((file) => {
+      const pair = readKeyPair(fs.readFileSync(path.join(keysDir, file), 'utf8'), `JWT_KEYS_DIR/${file}`, problems);
+      if (pair) {
+        keys.push({ kid: path.basename(file, '.pem'), ...pair });
+      }
+    });
+  }
+
+  // Signing key: JWT_KEY_ID, else JWT_PRIVATE_KEY, else the only private key in JWT_KEYS_DIR
+  const privateKeys = keys.filter(key => key.privateKey);
+  const signingKey = keyId
+    ? privateKeys.find(key => key.kid === keyId)
+    : (privateKey ? privateKeys[0] : (privateKeys.length === 1 ? privateKeys[0] : null));
+
+  if (!signingKey) {
+    problems.push(keyId
+      ? `No private key with id "${keyId}" (JWT_KEY_ID) in JWT_PRIVATE_KEY or JWT_KEYS_DIR`
+      : `${algorithm} needs a private key: set JWT_PRIVATE_KEY, or JWT_KEYS_DIR with JWT_KEY_ID`);
+  } else if (signingKey.algorithm !== algorithm) {
+    problems.push(`Signing key "${signingKey.kid}" is not a ${algorithm} key`);
+  }
+
+  return keys.map(key => ({ ...key, signing: key === signingKey }));
+};
+
+/**
+ * Load and check all JWT keys
+ * @returns {Object} { access, refresh }, each { signingKey, keys, lifetime }
+ * @throws {Error} Listing every configuration problem
+ */
+const loadKeyRings = () => {
+  const { algorithm, secret, refreshSecret, previousSecrets, previousRefreshSecrets, expire, refreshExpire } = config.jwt;
+  const problems = [];
+
+  let accessKeys = [];
+  if (!ALGORITHMS.includes(algorithm)) {
+    problems.push(`JWT_ALGORITHM must be one of ${ALGORITHMS.join(', ')} (got "${algorithm}")`);
+  } else if (algorithm === 'HS256') {
+    accessKeys = secretKeys('JWT_SECRET', secret, 'JWT_PREVIOUS_SECRETS', previousSecrets, problems, true);
+  } else {
+    accessKeys = asymmetricKeys(problems);
+    // Tokens signed with the secret before switching to keys stay valid until they expire
+    if (secret || previousSecrets.length > 0) {
+      accessKeys.push(...secretKeys('JWT_SECRET', secret, 'JWT_PREVIOUS_SECRETS', previousSecrets, problems, false));
+    }
+  }
+  const refreshKeys = secretKeys('JWT_REFRESH_SECRET', refreshSecret, 'JWT_PREVIOUS_REFRESH_SECRETS', previousRefreshSecrets, problems, true);
+
+  if (config.nodeEnv === 'production' && secret && secret === refreshSecret) {
+    problems.push('JWT_REFRESH_SECRET must differ from JWT_SECRET');
+  }
+  const kids = accessKeys.map(key => key.kid);
+  const duplicate = kids.find((kid, index) => kids.indexOf(kid) !== index);
+  if (duplicate) {
+    problems.push(`Key id "${duplicate}" is used by more than one key`);
+  }
+
+  const lifetime = parseLifetime(expire);
+  const refreshLifetime = parseLifetime(refreshExpire);
+  if (!lifetime) {
+    problems.push(`JWT_EXPIRE must be a lifetime like 15m, 1h or 7d (got "${expire}")`);
+  }
+  if (!refreshLifetime) {
+    problems.push(`JWT_REFRESH_EXPIRE must be a lifetime like 15m, 1h or 7d (got "${refreshExpire}")`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid JWT configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return {
+    access: { signingKey: accessKeys.find(key => key.signing), keys: accessKeys, lifetime },
+    refresh: { signingKey: refreshKeys.find(key => key.signing), keys: refreshKeys, lifetime: refreshLifetime },
+  };
+};
+
+let keyRings = null;
+
+/**
+ * Get the JWT keys (loaded on first use)
+ * @returns {Object} { access, refresh }
+ */
+const getKeyRings = () => {
+  if (!keyRings) {
+    keyRings = loadKeyRings();
+  }
+  return keyRings;
+};
+
+/**
+ * Load and check the JWT keys at startup, so a misconfigured server does not boot
+ * @throws {Error} If the configuration is invalid
+ */
+const initializeSigningKeys = () => {
+  const { access } = getKeyRings();
+  const retired = access.keys.length - 1;
+  console.log(`✅ JWT signing key: ${access.signingKey.kid} (${access.signingKey.algorithm})${retired > 0 ? `, ${retired} retired key(s) still accepted` : ''}`);
+};
+
+/**
+ * Public keys that verify access tokens, as a JWKS (shared secrets are never published)
+ * @returns {Array<Object>} JWKs
+ */
+const getPublicJwks = () => getKeyRings().access.keys
+  .filter(key => key.publicKey)
+  .map(key => ({ ...key.publicKey.export({ format: 'jwk' }), kid: key.kid, alg: key.algorithm, use: 'sig' }));
+
+module.exports = {
+  getKeyRings,
+  initializeSigningKeys,
+  getPublicJwks,
+};
@@ -0,0 +1,112 @@
+/**
+ * Merge Request Service
+ *
+ * Runs the three-way merge for merge requests and keeps their recorded conflicts current:
+ * conflicts are computed when a request is opened and again whenever its source or
+ * target branch changes (commits, snapshot saves, reverts, merges), so reading them is free
+ */
+
+const MergeRequest = require('../../models/MergeRequest');
+const Branch = require('../../models/Branch');
+const { AppError } = require('../../middleware/errorHandler');
+const { loadCommitSnapshot, loadBranchSnapshot } = require('../storage/snapshotLoader');
+const { resolveMergeBase, mergeSnapshots } = require('./mergeService');
+const { parseSnapshot } = require('../../utils/snapshotDiff');
+const { emitMergeRequestConflictsUpdated } = require('../websocket/websocketService');
+
+// Merge requests whose conflicts are still tracked (closed and merged ones keep theirs for audit)
+const ACTIVE_STATUSES = ['open', 'approved'];
+
+/**
+ * Run the three-way merge for a merge request without saving anything
+ * @param {String} projectId - Project ID
+ * @param {Object} mergeRequest - Merge request document (its stored resolutions are reused)
+ * @returns {Object} { sourceBranch, targetBranch, mergeBase, result }
+ */
+const prepareMerge = async (projectId, mergeRequest) => {
+  const sourceBranch = await Branch.findOne({
+    projectId,
+    name: mergeRequest.sourceBranch,
+    status: 'active',
+  });
+
+  const targetBranch = await Branch.findOne({
+    projectId,
+    name: mergeRequest.targetBranch,
+    status: 'active',
+  });
+
+  if (!sourceBranch) {
+    throw new AppError('NOT_FOUND', 'Source branch not found or inactive', 404);
+  }
+
+  if (!targetBranch) {
+    throw new AppError('NOT_FOUND', 'Target branch not found or inactive', 404);
+  }
+
+  // Three-way merge: apply source changes since the common ancestor onto the target
+  const sourceSnapshot = parseSnapshot(await loadBranchSnapshot(projectId, sourceBranch));
+  const targetSnapshot = parseSnapshot(await loadBranchSnapshot(projectId, targetBranch));
+
+  const { mergeBase, forkSnapshot } = await resolveMergeBase(projectId, sourceBranch, targetBranch);
+  const baseSnapshot = parseSnapshot(mergeBase ? await loadCommitSnapshot(mergeBase) : forkSnapshot);
+
+  const previousConflicts = mergeRequest.toObject().conflicts || [];
+  const result = mergeSnapshots(baseSnapshot, sourceSnapshot, targetSnapshot, previousConflicts);
+
+  return { sourceBranch, targetBranch, mergeBase, result };
+};
+
+/**
+ * Recompute and store the conflicts of a merge request
+ * Nothing is written if the request changed since it was loaded (e.g. a resolution was
+ * saved meanwhile): that write merged at least as recent a state
+ * @param {String} projectId - Project ID
+ * @param {Object} mergeRequest - Merge request document
+ * @returns {Object|null} Updated merge request, or null if it changed meanwhile
+ */
+const refreshMergeConflicts = async (projectId, mergeRequest) => {
+  const { mergeBase, result } = await prepareMerge(projectId, mergeRequest);
+
+  return MergeRequest.findOneAndUpdate(
+    { _id: mergeRequest._id, updatedAt: mergeRequest.updatedAt },
+    { $set: { conflicts: result.conflicts, mergeBaseHash: mergeBase ? mergeBase.hash : null } },
+    { new: true }
+  );
+};
+
+/**
+ * Recompute the conflicts of every open merge request from or into a branch
+ * Runs after the response is sent: never throws, failures are logged
+ * @param {String} projectId - Project ID
+ * @param {String} branchName - Branch that changed
+ */
+const refreshBranchMergeRequests = async (projectId, branchName) => {
+  try {
+    const mergeRequests = await MergeRequest.find({
+      projectId,
+      status: { $in: ACTIVE_STATUSES },
+      $or: [{ sourceBranch: branchName }, { targetBranch: branchName }],
+    });
+
+    for (const mergeRequest of mergeRequests) {
+      try {
+        const updated = await refreshMergeConflicts(projectId, mergeRequest);
+        if (updated) {
+          emitMergeRequestConflictsUpdated(projectId, updated);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not update conflicts of merge request #${mergeRequest.mergeRequestId}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not update merge requests of branch "${branchName}":`, error.message);
+  }
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  prepareMerge,
+  refreshMergeConflicts,
+  refreshBranchMergeRequests,
+};
@@ -0,0 +1,656 @@
+/**
+ * Merge Service
+ *
+ * Element-level three-way merge of design snapshots
+ *
+ * Flow:
+ * 1. Find the common ancestor commit of both branches (parentCommitHash chains),
+ *    or the fork point when one branch was created from the other before it had commits
+ * 2. Diff source and target against the ancestor by element id
+ * 3. Apply non-overlapping changes automatically
+ * 4. Report overlapping changes as conflicts (resolved ones are applied)
+ */
+
+const Commit = require('../../models/Commit');
+const { loadCommitSnapshot } = require('../storage/snapshotLoader');
+const { readSnapshot } = require('../storage/fileStorage');
+const { isEqual, indexElements, elementContent, containerKey, getChangedProperties } = require('../../utils/snapshotDiff');
+
+// Safety limit when walking commit history (protects against broken chains)
+const MAX_HISTORY_DEPTH = 5000;
+
+// Conflict resolution strategies ("ours" = target branch, "theirs" = source branch)
+const RESOLUTION_STRATEGIES = ['ours', 'theirs', 'custom'];
+
+/**
+ * Get the parent hashes of a commit (merge commits have two parents)
+ * @param {Object} commit - Commit document
+ * @returns {Array<String>} Parent commit hashes
+ */
+const getParentHashes = (commit) => {
+  return [commit.parentCommitHash, commit.mergeParentHash].filter(Boolean);
+};
+
+/**
+ * Collect all ancestors of a commit (including the commit itself)
+ * @param {String} projectId - Project ID
+ * @param {String} commitHash - Starting commit hash
+ * @returns {Set<String>} Ancestor commit hashes
+ */
+const collectAncestors = async (projectId, commitHash) => {
+  const ancestors = new Set();
+  const queue = commitHash ? [commitHash] : [];
+
+  while (queue.length > 0 && ancestors.size < MAX_HISTORY_DEPTH) {
+    const hash = queue.shift();
+    if (ancestors.has(hash)) {
+      continue;
+    }
+    ancestors.add(hash);
+
+    const commit = await Commit.findOne({ projectId, hash }).select('parentCommitHash mergeParentHash');
+    if (commit) {
+      queue.push(...getParentHashes(commit));
+    }
+  }
+
+  return ancestors;
+};
+
+/**
+ * Find the nearest common ancestor of two commits
+ * @param {String} projectId - Project ID
+ * @param {String} sourceHash - Source branch head commit hash
+ * @param {String} targetHash - Target branch head commit hash
+ * @returns {Object|null} Common ancestor commit or null if histories are unrelated
+ */
+const findMergeBase = async (projectId, sourceHash, targetHash) => {
+  if (!sourceHash || !targetHash) {
+    return null;
+  }
+
+  const sourceAncestors = await collectAncestors(projectId, sourceHash);
+
+  // Breadth-first walk from the target so the nearest shared commit wins
+  const visited = new Set();
+  const queue = [targetHash];
+
+  while (queue.length > 0 && visited.size < MAX_HISTORY_DEPTH) {
+    const hash = queue.shift();
+    if (visited.has(hash)) {
+      continue;
+    }
+    visited.add(hash);
+
+    const commit = await Commit.findOne({ projectId, hash });
+    if (!commit) {
+      continue;
+    }
+    if (sourceAncestors.has(hash)) {
+      return commit;
+    }
+    queue.push(...getParentHashes(commit));
+  }
+
+  return null;
+};
+
+/**
+ * Find the merge base of two branches
+ * Falls back to the fork point when the histories are unrelated, e.g. a branch created
+ * from one that had no commits yet (its copied snapshot is kept as createdFrom.snapshotUrl)
+ * @param {String} projectId - Project ID
+ * @param {Object} sourceBranch - Source branch document
+ * @param {Object} targetBranch - Target branch document
+ * @returns {Object} { mergeBase, forkSnapshot } - common ancestor commit, or the fork snapshot
+ *   (both null if the branches share nothing)
+ */
+const resolveMergeBase = async (projectId, sourceBranch, targetBranch) => {
+  const mergeBase = await findMergeBase(projectId, sourceBranch.lastCommit?.hash, targetBranch.lastCommit?.hash);
+  if (mergeBase) {
+    return { mergeBase, forkSnapshot: null };
+  }
+
+  // Whichever branch was created from the other holds the fork point
+  const fork = sourceBranch.createdFrom?.branchId === String(targetBranch._id)
+    ? sourceBranch.createdFrom
+    : targetBranch.createdFrom?.branchId === String(sourceBranch._id) ? targetBranch.createdFrom : null;
+
+  if (fork?.commitHash) {
+    const forkCommit = await Commit.findOne({ projectId, hash: fork.commitHash });
+    if (forkCommit) {
+      return { mergeBase: forkCommit, forkSnapshot: null };
+    }
+  }
+  if (fork?.snapshotUrl) {
+    try {
+      return { mergeBase: null, forkSnapshot: await readSnapshot(fork.snapshotUrl) };
+    } catch (error) {
+      console.warn(`⚠️ Could not load fork snapshot ${fork.snapshotUrl}:`, error.message);
+    }
+  }
+  return { mergeBase: null, forkSnapshot: null };
+};
+
+/**
+ * Find the commit that completed a merge request
+ * Merge requests merged before mergeCommitHash was recorded fall back to the newest
+ * "Merge X into Y" commit made on the target branch up to the time of the merge
+ * @param {Object} mergeRequest - Merged (or reverted) merge request
+ * @param {Object} targetBranch - Target branch document
+ * @returns {Object|null} Merge commit
+ */
+const findMergeCommit = async (mergeRequest, targetBranch) => {
+  const { projectId } = mergeRequest;
+  if (mergeRequest.mergeCommitHash) {
+    return Commit.findOne({ projectId, branchId: targetBranch._id, hash: mergeRequest.mergeCommitHash });
+  }
+  if (!mergeRequest.mergedAt) {
+    return null;
+  }
+  return Commit.findOne({
+    projectId,
+    branchId: targetBranch._id,
+    message: `Merge ${mergeRequest.sourceBranch} into ${mergeRequest.targetBranch}`,
+    timestamp: { $lte: mergeRequest.mergedAt },
+  }).sort({ timestamp: -1 });
+};
+
+/**
+ * Deep clone a JSON value
+ */
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Three-way merge of a single value
+ * @returns {Object} { value, conflict }
+ */
+const mergeValue = (baseValue, sourceValue, targetValue) => {
+  if (isEqual(sourceValue, targetValue) || isEqual(baseValue, sourceValue)) {
+    return { value: targetValue, conflict: false };
+  }
+  if (isEqual(baseValue, targetValue)) {
+    return { value: sourceValue, conflict: false };
+  }
+  return { value: targetValue, conflict: true };
+};
+
+/**
+ * Find a page/artboard pair in a snapshot, creating it from the source layout if missing
+ * @param {Object} snapshot - Snapshot being built
+ * @param {Object} sourceSnapshot - Snapshot the element comes from
+ * @param {String} pageId - Page ID
+ * @param {String} artboardId - Artboard ID
+ * @returns {Object} Artboard object
+ */
+const ensureArtboard = (snapshot, sourceSnapshot, pageId, artboardId) => {
+  snapshot.pages = snapshot.pages || [];
+  let page = snapshot.pages.find(p => p.id === pageId);
+  if (!page) {
+    const sourcePage = (sourceSnapshot.pages || []).find(p => p.id === pageId) || { id: pageId };
+    page = { ...clone(sourcePage), artboards: [] };
+    snapshot.pages.push(page);
+  }
+
+  page.artboards = page.artboards || [];
+  let artboard = page.artboards.find(a => a.id === artboardId);
+  if (!artboard) {
+    const sourcePage = (sourceSnapshot.pages || []).find(p => p.id === pageId);
+    const sourceArtboard = (sourcePage?.artboards || []).find(a => a.id === artboardId) || { id: artboardId };
+    artboard = { ...clone(sourceArtboard), elements: [] };
+    page.artboards.push(artboard);
+  }
+
+  artboard.elements = artboard.elements || [];
+  return artboard;
+};
+
+/**
+ * Find an element anywhere in a snapshot, inside groups too
+ * @param {Object} snapshot - Snapshot
+ * @param {String} elementId - Element ID
+ * @returns {Object|null} { container, position } - the element is container[position]
+ */
+const findElement = (snapshot, elementId) => {
+  const containers = [];
+  for (const page of snapshot.pages || []) {
+    for (const artboard of page.artboards || []) {
+      containers.push(artboard.elements || []);
+    }
+  }
+
+  while (containers.length > 0) {
+    const container = containers.shift();
+    for (let position = 0; position < container.length; position++) {
+      const element = container[position];
+      if (String(element?.id) === elementId) {
+        return { container, position };
+      }
+      if (Array.isArray(element?.children)) {
+        containers.push(element.children);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Remove an element (with its children) from wherever it lives in a snapshot
+ * @returns {Object|null} Removed element
+ */
+const removeElement = (snapshot, elementId) => {
+  const found = findElement(snapshot, elementId);
+  return found ? found.container.splice(found.position, 1)[0] : null;
+};
+
+/**
+ * An element with the given children (undefined leaves it without children)
+ */
+const withChildren = (element, children) => {
+  const result = elementContent(element);
+  return children === undefined ? result : { ...result, children };
+};
+
+/**
+ * Replace an element in place
+ * @param {Object} snapshot - Snapshot being built
+ * @param {String} elementId - Element ID
+ * @param {Object} element - Replacement
+ * @param {Object} options - { keepChildren }: only replace the element's own properties and keep
+ *   the children already in the snapshot (they are merged element by element)
+ */
+const replaceElement = (snapshot, elementId, element, { keepChildren = false } = {}) => {
+  const found = findElement(snapshot, elementId);
+  if (found) {
+    const current = found.container[found.position];
+    found.container[found.position] = keepChildren ? withChildren(element, current.children) : element;
+  }
+};
+
+/**
+ * Find the element list an index entry belongs to (artboard elements or a group's children)
+ * @param {Object} snapshot - Snapshot
+ * @param {Object} entry - Index entry { pageId, artboardId, parentId }
+ * @returns {Array|null} Element list, or null if the page, artboard or group does not exist
+ */
+const findContainer = (snapshot, entry) => {
+  if (entry.parentId) {
+    const found = findElement(snapshot, entry.parentId);
+    if (!found) {
+      return null;
+    }
+    const parent = found.container[found.position];
+    parent.children = parent.children || [];
+    return parent.children;
+  }
+  const page = (snapshot.pages || []).find(p => p.id === entry.pageId);
+  const artboard = (page?.artboards || []).find(a => a.id === entry.artboardId);
+  return artboard ? (artboard.elements = artboard.elements || []) : null;
+};
+
+/**
+ * Insert an element next to its previous sibling from the source snapshot
+ * A missing enclosing group falls back to the artboard (created from the source layout if missing)
+ * @param {Object} snapshot - Snapshot being built
+ * @param {Object} sourceSnapshot - Snapshot the element comes from
+ * @param {Object} entry - Source index entry { element, pageId, artboardId, parentId, index }
+ * @param {Object} element - Element to insert (default: the source element)
+ */
+const insertElement = (snapshot, sourceSnapshot, entry, element = entry.element) => {
+  const container = findContainer(snapshot, entry)
+    || ensureArtboard(snapshot, sourceSnapshot, entry.pageId, entry.artboardId).elements;
+  const siblings = findContainer(sourceSnapshot, entry) || [];
+
+  // Keep z-order: place the element right after the nearest sibling that also exists in the result
+  let position = 0;
+  for (let i = entry.index - 1; i >= 0; i--) {
+    const siblingId = String(siblings[i]?.id);
+    const siblingPosition = container.findIndex(e => String(e?.id) === siblingId);
+    if (siblingPosition !== -1) {
+      position = siblingPosition + 1;
+      break;
+    }
+  }
+
+  container.splice(position, 0, clone(element));
+};
+
+/**
+ * Ids of an element's descendants
+ * @param {Object} element - Element
+ * @returns {Array<String>} Descendant ids
+ */
+const descendantIds = (element) => {
+  const ids = [];
+  const stack = [...(element?.children || [])];
+  while (stack.length > 0) {
+    const child = stack.pop();
+    if (child?.id !== undefined && child?.id !== null) {
+      ids.push(String(child.id));
+    }
+    stack.push(...(Array.isArray(child?.children) ? child.children : []));
+  }
+  return ids;
+};
+
+/**
+ * Merge page and artboard level properties (name, size) that changed on one side only
+ */
+const mergeContainers = (merged, base, source) => {
+  const containerKeys = ['name', 'width', 'height'];
+
+  for (const sourcePage of source.pages || []) {
+    const basePage = (base.pages || []).find(p => p.id === sourcePage.id);
+    const mergedPage = (merged.pages || []).find(p => p.id === sourcePage.id);
+    if (!mergedPage) {
+      continue;
+    }
+
+    for (const key of containerKeys) {
+      const { value, conflict } = mergeValue(basePage?.[key], sourcePage[key], mergedPage[key]);
+      if (!conflict && value !== undefined) {
+        mergedPage[key] = value;
+      }
+    }
+
+    for (const sourceArtboard of sourcePage.artboards || []) {
+      const baseArtboard = (basePage?.artboards || []).find(a => a.id === sourceArtboard.id);
+      const mergedArtboard = (mergedPage.artboards || []).find(a => a.id === sourceArtboard.id);
+      if (!mergedArtboard) {
+        continue;
+      }
+      for (const key of containerKeys) {
+        const { value, conflict } = mergeValue(baseArtboard?.[key], sourceArtboard[key], mergedArtboard[key]);
+        if (!conflict && value !== undefined) {
+          mergedArtboard[key] = value;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Build a conflict record for the merge request
+ * Values are whole elements (children included), or only the element's own properties
+ * for both_modified conflicts, where the children are merged one by one
+ */
+const buildConflict = (conflictType, elementId, baseEntry, sourceEntry, targetEntry, properties = []) => {
+  const location = targetEntry || sourceEntry || baseEntry;
+  const element = location.element;
+  const value = entry => {
+    if (!entry) {
+      return null;
+    }
+    return clone(conflictType === 'both_modified' ? elementContent(entry.element) : entry.element);
+  };
+  return {
+    filePath: `pages/${location.pageId}/artboards/${location.artboardId}/elements/${[...location.ancestors, elementId].join('/')}`,
+    conflictType,
+    elementId,
+    elementType: element?.type || null,
+    pageId: location.pageId,
+    artboardId: location.artboardId,
+    properties,
+    baseValue: value(baseEntry),
+    sourceValue: value(sourceEntry),
+    targetValue: value(targetEntry),
+  };
+};
+
+/**
+ * Check a submitted resolution against the conflict it resolves
+ * Strategies: "ours" keeps the target version, "theirs" takes the source version,
+ * "custom" picks ours/theirs per conflicting property or supplies a replacement element
+ * (for both_modified the value replaces the element's own properties; its children are kept)
+ * @param {Object} conflict - Conflict record
+ * @param {Object} resolution - { strategy, properties, value }
+ * @returns {String|null} Error message or null if the resolution is valid
+ */
+const validateResolution = (conflict, resolution) => {
+  const { strategy, properties, value } = resolution || {};
+
+  if (!RESOLUTION_STRATEGIES.includes(strategy)) {
+    return `Invalid strategy for element ${conflict.elementId}. Use one of: ${RESOLUTION_STRATEGIES.join(', ')}`;
+  }
+  if (strategy !== 'custom') {
+    return null;
+  }
+
+  if (properties && Object.keys(properties).length > 0) {
+    if (conflict.conflictType !== 'both_modified') {
+      return `Per-property resolution is only available for both_modified conflicts (element ${conflict.elementId})`;
+    }
+    const missing = conflict.properties.filter(property => !['ours', 'theirs'].includes(properties[property]));
+    if (missing.length > 0) {
+      return `Choose "ours" or "theirs" for properties: ${missing.join(', ')} (element ${conflict.elementId})`;
+    }
+    return null;
+  }
+
+  if (value === undefined) {
+    return `Custom resolution for element ${conflict.elementId} needs either properties or a value`;
+  }
+  if (value !== null && (typeof value !== 'object' || Array.isArray(value) || String(value.id) !== conflict.elementId)) {
+    return `Custom value for element ${conflict.elementId} must be an element with the same id (or null to delete it)`;
+  }
+  return null;
+};
+
+/**
+ * Produce the element chosen by a resolution (null means the element is removed)
+ * @param {Object} conflict - Conflict record
+ * @param {Object} resolution - Validated resolution
+ * @param {Object|null} autoMerged - Element with the non-conflicting properties already merged
+ * @returns {Object|null} Resolved element
+ */
+const applyResolution = (conflict, resolution, autoMerged) => {
+  if (resolution.strategy === 'ours') {
+    return clone(conflict.targetValue);
+  }
+  if (resolution.strategy === 'theirs') {
+    return clone(conflict.sourceValue);
+  }
+
+  const { properties } = resolution;
+  if (properties && Object.keys(properties).length > 0) {
+    const element = clone(autoMerged || conflict.targetValue);
+    for (const property of conflict.properties) {
+      const side = properties[property] === 'theirs' ? conflict.sourceValue : conflict.targetValue;
+      if (side[property] === undefined) {
+        delete element[property];
+      } else {
+        element[property] = clone(side[property]);
+      }
+    }
+    return element;
+  }
+
+  return clone(resolution.value);
+};
+
+/**
+ * Find a still-valid resolution from a previous merge attempt
+ * A resolution is dropped when either side changed the element since it was chosen
+ * @param {Array} previousConflicts - Conflicts stored on the merge request
+ * @param {Object} conflict - Freshly detected conflict
+ * @returns {Object|null} Resolution or null
+ */
+const findResolution = (previousConflicts, conflict) => {
+  const previous = (previousConflicts || []).find(c =>
+    c.elementId === conflict.elementId &&
+    c.conflictType === conflict.conflictType &&
+    c.resolution?.strategy &&
+    isEqual(c.sourceValue ?? null, conflict.sourceValue) &&
+    isEqual(c.targetValue ?? null, conflict.targetValue)
+  );
+  return previous ? previous.resolution : null;
+};
+
+/**
+ * Three-way merge of design snapshots
+ * The target snapshot is the starting point; source changes since the base are applied on top
+ * Grouped elements are merged one by one, so edits to different children of a group do not conflict.
+ * An element moved to another artboard or group by the source only is moved; when both sides
+ * moved it, the target placement is kept
+ * Conflicts that already have a (still valid) resolution are applied and returned with it
+ * @param {Object} base - Common ancestor or fork snapshot (empty document if the branches share nothing)
+ * @param {Object} source - Source branch snapshot
+ * @param {Object} target - Target branch snapshot
+ * @param {Array} previousConflicts - Conflicts (with resolutions) from earlier merge attempts
+ * @returns {Object} { snapshot, conflicts, stats: { added, removed, modified } }
+ */
+const mergeSnapshots = (base, source, target, previousConflicts = []) => {
+  const merged = clone(target) || { pages: [] };
+  merged.pages = merged.pages || [];
+
+  const baseIndex = indexElements(base);
+  const sourceIndex = indexElements(source);
+  const targetIndex = indexElements(target);
+
+  const conflicts = [];
+  const stats = { added: 0, removed: 0, modified: 0 };
+
+  mergeContainers(merged, base, source);
+
+  // Elements settled together with their children (deleted, added or in conflict as a whole)
+  const covered = new Set();
+  const isCovered = elementId => [baseIndex, sourceIndex, targetIndex].some(index =>
+    (index.get(elementId)?.ancestors || []).some(ancestorId => covered.has(ancestorId)));
+
+  // Record a conflict and apply its resolution if one was already chosen
+  const addConflict = (conflict, sourceEntry, autoMerged = null) => {
+    const resolution = findResolution(previousConflicts, conflict);
+    if (resolution) {
+      conflict.resolution = resolution;
+      const element = applyResolution(conflict, resolution, autoMerged);
+      if (!element) {
+        removeElement(merged, conflict.elementId);
+      } else if (conflict.conflictType === 'both_modified') {
+        replaceElement(merged, conflict.elementId, element, { keepChildren: true });
+      } else {
+        // A whole subtree: drop its children from wherever they ended up first
+        descendantIds(element).forEach(childId => removeElement(merged, childId));
+        if (findElement(merged, conflict.elementId)) {
+          replaceElement(merged, conflict.elementId, element);
+        } else {
+          insertElement(merged, source, sourceEntry, element);
+        }
+      }
+    }
+    conflicts.push(conflict);
+  };
+
+  const elementIds = new Set([...sourceIndex.keys(), ...baseIndex.keys(), ...targetIndex.keys()]);
+
+  for (const elementId of elementIds) {
+    if (isCovered(elementId)) {
+      continue;
+    }
+
+    const baseEntry = baseIndex.get(elementId);
+    const sourceEntry = sourceIndex.get(elementId);
+    const targetEntry = targetIndex.get(elementId);
+
+    // Added on one or both sides
+    if (!baseEntry) {
+      if (sourceEntry && !targetEntry) {
+        // Children are added one by one after their group
+        const element = sourceEntry.element.children ? withChildren(sourceEntry.element, []) : sourceEntry.element;
+        insertElement(merged, source, sourceEntry, element);
+        stats.added++;
+      } else if (sourceEntry && targetEntry) {
+        if (!isEqual(sourceEntry.element, targetEntry.element)) {
+          addConflict(buildConflict('duplicate_id', elementId, null, sourceEntry, targetEntry), sourceEntry);
+        }
+        covered.add(elementId);
+      }
+      continue;
+    }
+
+    // Deleted on one or both sides: the kept side changed the element if its subtree or place differs
+    if (!sourceEntry || !targetEntry) {
+      const keptEntry = sourceEntry || targetEntry;
+      const keptChanged = keptEntry && (
+        !isEqual(baseEntry.element, keptEntry.element) || containerKey(baseEntry) !== containerKey(keptEntry)
+      );
+      if (keptChanged) {
+        addConflict(buildConflict('deleted_modified', elementId, baseEntry, sourceEntry, targetEntry), sourceEntry);
+      } else if (targetEntry) {
+        removeElement(merged, elementId);
+        stats.removed++;
+      }
+      covered.add(elementId);
+      continue;
+    }
+
+    // Present everywhere: only the source side's edits need applying
+    const baseContent = elementContent(baseEntry.element);
+    const sourceContent = elementContent(sourceEntry.element);
+    const targetContent = elementContent(targetEntry.element);
+    const sourceChanged = !isEqual(baseContent, sourceContent);
+    const targetChanged = !isEqual(baseContent, targetContent);
+    const sourceMoved = containerKey(baseEntry) !== containerKey(sourceEntry);
+    const targetMoved = containerKey(baseEntry) !== containerKey(targetEntry);
+
+    let applied = false;
+    if (sourceChanged && !targetChanged) {
+      replaceElement(merged, elementId, clone(sourceContent), { keepChildren: true });
+      applied = true;
+    } else if (sourceChanged && !isEqual(sourceContent, targetContent)) {
+      // Both sides edited the element: merge property by property
+      const element = clone(targetContent);
+      const conflictingProperties = [];
+      const changedProperties = new Set([
+        ...getChangedProperties(baseContent, sourceContent),
+        ...getChangedProperties(baseContent, targetContent),
+      ]);
+
+      for (const property of changedProperties) {
+        const { value, conflict } = mergeValue(baseContent[property], sourceContent[property], targetContent[property]);
+        if (conflict) {
+          conflictingProperties.push(property);
+        } else if (value === undefined) {
+          delete element[property];
+        } else {
+          element[property] = clone(value);
+        }
+      }
+
+      if (conflictingProperties.length > 0) {
+        addConflict(
+          buildConflict('both_modified', elementId, baseEntry, sourceEntry, targetEntry, conflictingProperties),
+          sourceEntry,
+          element
+        );
+      } else {
+        replaceElement(merged, elementId, element, { keepChildren: true });
+        applied = true;
+      }
+    }
+
+    if (sourceMoved && !targetMoved) {
+      const element = removeElement(merged, elementId);
+      if (element) {
+        insertElement(merged, source, sourceEntry, element);
+        applied = true;
+      }
+    }
+
+    if (applied) {
+      stats.modified++;
+    }
+  }
+
+  merged.timestamp = new Date().toISOString();
+
+  return { snapshot: merged, conflicts, stats };
+};
+
+module.exports = {
+  RESOLUTION_STRATEGIES,
+  findMergeBase,
+  resolveMergeBase,
+  findMergeCommit,
+  mergeSnapshots,
+  validateResolution,
+};
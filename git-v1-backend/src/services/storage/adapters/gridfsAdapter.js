@@ -0,0 +1,139 @@
+/**
+ * GridFS Storage Adapter
+ *
+ * Stores files in a MongoDB GridFS bucket (one bucket per namespace)
+ * Persistent across deployments on Render without extra infrastructure
+ */
+
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const { GridFSBucket } = require('mongodb');
+
+/**
+ * Create a GridFS adapter
+ * @param {String} bucketName - GridFS bucket name (storage namespace)
+ * @returns {Object} Storage adapter
+ */
+const createGridFSAdapter = (bucketName) => {
+  const getBucket = () => {
+    const db = mongoose.connection.db;
+    if (!db) {
+      throw new Error('Database connection not available');
+    }
+    return new GridFSBucket(db, { bucketName });
+  };
+
+  const toEntry = (file) => ({
+    key: file.filename,
+    size: file.length,
+    contentType: file.contentType || 'application/octet-stream',
+    metadata: file.metadata || {},
+    lastModified: file.uploadDate,
+  });
+
+  const findLatest = async (key) => {
+    const files = await getBucket().find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+    return files[0] || null;
+  };
+
+  // GridFS keeps every revision; drop the older ones once the new one is complete
+  const deleteOlderRevisions = async (key, currentId) => {
+    const bucket = getBucket();
+    const previous = await bucket.find({ filename: key, _id: { $ne: currentId } }).toArray();
+    for (const file of previous) {
+      await bucket.delete(file._id);
+    }
+  };
+
+  return {
+    driver: 'gridfs',
+
+    async put(key, data, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+      const bucket = getBucket();
+      const uploadStream = bucket.openUploadStream(key, { contentType, metadata });
+
+      await new Promise((resolve, reject) => {
+        uploadStream.on('error', reject);
+        uploadStream.on('finish', resolve);
+        uploadStream.end(data);
+      });
+
+      await deleteOlderRevisions(key, uploadStream.id);
+    },
+
+    async putStream(key, stream, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+      const uploadStream = getBucket().openUploadStream(key, { contentType, metadata });
+      try {
+        await pipeline(stream, uploadStream);
+      } catch (error) {
+        await uploadStream.abort().catch(() => {});
+        throw error;
+      }
+
+      await deleteOlderRevisions(key, uploadStream.id);
+    },
+
+    async get(key) {
+      const file = await findLatest(key);
+      if (!file) {
+        throw new Error('File not found');
+      }
+
+      const data = await new Promise((resolve, reject) => {
+        const chunks = [];
+        const downloadStream = getBucket().openDownloadStream(file._id);
+        downloadStream.on('data', chunk => chunks.push(chunk));
+        downloadStream.on('error', (error) => {
+          reject(error.code === 'ENOENT' || error.message.includes('FileNotFound') ? new Error('File not found') : error);
+        });
+        downloadStream.on('end', () => resolve(Buffer.concat(chunks)));
+      });
+
+      return { ...toEntry(file), data };
+    },
+
+    async getStream(key) {
+      const file = await findLatest(key);
+      if (!file) {
+        throw new Error('File not found');
+      }
+
+      // Chunks are read from the bucket as the consumer pulls them
+      return { ...toEntry(file), stream: getBucket().openDownloadStream(file._id) };
+    },
+
+    async head(key) {
+      const file = await findLatest(key);
+      return file ? toEntry(file) : null;
+    },
+
+    async delete(key) {
+      const bucket = getBucket();
+      const files = await bucket.find({ filename: key }).toArray();
+      for (const file of files) {
+        await bucket.delete(file._id);
+      }
+    },
+
+    async list(prefix = '') {
+      const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const files = await getBucket()
+        .find({ filename: { $regex: `^${escaped}` } })
+        .sort({ uploadDate: -1 })
+        .toArray();
+
+      // Latest revision per key
+      const entries = new Map();
+      for (const file of files) {
+        if (!entries.has(file.filename)) {
+          entries.set(file.filename, toEntry(file));
+        }
+      }
+      return [...entries.values()];
+    },
+  };
+};
+
+module.exports = {
+  createGridFSAdapter,
+};
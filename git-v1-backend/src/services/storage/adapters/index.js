@@ -0,0 +1,64 @@
+/**
+ * Storage Adapters
+ *
+ * Every adapter stores opaque files by key within a namespace ('snapshots', 'objects')
+ * and implements the same interface:
+ *   put(key, data, { contentType, metadata })  - create or replace
+ *   putStream(key, stream, { contentType, metadata })  - same, from a readable stream
+ *   get(key)     -> { key, size, contentType, metadata, lastModified, data } (throws 'File not found')
+ *   getStream(key) -> { key, size, contentType, metadata, lastModified, stream } (same, data as a Readable)
+ *   head(key)    -> { key, size, contentType, metadata, lastModified } | null
+ *   delete(key)  - no-op if missing
+ *   list(prefix, { metadata }) -> [{ key, size, contentType, metadata, lastModified }]
+ *                (metadata: false lets adapters that pay a request per file for it (s3)
+ *                 skip it; contentType and metadata are then null)
+ *
+ * The driver is selected with STORAGE_DRIVER: gridfs (default), local, s3
+ */
+
+const config = require('../../../config/config');
+const { createGridFSAdapter } = require('./gridfsAdapter');
+const { createLocalAdapter } = require('./localAdapter');
+const { createS3Adapter } = require('./s3Adapter');
+
+const STORAGE_DRIVERS = ['gridfs', 'local', 's3'];
+
+// Adapters for the configured driver, by namespace
+const adapters = new Map();
+
+/**
+ * Create an adapter for a driver and namespace
+ * @param {String} driver - 'gridfs', 'local' or 's3'
+ * @param {String} namespace - Storage namespace
+ * @returns {Object} Storage adapter
+ */
+const createStorageAdapter = (driver, namespace) => {
+  switch (driver) {
+    case 'gridfs':
+      return createGridFSAdapter(namespace);
+    case 'local':
+      return createLocalAdapter(config.storage.path, namespace);
+    case 's3':
+      return createS3Adapter(config.storage.s3, namespace);
+    default:
+      throw new Error(`Unknown storage driver "${driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+};
+
+/**
+ * Get the adapter for a namespace using the configured driver
+ * @param {String} namespace - Storage namespace
+ * @returns {Object} Storage adapter
+ */
+const getStorageAdapter = (namespace) => {
+  if (!adapters.has(namespace)) {
+    adapters.set(namespace, createStorageAdapter(config.storage.driver, namespace));
+  }
+  return adapters.get(namespace);
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorageAdapter,
+  getStorageAdapter,
+};
@@ -0,0 +1,268 @@
+/**
+ * Local Filesystem Storage Adapter
+ *
+ * Stores files under {config.storage.path}/{namespace}/{key}
+ * Content type and metadata live in a sidecar "{key}.meta.json" file, written after the data
+ * and stamped with the version (size and mtime) of the data it describes; readers that catch
+ * a write between the two renames wait for the matching sidecar
+ * Suitable for development and single-instance deployments with a persistent disk
+ */
+
+const fs = require('fs/promises');
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const META_SUFFIX = '.meta.json';
+const TEMP_SUFFIX = '.tmp';
+
+// How often and how long a reader waits for the sidecar of a file being written
+const META_RETRIES = 5;
+const META_RETRY_DELAY_MS = 20;
+
+/**
+ * Temp path next to a destination file
+ * @param {String} filePath - Destination path
+ * @returns {String} Temp path
+ */
+const tempPathFor = filePath => `${filePath}.${crypto.randomBytes(6).toString('hex')}${TEMP_SUFFIX}`;
+
+/**
+ * Version of a file's data, recorded in its sidecar
+ * @param {Object} stats - fs.Stats
+ * @returns {String} Version
+ */
+const dataVersion = stats => `${stats.size}:${stats.mtimeMs}`;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Recursively list files in a directory
+ * @param {String} dir - Directory path
+ * @returns {Array<String>} Absolute file paths
+ */
+const walk = async (dir) => {
+  let dirents;
+  try {
+    dirents = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const dirent of dirents) {
+    const fullPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      files.push(...await walk(fullPath));
+    } else {
+      files.push(fullPath);
+    }
+  }
+  return files;
+};
+
+/**
+ * Create a local filesystem adapter
+ * @param {String} rootDir - Storage root directory
+ * @param {String} namespace - Subdirectory for this namespace
+ * @returns {Object} Storage adapter
+ */
+const createLocalAdapter = (rootDir, namespace) => {
+  const baseDir = path.resolve(rootDir, namespace);
+
+  const resolvePath = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const readMeta = async (filePath) => {
+    try {
+      return JSON.parse(await fs.readFile(`${filePath}${META_SUFFIX}`, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  };
+
+  const statFile = async (filePath) => {
+    try {
+      return await fs.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Sidecar describing the current data (sidecars written before versioning are trusted)
+  const readMatchingMeta = async (key, filePath, stats) => {
+    for (let attempt = 0; ; attempt++) {
+      const meta = await readMeta(filePath);
+      if (!meta.version || meta.version === dataVersion(stats)) {
+        return meta;
+      }
+      if (attempt >= META_RETRIES) {
+        throw new Error(`Metadata of ${key} does not match its data`);
+      }
+      await delay(META_RETRY_DELAY_MS);
+    }
+  };
+
+  const toEntry = async (key, filePath) => {
+    const stats = await statFile(filePath);
+    if (!stats) {
+      return null;
+    }
+    const meta = await readMatchingMeta(key, filePath, stats);
+    return {
+      key,
+      size: stats.size,
+      contentType: meta.contentType || 'application/octet-stream',
+      metadata: meta.metadata || {},
+      lastModified: stats.mtime,
+      version: dataVersion(stats),
+    };
+  };
+
+  // Data first, then its sidecar: temp files are renamed into place one after the other
+  const commitWrite = async (filePath, tempPath, { contentType, metadata }) => {
+    const metaPath = `${filePath}${META_SUFFIX}`;
+    const metaTempPath = tempPathFor(metaPath);
+    try {
+      const version = dataVersion(await fs.stat(tempPath));
+      await fs.writeFile(metaTempPath, JSON.stringify({ contentType, metadata, version }));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      await fs.rm(metaTempPath, { force: true });
+      throw error;
+    }
+
+    try {
+      await fs.rename(metaTempPath, metaPath);
+    } catch (error) {
+      // Never leave new data paired with the old sidecar
+      await fs.rm(filePath, { force: true });
+      await fs.rm(metaTempPath, { force: true });
+      throw error;
+    }
+  };
+
+  const withoutVersion = ({ version, ...entry }) => entry;
+
+  // Open a file together with its sidecar; the descriptor keeps reading the same data
+  // even if the file is replaced, so retry until both belong to the same write
+  const openFile = async (key) => {
+    const filePath = resolvePath(key);
+    for (let attempt = 0; attempt <= META_RETRIES; attempt++) {
+      const entry = await toEntry(key, filePath);
+      if (!entry) {
+        throw new Error('File not found');
+      }
+      let handle;
+      try {
+        handle = await fs.open(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+      if (dataVersion(await handle.stat()) === entry.version) {
+        return { entry: withoutVersion(entry), handle };
+      }
+      await handle.close();
+    }
+    throw new Error(`${key} changed while being read`);
+  };
+
+  return {
+    driver: 'local',
+
+    async put(key, data, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+      const filePath = resolvePath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      const tempPath = tempPathFor(filePath);
+      try {
+        await fs.writeFile(tempPath, data);
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+      await commitWrite(filePath, tempPath, { contentType, metadata });
+    },
+
+    async putStream(key, stream, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+      const filePath = resolvePath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      const tempPath = tempPathFor(filePath);
+      try {
+        await pipeline(stream, createWriteStream(tempPath));
+      } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+      await commitWrite(filePath, tempPath, { contentType, metadata });
+    },
+
+    async get(key) {
+      const { entry, handle } = await openFile(key);
+      try {
+        return { ...entry, data: await handle.readFile() };
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async getStream(key) {
+      const { entry, handle } = await openFile(key);
+      return { ...entry, stream: handle.createReadStream() };
+    },
+
+    async head(key) {
+      const entry = await toEntry(key, resolvePath(key));
+      return entry && withoutVersion(entry);
+    },
+
+    async delete(key) {
+      const filePath = resolvePath(key);
+      await fs.rm(filePath, { force: true });
+      await fs.rm(`${filePath}${META_SUFFIX}`, { force: true });
+    },
+
+    async list(prefix = '') {
+      const entries = [];
+      for (const filePath of await walk(baseDir)) {
+        if (filePath.endsWith(META_SUFFIX) || filePath.endsWith(TEMP_SUFFIX)) {
+          continue;
+        }
+        const key = path.relative(baseDir, filePath).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) {
+          continue;
+        }
+        try {
+          const entry = await toEntry(key, filePath);
+          if (entry) {
+            entries.push(withoutVersion(entry));
+          }
+        } catch (error) {
+          console.warn(`⚠️ Skipping ${key}:`, error.message);
+        }
+      }
+      return entries;
+    },
+  };
+};
+
+module.exports = {
+  createLocalAdapter,
+};
@@ -0,0 +1,416 @@
+/**
+ * S3-Compatible Storage Adapter
+ *
+ * Stores files as objects under {bucket}/{namespace}/{key} in AWS S3 or any
+ * S3-compatible service (MinIO, Cloudflare R2, ...)
+ * Requests are signed with AWS Signature V4 using the built-in fetch and crypto,
+ * so no SDK dependency is needed; XML responses are read with fast-xml-parser
+ * Metadata lives in a sidecar "{key}.meta.json" object (S3 user metadata is limited to 2KB),
+ * written after the data and stamped with the data's ETag; readers that catch a write
+ * between the two requests wait for the matching sidecar
+ * Streams are uploaded with multipart uploads, one part in memory at a time
+ * Listings take sizes and dates from ListObjectsV2 itself and only fetch the sidecars,
+ * a few at a time (or none, when the caller does not need metadata)
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { XMLParser } = require('fast-xml-parser');
+
+const META_SUFFIX = '.meta.json';
+
+// How often and how long a reader waits for the sidecar of an object being written
+const META_RETRIES = 5;
+const META_RETRY_DELAY_MS = 100;
+
+// Part size for streamed uploads (S3 requires at least 5MB for every part but the last)
+const MULTIPART_PART_SIZE = 8 * 1024 * 1024;
+
+// Sidecars fetched in parallel when listing
+const LIST_METADATA_CONCURRENCY = 8;
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256Hex = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ETags compared without their quotes
+const sameEtag = (a, b) => String(a).replace(/"/g, '') === String(b).replace(/"/g, '');
+
+/**
+ * RFC 3986 encoding required by Signature V4
+ * @param {String} value - Value to encode
+ * @returns {String} Encoded value
+ */
+const encodeRfc3986 = value =>
+  encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Values stay strings (keys like "0123" must not become numbers); Contents is always a list
+const xmlParser = new XMLParser({
+  parseTagValue: false,
+  isArray: (name, jpath) => jpath === 'ListBucketResult.Contents',
+});
+
+/**
+ * Parse an S3 XML response
+ * @param {String} text - Response body
+ * @returns {Object} Parsed document ({} if empty)
+ */
+const parseXml = text => (text ? xmlParser.parse(text) : {});
+
+/**
+ * Sign a request with AWS Signature V4
+ * @param {Object} request - { method, url: URL, headers, payloadHash }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} now - Signing time
+ * @returns {Object} Headers including Authorization
+ */
+const signRequest = ({ method, url, headers, payloadHash }, { accessKeyId, secretAccessKey, region }, now = new Date()) => {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.substring(0, 8);
+
+  const signedHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const headerNames = Object.keys(signedHeaders).sort();
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a.localeCompare(b)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`,
+  };
+};
+
+/**
+ * Create an S3-compatible adapter
+ * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }
+ * @param {String} namespace - Key prefix for this namespace
+ * @returns {Object} Storage adapter
+ */
+const createS3Adapter = (options, namespace) => {
+  const { region, bucket, accessKeyId, secretAccessKey, forcePathStyle } = options;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const endpoint = new URL(options.endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const objectUrl = (objectKey = '') => {
+    const encodedKey = objectKey.split('/').map(encodeRfc3986).join('/');
+    if (forcePathStyle) {
+      return new URL(`${endpoint.origin}/${bucket}/${encodedKey}`);
+    }
+    return new URL(`${endpoint.protocol}//${bucket}.${endpoint.host}/${encodedKey}`);
+  };
+
+  const toObjectKey = key => `${namespace}/${key}`;
+
+  const send = async (method, url, { body = null, headers = {} } = {}) => {
+    const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+    const signedHeaders = signRequest(
+      { method, url, headers, payloadHash },
+      { accessKeyId, secretAccessKey, region }
+    );
+    delete signedHeaders.host; // Set by fetch
+
+    return fetch(url, { method, headers: signedHeaders, body });
+  };
+
+  const readMeta = async (objectKey) => {
+    const response = await send('GET', objectUrl(`${objectKey}${META_SUFFIX}`));
+    if (!response.ok) {
+      return {};
+    }
+    return response.json().catch(() => ({}));
+  };
+
+  // Sidecar describing the object's current data (sidecars written before versioning are trusted)
+  const readMatchingMeta = async (objectKey, etag) => {
+    for (let attempt = 0; ; attempt++) {
+      const meta = await readMeta(objectKey);
+      if (!meta.version || !etag || sameEtag(meta.version, etag)) {
+        return meta;
+      }
+      if (attempt >= META_RETRIES) {
+        throw new Error(`Metadata of ${objectKey} does not match its data`);
+      }
+      await delay(META_RETRY_DELAY_MS);
+    }
+  };
+
+  const headObject = async (key) => {
+    const objectKey = toObjectKey(key);
+    const response = await send('HEAD', objectUrl(objectKey));
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`S3 HEAD ${objectKey} failed: ${response.status}`);
+    }
+    const meta = await readMatchingMeta(objectKey, response.headers.get('etag'));
+    return {
+      key,
+      size: parseInt(response.headers.get('content-length'), 10) || 0,
+      contentType: meta.contentType || response.headers.get('content-type') || 'application/octet-stream',
+      metadata: meta.metadata || {},
+      lastModified: new Date(response.headers.get('last-modified')),
+    };
+  };
+
+  // Sidecar after the data; if it cannot be written the new data is removed rather than
+  // left paired with the previous sidecar
+  const putMeta = async (objectKey, etag, { contentType = 'application/octet-stream', metadata = {} } = {}) => {
+    const response = await send('PUT', objectUrl(`${objectKey}${META_SUFFIX}`), {
+      body: Buffer.from(JSON.stringify({ contentType, metadata, version: etag })),
+      headers: { 'content-type': 'application/json' },
+    });
+    if (!response.ok) {
+      await send('DELETE', objectUrl(objectKey)).catch(() => {});
+      throw new Error(`S3 PUT ${objectKey}${META_SUFFIX} failed: ${response.status}`);
+    }
+  };
+
+  const putObject = async (key, data, options = {}) => {
+    const objectKey = toObjectKey(key);
+    const response = await send('PUT', objectUrl(objectKey), {
+      body: data,
+      headers: { 'content-type': options.contentType || 'application/octet-stream' },
+    });
+    if (!response.ok) {
+      throw new Error(`S3 PUT ${objectKey} failed: ${response.status}`);
+    }
+    await putMeta(objectKey, response.headers.get('etag'), options);
+  };
+
+  const multipartRequest = async (method, objectKey, params, options = {}) => {
+    const url = objectUrl(objectKey);
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+    const response = await send(method, url, options);
+    const xml = parseXml(await response.text());
+    // CompleteMultipartUpload can fail with a 200 response carrying an error document
+    if (!response.ok || xml.Error) {
+      throw new Error(`S3 multipart ${method} ${objectKey} failed: ${response.status}`);
+    }
+    return { response, xml };
+  };
+
+  // Streams larger than one part go through a multipart upload; smaller ones are a plain PUT
+  const putStreamObject = async (key, stream, options = {}) => {
+    const objectKey = toObjectKey(key);
+    const partEtags = [];
+    let uploadId = null;
+    let pending = [];
+    let pendingSize = 0;
+
+    const uploadPart = async () => {
+      const { response } = await multipartRequest('PUT', objectKey, {
+        partNumber: String(partEtags.length + 1),
+        uploadId,
+      }, { body: Buffer.concat(pending) });
+      partEtags.push(response.headers.get('etag'));
+      pending = [];
+      pendingSize = 0;
+    };
+
+    let etag;
+    try {
+      for await (const chunk of stream) {
+        const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        pending.push(bytes);
+        pendingSize += bytes.length;
+        if (pendingSize >= MULTIPART_PART_SIZE) {
+          if (!uploadId) {
+            const { xml } = await multipartRequest('POST', objectKey, { uploads: '' }, {
+              headers: { 'content-type': options.contentType || 'application/octet-stream' },
+            });
+            uploadId = xml.InitiateMultipartUploadResult.UploadId;
+          }
+          await uploadPart();
+        }
+      }
+
+      if (!uploadId) {
+        await putObject(key, Buffer.concat(pending), options);
+        return;
+      }
+      if (pendingSize > 0) {
+        await uploadPart();
+      }
+
+      const parts = partEtags
+        .map((partEtag, index) => `<Part><PartNumber>${index + 1}</PartNumber><ETag>${partEtag}</ETag></Part>`)
+        .join('');
+      const { xml } = await multipartRequest('POST', objectKey, { uploadId }, {
+        body: Buffer.from(`<CompleteMultipartUpload>${parts}</CompleteMultipartUpload>`),
+        headers: { 'content-type': 'application/xml' },
+      });
+      etag = xml.CompleteMultipartUploadResult.ETag;
+    } catch (error) {
+      if (uploadId) {
+        await multipartRequest('DELETE', objectKey, { uploadId }).catch(() => {});
+      }
+      throw error;
+    }
+
+    await putMeta(objectKey, etag, options);
+  };
+
+  return {
+    driver: 's3',
+
+    put: putObject,
+
+    putStream: putStreamObject,
+
+    async get(key) {
+      const objectKey = toObjectKey(key);
+      const response = await send('GET', objectUrl(objectKey));
+      if (response.status === 404) {
+        throw new Error('File not found');
+      }
+      if (!response.ok) {
+        throw new Error(`S3 GET ${objectKey} failed: ${response.status}`);
+      }
+      const data = Buffer.from(await response.arrayBuffer());
+      const meta = await readMatchingMeta(objectKey, response.headers.get('etag'));
+      return {
+        key,
+        size: data.length,
+        contentType: meta.contentType || response.headers.get('content-type') || 'application/octet-stream',
+        metadata: meta.metadata || {},
+        lastModified: new Date(response.headers.get('last-modified')),
+        data,
+      };
+    },
+
+    async getStream(key) {
+      const objectKey = toObjectKey(key);
+      const response = await send('GET', objectUrl(objectKey));
+      if (response.status === 404) {
+        throw new Error('File not found');
+      }
+      if (!response.ok) {
+        throw new Error(`S3 GET ${objectKey} failed: ${response.status}`);
+      }
+      let meta;
+      try {
+        meta = await readMatchingMeta(objectKey, response.headers.get('etag'));
+      } catch (error) {
+        await response.body.cancel().catch(() => {});
+        throw error;
+      }
+      return {
+        key,
+        size: parseInt(response.headers.get('content-length'), 10) || 0,
+        contentType: meta.contentType || response.headers.get('content-type') || 'application/octet-stream',
+        metadata: meta.metadata || {},
+        lastModified: new Date(response.headers.get('last-modified')),
+        stream: Readable.fromWeb(response.body),
+      };
+    },
+
+    head: headObject,
+
+    async delete(key) {
+      const objectKey = toObjectKey(key);
+      for (const target of [objectKey, `${objectKey}${META_SUFFIX}`]) {
+        const response = await send('DELETE', objectUrl(target));
+        if (!response.ok && response.status !== 404) {
+          throw new Error(`S3 DELETE ${target} failed: ${response.status}`);
+        }
+      }
+    },
+
+    async list(prefix = '', { metadata = true } = {}) {
+      const objects = [];
+      let continuationToken = null;
+
+      do {
+        const url = objectUrl();
+        url.searchParams.set('list-type', '2');
+        url.searchParams.set('prefix', toObjectKey(prefix));
+        if (continuationToken) {
+          url.searchParams.set('continuation-token', continuationToken);
+        }
+
+        const response = await send('GET', url);
+        if (!response.ok) {
+          throw new Error(`S3 LIST ${prefix} failed: ${response.status}`);
+        }
+        const result = parseXml(await response.text()).ListBucketResult || {};
+
+        for (const contents of result.Contents || []) {
+          const objectKey = String(contents.Key);
+          if (!objectKey.endsWith(META_SUFFIX)) {
+            objects.push({
+              objectKey,
+              etag: contents.ETag,
+              key: objectKey.substring(namespace.length + 1),
+              size: parseInt(contents.Size, 10) || 0,
+              lastModified: new Date(contents.LastModified),
+            });
+          }
+        }
+
+        continuationToken = result.IsTruncated === 'true' ? result.NextContinuationToken || null : null;
+      } while (continuationToken);
+
+      if (!metadata) {
+        return objects.map(({ key, size, lastModified }) => ({ key, size, contentType: null, metadata: null, lastModified }));
+      }
+
+      // Sidecars only; sizes and dates came with the listing
+      const entries = new Array(objects.length).fill(null);
+      let next = 0;
+      const readSidecars = async () => {
+        while (next < objects.length) {
+          const index = next++;
+          const { objectKey, etag, key, size, lastModified } = objects[index];
+          try {
+            const meta = await readMatchingMeta(objectKey, etag);
+            entries[index] = {
+              key,
+              size,
+              contentType: meta.contentType || 'application/octet-stream',
+              metadata: meta.metadata || {},
+              lastModified,
+            };
+          } catch (error) {
+            console.warn(`⚠️ Skipping ${key}:`, error.message);
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(LIST_METADATA_CONCURRENCY, objects.length) }, readSidecars));
+      return entries.filter(Boolean);
+    },
+  };
+};
+
+module.exports = {
+  createS3Adapter,
+  signRequest,
+};
@@ -0,0 +1,122 @@
+/**
+ * Snapshot Compression
+ *
+ * Stored JSON snapshots are compressed with SNAPSHOT_COMPRESSION (gzip or br);
+ * the encoding is recorded in the file metadata (contentEncoding) so files written
+ * with another setting, or before compression, are still read correctly.
+ * The same encodings are used on the wire (HTTP Content-Encoding), so a stored
+ * snapshot can be streamed to a client that accepts its encoding as-is
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// Supported encodings, in order of preference when negotiating with a client
+const ENCODINGS = ['br', 'gzip'];
+
+// Brotli's default quality (11) is too slow for on-the-fly responses
+const BROTLI_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } };
+
+const codecs = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+    compressStream: () => zlib.createGzip(),
+    decompressStream: () => zlib.createGunzip(),
+  },
+  br: {
+    compress: data => promisify(zlib.brotliCompress)(data, BROTLI_OPTIONS),
+    decompress: promisify(zlib.brotliDecompress),
+    compressStream: () => zlib.createBrotliCompress(BROTLI_OPTIONS),
+    decompressStream: () => zlib.createBrotliDecompress(),
+  },
+};
+
+/**
+ * Get the codec for an encoding
+ * @param {String} encoding - 'gzip' or 'br'
+ * @returns {Object} Codec
+ */
+const getCodec = (encoding) => {
+  const codec = codecs[encoding];
+  if (!codec) {
+    throw new Error(`Unknown content encoding "${encoding}" (expected one of: ${ENCODINGS.join(', ')})`);
+  }
+  return codec;
+};
+
+/**
+ * Encoding for newly stored snapshots
+ * @param {String} setting - SNAPSHOT_COMPRESSION value
+ * @returns {String|null} Encoding, or null to store uncompressed
+ */
+const resolveStorageEncoding = (setting) => {
+  const value = String(setting || 'none').toLowerCase();
+  if (value === 'none') {
+    return null;
+  }
+  getCodec(value);
+  return value;
+};
+
+/**
+ * Compress data
+ * @param {Buffer} data - Data
+ * @param {String} encoding - 'gzip' or 'br'
+ * @returns {Promise<Buffer>} Compressed data
+ */
+const compress = (data, encoding) => getCodec(encoding).compress(data);
+
+/**
+ * Decompress data (returned as-is when encoding is empty)
+ * @param {Buffer} data - Data
+ * @param {String|null} encoding - 'gzip', 'br' or null
+ * @returns {Promise<Buffer>} Decompressed data
+ */
+const decompress = async (data, encoding) => (encoding ? getCodec(encoding).decompress(data) : data);
+
+/**
+ * Transform stream that compresses with an encoding
+ * @param {String} encoding - 'gzip' or 'br'
+ * @returns {Transform}
+ */
+const createCompressStream = encoding => getCodec(encoding).compressStream();
+
+/**
+ * Transform stream that decompresses an encoding
+ * @param {String} encoding - 'gzip' or 'br'
+ * @returns {Transform}
+ */
+const createDecompressStream = encoding => getCodec(encoding).decompressStream();
+
+/**
+ * Encodings a client accepts, from its Accept-Encoding header
+ * @param {String} header - Accept-Encoding
+ * @returns {Set<String>} Accepted encodings among ENCODINGS
+ */
+const parseAcceptEncoding = (header) => {
+  const accepted = new Set();
+  for (const part of String(header || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    if (quality && parseFloat(quality.slice(2)) === 0) {
+      continue;
+    }
+    if (name === '*') {
+      ENCODINGS.forEach(encoding => accepted.add(encoding));
+    } else if (ENCODINGS.includes(name)) {
+      accepted.add(name);
+    }
+  }
+  return accepted;
+};
+
+module.exports = {
+  ENCODINGS,
+  resolveStorageEncoding,
+  compress,
+  decompress,
+  createCompressStream,
+  createDecompressStream,
+  parseAcceptEncoding,
+};
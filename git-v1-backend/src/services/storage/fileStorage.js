@@ -1,38 +1,49 @@
 /**
  * File Storage Service
  * 
- * Handles file storage for design snapshots using MongoDB GridFS
- * GridFS provides persistent file storage across deployments on Render
- * 
- * Benefits of GridFS:
- * - Persistent storage across deployments
- * - No ephemeral filesystem issues
- * - Scalable (handles large files via chunking)
- * - Integrated with existing MongoDB setup
+ * Handles file storage for design snapshots and thumbnails
+ * Files are addressed by path-like keys and stored through a pluggable adapter
+ * selected by STORAGE_DRIVER (see adapters/index.js):
+ * - gridfs (default): MongoDB GridFS, persistent across deployments on Render
+ * - local: files under STORAGE_PATH
+ * - s3: AWS S3 or any S3-compatible service (MinIO, R2, ...)
+ *
+ * JSON snapshots are packed through the content-addressed object store:
+ * embedded images and large subtrees are stored once and referenced (see objectStore.js),
+ * then compressed with SNAPSHOT_COMPRESSION (see compression.js)
  */
 
-const mongoose = require('mongoose');
-const { GridFSBucket } = require('mongodb');
-const { v4: uuidv4 } = require('uuid');
+const { Readable } = require('stream');
 const config = require('../../config/config');
+const { getStorageAdapter } = require('./adapters');
+const { packSnapshot, unpackSnapshot, createUnpackStream, retainObjects, releaseObjects, setReferenceCounts } = require('./objectStore');
+const { resolveStorageEncoding, compress, decompress } = require('./compression');
+const { assignMediaProjects } = require('./mediaStore');
+const { upgradeSnapshotData } = require('../../utils/snapshotMigrations');
+const { computeContentHash } = require('../../utils/commitHash');
+const { CURRENT_SNAPSHOT_VERSION } = require('../../utils/snapshotSchema');
+
+// Storage namespace for snapshots and thumbnails
+const NAMESPACE = 'snapshots';
 
-// GridFS bucket name for snapshots
-const BUCKET_NAME = 'snapshots';
+// Stored in place of a commit hash for a branch's fork point snapshot (see copyForkSnapshot)
+const FORK_SNAPSHOT = 'fork';
+
+// Content types by file extension
+const CONTENT_TYPES = {
+  json: 'application/json',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+};
 
 /**
- * Get GridFS bucket instance
- * @returns {GridFSBucket} GridFS bucket
+ * Get storage adapter for snapshot files
+ * @returns {Object} Storage adapter
  */
-const getBucket = () => {
-  const db = mongoose.connection.db;
-  if (!db) {
-    throw new Error('Database connection not available');
-  }
-  return new GridFSBucket(db, { bucketName: BUCKET_NAME });
-};
+const getStorage = () => getStorageAdapter(NAMESPACE);
 
 /**
- * Generate file path for GridFS
+ * Generate storage key for a branch file
  * @param {String} projectId - Project ID
  * @param {String} branchId - Branch ID
  * @param {String} commitHash - Optional commit hash
@@ -47,89 +58,112 @@ const generateFilePath = (projectId, branchId, commitHash = null, extension = 'j
 };
 
 /**
- * Save file to GridFS
- * @param {Buffer|String} fileData - File data to save
+ * Content hash of a JSON snapshot (identifies the design for ETags, export timestamp aside)
+ * @param {Buffer|Object} data - Snapshot JSON or parsed snapshot
+ * @returns {String|null} Hash, or null if the data is not JSON
+ */
+const hashContent = (data) => {
+  try {
+    return computeContentHash(data);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Weak ETag of a stored snapshot: same design content served in the same schema version
+ * @param {String} contentHash - Content hash from the file metadata
+ * @returns {String} ETag
+ */
+const snapshotEtag = contentHash => `W/"${contentHash}.${CURRENT_SNAPSHOT_VERSION}"`;
+
+/**
+ * Save file to storage
+ * @param {Buffer|String|Object} fileData - File data to save (JSON files may pass the parsed
+ *   snapshot, which is hashed and packed without serializing and re-parsing it)
  * @param {String} projectId - Project ID
  * @param {String} branchId - Branch ID
  * @param {String} commitHash - Commit hash
  * @param {String} extension - File extension (e.g., 'json', 'png')
- * @returns {String} File path (GridFS filename)
+ * @returns {String} File path (storage key)
  */
 const saveFile = async (fileData, projectId, branchId, commitHash, extension = 'json') => {
+  const storage = getStorage();
+  const filename = generateFilePath(projectId, branchId, commitHash, extension);
+  
+  // Convert string to Buffer if needed
+  const parsed = extension === 'json' && !Buffer.isBuffer(fileData) && typeof fileData === 'object';
+  let buffer = (parsed || Buffer.isBuffer(fileData)) ? fileData : Buffer.from(fileData);
+  
+  // Move images and large subtrees into the object store, then compress
+  let objectRefs = [];
+  let snapshotMetadata = {};
+  if (extension === 'json') {
+    const contentHash = hashContent(buffer);
+    let version;
+    let packed;
+    ({ data: buffer, refs: objectRefs, packed, version } = await packSnapshot(buffer));
+
+    const contentEncoding = resolveStorageEncoding(config.storage.snapshotCompression);
+    if (contentEncoding) {
+      buffer = await compress(buffer, contentEncoding);
+    }
+    snapshotMetadata = { contentHash, contentEncoding, packed, snapshotVersion: version };
+  }
+  
+  // Reference the objects before replacing the old file, so shared objects never drop to zero
+  await retainObjects(objectRefs);
+  
   try {
-    const bucket = getBucket();
-    const filename = generateFilePath(projectId, branchId, commitHash, extension);
+    const previous = await storage.head(filename);
     
-    // Convert string to Buffer if needed
-    const buffer = Buffer.isBuffer(fileData) ? fileData : Buffer.from(fileData);
+    await storage.put(filename, buffer, {
+      contentType: CONTENT_TYPES[extension] || 'application/octet-stream',
+      metadata: {
+        projectId,
+        branchId,
+        commitHash: commitHash || null,
+        extension,
+        objectRefs,
+        ...snapshotMetadata,
+        uploadedAt: new Date(),
+      },
+    });
     
-    // Delete existing file if it exists (GridFS allows multiple versions, we want one)
-    try {
-      await deleteFile(filename);
-    } catch (error) {
-      // File doesn't exist, that's okay
-    }
+    // The replaced file no longer references its objects
+    await releaseObjects(previous?.metadata?.objectRefs);
     
-    // Upload to GridFS
-    return new Promise((resolve, reject) => {
-      const uploadStream = bucket.openUploadStream(filename, {
-        contentType: extension === 'json' ? 'application/json' : 'application/octet-stream',
-        metadata: {
-          projectId,
-          branchId,
-          commitHash: commitHash || null,
-          extension,
-          uploadedAt: new Date(),
-        },
-      });
-      
-      uploadStream.on('error', (error) => {
-        console.error('Error uploading file to GridFS:', error);
-        reject(new Error('Failed to save file'));
-      });
-      
-      uploadStream.on('finish', () => {
-        resolve(filename);
-      });
-      
-      uploadStream.end(buffer);
-    });
+    return filename;
   } catch (error) {
     console.error('Error saving file:', error);
+    await releaseObjects(objectRefs).catch(() => {});
     throw new Error('Failed to save file');
   }
 };
 
 /**
- * Read file from GridFS
- * @param {String} filePath - File path (GridFS filename)
+ * Whether a stored file contains object references
+ * Files stored before the packed flag count as packed if they reference anything
+ * @param {Object} metadata - File metadata
+ * @returns {Boolean}
+ */
+const isPacked = metadata => metadata?.packed ?? (metadata?.objectRefs?.length > 0);
+
+/**
+ * Read file from storage
+ * @param {String} filePath - File path (storage key)
  * @returns {Buffer} File data
  */
 const readFile = async (filePath) => {
   try {
-    const bucket = getBucket();
+    const { data, metadata } = await getStorage().get(filePath);
+    const content = await decompress(data, metadata?.contentEncoding);
     
-    return new Promise((resolve, reject) => {
-      const chunks = [];
-      const downloadStream = bucket.openDownloadStreamByName(filePath);
-      
-      downloadStream.on('data', (chunk) => {
-        chunks.push(chunk);
-      });
-      
-      downloadStream.on('error', (error) => {
-        if (error.code === 'ENOENT' || error.message.includes('FileNotFound')) {
-          reject(new Error('File not found'));
-        } else {
-          console.error('Error reading file from GridFS:', error);
-          reject(new Error('Failed to read file'));
-        }
-      });
-      
-      downloadStream.on('end', () => {
-        resolve(Buffer.concat(chunks));
-      });
-    });
+    // Restore objects referenced by a packed snapshot
+    if (isPacked(metadata)) {
+      return await unpackSnapshot(content);
+    }
+    return content;
   } catch (error) {
     if (error.message === 'File not found') {
       throw error;
@@ -140,37 +174,88 @@ const readFile = async (filePath) => {
 };
 
 /**
- * Delete file from GridFS
- * @param {String} filePath - File path (GridFS filename)
+ * Read a snapshot file, upgraded to the current snapshot schema version
+ * The stored bytes are left as they are (commit integrity checks use readFile)
+ * @param {String} filePath - File path (storage key)
+ * @returns {Buffer} Snapshot data
+ */
+const readSnapshot = async (filePath) => upgradeSnapshotData(await readFile(filePath));
+
+/**
+ * Look up a snapshot file without reading it
+ * @param {String} filePath - File path (storage key)
+ * @returns {Object|null} { filePath, etag } or null if the file does not exist
+ *   (etag is null for files stored before content hashes were recorded)
+ */
+const headSnapshot = async (filePath) => {
+  const entry = await getStorage().head(filePath);
+  if (!entry) {
+    return null;
+  }
+  const contentHash = entry.metadata?.contentHash;
+  return { filePath, etag: contentHash ? snapshotEtag(contentHash) : null };
+};
+
+/**
+ * Open a snapshot file as a stream
+ * Files in the current schema version are streamed: as stored (still compressed) when they
+ * have no object references, else unpacked while streaming. Older files are upgraded in memory
+ * @param {String} filePath - File path (storage key)
+ * @returns {Object} { stream, encoding (null if uncompressed), size (null if unknown), etag }
+ */
+const openSnapshotStream = async (filePath) => {
+  const file = await getStorage().getStream(filePath);
+  const { contentHash, contentEncoding = null, snapshotVersion } = file.metadata || {};
+  if (contentHash && snapshotVersion === CURRENT_SNAPSHOT_VERSION) {
+    const etag = snapshotEtag(contentHash);
+    if (!isPacked(file.metadata)) {
+      return { stream: file.stream, encoding: contentEncoding, size: file.size, etag };
+    }
+
+    file.stream.destroy();
+    const { data } = await getStorage().get(filePath);
+    const packed = await decompress(data, contentEncoding);
+    return { stream: createUnpackStream(packed), encoding: null, size: null, etag };
+  }
+
+  file.stream.destroy();
+  const data = await readSnapshot(filePath);
+  return {
+    stream: Readable.from([data]),
+    encoding: null,
+    size: data.length,
+    etag: snapshotEtag(contentHash || computeContentHash(data)),
+  };
+};
+
+/**
+ * Delete file from storage
+ * @param {String} filePath - File path (storage key)
  */
 const deleteFile = async (filePath) => {
   try {
-    const bucket = getBucket();
-    
-    // Find file by filename
-    const files = await bucket.find({ filename: filePath }).toArray();
+    const storage = getStorage();
     
-    if (files.length === 0) {
+    const existing = await storage.head(filePath);
+    if (!existing) {
       // File doesn't exist, that's okay
       return;
     }
     
-    // Delete all versions of the file (should be just one, but be safe)
-    for (const file of files) {
-      await bucket.delete(file._id);
-    }
+    await storage.delete(filePath);
+    await releaseObjects(existing.metadata?.objectRefs);
   } catch (error) {
-    console.error('Error deleting file from GridFS:', error);
+    console.error('Error deleting file from storage:', error);
     throw new Error('Failed to delete file');
   }
 };
 
 /**
  * Save current branch snapshot
- * @param {Buffer|String} fileData - File data
+ * @param {Buffer|String|Object} fileData - File data or parsed snapshot
  * @param {String} projectId - Project ID
  * @param {String} branchId - Branch ID
- * @returns {String} File path (GridFS filename)
+ * @returns {String} File path (storage key)
  */
 const saveCurrentSnapshot = async (fileData, projectId, branchId) => {
   try {
@@ -190,7 +275,7 @@ const saveCurrentSnapshot = async (fileData, projectId, branchId) => {
 const getCurrentSnapshot = async (projectId, branchId) => {
   try {
     const filePath = generateFilePath(projectId, branchId);
-    return await readFile(filePath);
+    return await readSnapshot(filePath);
   } catch (error) {
     if (error.message === 'File not found') {
       throw new Error('Current snapshot not found');
@@ -226,6 +311,26 @@ const copyCurrentSnapshot = async (projectId, sourceBranchId, targetBranchId) =>
   }
 };
 
+/**
+ * Keep the snapshot a branch was created from, for merges when the base branch had no commits
+ * @param {String} projectId - Project ID
+ * @param {String} sourceBranchId - Base branch ID
+ * @param {String} targetBranchId - New branch ID
+ * @returns {String|null} File path, or null if the base branch has no snapshot
+ */
+const copyForkSnapshot = async (projectId, sourceBranchId, targetBranchId) => {
+  try {
+    const sourceSnapshot = await getCurrentSnapshot(projectId, sourceBranchId);
+    return await saveFile(sourceSnapshot, projectId, targetBranchId, FORK_SNAPSHOT, 'json');
+  } catch (error) {
+    if (error.message === 'Current snapshot not found') {
+      return null;
+    }
+    console.error('Error copying fork snapshot:', error);
+    throw new Error('Failed to copy fork snapshot');
+  }
+};
+
 /**
  * Get commit snapshot file
  * @param {String} projectId - Project ID
@@ -236,7 +341,7 @@ const copyCurrentSnapshot = async (projectId, sourceBranchId, targetBranchId) =>
 const getCommitSnapshot = async (projectId, branchId, commitHash) => {
   try {
     const filePath = generateFilePath(projectId, branchId, commitHash, 'json');
-    return await readFile(filePath);
+    return await readSnapshot(filePath);
   } catch (error) {
     if (error.message === 'File not found') {
       throw new Error('Commit snapshot not found');
@@ -245,6 +350,29 @@ const getCommitSnapshot = async (projectId, branchId, commitHash) => {
   }
 };
 
+/**
+ * Save commit thumbnail image (stored next to the commit JSON as {commitHash}_thumb.{ext})
+ * @param {Buffer} imageData - Image data
+ * @param {String} projectId - Project ID
+ * @param {String} branchId - Branch ID
+ * @param {String} commitHash - Commit hash
+ * @param {String} extension - Image extension ('png' or 'jpg')
+ * @returns {String} File path (storage key)
+ */
+const saveCommitThumbnail = async (imageData, projectId, branchId, commitHash, extension = 'png') => {
+  return saveFile(imageData, projectId, branchId, `${commitHash}_thumb`, extension);
+};
+
+/**
+ * Get content type for a stored file path
+ * @param {String} filePath - File path (storage key)
+ * @returns {String} MIME type
+ */
+const getContentType = (filePath) => {
+  const extension = filePath.split('.').pop();
+  return CONTENT_TYPES[extension] || 'application/octet-stream';
+};
+
 /**
  * Delete entire branch directory (including current.json and all commits)
  * @param {String} projectId - Project ID
@@ -252,17 +380,15 @@ const getCommitSnapshot = async (projectId, branchId, commitHash) => {
  */
 const deleteBranchDirectory = async (projectId, branchId) => {
   try {
-    const bucket = getBucket();
+    const storage = getStorage();
     
-    // Find all files matching the branch path pattern
-    const prefix = `projects/${projectId}/branches/${branchId}/`;
-    const files = await bucket.find({ 
-      filename: { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } 
-    }).toArray();
+    // Find all files under the branch path
+    const files = await storage.list(`projects/${projectId}/branches/${branchId}/`);
     
     // Delete all files for this branch
     for (const file of files) {
-      await bucket.delete(file._id);
+      await storage.delete(file.key);
+      await releaseObjects(file.metadata?.objectRefs);
     }
     
     console.log(`Deleted ${files.length} file(s) for branch ${branchId}`);
@@ -272,13 +398,44 @@ const deleteBranchDirectory = async (projectId, branchId) => {
   }
 };
 
+/**
+ * Recompute object reference counts from the objectRefs of every stored snapshot file,
+ * and give referenced media to the projects whose snapshots use them
+ * @returns {Number} Number of objects whose count was corrected
+ */
+const recountObjectReferences = async () => {
+  const counts = new Map();
+  const projects = new Map();
+  
+  for (const file of await getStorage().list('')) {
+    for (const hash of file.metadata?.objectRefs || []) {
+      counts.set(hash, (counts.get(hash) || 0) + 1);
+      if (file.metadata.projectId) {
+        projects.set(hash, (projects.get(hash) || new Set()).add(String(file.metadata.projectId)));
+      }
+    }
+  }
+  
+  await assignMediaProjects(projects);
+  return setReferenceCounts(counts);
+};
+
 module.exports = {
+  generateFilePath,
   saveFile,
   readFile,
+  readSnapshot,
+  headSnapshot,
+  openSnapshotStream,
   deleteFile,
   saveCurrentSnapshot,
   getCurrentSnapshot,
   copyCurrentSnapshot,
+  copyForkSnapshot,
   deleteBranchDirectory,
   getCommitSnapshot,
+  saveCommitThumbnail,
+  getContentType,
+  recountObjectReferences,
+  NAMESPACE,
 };
@@ -0,0 +1,200 @@
+/**
+ * Media Store
+ *
+ * Images uploaded once and referenced from snapshots by id instead of inline base64:
+ * - The media id is the SHA-256 of the image bytes, so the same image is stored once
+ *   however many elements, commits and branches use it
+ * - Media are content-addressed objects (encoding 'media', see objectStore.js); stored
+ *   snapshot files referencing a mediaId keep it alive, unreferenced media are
+ *   garbage collected after the usual grace period
+ * - Media belong to the projects that uploaded them (StorageObject.projectIds): other
+ *   projects see them as missing and must upload the bytes themselves before reading
+ *   or referencing them, so a known hash gives no access to another project's image
+ * - Snapshots may only reference media of their project (assertSnapshotMedia)
+ */
+
+const StorageObject = require('../../models/StorageObject');
+const config = require('../../config/config');
+const { AppError } = require('../../middleware/errorHandler');
+const { detectImageType } = require('../../utils/snapshotSanitizer');
+const { hashBytes, storeObject, readObject } = require('./objectStore');
+
+const MEDIA_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+// Most ids accepted by one missing-media lookup
+const MAX_MEDIA_LOOKUP = 1000;
+
+/**
+ * Check a media id (lowercase hex SHA-256)
+ * @param {*} mediaId - Value to check
+ * @returns {Boolean}
+ */
+const isMediaId = mediaId => typeof mediaId === 'string' && MEDIA_ID_PATTERN.test(mediaId);
+
+/**
+ * Store an uploaded image for a project
+ * @param {Buffer} bytes - Image bytes
+ * @param {String} projectId - Uploading project
+ * @param {String} expectedId - Media id the client computed (optional)
+ * @returns {Object} { mediaId, contentType, size }
+ * @throws {AppError} If the image is too large, not PNG/JPEG or does not match expectedId
+ */
+const storeMedia = async (bytes, projectId, expectedId = null) => {
+  if (!Buffer.isBuffer(bytes) || bytes.length === 0) {
+    throw new AppError('VALIDATION_ERROR', 'Media upload is empty', 400);
+  }
+  if (bytes.length > config.snapshots.maxImageSize) {
+    throw new AppError('PAYLOAD_TOO_LARGE', `Image exceeds the maximum size of ${config.snapshots.maxImageSize} bytes`, 413);
+  }
+  const contentType = detectImageType(bytes);
+  if (!contentType) {
+    throw new AppError('VALIDATION_ERROR', 'Media must be a PNG or JPEG image', 400);
+  }
+
+  const mediaId = hashBytes(bytes);
+  if (expectedId && mediaId !== String(expectedId).toLowerCase()) {
+    throw new AppError('VALIDATION_ERROR', 'Uploaded image does not match its media id', 400);
+  }
+
+  await storeObject(mediaId, bytes, 'media', contentType);
+  await StorageObject.updateOne({ hash: mediaId }, { $addToSet: { projectIds: String(projectId) } });
+  return { mediaId, contentType, size: bytes.length };
+};
+
+/**
+ * Read an image of a project
+ * @param {String} mediaId - Media id
+ * @param {String} projectId - Project ID
+ * @returns {Object} { data: Buffer, contentType }
+ * @throws {AppError} NOT_FOUND if the media does not exist or belongs to other projects only
+ */
+const readMedia = async (mediaId, projectId) => {
+  const record = isMediaId(mediaId)
+    ? await StorageObject.findOne({ hash: mediaId, encoding: 'media', projectIds: String(projectId) })
+    : null;
+  if (!record) {
+    throw new AppError('NOT_FOUND', 'Media not found', 404);
+  }
+
+  try {
+    return { data: await readObject(mediaId), contentType: record.contentType || 'application/octet-stream' };
+  } catch (error) {
+    if (error.message.startsWith('Object not found')) {
+      throw new AppError('NOT_FOUND', 'Media not found', 404);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find which media ids a project has not uploaded yet
+ * Existing media get their GC grace period restarted, so an unreferenced image a
+ * client is about to reference is not collected before its snapshot is saved
+ * @param {Array<String>} mediaIds - Media ids
+ * @param {String} projectId - Project ID
+ * @returns {Array<String>} Ids that must be uploaded
+ */
+const findMissingMedia = async (mediaIds, projectId) => {
+  if (!Array.isArray(mediaIds) || mediaIds.length > MAX_MEDIA_LOOKUP) {
+    throw new AppError('VALIDATION_ERROR', `Media ids must be an array of at most ${MAX_MEDIA_LOOKUP} ids`, 400);
+  }
+  const ids = [...new Set(mediaIds)];
+  const invalid = ids.find(id => !isMediaId(id));
+  if (invalid !== undefined) {
+    throw new AppError('VALIDATION_ERROR', `Invalid media id: ${String(invalid).substring(0, 80)}`, 400);
+  }
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const found = await StorageObject.find(
+    { hash: { $in: ids }, encoding: 'media', projectIds: String(projectId) },
+    { hash: 1 }
+  );
+  const present = new Set(found.map(object => object.hash));
+  if (present.size > 0) {
+    await StorageObject.updateMany({ hash: { $in: [...present] } }, { $set: { updatedAt: new Date() } });
+  }
+  return ids.filter(id => !present.has(id));
+};
+
+/**
+ * Collect the media ids referenced by a snapshot's elements
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {Set<String>} Media ids
+ */
+const collectMediaIds = (snapshot) => {
+  const ids = new Set();
+  const visit = (element) => {
+    if (!element || typeof element !== 'object' || Array.isArray(element)) {
+      return;
+    }
+    if (typeof element.mediaId === 'string') {
+      ids.add(element.mediaId);
+    }
+    (Array.isArray(element.children) ? element.children : []).forEach(visit);
+    if (element.type === 'Group') {
+      visit(element.maskShape);
+    }
+  };
+
+  (snapshot?.pages || []).forEach(page =>
+    (page?.artboards || []).forEach(artboard => (artboard?.elements || []).forEach(visit))
+  );
+  return ids;
+};
+
+/**
+ * Check that every media id a snapshot references has been uploaded to its project
+ * @param {Object} snapshot - Parsed snapshot
+ * @param {String} projectId - Project the snapshot is saved to
+ * @throws {AppError} VALIDATION_ERROR with details { missingMedia } if any are missing
+ */
+const assertSnapshotMedia = async (snapshot, projectId) => {
+  const ids = [...collectMediaIds(snapshot)];
+  const missing = [];
+  for (let start = 0; start < ids.length; start += MAX_MEDIA_LOOKUP) {
+    missing.push(...await findMissingMedia(ids.slice(start, start + MAX_MEDIA_LOOKUP), projectId));
+  }
+  if (missing.length > 0) {
+    throw new AppError(
+      'VALIDATION_ERROR',
+      `Design snapshot references ${missing.length} image(s) that have not been uploaded`,
+      400,
+      { missingMedia: missing }
+    );
+  }
+};
+
+/**
+ * Record the projects of media from the snapshot files that reference them
+ * Backfills media uploaded before media belonged to projects (see recountObjectReferences)
+ * @param {Map} projects - mediaId -> Set of project ids
+ * @returns {Number} Number of media updated
+ */
+const assignMediaProjects = async (projects) => {
+  const updates = [...projects]
+    .filter(([mediaId]) => isMediaId(mediaId))
+    .map(([mediaId, projectIds]) => ({
+      updateOne: {
+        filter: { hash: mediaId, encoding: 'media' },
+        update: { $addToSet: { projectIds: { $each: [...projectIds] } } },
+      },
+    }));
+
+  if (updates.length === 0) {
+    return 0;
+  }
+  const result = await StorageObject.bulkWrite(updates);
+  return result.modifiedCount;
+};
+
+module.exports = {
+  isMediaId,
+  storeMedia,
+  readMedia,
+  findMissingMedia,
+  collectMediaIds,
+  assertSnapshotMedia,
+  assignMediaProjects,
+};
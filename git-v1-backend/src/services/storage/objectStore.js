@@ -0,0 +1,459 @@
+/**
+ * Content-Addressed Object Store
+ *
+ * Deduplicates snapshot content across commits, branches and current.json saves:
+ * - Embedded images (base64 imageData) and large element subtrees are stored once,
+ *   keyed by the SHA-256 of their bytes, in the 'objects' storage namespace
+ * - Snapshots keep a small reference in their place: { $object: <hash>, encoding }
+ * - Images uploaded to the media store (mediaStore.js) are objects too; elements
+ *   reference them by mediaId and they are counted like the objects above
+ * - Each stored snapshot file lists the objects it references (transitively);
+ *   StorageObject.refCount counts those files, and unreferenced objects are
+ *   garbage collected after a grace period
+ * - Files with $object references are marked packed; media references alone leave the
+ *   file as it was uploaded, so it can be streamed as stored
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const StorageObject = require('../../models/StorageObject');
+const config = require('../../config/config');
+const { getStorageAdapter } = require('./adapters');
+const { stableStringify } = require('../../utils/snapshotDiff');
+
+// Storage namespace for content-addressed objects
+const NAMESPACE = 'objects';
+
+// Embedded images at least this long (base64 characters) are moved to the object store
+const MIN_IMAGE_OBJECT_SIZE = 1024;
+
+// Elements whose serialized (already packed) form is at least this long are moved to the object store
+const MIN_SUBTREE_OBJECT_SIZE = 16 * 1024;
+
+// Size of the chunks a packed snapshot is streamed in while its objects are resolved
+const UNPACK_CHUNK_SIZE = 64 * 1024;
+
+// GC keeps object files uploaded this close to its claim (covers S3's one-second
+// Last-Modified resolution and small clock skew between the server and the store)
+const GC_UPLOAD_SAFETY_MS = 5 * 1000;
+
+/**
+ * Get storage adapter for objects
+ * @returns {Object} Storage adapter
+ */
+const getStorage = () => getStorageAdapter(NAMESPACE);
+
+/**
+ * SHA-256 of a buffer
+ * @param {Buffer} bytes - Data
+ * @returns {String} Hex digest
+ */
+const hashBytes = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+
+/**
+ * Check whether a value is an object reference left in a packed snapshot
+ * @param {*} value - Any JSON value
+ * @returns {Boolean}
+ */
+const isObjectRef = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value) && typeof value.$object === 'string';
+
+/**
+ * Store an object unless it already exists
+ * A freshly inserted record always gets a fresh upload, so an object that GC
+ * is removing at the same moment is written again
+ * @param {String} hash - Object hash
+ * @param {Buffer} bytes - Object data
+ * @param {String} encoding - 'text', 'json' or 'media'
+ * @param {String} contentType - MIME type recorded for media (optional)
+ */
+const storeObject = async (hash, bytes, encoding, contentType = null) => {
+  let inserted = false;
+  try {
+    // Touching updatedAt also restarts the GC grace period for an unreferenced object
+    const result = await StorageObject.updateOne(
+      { hash },
+      { $setOnInsert: { hash, encoding, size: bytes.length, refCount: 0, ...(contentType && { contentType }) } },
+      { upsert: true }
+    );
+    inserted = result.upsertedCount > 0;
+  } catch (error) {
+    // Concurrent insert of the same object
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  if (!inserted && await getStorage().head(hash)) {
+    return;
+  }
+
+  await getStorage().put(hash, bytes, {
+    contentType: contentType || 'application/octet-stream',
+    metadata: { encoding },
+  });
+};
+
+/**
+ * Read object bytes, verifying them against their hash
+ * @param {String} hash - Object hash
+ * @returns {Buffer} Object data
+ */
+const readObject = async (hash) => {
+  let data;
+  try {
+    ({ data } = await getStorage().get(hash));
+  } catch (error) {
+    if (error.message === 'File not found') {
+      throw new Error(`Object not found: ${hash}`);
+    }
+    throw error;
+  }
+
+  if (hashBytes(data) !== hash) {
+    throw new Error(`Object corrupted: ${hash}`);
+  }
+  return data;
+};
+
+/**
+ * Store content as an object and return the reference that replaces it
+ * @param {String} content - Content to store
+ * @param {String} encoding - 'text' or 'json'
+ * @param {Set<String>} refs - Collected object hashes (updated)
+ * @returns {Object} { $object, encoding }
+ */
+const putObject = async (content, encoding, refs) => {
+  const bytes = Buffer.from(content);
+  const hash = hashBytes(bytes);
+  if (!refs.has(hash)) {
+    await storeObject(hash, bytes, encoding);
+    refs.add(hash);
+  }
+  return { $object: hash, encoding };
+};
+
+/**
+ * Move an element's image data and large subtrees into the object store (bottom-up)
+ * @param {Object} element - Snapshot element
+ * @param {Set<String>} refs - Collected object hashes (updated)
+ * @param {Set<String>} media - Collected media ids (updated)
+ * @returns {Object} Packed element or a reference to it
+ */
+const packElement = async (element, refs, media) => {
+  if (!element || typeof element !== 'object' || Array.isArray(element) || isObjectRef(element)) {
+    return element;
+  }
+
+  const packed = { ...element };
+
+  // Uploaded media stays referenced by id; the snapshot file keeps it alive
+  if (typeof packed.mediaId === 'string') {
+    media.add(packed.mediaId);
+  }
+
+  if (typeof packed.imageData === 'string' && packed.imageData.length >= MIN_IMAGE_OBJECT_SIZE) {
+    packed.imageData = await putObject(packed.imageData, 'text', refs);
+  }
+
+  if (Array.isArray(packed.children)) {
+    packed.children = await packElements(packed.children, refs, media);
+  }
+
+  // Canonical form so identical subtrees dedupe regardless of key order
+  const serialized = stableStringify(packed);
+  if (serialized.length >= MIN_SUBTREE_OBJECT_SIZE) {
+    return putObject(serialized, 'json', refs);
+  }
+
+  return packed;
+};
+
+/**
+ * Pack a list of elements
+ * @param {Array} elements - Snapshot elements
+ * @param {Set<String>} refs - Collected object hashes (updated)
+ * @param {Set<String>} media - Collected media ids (updated)
+ * @returns {Array} Packed elements
+ */
+const packElements = async (elements, refs, media) => {
+  const packed = [];
+  for (const element of elements) {
+    packed.push(await packElement(element, refs, media));
+  }
+  return packed;
+};
+
+/**
+ * Pack a snapshot for storage
+ * Objects are written before the snapshot references them; the caller must
+ * retain the returned refs once the snapshot file is stored
+ * @param {Buffer|String|Object} fileData - Snapshot JSON, or an already parsed snapshot
+ * @returns {Object} { data: Buffer, refs: Array<String>, packed, version } refs lists objects and
+ *   media, packed is true if data contains object references (data is unchanged otherwise);
+ *   version is the snapshot's version field, null if it has none
+ */
+const packSnapshot = async (fileData) => {
+  let buffer = null;
+  let snapshot = fileData;
+  if (Buffer.isBuffer(fileData) || typeof fileData === 'string') {
+    buffer = Buffer.isBuffer(fileData) ? fileData : Buffer.from(fileData);
+    try {
+      snapshot = JSON.parse(buffer.toString());
+    } catch (error) {
+      return { data: buffer, refs: [], packed: false, version: null };
+    }
+  }
+  const unchanged = () => buffer || Buffer.from(JSON.stringify(snapshot));
+
+  if (!snapshot || !Array.isArray(snapshot.pages)) {
+    return { data: unchanged(), refs: [], packed: false, version: null };
+  }
+  const version = snapshot.version ? String(snapshot.version) : null;
+
+  const refs = new Set();
+  const media = new Set();
+  const pages = [];
+  for (const page of snapshot.pages) {
+    const artboards = [];
+    for (const artboard of page.artboards || []) {
+      artboards.push({
+        ...artboard,
+        elements: await packElements(artboard.elements || [], refs, media),
+      });
+    }
+    pages.push({ ...page, artboards });
+  }
+
+  if (refs.size === 0) {
+    return { data: unchanged(), refs: [...media], packed: false, version };
+  }
+
+  return {
+    data: Buffer.from(JSON.stringify({ ...snapshot, pages })),
+    refs: [...new Set([...refs, ...media])],
+    packed: true,
+    version,
+  };
+};
+
+/**
+ * Replace object references with their content (recursively)
+ * @param {*} value - Packed JSON value
+ * @param {Map} cache - hash -> Promise<Buffer> (shared across one snapshot)
+ * @returns {*} Resolved value
+ */
+const resolveRefs = async (value, cache) => {
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(item => resolveRefs(item, cache)));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (isObjectRef(value)) {
+    if (!cache.has(value.$object)) {
+      cache.set(value.$object, readObject(value.$object));
+    }
+    const content = (await cache.get(value.$object)).toString();
+    return value.encoding === 'json' ? resolveRefs(JSON.parse(content), cache) : content;
+  }
+
+  const resolved = {};
+  for (const [key, child] of Object.entries(value)) {
+    resolved[key] = await resolveRefs(child, cache);
+  }
+  return resolved;
+};
+
+/**
+ * Restore a packed snapshot to its full form
+ * @param {Buffer} fileData - Packed snapshot JSON
+ * @returns {Buffer} Full snapshot JSON
+ */
+const unpackSnapshot = async (fileData) => {
+  const snapshot = JSON.parse(fileData.toString());
+  const resolved = await resolveRefs(snapshot, new Map());
+  return Buffer.from(JSON.stringify(resolved));
+};
+
+/**
+ * Serialize a packed JSON value with its object references resolved
+ * Yields the same text as JSON.stringify of the unpacked value, reading one object at a time
+ * @param {*} value - Packed JSON value
+ */
+async function* serializeResolved(value) {
+  if (Array.isArray(value)) {
+    yield '[';
+    for (let i = 0; i < value.length; i++) {
+      if (i > 0) {
+        yield ',';
+      }
+      yield* serializeResolved(value[i]);
+    }
+    yield ']';
+    return;
+  }
+  if (!value || typeof value !== 'object') {
+    yield JSON.stringify(value);
+    return;
+  }
+
+  if (isObjectRef(value)) {
+    const content = (await readObject(value.$object)).toString();
+    if (value.encoding === 'json') {
+      yield* serializeResolved(JSON.parse(content));
+    } else {
+      yield JSON.stringify(content);
+    }
+    return;
+  }
+
+  yield '{';
+  let first = true;
+  for (const [key, child] of Object.entries(value)) {
+    yield `${first ? '' : ','}${JSON.stringify(key)}:`;
+    first = false;
+    yield* serializeResolved(child);
+  }
+  yield '}';
+}
+
+/**
+ * Stream a packed snapshot in its full form without building it in memory
+ * Only the packed file (small: images and large subtrees are objects) is parsed up front
+ * @param {Buffer} fileData - Packed snapshot JSON
+ * @returns {Readable} Full snapshot JSON
+ */
+const createUnpackStream = (fileData) => {
+  const snapshot = JSON.parse(fileData.toString());
+
+  async function* chunks() {
+    let pending = '';
+    for await (const text of serializeResolved(snapshot)) {
+      pending += text;
+      if (pending.length >= UNPACK_CHUNK_SIZE) {
+        yield Buffer.from(pending);
+        pending = '';
+      }
+    }
+    if (pending.length > 0) {
+      yield Buffer.from(pending);
+    }
+  }
+
+  return Readable.from(chunks());
+};
+
+/**
+ * Add one reference to each object (a snapshot file referencing them was stored)
+ * @param {Array<String>} refs - Object hashes
+ */
+const retainObjects = async (refs = []) => {
+  if (refs.length === 0) {
+    return;
+  }
+  await StorageObject.updateMany({ hash: { $in: refs } }, { $inc: { refCount: 1 } });
+};
+
+/**
+ * Drop one reference from each object (a snapshot file referencing them was deleted)
+ * @param {Array<String>} refs - Object hashes
+ */
+const releaseObjects = async (refs = []) => {
+  if (refs.length === 0) {
+    return;
+  }
+  await StorageObject.updateMany({ hash: { $in: refs } }, { $inc: { refCount: -1 } });
+};
+
+/**
+ * Overwrite reference counts from a full scan of stored snapshot files
+ * Repairs drift left by interrupted writes
+ * @param {Map} counts - hash -> number of referencing files
+ * @returns {Number} Number of objects whose count changed
+ */
+const setReferenceCounts = async (counts) => {
+  const objects = await StorageObject.find({}, { hash: 1, refCount: 1 });
+  const updates = objects
+    .filter(object => object.refCount !== (counts.get(object.hash) || 0))
+    .map(object => ({
+      updateOne: {
+        filter: { _id: object._id },
+        update: { $set: { refCount: counts.get(object.hash) || 0 } },
+      },
+    }));
+
+  if (updates.length > 0) {
+    await StorageObject.bulkWrite(updates);
+  }
+  return updates.length;
+};
+
+/**
+ * Delete objects that have been unreferenced for longer than the grace period
+ * @param {Object} options - { graceMinutes }
+ * @returns {Object} { deleted, freedBytes }
+ */
+const collectGarbage = async ({ graceMinutes = config.storage.objectGcGraceMinutes } = {}) => {
+  const storage = getStorage();
+  const cutoff = new Date(Date.now() - graceMinutes * 60 * 1000);
+  const condition = { refCount: { $lte: 0 }, updatedAt: { $lt: cutoff } };
+
+  const candidates = await StorageObject.find(condition);
+  let deleted = 0;
+  let freedBytes = 0;
+
+  for (const candidate of candidates) {
+    const claimedAt = Date.now();
+    const { deletedCount } = await StorageObject.deleteOne({ _id: candidate._id, ...condition });
+    if (!deletedCount) {
+      continue; // Referenced again since the scan
+    }
+
+    // A writer that re-inserted the record after the claim uploads a fresh copy; keep it
+    const file = await storage.head(candidate.hash);
+    if (file && file.lastModified.getTime() < claimedAt - GC_UPLOAD_SAFETY_MS) {
+      await storage.delete(candidate.hash);
+    }
+    deleted++;
+    freedBytes += candidate.size;
+  }
+
+  if (deleted > 0) {
+    console.log(`🗑️ Object GC removed ${deleted} object(s), freed ${freedBytes} bytes`);
+  }
+  return { deleted, freedBytes };
+};
+
+/**
+ * Run garbage collection periodically (disabled when the interval is 0)
+ * @returns {Object|null} Interval handle
+ */
+const scheduleGarbageCollection = () => {
+  const intervalMinutes = config.storage.objectGcIntervalMinutes;
+  if (!intervalMinutes) {
+    return null;
+  }
+
+  const handle = setInterval(() => {
+    collectGarbage().catch(error => console.error('❌ Object GC failed:', error));
+  }, intervalMinutes * 60 * 1000);
+  handle.unref();
+  return handle;
+};
+
+module.exports = {
+  hashBytes,
+  storeObject,
+  readObject,
+  packSnapshot,
+  unpackSnapshot,
+  createUnpackStream,
+  retainObjects,
+  releaseObjects,
+  setReferenceCounts,
+  collectGarbage,
+  scheduleGarbageCollection,
+  NAMESPACE,
+};
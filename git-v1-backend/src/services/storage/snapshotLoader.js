@@ -0,0 +1,289 @@
+/**
+ * Snapshot Loader
+ *
+ * Resolves commits, branches and refs to their stored design snapshots
+ * (upgraded to the current schema version), sanitizes and validates uploaded
+ * snapshots (including their media references), computes commit change statistics against the parent
+ * snapshot and verifies stored snapshots against their content hashes
+ * Refs: "<commitHash>", "commit:<hash>", "branch:<name or id>" (hashes may be abbreviated)
+ */
+
+const mongoose = require('mongoose');
+const Commit = require('../../models/Commit');
+const Branch = require('../../models/Branch');
+const { readFile, readSnapshot, getCurrentSnapshot } = require('./fileStorage');
+const { AppError } = require('../../middleware/errorHandler');
+const { parseSnapshot, diffSnapshots } = require('../../utils/snapshotDiff');
+const { SHORT_HASH_LENGTH, computeContentHash, generateCommitHash } = require('../../utils/commitHash');
+const config = require('../../config/config');
+const { migrateSnapshot } = require('../../utils/snapshotMigrations');
+const { sanitizeSnapshot, checkNestingDepth } = require('../../utils/snapshotSanitizer');
+const { CURRENT_SNAPSHOT_VERSION, validateSnapshot, formatSchemaErrors } = require('../../utils/snapshotSchema');
+const { assertSnapshotMedia } = require('./mediaStore');
+
+/**
+ * Upgrade, sanitize and validate an uploaded snapshot
+ * @param {Buffer|String|Object} data - Uploaded snapshot
+ * @param {String} projectId - Project the snapshot is saved to (its media must belong to it)
+ * @returns {Object} Snapshot to store
+ * @throws {AppError} VALIDATION_ERROR with details [{ path, message }] if the snapshot is
+ *   not JSON, too deeply nested, has invalid images or does not match the schema,
+ *   or with details { missingMedia } if it references media not uploaded to the project
+ */
+const validateSnapshotUpload = async (data, projectId) => {
+  let parsed;
+  try {
+    parsed = parseSnapshot(data);
+  } catch (error) {
+    throw new AppError('VALIDATION_ERROR', 'Design snapshot must be valid JSON', 400);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new AppError('VALIDATION_ERROR', 'Design snapshot must be a JSON object', 400);
+  }
+
+  const rejectSnapshot = (errors) => {
+    throw new AppError(
+      'VALIDATION_ERROR',
+      `Design snapshot is invalid: ${formatSchemaErrors(errors.slice(0, 3))}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`,
+      400,
+      errors
+    );
+  };
+
+  // Depth first: migrations and validation walk the element tree recursively
+  const depthErrors = checkNestingDepth(parsed, config.snapshots.maxElementDepth);
+  if (depthErrors.length > 0) {
+    rejectSnapshot(depthErrors);
+  }
+
+  // Strict: unknown types in unversioned (1.0) uploads are rejected, not stored as Unknown
+  const { snapshot, fromVersion, migrated, errors: migrationErrors } = migrateSnapshot(parsed, { strict: true });
+  if (migrationErrors.length > 0) {
+    rejectSnapshot(migrationErrors);
+  }
+  const errors = [...sanitizeSnapshot(snapshot), ...validateSnapshot(snapshot)];
+  if (errors.length > 0) {
+    rejectSnapshot(errors);
+  }
+
+  await assertSnapshotMedia(snapshot, projectId);
+
+  if (migrated) {
+    console.log(`🔄 Upgraded uploaded snapshot from version ${fromVersion} to ${CURRENT_SNAPSHOT_VERSION}`);
+  }
+  return snapshot;
+};
+
+/**
+ * Validate an uploaded snapshot (see validateSnapshotUpload) and serialize it for storage
+ * @param {Buffer|String|Object} data - Uploaded snapshot
+ * @param {String} projectId - Project the snapshot is saved to
+ * @returns {Buffer} Snapshot JSON to store
+ */
+const prepareSnapshotUpload = async (data, projectId) =>
+  Buffer.from(JSON.stringify(await validateSnapshotUpload(data, projectId)));
+
+/**
+ * Load the snapshot stored for a commit
+ * @param {Object} commit - Commit document
+ * @returns {Buffer|null} Snapshot data or null if the file is missing
+ */
+const loadCommitSnapshot = async (commit) => {
+  if (!commit?.snapshot?.fileUrl) {
+    return null;
+  }
+  try {
+    return await readSnapshot(commit.snapshot.fileUrl);
+  } catch (error) {
+    console.warn(`⚠️ Could not load snapshot for commit ${commit.hash}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Load a branch's working snapshot, falling back to its last commit
+ * @param {String} projectId - Project ID
+ * @param {Object} branch - Branch document
+ * @returns {Buffer|null} Snapshot data or null if the branch has no snapshot
+ */
+const loadBranchSnapshot = async (projectId, branch) => {
+  try {
+    return await getCurrentSnapshot(projectId, branch._id.toString());
+  } catch (error) {
+    if (!branch.lastCommit?.hash) {
+      return null;
+    }
+    const lastCommit = await Commit.findOne({ projectId, hash: branch.lastCommit.hash });
+    return loadCommitSnapshot(lastCommit);
+  }
+};
+
+/**
+ * Find a branch by name or ID
+ * @param {String} projectId - Project ID
+ * @param {String} nameOrId - Branch name or MongoDB ID
+ * @returns {Object|null} Branch document
+ */
+const findBranch = async (projectId, nameOrId) => {
+  const byName = await Branch.findOne({ projectId, name: nameOrId, status: { $ne: 'deleted' } })
+    .sort({ updatedAt: -1 });
+  if (byName || !mongoose.Types.ObjectId.isValid(nameOrId)) {
+    return byName;
+  }
+  return Branch.findOne({ projectId, _id: nameOrId });
+};
+
+/**
+ * Find a commit by full or abbreviated hash (at least SHORT_HASH_LENGTH characters)
+ * @param {String} projectId - Project ID
+ * @param {String} hash - Full hash or unique prefix
+ * @param {Object} filter - Extra query conditions (e.g. { branchId })
+ * @returns {Object|null} Commit document
+ * @throws {AppError} If an abbreviated hash matches several commits
+ */
+const findCommit = async (projectId, hash, filter = {}) => {
+  const value = String(hash || '').trim().toLowerCase();
+  if (!value) {
+    return null;
+  }
+
+  const exact = await Commit.findOne({ projectId, ...filter, hash: value });
+  if (exact || value.length < SHORT_HASH_LENGTH || !/^[0-9a-f]+$/.test(value)) {
+    return exact;
+  }
+
+  const matches = await Commit.find({ projectId, ...filter, hash: { $regex: `^${value}` } }).limit(2);
+  if (matches.length > 1) {
+    throw new AppError('VALIDATION_ERROR', `Commit hash "${value}" is ambiguous`, 400);
+  }
+  return matches[0] || null;
+};
+
+/**
+ * Resolve a ref to a snapshot
+ * @param {String} projectId - Project ID
+ * @param {String} ref - Commit hash, "commit:<hash>" or "branch:<name or id>"
+ * @returns {Object|null} { type, ref, label, commitHash, branchId, snapshot } or null if the ref is unknown
+ */
+const resolveSnapshotRef = async (projectId, ref) => {
+  const value = String(ref || '').trim();
+  if (!value) {
+    return null;
+  }
+
+  if (value.startsWith('branch:')) {
+    const branch = await findBranch(projectId, value.substring('branch:'.length));
+    if (!branch) {
+      return null;
+    }
+    return {
+      type: 'branch',
+      ref: value,
+      label: branch.name,
+      commitHash: branch.lastCommit?.hash || null,
+      branchId: branch._id.toString(),
+      snapshot: await loadBranchSnapshot(projectId, branch),
+    };
+  }
+
+  const hash = value.startsWith('commit:') ? value.substring('commit:'.length) : value;
+  const commit = await findCommit(projectId, hash);
+  if (!commit) {
+    return null;
+  }
+  return {
+    type: 'commit',
+    ref: value,
+    label: commit.message,
+    commitHash: commit.hash,
+    branchId: commit.branchId.toString(),
+    snapshot: await loadCommitSnapshot(commit),
+  };
+};
+
+/**
+ * Compute commit change statistics by diffing a snapshot against its parent commit
+ * Element counts cover every page and artboard; a missing parent counts everything as added
+ * @param {String} projectId - Project ID
+ * @param {String} parentHash - Parent commit hash (optional)
+ * @param {Buffer|String|Object} snapshotData - New snapshot
+ * @returns {Object} { filesAdded, filesModified, filesDeleted, componentsUpdated }
+ */
+const computeCommitChanges = async (projectId, parentHash, snapshotData) => {
+  let parentSnapshot = null;
+  if (parentHash) {
+    const parentCommit = await Commit.findOne({ projectId, hash: parentHash });
+    parentSnapshot = await loadCommitSnapshot(parentCommit);
+  }
+
+  const { summary } = diffSnapshots(parseSnapshot(parentSnapshot), parseSnapshot(snapshotData));
+
+  return {
+    filesAdded: summary.added,
+    filesModified: summary.modified,
+    filesDeleted: summary.removed,
+    componentsUpdated: summary.added + summary.modified + summary.removed,
+  };
+};
+
+/**
+ * Re-hash a commit's stored snapshot to detect corruption
+ * Commits created before content hashing (no contentHash) can only be checked for readability
+ * @param {Object} commit - Commit document
+ * @returns {Object} { hash, branchId, status: 'ok'|'corrupted'|'missing'|'legacy', problems }
+ */
+const verifyCommitIntegrity = async (commit) => {
+  const result = {
+    hash: commit.hash,
+    branchId: commit.branchId.toString(),
+    status: 'ok',
+    problems: [],
+  };
+
+  let snapshot;
+  try {
+    snapshot = parseSnapshot(await readFile(commit.snapshot.fileUrl));
+  } catch (error) {
+    result.status = error.message === 'File not found' ? 'missing' : 'corrupted';
+    result.problems.push(error instanceof SyntaxError ? 'Snapshot is not valid JSON' : error.message);
+    return result;
+  }
+
+  if (!commit.contentHash) {
+    result.status = 'legacy';
+    return result;
+  }
+
+  if (computeContentHash(snapshot) !== commit.contentHash) {
+    result.problems.push('Snapshot content does not match contentHash');
+  }
+
+  const expectedHash = generateCommitHash({
+    contentHash: commit.contentHash,
+    parentHash: commit.parentCommitHash,
+    mergeParentHash: commit.mergeParentHash,
+    authorId: commit.authorId,
+    message: commit.message,
+    timestamp: commit.timestamp,
+  });
+  if (expectedHash !== commit.hash) {
+    result.problems.push('Commit hash does not match its content and metadata');
+  }
+
+  if (result.problems.length > 0) {
+    result.status = 'corrupted';
+  }
+  return result;
+};
+
+module.exports = {
+  validateSnapshotUpload,
+  prepareSnapshotUpload,
+  loadCommitSnapshot,
+  loadBranchSnapshot,
+  findBranch,
+  findCommit,
+  resolveSnapshotRef,
+  computeCommitChanges,
+  verifyCommitIntegrity,
+};
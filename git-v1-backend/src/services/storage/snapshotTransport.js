@@ -0,0 +1,125 @@
+/**
+ * Snapshot Transport
+ *
+ * Sends stored snapshots over HTTP without building them in memory where possible:
+ * - ETag / If-None-Match: a client holding the current copy gets a 304, answered from
+ *   the file metadata without reading the file
+ * - Content-Encoding is negotiated from Accept-Encoding; a compressed file is streamed
+ *   as stored when the client accepts its encoding
+ */
+
+const { pipeline } = require('stream/promises');
+const Branch = require('../../models/Branch');
+const Commit = require('../../models/Commit');
+const { generateFilePath, headSnapshot, openSnapshotStream } = require('./fileStorage');
+const {
+  ENCODINGS,
+  createCompressStream,
+  createDecompressStream,
+  parseAcceptEncoding,
+} = require('./compression');
+
+/**
+ * Find the snapshot file a branch checks out to: its working snapshot, else its
+ * last commit, else the working snapshot of its base branch
+ * @param {String} projectId - Project ID
+ * @param {Object} branch - Branch document
+ * @returns {Object|null} { filePath, etag, source: 'current' | 'commit' | 'base' } or null
+ */
+const resolveBranchSnapshotFile = async (projectId, branch) => {
+  const current = await headSnapshot(generateFilePath(projectId, branch._id.toString()));
+  if (current) {
+    return { ...current, source: 'current' };
+  }
+
+  if (branch.lastCommit?.hash) {
+    const lastCommit = await Commit.findOne({ projectId, hash: branch.lastCommit.hash });
+    const committed = lastCommit?.snapshot?.fileUrl ? await headSnapshot(lastCommit.snapshot.fileUrl) : null;
+    if (committed) {
+      return { ...committed, source: 'commit' };
+    }
+  }
+
+  if (branch.baseBranch) {
+    const baseBranch = await Branch.findOne({ projectId, name: branch.baseBranch, status: 'active' });
+    const base = baseBranch ? await headSnapshot(generateFilePath(projectId, baseBranch._id.toString())) : null;
+    if (base) {
+      return { ...base, source: 'base' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check If-None-Match against an ETag (weak comparison)
+ * @param {Object} req - Express request
+ * @param {String|null} etag - Current ETag
+ * @returns {Boolean} True if the client's copy is current
+ */
+const isNotModified = (req, etag) => {
+  const header = req.get('if-none-match');
+  if (!header || !etag) {
+    return false;
+  }
+  const opaque = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
+};
+
+/**
+ * Send a snapshot file as the response body (application/json)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} file - { filePath, etag } from resolveBranchSnapshotFile / headSnapshot
+ * @param {Object} headers - Extra response headers
+ */
+const sendSnapshot = async (req, res, file, headers = {}) => {
+  const cacheHeaders = { 'Cache-Control': 'private, no-cache', Vary: 'Accept-Encoding', ...headers };
+
+  if (isNotModified(req, file.etag)) {
+    res.status(304).set({ ...cacheHeaders, ETag: file.etag }).end();
+    return;
+  }
+
+  const { stream, encoding, size, etag } = await openSnapshotStream(file.filePath);
+  if (isNotModified(req, etag)) {
+    stream.destroy();
+    res.status(304).set({ ...cacheHeaders, ETag: etag }).end();
+    return;
+  }
+
+  // Pass the stored encoding through if the client accepts it, otherwise re-encode
+  const accepted = parseAcceptEncoding(req.get('accept-encoding'));
+  const streams = [stream];
+  let responseEncoding = encoding;
+  if (encoding && !accepted.has(encoding)) {
+    streams.push(createDecompressStream(encoding));
+    responseEncoding = null;
+  }
+  if (!responseEncoding) {
+    responseEncoding = ENCODINGS.find(candidate => accepted.has(candidate)) || null;
+    if (responseEncoding) {
+      streams.push(createCompressStream(responseEncoding));
+    }
+  }
+
+  res.status(200).type('application/json').set({ ...cacheHeaders, ETag: etag });
+  if (responseEncoding) {
+    res.set('Content-Encoding', responseEncoding);
+  }
+  if (streams.length === 1 && size !== null) {
+    res.set('Content-Length', String(size));
+  }
+
+  try {
+    await pipeline(...streams, res);
+  } catch (error) {
+    // Headers are already sent; the client sees a truncated response
+    console.error(`❌ Streaming snapshot ${file.filePath} failed:`, error.message);
+  }
+};
+
+module.exports = {
+  resolveBranchSnapshotFile,
+  sendSnapshot,
+};
@@ -0,0 +1,341 @@
+/**
+ * Chunked Upload Store
+ *
+ * Resumable snapshot uploads in three steps:
+ * 1. init: the client announces size and SHA-256, the server picks the part size
+ * 2. parts: each part is streamed straight into the 'uploads' storage namespace
+ *    (hashed and size-checked on the way), re-sending a part replaces it
+ * 3. complete: parts are streamed back in order, checked against the announced size and hash
+ *    and parsed once
+ * Sessions that are never completed expire (UPLOAD_EXPIRY_MINUTES after the last part)
+ * and are swept together with their parts
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../../models/UploadSession');
+const config = require('../../config/config');
+const { getStorageAdapter } = require('./adapters');
+const { AppError } = require('../../middleware/errorHandler');
+
+// Storage namespace for upload parts
+const NAMESPACE = 'uploads';
+
+// How often expired sessions are swept
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Get storage adapter for upload parts
+ * @returns {Object} Storage adapter
+ */
+const getStorage = () => getStorageAdapter(NAMESPACE);
+
+const partKey = (uploadId, partNumber) => `${uploadId}/${partNumber}`;
+
+const nextExpiry = () => new Date(Date.now() + config.storage.uploadExpiryMinutes * 60 * 1000);
+
+/**
+ * Expected size of a part
+ * @param {Object} session - Upload session
+ * @param {Number} partNumber - Part number (1-based)
+ * @returns {Number} Bytes
+ */
+const expectedPartSize = (session, partNumber) => (
+  partNumber < session.partCount ? session.partSize : session.size - session.partSize * (session.partCount - 1)
+);
+
+/**
+ * Public view of a session (what a resuming client needs)
+ * @param {Object} session - Upload session
+ * @returns {Object} { uploadId, size, partSize, partCount, receivedParts, status, commitHash, expiresAt }
+ */
+const describeUpload = session => ({
+  uploadId: session.uploadId,
+  size: session.size,
+  partSize: session.partSize,
+  partCount: session.partCount,
+  receivedParts: session.parts.map(part => part.number).sort((a, b) => a - b),
+  status: session.status,
+  commitHash: session.commitHash,
+  expiresAt: session.expiresAt,
+});
+
+/**
+ * Start an upload
+ * @param {Object} upload - { projectId, branchId, userId, size, sha256 }
+ * @returns {Object} Upload session
+ */
+const createUploadSession = async ({ projectId, branchId, userId, size, sha256 }) => {
+  const totalSize = Number(size);
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
+    throw new AppError('VALIDATION_ERROR', 'Upload size must be a positive integer', 400);
+  }
+  if (totalSize > config.storage.maxUploadSize) {
+    throw new AppError('PAYLOAD_TOO_LARGE', `Snapshot exceeds the maximum upload size of ${config.storage.maxUploadSize} bytes`, 413);
+  }
+  const checksum = String(sha256 || '').toLowerCase();
+  if (!SHA256_PATTERN.test(checksum)) {
+    throw new AppError('VALIDATION_ERROR', 'Upload sha256 must be a hex SHA-256 digest', 400);
+  }
+
+  const partSize = config.storage.uploadPartSize;
+  return UploadSession.create({
+    uploadId: crypto.randomBytes(16).toString('hex'),
+    projectId,
+    branchId,
+    userId,
+    size: totalSize,
+    sha256: checksum,
+    partSize,
+    partCount: Math.ceil(totalSize / partSize),
+    expiresAt: nextExpiry(),
+  });
+};
+
+/**
+ * Find an upload session started by a user
+ * @param {String} uploadId - Upload ID
+ * @param {String} userId - Current user
+ * @returns {Object} Upload session
+ * @throws {AppError} NOT_FOUND if it does not exist, expired or belongs to someone else
+ */
+const findUploadSession = async (uploadId, userId) => {
+  const session = await UploadSession.findOne({ uploadId: String(uploadId) });
+  if (!session || session.userId !== String(userId) || (session.status !== 'completed' && session.expiresAt < new Date())) {
+    throw new AppError('NOT_FOUND', 'Upload not found or expired', 404);
+  }
+  return session;
+};
+
+/**
+ * Pass-through stream that hashes and counts the bytes, failing once they exceed the limit
+ * @param {Number} maxBytes - Size limit
+ * @returns {Transform} Stream with result() -> { size, sha256 }
+ */
+const createPartMeter = (maxBytes) => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(new AppError('VALIDATION_ERROR', `Part is larger than the expected ${maxBytes} bytes`, 400));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  meter.result = () => ({ size, sha256: hash.digest('hex') });
+  return meter;
+};
+
+/**
+ * Stream one part into storage
+ * @param {Object} session - Upload session
+ * @param {Number} partNumber - Part number (1-based)
+ * @param {Readable} stream - Part bytes (the request)
+ * @param {String} expectedSha256 - Client-computed SHA-256 of the part (optional)
+ * @returns {Object} Updated upload session
+ */
+const storeUploadPart = async (session, partNumber, stream, expectedSha256 = null) => {
+  if (session.status !== 'active') {
+    throw new AppError('CONFLICT', `Upload is already ${session.status}`, 409);
+  }
+  const number = Number(partNumber);
+  if (!Number.isInteger(number) || number < 1 || number > session.partCount) {
+    throw new AppError('VALIDATION_ERROR', `Part number must be between 1 and ${session.partCount}`, 400);
+  }
+
+  const expectedSize = expectedPartSize(session, number);
+  const meter = createPartMeter(expectedSize);
+  const key = partKey(session.uploadId, number);
+  // pipeline() ends the meter on request errors (client disconnects); wait for both
+  // sides so a failed part is cleaned up by the adapter before responding
+  const results = await Promise.allSettled([
+    pipeline(stream, meter),
+    getStorage().putStream(key, meter, { contentType: 'application/octet-stream' }),
+  ]);
+  const failure = results.find(result => result.status === 'rejected');
+  if (failure) {
+    throw failure.reason;
+  }
+
+  const { size, sha256 } = meter.result();
+  const problem = size !== expectedSize
+    ? `Part ${number} has ${size} bytes, expected ${expectedSize}`
+    : expectedSha256 && sha256 !== String(expectedSha256).toLowerCase()
+      ? `Part ${number} does not match its SHA-256`
+      : null;
+  if (problem) {
+    await getStorage().delete(key);
+    throw new AppError('VALIDATION_ERROR', problem, 400);
+  }
+
+  // Replace an earlier copy of the part (resend after a dropped response)
+  const part = { number, size, sha256 };
+  await UploadSession.updateOne({ _id: session._id }, { $pull: { parts: { number } } });
+  return UploadSession.findOneAndUpdate(
+    { _id: session._id },
+    { $push: { parts: part }, $set: { expiresAt: nextExpiry() } },
+    { new: true }
+  );
+};
+
+/**
+ * Claim a session for completion (only one request can complete an upload)
+ * @param {Object} session - Upload session
+ * @returns {Object|null} Claimed session or null if it is not active any more
+ */
+const claimUploadSession = session => UploadSession.findOneAndUpdate(
+  { _id: session._id, status: 'active' },
+  { $set: { status: 'completing', expiresAt: nextExpiry() } },
+  { new: true }
+);
+
+/**
+ * Return a claimed session to 'active' (completion failed, the client may retry)
+ * @param {Object} session - Upload session
+ */
+const releaseUploadSession = session => UploadSession.updateOne(
+  { _id: session._id, status: 'completing' },
+  { $set: { status: 'active', expiresAt: nextExpiry() } }
+);
+
+/**
+ * Read the snapshot of a finished upload
+ * Parts are streamed in order and hashed, counted and decoded in one pass; the text is parsed
+ * once, so the joined bytes are never held as a single buffer
+ * @param {Object} session - Upload session
+ * @returns {Object} Parsed snapshot
+ * @throws {AppError} If parts are missing, the result does not match the announced size and hash,
+ *   or it is not JSON
+ */
+const readUploadedSnapshot = async (session) => {
+  const received = new Set(session.parts.map(part => part.number));
+  const missing = [];
+  for (let number = 1; number <= session.partCount; number++) {
+    if (!received.has(number)) {
+      missing.push(number);
+    }
+  }
+  if (missing.length > 0) {
+    throw new AppError('VALIDATION_ERROR', `Upload is missing part(s) ${missing.join(', ')}`, 400, { missingParts: missing });
+  }
+
+  const hash = crypto.createHash('sha256');
+  const decoder = new StringDecoder('utf8');
+  let size = 0;
+  let text = '';
+  for (let number = 1; number <= session.partCount; number++) {
+    const { stream } = await getStorage().getStream(partKey(session.uploadId, number));
+    for await (const chunk of stream) {
+      size += chunk.length;
+      hash.update(chunk);
+      text += decoder.write(chunk);
+    }
+  }
+  text += decoder.end();
+
+  if (size !== session.size || hash.digest('hex') !== session.sha256) {
+    throw new AppError('VALIDATION_ERROR', 'Uploaded snapshot does not match its size and SHA-256', 400);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new AppError('VALIDATION_ERROR', 'Design snapshot must be valid JSON', 400);
+  }
+};
+
+/**
+ * Delete the stored parts of a session
+ * @param {Object} session - Upload session
+ */
+const deleteUploadParts = async (session) => {
+  for (let number = 1; number <= session.partCount; number++) {
+    await getStorage().delete(partKey(session.uploadId, number));
+  }
+};
+
+/**
+ * Record the commit created from an upload and drop its parts
+ * The session is kept until it expires so a retried complete returns the commit
+ * @param {Object} session - Upload session
+ * @param {String} commitHash - Created commit
+ */
+const finishUploadSession = async (session, commitHash) => {
+  await UploadSession.updateOne(
+    { _id: session._id },
+    { $set: { status: 'completed', commitHash, expiresAt: nextExpiry() } }
+  );
+  await deleteUploadParts(session).catch(error =>
+    console.warn(`⚠️ Could not delete parts of upload ${session.uploadId}:`, error.message)
+  );
+};
+
+/**
+ * Abort an upload and delete its parts
+ * @param {Object} session - Upload session
+ */
+const abortUploadSession = async (session) => {
+  if (session.status === 'completing') {
+    throw new AppError('CONFLICT', 'Upload is being completed', 409);
+  }
+  await deleteUploadParts(session);
+  await UploadSession.deleteOne({ _id: session._id });
+};
+
+/**
+ * Delete expired sessions and their parts
+ * (a session still 'completing' at its expiry was left behind by a crashed request)
+ * @returns {Number} Number of sessions removed
+ */
+const collectExpiredUploads = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+  let removed = 0;
+  for (const session of expired) {
+    try {
+      await deleteUploadParts(session);
+      await UploadSession.deleteOne({ _id: session._id, expiresAt: session.expiresAt });
+      removed++;
+    } catch (error) {
+      console.error(`❌ Could not remove expired upload ${session.uploadId}:`, error.message);
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🗑️ Removed ${removed} expired upload(s)`);
+  }
+  return removed;
+};
+
+/**
+ * Sweep expired uploads periodically
+ * @returns {Object} Interval handle
+ */
+const scheduleUploadCleanup = () => {
+  const handle = setInterval(() => {
+    collectExpiredUploads().catch(error => console.error('❌ Upload cleanup failed:', error));
+  }, CLEANUP_INTERVAL_MS);
+  handle.unref();
+  return handle;
+};
+
+module.exports = {
+  describeUpload,
+  createUploadSession,
+  findUploadSession,
+  storeUploadPart,
+  claimUploadSession,
+  releaseUploadSession,
+  readUploadedSnapshot,
+  finishUploadSession,
+  abortUploadSession,
+  collectExpiredUploads,
+  scheduleUploadCleanup,
+  NAMESPACE,
+};
@@ -6,7 +6,7 @@
  * 
  * Events:
  * - branch:created, branch:updated, branch:deleted
- * - merge:created, merge:approved, merge:merged, merge:closed
+ * - merge:created, merge:approved, merge:conflicts_updated, merge:merged, merge:closed
  * - team:member_added, team:member_updated
  */
 
@@ -18,9 +18,10 @@ let io = null;
  */
 const initializeWebSocket = (server) => {
   const { Server } = require('socket.io');
-  const jwt = require('jsonwebtoken');
   const config = require('../../config/config');
   const User = require('../../models/User');
+  const { verifyToken } = require('../auth/jwtService');
+  const { findActiveSession } = require('../auth/sessionService');
 
   io = new Server(server, {
     cors: {
@@ -38,7 +39,10 @@ const initializeWebSocket = (server) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, config.jwt.secret);
+      const decoded = verifyToken(token);
+      if (!await findActiveSession(decoded)) {
+        return next(new Error('Authentication error: Session has ended'));
+      }
       const user = await User.findOne({ userId: decoded.userId });
 
       if (!user) {
@@ -127,6 +131,15 @@ const emitMergeRequestApproved = (projectId, mergeRequest) => {
   emitToProject(projectId, 'merge:approved', { mergeRequest });
 };
 
+/**
+ * Emit merge request conflicts updated event
+ * @param {String} projectId - Project ID
+ * @param {Object} mergeRequest - Merge request object
+ */
+const emitMergeRequestConflictsUpdated = (projectId, mergeRequest) => {
+  emitToProject(projectId, 'merge:conflicts_updated', { mergeRequest });
+};
+
 /**
  * Emit merge request merged event
  */
@@ -162,6 +175,7 @@ module.exports = {
   emitBranchDeleted,
   emitMergeRequestCreated,
   emitMergeRequestApproved,
+  emitMergeRequestConflictsUpdated,
   emitMergeRequestMerged,
   emitMergeRequestClosed,
   emitTeamMemberAdded,
@@ -1,27 +1,83 @@
 /**
  * Commit Hash Utility
- * 
- * Generates unique commit hashes for version control
- * Uses crypto to create SHA-256 hashes
+ *
+ * Git-style content hashes for version control (SHA-256):
+ * - contentHash: hash of the canonicalized snapshot, identical designs hash the same
+ * - commit hash: hash of the commit object (content hash, parents, author, timestamp, message)
+ * Full 64-character hashes are stored; short hashes are for display only
  */
 
 const crypto = require('crypto');
+const { parseSnapshot, stableStringify } = require('./snapshotDiff');
+
+// Length of abbreviated hashes shown in the UI and messages
+const SHORT_HASH_LENGTH = 7;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Canonical form of a snapshot: sorted keys, export timestamp dropped
+ * @param {Buffer|String|Object} snapshot - Snapshot
+ * @returns {String} Canonical JSON
+ */
+const canonicalizeSnapshot = (snapshot) => {
+  const content = { ...parseSnapshot(snapshot) };
+  delete content.timestamp;
+  return stableStringify(content);
+};
+
+/**
+ * Hash snapshot content
+ * @param {Buffer|String|Object} snapshot - Snapshot
+ * @returns {String} SHA-256 of the canonical snapshot (hex)
+ */
+const computeContentHash = snapshot => sha256(canonicalizeSnapshot(snapshot));
+
+/**
+ * Generate commit hash from the commit object
+ * @param {Object} commit - { contentHash, parentHash, mergeParentHash, authorId, message, timestamp }
+ * @returns {String} Commit hash (SHA-256, hex)
+ */
+const generateCommitHash = ({ contentHash, parentHash = null, mergeParentHash = null, authorId, message, timestamp }) => {
+  const lines = [`content ${contentHash || ''}`];
+  if (parentHash) {
+    lines.push(`parent ${parentHash}`);
+  }
+  if (mergeParentHash) {
+    lines.push(`parent ${mergeParentHash}`);
+  }
+  lines.push(`author ${authorId} ${new Date(timestamp).getTime()}`);
+  lines.push('', message);
+  return sha256(lines.join('\n'));
+};
 
 /**
- * Generate commit hash
- * @param {String} projectId - Project ID
- * @param {String} branchId - Branch ID
- * @param {String} message - Commit message
- * @param {String} authorId - Author user ID
- * @param {String} parentHash - Parent commit hash (optional)
- * @returns {String} Commit hash (first 12 characters of SHA-256)
+ * Hash a new commit
+ * @param {Object} commit - { snapshot, parentHash, mergeParentHash, authorId, message }
+ * @returns {Object} { hash, contentHash, timestamp } (store timestamp on the commit so the hash can be verified)
  */
-const generateCommitHash = (projectId, branchId, message, authorId, parentHash = null) => {
-  const data = `${projectId}-${branchId}-${message}-${authorId}-${parentHash || ''}-${Date.now()}`;
-  const hash = crypto.createHash('sha256').update(data).digest('hex');
-  return hash.substring(0, 12); // Use first 12 characters
+const hashCommit = ({ snapshot, parentHash = null, mergeParentHash = null, authorId, message }) => {
+  const contentHash = computeContentHash(snapshot);
+  const timestamp = new Date();
+  return {
+    hash: generateCommitHash({ contentHash, parentHash, mergeParentHash, authorId, message, timestamp }),
+    contentHash,
+    timestamp,
+  };
 };
 
+/**
+ * Abbreviate a hash for display
+ * @param {String} hash - Full hash
+ * @returns {String} Short hash
+ */
+const shortHash = hash => (hash ? hash.substring(0, SHORT_HASH_LENGTH) : hash);
+
 module.exports = {
+  SHORT_HASH_LENGTH,
+  canonicalizeSnapshot,
+  computeContentHash,
   generateCommitHash,
+  hashCommit,
+  shortHash,
 };
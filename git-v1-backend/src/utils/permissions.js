@@ -0,0 +1,87 @@
+/**
+ * Roles and Permissions
+ *
+ * The permission matrix behind checkRole (middleware/authorization.js):
+ * - owner: everything, including granting and removing the owner role
+ * - manager: runs the project (settings, team, merges, any branch)
+ * - designer: works on their own branches and reviews
+ * - reviewer: reviews merge requests, cannot change designs
+ * - viewer: browses history and checks out canvases, read-only
+ * The team endpoints send this matrix along (permissions), so the add-on hides what a role
+ * cannot do without keeping a copy of it
+ */
+
+// Most to least privileged
+const ROLES = ['owner', 'manager', 'designer', 'reviewer', 'viewer'];
+
+const PERMISSIONS = {
+  // Project, canvases, history, merge requests (read)
+  'project:read': ['owner', 'manager', 'designer', 'reviewer', 'viewer'],
+  // Open a canvas on the document (checkout)
+  'branch:checkout': ['owner', 'manager', 'designer', 'reviewer', 'viewer'],
+  'project:settings': ['owner', 'manager'],
+  'branch:create': ['owner', 'manager', 'designer'],
+  'branch:delete': ['owner', 'manager'],
+  // Save to, commit on and open merge requests from canvases created by others
+  'branch:write_any': ['owner', 'manager'],
+  // Commits, snapshot saves and media uploads (own canvases and the primary canvas)
+  'commit:create': ['owner', 'manager', 'designer'],
+  'commit:revert': ['owner', 'manager'],
+  // Re-hash stored snapshots (integrity check; reads every snapshot it covers)
+  'history:verify': ['owner', 'manager'],
+  'merge_request:create': ['owner', 'manager', 'designer'],
+  // Approve and request changes (when assigned as reviewer)
+  'merge_request:review': ['owner', 'manager', 'designer', 'reviewer'],
+  // Write conflict resolutions into the merge result (the merge request author can too)
+  'merge_request:resolve': ['owner', 'manager'],
+  // Review without being assigned
+  'merge_request:review_any': ['owner', 'manager'],
+  // Complete and revert merges
+  'merge_request:merge': ['owner', 'manager'],
+  // Invite, remove and change the role of members (owners only for the owner role)
+  'team:manage': ['owner', 'manager'],
+  'team:manage_owners': ['owner'],
+  // See all API tokens of the project and create service tokens
+  'tokens:manage': ['owner', 'manager'],
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {String} role - Team role
+ * @param {String} permission - Permission name
+ * @returns {Boolean}
+ */
+const hasPermission = (role, permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles.includes(role);
+};
+
+/**
+ * Roles that have a permission
+ * @param {String} permission - Permission name
+ * @returns {Array<String>} Roles
+ */
+const rolesWithPermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return PERMISSIONS[permission];
+};
+
+/**
+ * Permissions of a role
+ * @param {String} role - Team role
+ * @returns {Array<String>} Permission names
+ */
+const permissionsOf = role => Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  rolesWithPermission,
+  permissionsOf,
+};
@@ -0,0 +1,327 @@
+/**
+ * Snapshot Diff Utility
+ *
+ * Helpers for comparing design snapshots element by element
+ * Elements are matched by the stable `id` emitted by the add-on's serializeElement,
+ * at every level: grouped elements are indexed too, with their parent group, so an edit
+ * inside a group is a change of that element rather than of the group's children
+ */
+
+/**
+ * Parse a snapshot from a GridFS buffer, string or object
+ * @param {Buffer|String|Object} data - Raw snapshot
+ * @returns {Object} Snapshot object (empty document if data is missing)
+ */
+const parseSnapshot = (data) => {
+  if (!data) {
+    return { pages: [] };
+  }
+  if (Buffer.isBuffer(data)) {
+    return JSON.parse(data.toString());
+  }
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+  return data;
+};
+
+/**
+ * Serialize a value with sorted object keys so equal values compare equal
+ * @param {*} value - Any JSON value
+ * @returns {String} Canonical JSON string
+ */
+const stableStringify = (value) => {
+  if (value === undefined) {
+    return 'null';
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+};
+
+/**
+ * Deep equality check for snapshot values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {Boolean} True if both values are equal
+ */
+const isEqual = (a, b) => stableStringify(a) === stableStringify(b);
+
+/**
+ * Index every element of every page/artboard by element id, parents before their children
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {Map} elementId -> { element, pageId, artboardId, parentId, ancestors, index }
+ *   parentId is the enclosing group (null at artboard level), ancestors lists the enclosing
+ *   groups from the outermost, index is the position among its siblings
+ */
+const indexElements = (snapshot) => {
+  const index = new Map();
+
+  const visit = (elements, location, ancestors) => {
+    (elements || []).forEach((element, position) => {
+      if (!element || element.id === undefined || element.id === null) {
+        return;
+      }
+      const elementId = String(element.id);
+      index.set(elementId, {
+        element,
+        ...location,
+        parentId: ancestors.length > 0 ? ancestors[ancestors.length - 1] : null,
+        ancestors,
+        index: position,
+      });
+      if (Array.isArray(element.children)) {
+        visit(element.children, location, [...ancestors, elementId]);
+      }
+    });
+  };
+
+  (snapshot?.pages || []).forEach((page) => {
+    (page.artboards || []).forEach((artboard) => {
+      visit(artboard.elements, { pageId: page.id, artboardId: artboard.id }, []);
+    });
+  });
+  return index;
+};
+
+/**
+ * An element's own properties: everything but its children (indexed as elements of their own)
+ * @param {Object} element - Snapshot element
+ * @returns {Object} Element without children
+ */
+const elementContent = (element) => {
+  if (!element || element.children === undefined) {
+    return element;
+  }
+  const { children, ...content } = element;
+  return content;
+};
+
+/**
+ * Where an element sits: page, artboard and enclosing group
+ * @param {Object} entry - Index entry from indexElements
+ * @returns {String} Container key
+ */
+const containerKey = entry => `${entry.pageId}/${entry.artboardId}/${entry.parentId || ''}`;
+
+/**
+ * List the properties that differ between two versions of an element
+ * @param {Object} before - Element before the change
+ * @param {Object} after - Element after the change
+ * @returns {Array<String>} Changed property names
+ */
+const getChangedProperties = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key => !isEqual(before?.[key], after?.[key]));
+};
+
+// Numeric properties reported with a signed delta
+const NUMERIC_PROPERTIES = ['width', 'height', 'opacity', 'rotation', 'imageWidth', 'imageHeight'];
+
+// Properties too large to echo back in a diff (only reported as changed)
+const OPAQUE_PROPERTIES = ['imageData'];
+
+/**
+ * Strip bulky data from an element before returning it in a diff
+ * @param {Object} element - Snapshot element
+ * @returns {Object} Element without embedded image data
+ */
+const summarizeElement = (element) => {
+  if (!element) {
+    return element;
+  }
+  const summary = { ...element };
+  OPAQUE_PROPERTIES.forEach((property) => {
+    if (summary[property] !== undefined) {
+      delete summary[property];
+    }
+  });
+  if (Array.isArray(summary.children)) {
+    summary.children = summary.children.map(summarizeElement);
+  }
+  return summary;
+};
+
+/**
+ * Strip bulky data from every element of a snapshot (for previews)
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {Object} Snapshot without embedded image data
+ */
+const summarizeSnapshot = (snapshot) => ({
+  ...snapshot,
+  pages: (snapshot?.pages || []).map(page => ({
+    ...page,
+    artboards: (page.artboards || []).map(artboard => ({
+      ...artboard,
+      elements: (artboard.elements || []).map(summarizeElement),
+    })),
+  })),
+});
+
+/**
+ * Describe how one property changed
+ * @param {String} property - Property name
+ * @param {*} before - Value before
+ * @param {*} after - Value after
+ * @returns {Object} { property, before, after, delta? }
+ */
+const describePropertyChange = (property, before, after) => {
+  if (OPAQUE_PROPERTIES.includes(property)) {
+    return { property, changed: true };
+  }
+
+  const change = {
+    property,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after,
+  };
+
+  if (NUMERIC_PROPERTIES.includes(property) && typeof before === 'number' && typeof after === 'number') {
+    change.delta = after - before;
+  }
+  if (property === 'translation' && before && after) {
+    change.delta = { x: after.x - before.x, y: after.y - before.y };
+  }
+  return change;
+};
+
+/**
+ * Rank elements within their artboard or group, counting only the given ids
+ * Used to detect stacking order changes without being thrown off by additions/removals
+ * @param {Map} index - Element index from indexElements
+ * @param {Set<String>} ids - Element ids to rank
+ * @returns {Map} elementId -> rank
+ */
+const rankElements = (index, ids) => {
+  const byArtboard = new Map();
+  for (const elementId of ids) {
+    const entry = index.get(elementId);
+    const key = containerKey(entry);
+    if (!byArtboard.has(key)) {
+      byArtboard.set(key, []);
+    }
+    byArtboard.get(key).push({ elementId, position: entry.index });
+  }
+
+  const ranks = new Map();
+  for (const entries of byArtboard.values()) {
+    entries
+      .sort((a, b) => a.position - b.position)
+      .forEach(({ elementId }, rank) => ranks.set(elementId, rank));
+  }
+  return ranks;
+};
+
+/**
+ * Structured element-level diff between two snapshots
+ * @param {Object} from - Snapshot before
+ * @param {Object} to - Snapshot after
+ * @returns {Object} { summary, added, removed, modified }
+ */
+const diffSnapshots = (from, to) => {
+  const fromIndex = indexElements(from);
+  const toIndex = indexElements(to);
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+  let unchanged = 0;
+
+  // Children of added and removed groups are listed as elements of their own
+  const describeEntry = (elementId, entry) => ({
+    id: elementId,
+    type: entry.element.type || null,
+    pageId: entry.pageId,
+    artboardId: entry.artboardId,
+    parentId: entry.parentId,
+    element: summarizeElement(elementContent(entry.element)),
+  });
+
+  const sharedIds = new Set([...toIndex.keys()].filter(elementId => fromIndex.has(elementId)));
+  const fromRanks = rankElements(fromIndex, sharedIds);
+  const toRanks = rankElements(toIndex, sharedIds);
+
+  for (const [elementId, toEntry] of toIndex) {
+    const fromEntry = fromIndex.get(elementId);
+    if (!fromEntry) {
+      added.push(describeEntry(elementId, toEntry));
+      continue;
+    }
+
+    const changes = getChangedProperties(elementContent(fromEntry.element), elementContent(toEntry.element))
+      .map(property => describePropertyChange(property, fromEntry.element[property], toEntry.element[property]));
+
+    // Moving to another artboard or group, or changing stacking order, is a change too
+    const moved = containerKey(fromEntry) !== containerKey(toEntry);
+    if (moved || fromRanks.get(elementId) !== toRanks.get(elementId)) {
+      const location = entry => ({
+        pageId: entry.pageId,
+        artboardId: entry.artboardId,
+        parentId: entry.parentId,
+        index: entry.index,
+      });
+      changes.push({
+        property: 'location',
+        before: location(fromEntry),
+        after: location(toEntry),
+      });
+    }
+
+    if (changes.length === 0) {
+      unchanged++;
+      continue;
+    }
+
+    modified.push({
+      id: elementId,
+      type: toEntry.element.type || fromEntry.element.type || null,
+      pageId: toEntry.pageId,
+      artboardId: toEntry.artboardId,
+      parentId: toEntry.parentId,
+      changes,
+    });
+  }
+
+  for (const [elementId, fromEntry] of fromIndex) {
+    if (!toIndex.has(elementId)) {
+      removed.push(describeEntry(elementId, fromEntry));
+    }
+  }
+
+  return {
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      modified: modified.length,
+      unchanged,
+    },
+    added,
+    removed,
+    modified,
+  };
+};
+
+/**
+ * Count the elements (grouped ones included) across all pages and artboards
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {Number} Element count
+ */
+const countElements = (snapshot) => indexElements(snapshot).size;
+
+module.exports = {
+  parseSnapshot,
+  stableStringify,
+  isEqual,
+  indexElements,
+  elementContent,
+  containerKey,
+  getChangedProperties,
+  diffSnapshots,
+  summarizeSnapshot,
+  countElements,
+};
@@ -0,0 +1,173 @@
+/**
+ * Snapshot Migrations
+ *
+ * Upgrades snapshots written by older add-on versions to the current schema
+ * (src/schemas/snapshot.schema.json), one version step at a time
+ * Stored files are never rewritten: snapshots are migrated when they are read,
+ * so commit content hashes keep matching the stored bytes.
+ * Stored 1.0 elements of unrecognised types are kept as Unknown; uploads are migrated
+ * strictly and rejected instead (a missing version must not bypass type validation)
+ * The add-on runs the same steps before importing (sandbox/code.js, migrateSnapshot)
+ */
+
+const { parseSnapshot } = require('./snapshotDiff');
+const { CURRENT_SNAPSHOT_VERSION } = require('./snapshotSchema');
+
+// Snapshots without a version field predate versioning and use the 1.0 format
+const INITIAL_SNAPSHOT_VERSION = '1.0';
+
+// Raw SDK constructor names written by 1.0 exports, by normalized type
+const LEGACY_ELEMENT_TYPES = {
+  Pe: 'Text',
+  TextNode: 'Text',
+  StandaloneTextNode: 'Text',
+  ThreadedTextNode: 'Text',
+  RectangleNode: 'Rectangle',
+  EllipseNode: 'Ellipse',
+  GroupNode: 'Group',
+  PathNode: 'Path',
+  MediaContainerNode: 'Image',
+  ImageRectangleNode: 'Image',
+  ComplexShapeNode: 'ComplexShape',
+};
+
+// Types the 2.0 deserializer handles; 1.0 exports kept other SDK names as the type
+const ELEMENT_TYPES = ['Rectangle', 'Ellipse', 'Text', 'Group', 'Path', 'Image', 'ComplexShape', 'Unknown'];
+
+/**
+ * 1.0 -> 2.0 for one element and its children
+ * @param {Object} element - 1.0 element
+ * @param {String} fallbackId - Id used if the element has none
+ * @param {String} path - JSON pointer of the element (for errors)
+ * @param {Object} options - { strict, errors }
+ * @returns {Object} 2.0 element
+ */
+const migrateElementV1 = (element, fallbackId, path, options) => {
+  if (!element || typeof element !== 'object' || Array.isArray(element)) {
+    return element;
+  }
+
+  const migrated = { ...element };
+  delete migrated._needsAsyncImageLoad; // Import marker that leaked into some 1.0 exports
+
+  migrated.type = LEGACY_ELEMENT_TYPES[migrated.type] || migrated.type;
+  if (migrated.type === 'ComplexShape' && (migrated.imageData || migrated.hasImageData)) {
+    migrated.type = 'Image';
+  }
+  if (!ELEMENT_TYPES.includes(migrated.type)) {
+    if (options.strict) {
+      options.errors.push({ path: `${path}/type`, message: `is not a known element type (${String(migrated.type)})` });
+    } else {
+      migrated.sdkType = String(migrated.type);
+      migrated.type = 'Unknown';
+    }
+  }
+  if (migrated.id === undefined || migrated.id === null || migrated.id === '') {
+    migrated.id = fallbackId;
+  } else {
+    migrated.id = String(migrated.id);
+  }
+
+  if (Array.isArray(migrated.children)) {
+    migrated.children = migrated.children.map((child, index) =>
+      migrateElementV1(child, `${migrated.id}.${index}`, `${path}/children/${index}`, options)
+    );
+  }
+  if (migrated.type === 'Group' && migrated.maskShape) {
+    migrated.maskShape = migrateElementV1(migrated.maskShape, `${migrated.id}.mask`, `${path}/maskShape`, options);
+  }
+  return migrated;
+};
+
+/**
+ * 1.0 -> 2.0: normalized element types, string ids on every page, artboard and element
+ * @param {Object} snapshot - 1.0 snapshot
+ * @param {Object} options - { strict, errors }
+ * @returns {Object} 2.0 snapshot
+ */
+const migrateV1ToV2 = (snapshot, options) => ({
+  ...snapshot,
+  pages: (snapshot.pages || []).map((page, pageIndex) => {
+    const pageId = page.id ? String(page.id) : `page_${pageIndex}`;
+    return {
+      ...page,
+      id: pageId,
+      artboards: (page.artboards || []).map((artboard, artboardIndex) => {
+        const artboardId = artboard.id ? String(artboard.id) : `artboard_${artboardIndex}`;
+        return {
+          ...artboard,
+          id: artboardId,
+          elements: (artboard.elements || []).map((element, index) => migrateElementV1(
+            element,
+            `legacy-${pageId}-${artboardId}-${index}`,
+            `/pages/${pageIndex}/artboards/${artboardIndex}/elements/${index}`,
+            options
+          )),
+        };
+      }),
+    };
+  }),
+});
+
+// Ordered upgrade steps; add one for every schema change
+// 2.0 -> 2.1 only adds mediaId (images in the media store); inline imageData stays valid
+const MIGRATIONS = [
+  { from: '1.0', to: '2.0', migrate: migrateV1ToV2 },
+  { from: '2.0', to: '2.1', migrate: snapshot => snapshot },
+];
+
+/**
+ * Upgrade a parsed snapshot to the current schema version
+ * Snapshots from an unknown (newer) version are returned unchanged
+ * @param {Object} snapshot - Parsed snapshot
+ * @param {Object} options - { strict }: report what a migration would otherwise
+ *   fall back on (unknown element types) instead of converting it (uploads)
+ * @returns {Object} { snapshot, fromVersion, migrated, errors } - errors: [{ path, message }], strict only
+ */
+const migrateSnapshot = (snapshot, { strict = false } = {}) => {
+  const fromVersion = snapshot?.version ? String(snapshot.version) : INITIAL_SNAPSHOT_VERSION;
+  const options = { strict, errors: [] };
+  let current = snapshot;
+  let version = fromVersion;
+
+  while (version !== CURRENT_SNAPSHOT_VERSION) {
+    const step = MIGRATIONS.find(migration => migration.from === version);
+    if (!step) {
+      console.warn(`⚠️ No migration from snapshot version ${version} to ${CURRENT_SNAPSHOT_VERSION}`);
+      break;
+    }
+    current = { ...step.migrate(current, options), version: step.to };
+    version = step.to;
+  }
+
+  return { snapshot: current, fromVersion, migrated: current !== snapshot, errors: options.errors };
+};
+
+/**
+ * Upgrade stored snapshot data on read
+ * @param {Buffer} data - Snapshot JSON
+ * @returns {Buffer} Current-version snapshot JSON (data itself if no migration was needed
+ *   or it is not a snapshot)
+ */
+const upgradeSnapshotData = (data) => {
+  let parsed;
+  try {
+    parsed = parseSnapshot(data);
+  } catch (error) {
+    return data; // Not JSON; callers report it
+  }
+  if (!parsed || !Array.isArray(parsed.pages)) {
+    return data;
+  }
+
+  const { snapshot, migrated } = migrateSnapshot(parsed);
+  return migrated ? Buffer.from(JSON.stringify(snapshot)) : data;
+};
+
+module.exports = {
+  INITIAL_SNAPSHOT_VERSION,
+  ELEMENT_TYPES,
+  MIGRATIONS,
+  migrateSnapshot,
+  upgradeSnapshotData,
+};
@@ -0,0 +1,196 @@
+/**
+ * Snapshot Sanitizer
+ *
+ * Safety checks for uploaded snapshots that the JSON Schema cannot express:
+ * - structural and element (group) nesting depth
+ * - no object store references ({ $object }) smuggled into uploads
+ * - embedded images: strict base64, decoded size limit, PNG/JPEG signature
+ * - media references: mediaId must be a SHA-256 id (existence is checked by mediaStore.js)
+ * Sanitizing drops import-only fields (keys starting with "_") and sets
+ * imageMimeType to the type the image bytes actually have
+ * Runs before schema validation, so hostile nesting never reaches a recursive walk
+ */
+
+const config = require('../config/config');
+
+// JSON levels per element level (element -> children array -> element) plus the
+// levels around artboard elements and inside element properties (styles, lists)
+const JSON_LEVELS_PER_ELEMENT = 2;
+const JSON_LEVELS_OUTSIDE_ELEMENTS = 16;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const MEDIA_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+// Leading bytes of the accepted image formats
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+];
+
+/**
+ * Check nesting depth without recursion (an arbitrarily deep upload must not overflow the stack)
+ * @param {Object} snapshot - Parsed snapshot
+ * @param {Number} maxElementDepth - Deepest allowed element level (1 = top-level elements)
+ * @returns {Array} [{ path, message }]
+ */
+const checkNestingDepth = (snapshot, maxElementDepth) => {
+  const maxJsonDepth = maxElementDepth * JSON_LEVELS_PER_ELEMENT + JSON_LEVELS_OUTSIDE_ELEMENTS;
+  const stack = [{ value: snapshot, path: '', jsonDepth: 0, elementDepth: 0, isElement: false }];
+
+  while (stack.length > 0) {
+    const { value, path, jsonDepth, elementDepth, isElement } = stack.pop();
+    if (!value || typeof value !== 'object') {
+      continue;
+    }
+    if (elementDepth > maxElementDepth) {
+      return [{ path, message: `is nested deeper than ${maxElementDepth} element level(s)` }];
+    }
+    if (jsonDepth > maxJsonDepth) {
+      return [{ path, message: `is nested deeper than ${maxJsonDepth} level(s)` }];
+    }
+
+    Object.entries(value).forEach(([key, child]) => {
+      // Elements are the items of an artboard's "elements", a group's "children" and group masks
+      const childIsElement = Array.isArray(value)
+        ? isElement
+        : key === 'elements' || key === 'children' || (key === 'maskShape' && isElement);
+      stack.push({
+        value: child,
+        path: `${path}/${key}`,
+        jsonDepth: jsonDepth + 1,
+        elementDepth: childIsElement && !Array.isArray(child) ? elementDepth + 1 : elementDepth,
+        isElement: childIsElement,
+      });
+    });
+  }
+  return [];
+};
+
+/**
+ * Detect the image format from its leading bytes
+ * @param {Buffer} bytes - Decoded image
+ * @returns {String|null} MIME type or null if it is not PNG or JPEG
+ */
+const detectImageType = (bytes) => {
+  const match = IMAGE_SIGNATURES.find(signature =>
+    bytes.length >= signature.bytes.length && signature.bytes.every((byte, index) => bytes[index] === byte)
+  );
+  return match ? match.mimeType : null;
+};
+
+/**
+ * Check an element's media reference or embedded image and record the image's real MIME type
+ * @param {Object} element - Element (updated)
+ * @param {String} path - JSON pointer of the element
+ * @param {Object} limits - { maxImageSize }
+ * @param {Array} errors - Collected errors (updated)
+ */
+const sanitizeImage = (element, path, { maxImageSize }, errors) => {
+  if (element.mediaId !== undefined && !(typeof element.mediaId === 'string' && MEDIA_ID_PATTERN.test(element.mediaId))) {
+    errors.push({ path: `${path}/mediaId`, message: 'must be a media id (lowercase hex SHA-256)' });
+  }
+
+  if (typeof element.imageData !== 'string' || element.imageData.length === 0) {
+    return;
+  }
+  const data = element.imageData;
+  const imagePath = `${path}/imageData`;
+
+  if (data.length % 4 !== 0 || !BASE64_PATTERN.test(data)) {
+    errors.push({ path: imagePath, message: 'is not valid base64' });
+    return;
+  }
+
+  const decodedSize = (data.length / 4) * 3 - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0);
+  if (decodedSize > maxImageSize) {
+    errors.push({ path: imagePath, message: `image is ${decodedSize} bytes, the limit is ${maxImageSize}` });
+    return;
+  }
+
+  const mimeType = detectImageType(Buffer.from(data, 'base64'));
+  if (!mimeType) {
+    errors.push({ path: imagePath, message: 'is not a PNG or JPEG image' });
+    return;
+  }
+  element.imageMimeType = mimeType;
+};
+
+/**
+ * Sanitize an element and its children in place
+ * @param {Object} element - Element
+ * @param {String} path - JSON pointer of the element
+ * @param {Object} limits - { maxImageSize }
+ * @param {Array} errors - Collected errors (updated)
+ */
+const sanitizeElement = (element, path, limits, errors) => {
+  if (!element || typeof element !== 'object' || Array.isArray(element)) {
+    return;
+  }
+
+  Object.keys(element)
+    .filter(key => key.startsWith('_'))
+    .forEach(key => delete element[key]);
+
+  sanitizeImage(element, path, limits, errors);
+
+  if (Array.isArray(element.children)) {
+    element.children.forEach((child, index) => sanitizeElement(child, `${path}/children/${index}`, limits, errors));
+  }
+  if (element.type === 'Group' && element.maskShape) {
+    sanitizeElement(element.maskShape, `${path}/maskShape`, limits, errors);
+  }
+};
+
+/**
+ * Find object store references anywhere in an upload
+ * Stored snapshots use { $object } for deduplicated content; reads resolve them,
+ * so an uploaded one could pull in content from other projects
+ * @param {*} value - Parsed JSON (depth already checked)
+ * @param {String} path - JSON pointer
+ * @param {Array} errors - Collected errors (updated)
+ */
+const findObjectRefs = (value, path, errors) => {
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+  if (!Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, '$object')) {
+    errors.push({ path, message: 'must not contain object store references ($object)' });
+    return;
+  }
+  Object.entries(value).forEach(([key, child]) => findObjectRefs(child, `${path}/${key}`, errors));
+};
+
+/**
+ * Check and sanitize an uploaded snapshot (modified in place)
+ * @param {Object} snapshot - Parsed snapshot
+ * @param {Object} limits - { maxElementDepth, maxImageSize } (defaults from config.snapshots)
+ * @returns {Array} [{ path, message }] (empty if the snapshot is safe to store)
+ */
+const sanitizeSnapshot = (snapshot, limits = {}) => {
+  const { maxElementDepth, maxImageSize } = { ...config.snapshots, ...limits };
+
+  const depthErrors = checkNestingDepth(snapshot, maxElementDepth);
+  if (depthErrors.length > 0) {
+    return depthErrors;
+  }
+
+  const errors = [];
+  findObjectRefs(snapshot, '', errors);
+
+  const list = value => (Array.isArray(value) ? value : []);
+  list(snapshot.pages).forEach((page, pageIndex) => {
+    list(page?.artboards).forEach((artboard, artboardIndex) => {
+      list(artboard?.elements).forEach((element, index) => {
+        sanitizeElement(element, `/pages/${pageIndex}/artboards/${artboardIndex}/elements/${index}`, { maxImageSize }, errors);
+      });
+    });
+  });
+  return errors;
+};
+
+module.exports = {
+  sanitizeSnapshot,
+  checkNestingDepth,
+  detectImageType,
+};
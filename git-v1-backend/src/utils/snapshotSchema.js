@@ -0,0 +1,166 @@
+/**
+ * Snapshot Schema
+ *
+ * Validates design snapshots against src/schemas/snapshot.schema.json
+ * Supports the JSON Schema keywords the snapshot schema uses:
+ * type, const, enum, required, properties, additionalProperties, items,
+ * minItems, maxItems, minimum, maximum, minLength, anyOf and local $ref
+ */
+
+const snapshotSchema = require('../schemas/snapshot.schema.json');
+
+// Version written by the add-on and produced by the migrations
+const CURRENT_SNAPSHOT_VERSION = snapshotSchema.properties.version.const;
+
+// Stop collecting after this many errors (a broken export tends to repeat one mistake)
+const MAX_SCHEMA_ERRORS = 20;
+
+/**
+ * JSON Schema type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {String} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Resolve a local reference ("#/$defs/element")
+ * @param {String} ref - JSON pointer into the root schema
+ * @returns {Object} Referenced schema
+ */
+const resolveRef = (ref) => {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref.substring(2).split('/').reduce((node, key) => node?.[key], snapshotSchema);
+};
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {String} path - JSON pointer of the value
+ * @param {Array} errors - Collected errors (updated)
+ */
+const validateNode = (value, schema, path, errors) => {
+  if (errors.length >= MAX_SCHEMA_ERRORS) {
+    return;
+  }
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref), path, errors);
+    return;
+  }
+
+  const fail = message => errors.push({ path: path || '/', message });
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some((option) => {
+      const optionErrors = [];
+      validateNode(value, option, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) {
+      fail('does not match any allowed form');
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(`must be at least ${schema.minLength} character(s) long`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}/${index}`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}/${key}`, message: 'is required' });
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        validateNode(child, childSchema, `${path}/${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}/${key}`, message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, `${path}/${key}`, errors);
+      }
+    });
+  }
+};
+
+/**
+ * Validate a parsed snapshot against the current schema
+ * @param {Object} snapshot - Parsed (and migrated) snapshot
+ * @returns {Array} [{ path, message }] (empty if valid)
+ */
+const validateSnapshot = (snapshot) => {
+  const errors = [];
+  validateNode(snapshot, snapshotSchema, '', errors);
+  return errors.slice(0, MAX_SCHEMA_ERRORS);
+};
+
+/**
+ * Format schema errors for an error message
+ * @param {Array} errors - [{ path, message }]
+ * @returns {String} e.g. "/pages/0/id is required; /pages/1/artboards must be array"
+ */
+const formatSchemaErrors = errors => errors.map(({ path, message }) => `${path} ${message}`).join('; ');
+
+module.exports = {
+  CURRENT_SNAPSHOT_VERSION,
+  snapshotSchema,
+  validateSnapshot,
+  formatSchemaErrors,
+};
@@ -5,6 +5,7 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
+const { ROLES } = require('./permissions');
 
 /**
  * Middleware to check validation results
@@ -51,7 +52,15 @@ const validateCreateMergeRequest = [
 const validateInviteMember = [
   body('projectId').notEmpty().withMessage('Project ID is required'),
   body('email').isEmail().withMessage('Valid email is required'),
-  body('role').isIn(['owner', 'admin', 'designer', 'viewer']).withMessage('Invalid role'),
+  body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  validate,
+];
+
+/**
+ * Validation rules for changing a team member's role
+ */
+const validateUpdateMemberRole = [
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   validate,
 ];
 
@@ -68,5 +77,6 @@ module.exports = {
   validateCreateBranch,
   validateCreateMergeRequest,
   validateInviteMember,
+  validateUpdateMemberRole,
   validateProjectId,
 };
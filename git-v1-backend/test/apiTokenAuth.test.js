@@ -0,0 +1,121 @@
+/**
+ * API Token Authentication Tests
+ *
+ * Project API tokens only work on routes that opt in with allowApiToken, with a matching
+ * scope, in their own project, and while active
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const ApiToken = require('../src/models/ApiToken');
+const commitRoutes = require('../src/routes/commitRoutes');
+const { allowApiToken, authenticate } = require('../src/middleware/auth');
+const { startApp, mockTeam } = require('./helpers/app');
+
+const apiToken = (tokenId, fields) => ({
+  token: `gv1_${tokenId}`,
+  tokenId,
+  type: 'personal',
+  userId: 'designer',
+  projectId: 'project-1',
+  revokedAt: null,
+  expiresAt: null,
+  lastUsedAt: new Date(),
+  ...fields,
+});
+
+const TOKENS = {
+  reader: apiToken('reader', { scopes: ['history:read'] }),
+  writer: apiToken('writer', { scopes: ['commits:write'] }),
+  otherProject: apiToken('other', { scopes: ['commits:write'], projectId: 'project-2' }),
+  revoked: apiToken('revoked', { scopes: ['commits:write'], revokedAt: new Date() }),
+  expired: apiToken('expired', { scopes: ['commits:write'], expiresAt: new Date(Date.now() - 1000) }),
+  service: apiToken('service', { scopes: ['history:read'], type: 'service', userId: 'service_tok' }),
+};
+
+describe('API token authentication', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp((server) => {
+      server.get('/api/v1/sessions-only', authenticate, (req, res) => res.json({ success: true }));
+      server.get('/api/v1/scripted', allowApiToken('history:read'), authenticate, (req, res) =>
+        res.json({ success: true, userId: req.userId }));
+      server.use('/api/v1/commits', commitRoutes);
+      server.use('/api/v1/history', commitRoutes);
+    });
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    mockTeam([
+      { userId: 'designer', projectId: 'project-1', role: 'designer' },
+    ]);
+    mock.method(ApiToken, 'findOne', async ({ tokenHash, revokedAt }) => Object.values(TOKENS).find(candidate =>
+      crypto.createHash('sha256').update(candidate.token).digest('hex') === tokenHash &&
+      candidate.revokedAt === revokedAt) || null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const send = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${app.url}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token.token}`,
+        ...(body && { 'Content-Type': 'application/json' }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('accepts a token on a route that allows its scope', async () => {
+    const { status, body } = await send('GET', '/api/v1/scripted', { token: TOKENS.reader });
+    assert.equal(status, 200);
+    assert.equal(body.userId, 'designer');
+  });
+
+  it('refuses tokens on routes that do not opt in', async () => {
+    const { status, body } = await send('GET', '/api/v1/sessions-only', { token: TOKENS.writer });
+    assert.equal(status, 403);
+    assert.equal(body.error.code, 'FORBIDDEN');
+  });
+
+  it('refuses a token whose scopes the route does not allow', async () => {
+    const { status, body } = await send('POST', '/api/v1/commits/uploads', {
+      token: TOKENS.reader,
+      body: { projectId: 'project-1', branchId: 'branch-1', size: 10, sha256: 'a'.repeat(64) },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.error.code, 'INSUFFICIENT_SCOPE');
+    assert.match(body.error.message, /commits:write/);
+  });
+
+  it('refuses revoked and expired tokens', async () => {
+    for (const token of [TOKENS.revoked, TOKENS.expired]) {
+      const { status, body } = await send('GET', '/api/v1/history?projectId=project-1', { token });
+      assert.equal(status, 401);
+      assert.equal(body.error.code, 'UNAUTHORIZED');
+    }
+  });
+
+  it('refuses a token in another project', async () => {
+    const { status, body } = await send('POST', '/api/v1/commits/uploads', {
+      token: TOKENS.otherProject,
+      body: { projectId: 'project-1', branchId: 'branch-1', size: 10, sha256: 'a'.repeat(64) },
+    });
+    assert.equal(status, 403);
+    assert.match(body.error.message, /another project/);
+  });
+
+  it('limits service tokens to the designer role', async () => {
+    const { status, body } = await send('GET', '/api/v1/history/integrity?projectId=project-1', { token: TOKENS.service });
+    assert.equal(status, 403);
+    assert.equal(body.error.details.role, 'designer');
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Authorization Tests
+ *
+ * checkRole enforces the permission matrix (utils/permissions.js) for each role
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkRole } = require('../src/middleware/authorization');
+const { ROLES, hasPermission, permissionsOf } = require('../src/utils/permissions');
+
+/**
+ * Run a checkRole middleware for a member of project-1
+ * @param {Function} middleware - checkRole(...)
+ * @param {String} role - Member role
+ * @returns {Promise<Error|undefined>} What the middleware passed to next()
+ */
+const runAs = (middleware, role) => new Promise((resolve) => {
+  const req = {
+    params: { projectId: 'project-1' },
+    userId: 'user-1',
+    teamMember: { projectId: 'project-1', userId: 'user-1', role, status: 'active' },
+  };
+  middleware(req, {}, resolve);
+});
+
+describe('checkRole', () => {
+  it('denies commit:create to viewers and reviewers', async () => {
+    for (const role of ['viewer', 'reviewer']) {
+      const error = await runAs(checkRole('commit:create'), role);
+      assert.equal(error.statusCode, 403);
+      assert.deepEqual(error.details, { permission: 'commit:create', role });
+    }
+  });
+
+  it('allows commit:create to owners, managers and designers', async () => {
+    for (const role of ['owner', 'manager', 'designer']) {
+      assert.equal(await runAs(checkRole('commit:create'), role), undefined);
+    }
+  });
+
+  it('keeps the owner role the only one that can manage owners', async () => {
+    for (const role of ROLES) {
+      const error = await runAs(checkRole('team:manage_owners'), role);
+      assert.equal(error === undefined, role === 'owner', role);
+    }
+  });
+
+  it('refuses unknown permissions when routes are defined', () => {
+    assert.throws(() => checkRole('commit:destroy'), /Unknown permission: commit:destroy/);
+    assert.throws(() => hasPermission('owner', 'commit:destroy'), /Unknown permission/);
+  });
+
+  it('gives every role read access and viewers nothing more', () => {
+    for (const role of ROLES) {
+      assert.ok(hasPermission(role, 'project:read'), role);
+    }
+    assert.deepEqual(permissionsOf('viewer'), ['project:read', 'branch:checkout']);
+  });
+});
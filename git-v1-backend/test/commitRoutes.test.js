@@ -0,0 +1,203 @@
+/**
+ * Commit Route Tests
+ *
+ * Commit uploads are authorized before the multipart body is read; thumbnails are added by
+ * the commit author or a manager and typed by their bytes; integrity checks are limited to
+ * owners and managers and paginated
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local storage in an empty directory: every snapshot the integrity check looks for is missing
+// and thumbnails are written there
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'gitv1-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_PATH = storagePath;
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Commit = require('../src/models/Commit');
+const commitRoutes = require('../src/routes/commitRoutes');
+const { startApp, mockTeam, statusBeforeBodyEnds } = require('./helpers/app');
+
+after(() => {
+  fs.rmSync(storagePath, { recursive: true, force: true });
+});
+
+describe('POST /commits', () => {
+  let app;
+  let authorization;
+
+  before(async () => {
+    app = await startApp((server) => {
+      server.use('/api/v1/history', commitRoutes);
+      server.use('/api/v1/commits', commitRoutes);
+    });
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    authorization = mockTeam([
+      { userId: 'viewer', projectId: 'project-1', role: 'viewer' },
+    ]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  for (const mountPath of ['/api/v1/commits', '/api/v1/history']) {
+    it(`refuses non-members before reading the upload (${mountPath})`, async () => {
+      const status = await statusBeforeBodyEnds(`${app.url}${mountPath}?projectId=project-1`, {
+        Authorization: authorization('outsider'),
+      });
+      assert.equal(status, 403);
+    });
+  }
+
+  it('refuses members without commit:create before reading the upload', async () => {
+    const status = await statusBeforeBodyEnds(`${app.url}/api/v1/commits?projectId=project-1`, {
+      Authorization: authorization('viewer'),
+    });
+    assert.equal(status, 403);
+  });
+
+  it('requires projectId in the query', async () => {
+    const status = await statusBeforeBodyEnds(`${app.url}/api/v1/commits`, {
+      Authorization: authorization('viewer'),
+    });
+    assert.equal(status, 400);
+  });
+});
+
+describe('POST /commits/:commitHash/thumbnail', () => {
+  let app;
+  let authorization;
+  let commit;
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+  before(async () => {
+    app = await startApp(server => server.use('/api/v1/commits', commitRoutes));
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    authorization = mockTeam([
+      { userId: 'author', projectId: 'project-1', role: 'designer' },
+      { userId: 'designer', projectId: 'project-1', role: 'designer' },
+      { userId: 'manager', projectId: 'project-1', role: 'manager' },
+    ]);
+    commit = {
+      hash: 'a'.repeat(64),
+      authorId: 'author',
+      branchId: 'branch-1',
+      snapshot: {},
+      save: mock.fn(async () => {}),
+    };
+    mock.method(Commit, 'findOne', async () => commit);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const upload = (user, bytes, type) => {
+    const form = new FormData();
+    form.append('thumbnail', new Blob([bytes], { type }), 'thumbnail.png');
+    return fetch(`${app.url}/api/v1/commits/${commit.hash}/thumbnail?projectId=project-1`, {
+      method: 'POST',
+      headers: { Authorization: authorization(user) },
+      body: form,
+    });
+  };
+
+  it('refuses designers who did not author the commit', async () => {
+    const response = await upload('designer', png, 'image/png');
+    assert.equal(response.status, 403);
+    assert.equal(commit.save.mock.callCount(), 0);
+  });
+
+  it('lets the author and managers attach a thumbnail', async () => {
+    for (const user of ['author', 'manager']) {
+      commit.snapshot = {};
+      const response = await upload(user, png, 'image/png');
+      assert.equal(response.status, 200);
+      assert.match(commit.snapshot.thumbnailUrl, /\.png$/);
+    }
+  });
+
+  it('rejects files whose bytes are not the declared image type', async () => {
+    const html = await upload('author', Buffer.from('<svg onload="alert(1)"></svg>'), 'image/png');
+    assert.equal(html.status, 400);
+
+    const mislabeled = await upload('author', png, 'image/jpeg');
+    assert.equal(mislabeled.status, 400);
+    assert.equal(commit.save.mock.callCount(), 0);
+  });
+});
+
+describe('GET /history/integrity', () => {
+  let app;
+  let authorization;
+  const commits = [1, 2, 3].map(index => ({
+    _id: new mongoose.Types.ObjectId(),
+    hash: `hash-${index}`,
+    branchId: 'branch-1',
+    message: `Commit ${index}`,
+    snapshot: { fileUrl: `projects/project-1/branches/branch-1/commits/hash-${index}.json` },
+  }));
+
+  before(async () => {
+    app = await startApp(server => server.use('/api/v1/history', commitRoutes));
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    authorization = mockTeam([
+      { userId: 'manager', projectId: 'project-1', role: 'manager' },
+      { userId: 'viewer', projectId: 'project-1', role: 'viewer' },
+    ]);
+    mock.method(Commit, 'find', (query) => {
+      const after = query._id ? String(query._id.$gt) : null;
+      const start = after ? commits.findIndex(commit => String(commit._id) === after) + 1 : 0;
+      return { sort: () => ({ limit: async count => commits.slice(start, start + count) }) };
+    });
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const check = (user, query) => fetch(`${app.url}/api/v1/history/integrity?projectId=project-1${query}`, {
+    headers: { Authorization: authorization(user) },
+  });
+
+  it('is refused to viewers', async () => {
+    const response = await check('viewer', '');
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).error.details.permission, 'history:verify');
+    assert.equal(Commit.find.mock.callCount(), 0);
+  });
+
+  it('checks one page at a time and returns a cursor for the next', async () => {
+    const first = await (await check('manager', '&limit=2')).json();
+    assert.deepEqual(first.summary, { checked: 2, ok: 0, legacy: 0, corrupted: 0, missing: 2 });
+    assert.equal(first.nextCursor, String(commits[1]._id));
+
+    const second = await (await check('manager', `&limit=2&cursor=${first.nextCursor}`)).json();
+    assert.deepEqual(second.issues.map(issue => issue.hash), ['hash-3']);
+    assert.equal(second.nextCursor, null);
+  });
+
+  it('rejects page sizes above the maximum and malformed cursors', async () => {
+    assert.equal((await check('manager', '&limit=1000')).status, 400);
+    assert.equal((await check('manager', '&cursor=not-an-id')).status, 400);
+  });
+});
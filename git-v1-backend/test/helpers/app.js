@@ -0,0 +1,113 @@
+/**
+ * Route Test Helpers
+ *
+ * Serves routers on an ephemeral port and signs requests in as users whose
+ * sessions and project memberships live in memory (no MongoDB)
+ */
+
+const http = require('http');
+const express = require('express');
+const { mock } = require('node:test');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const TeamMember = require('../../src/models/TeamMember');
+const { generateToken } = require('../../src/services/auth/jwtService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+/**
+ * Start an app with the given routes
+ * @param {Function} mount - (app) => void, adds the routes
+ * @returns {Promise<Object>} { url, close }
+ */
+const startApp = async (mount) => {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+  app.use(errorHandler);
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+};
+
+// Just enough of a MongoDB filter for the membership queries the routes make
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value && value.$in) {
+    return value.$in.includes(doc[key]);
+  }
+  if (value && value.$ne !== undefined) {
+    return doc[key] !== value.$ne;
+  }
+  return doc[key] === value;
+});
+
+/**
+ * Replace users, sessions and team members with in-memory ones (undo with mock.restoreAll())
+ * @param {Array} members - [{ userId, projectId, role }] (active memberships)
+ * @returns {Function} userId -> Authorization header value; its members property holds the
+ *   membership documents (save and deleteOne are mock functions)
+ */
+const mockTeam = (members) => {
+  const docs = members.map(member => ({
+    status: 'active',
+    ...member,
+    save: mock.fn(async () => {}),
+    deleteOne: mock.fn(async () => {}),
+  }));
+
+  mock.method(Session, 'findOne', async filter => ({ sessionId: filter.sessionId, lastUsedAt: new Date() }));
+  mock.method(User, 'findOne', async ({ userId }) => ({ userId, name: userId }));
+  mock.method(TeamMember, 'findOne', async filter => docs.find(member => matches(member, filter)) || null);
+  mock.method(TeamMember, 'countDocuments', async filter => docs.filter(member => matches(member, filter)).length);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  const authorization = userId => `Bearer ${generateToken({ userId, sid: `session-${userId}` })}`;
+  authorization.members = docs;
+  return authorization;
+};
+
+/**
+ * Send a request whose body is never finished, and resolve with the response status
+ * The server can only answer if it responds without reading the whole body
+ * @param {String} url - Request URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Number>} Response status
+ */
+const statusBeforeBodyEnds = (url, headers) => new Promise((resolve, reject) => {
+  const request = http.request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'multipart/form-data; boundary=x',
+      'Content-Length': 100 * 1024 * 1024,
+      ...headers,
+    },
+  });
+  const timer = setTimeout(() => {
+    reject(new Error('No response while the body was still being sent'));
+    request.destroy();
+  }, 2000);
+  request.on('response', (response) => {
+    clearTimeout(timer);
+    resolve(response.statusCode);
+    request.destroy();
+  });
+  request.on('error', (error) => {
+    if (error.code !== 'ECONNRESET') {
+      reject(error);
+    }
+  });
+  request.write('--x\r\nContent-Disposition: form-data; name="snapshot"; filename="snapshot.json"\r\n\r\n{');
+});
+
+module.exports = {
+  startApp,
+  mockTeam,
+  statusBeforeBodyEnds,
+};
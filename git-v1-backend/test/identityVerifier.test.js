@@ -0,0 +1,100 @@
+/**
+ * Identity Verifier Tests
+ *
+ * Adobe IMS tokens are only accepted when signed by a published key, unexpired and
+ * issued to this application
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createImsVerifier } = require('../src/services/auth/identityVerifier');
+
+const IMS_URL = 'https://ims.test';
+const CLIENT_ID = 'git-v1-addon';
+
+const imsKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const forgerKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+/**
+ * Sign an IMS-style token
+ * @param {Object} claims - Claims added to a valid ID token (undefined removes a claim)
+ * @param {Object} options - { privateKey, kid, algorithm }
+ */
+const signToken = (claims = {}, { privateKey = imsKey.privateKey, kid = 'ims-1', algorithm = 'RS256' } = {}) => {
+  const payload = {
+    type: 'id_token',
+    iss: IMS_URL,
+    aud: CLIENT_ID,
+    sub: 'adobe-user-1',
+    email: 'designer@example.com',
+    name: 'Dana Designer',
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...claims,
+  };
+  Object.keys(payload).filter(key => payload[key] === undefined).forEach(key => delete payload[key]);
+  return jwt.sign(payload, privateKey, { algorithm, keyid: kid, noTimestamp: true });
+};
+
+const rejects = (promise, pattern) => assert.rejects(promise, (error) => {
+  assert.equal(error.statusCode, 401);
+  assert.match(error.message, pattern);
+  return true;
+});
+
+describe('createImsVerifier', () => {
+  let verifier;
+
+  beforeEach(() => {
+    const jwk = { ...imsKey.publicKey.export({ format: 'jwk' }), kid: 'ims-1', use: 'sig' };
+    mock.method(globalThis, 'fetch', async () => ({ ok: true, status: 200, json: async () => ({ keys: [jwk] }) }));
+    verifier = createImsVerifier({ imsUrl: IMS_URL, jwksUrl: `${IMS_URL}/ims/keys`, clientId: CLIENT_ID });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts a token signed by IMS for this application', async () => {
+    const user = await verifier.verify(signToken());
+    assert.deepEqual(user, {
+      userId: 'adobe-user-1',
+      email: 'designer@example.com',
+      name: 'Dana Designer',
+      avatarUrl: null,
+    });
+  });
+
+  it('rejects tokens signed with another key under a published key id', async () => {
+    await rejects(verifier.verify(signToken({}, { privateKey: forgerKey.privateKey })), /invalid signature/);
+  });
+
+  it('rejects tokens signed with an unpublished key id', async () => {
+    await rejects(verifier.verify(signToken({}, { privateKey: forgerKey.privateKey, kid: 'forged' })), /unknown signing key/);
+  });
+
+  it('rejects tokens that are not RS256', async () => {
+    await rejects(verifier.verify(signToken({}, { privateKey: 'shared-secret', algorithm: 'HS256' })), /unsupported token format/);
+    const unsigned = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from('{"sub":"x"}').toString('base64url')}.`;
+    await rejects(verifier.verify(unsigned), /unsupported token format/);
+  });
+
+  it('rejects expired ID tokens and access tokens', async () => {
+    await rejects(verifier.verify(signToken({ exp: Math.floor(Date.now() / 1000) - 60 })), /expired/);
+
+    const accessToken = signToken({
+      type: 'access_token',
+      exp: undefined,
+      created_at: String(Date.now() - 2 * 3600 * 1000),
+      expires_in: String(3600 * 1000),
+    });
+    await rejects(verifier.verify(accessToken), /expired/);
+  });
+
+  it('rejects tokens for another application, issuer or purpose', async () => {
+    await rejects(verifier.verify(signToken({ aud: 'another-app' })), /another application/);
+    await rejects(verifier.verify(signToken({ iss: 'https://evil.test' })), /another identity provider/);
+    await rejects(verifier.verify(signToken({ type: 'refresh_token' })), /cannot be used to sign in/);
+  });
+});
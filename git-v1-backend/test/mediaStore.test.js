@@ -0,0 +1,119 @@
+/**
+ * Media Store Tests
+ *
+ * Only PNG and JPEG bytes are stored, and media belong to the projects that uploaded them:
+ * knowing another project's media id gives no access to the image
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../src/config/config');
+const StorageObject = require('../src/models/StorageObject');
+const {
+  storeMedia,
+  readMedia,
+  findMissingMedia,
+  assertSnapshotMedia,
+} = require('../src/services/storage/mediaStore');
+
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('pixels')]);
+const pngId = crypto.createHash('sha256').update(png).digest('hex');
+
+const snapshotWithMedia = mediaId => ({
+  pages: [{ artboards: [{ elements: [{ type: 'Group', children: [{ type: 'Image', mediaId }] }] }] }],
+});
+
+describe('media store', () => {
+  const originalStorage = { ...config.storage };
+  let objects;
+
+  before(() => {
+    Object.assign(config.storage, {
+      driver: 'local',
+      path: fs.mkdtempSync(path.join(os.tmpdir(), 'gitv1-media-')),
+    });
+  });
+
+  after(() => {
+    fs.rmSync(config.storage.path, { recursive: true, force: true });
+    Object.assign(config.storage, originalStorage);
+  });
+
+  beforeEach(() => {
+    objects = new Map();
+    const inProject = (object, projectId) => projectId === undefined || object.projectIds.includes(projectId);
+
+    mock.method(StorageObject, 'updateOne', async ({ hash }, update) => {
+      if (update.$setOnInsert) {
+        if (objects.has(hash)) {
+          return { upsertedCount: 0 };
+        }
+        objects.set(hash, { projectIds: [], ...update.$setOnInsert });
+        return { upsertedCount: 1 };
+      }
+      const object = objects.get(hash);
+      const projectId = update.$addToSet.projectIds;
+      if (!object.projectIds.includes(projectId)) {
+        object.projectIds.push(projectId);
+      }
+      return {};
+    });
+    mock.method(StorageObject, 'findOne', async ({ hash, projectIds }) => {
+      const object = objects.get(hash);
+      return object && inProject(object, projectIds) ? object : null;
+    });
+    mock.method(StorageObject, 'find', async ({ hash, projectIds }) =>
+      hash.$in.map(id => objects.get(id)).filter(object => object && inProject(object, projectIds)));
+    mock.method(StorageObject, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores PNG and JPEG images under the SHA-256 of their bytes', async () => {
+    const stored = await storeMedia(png, 'project-1', pngId);
+
+    assert.deepEqual(stored, { mediaId: pngId, contentType: 'image/png', size: png.length });
+    const { data, contentType } = await readMedia(pngId, 'project-1');
+    assert.ok(data.equals(png));
+    assert.equal(contentType, 'image/png');
+  });
+
+  it('rejects images that are not PNG or JPEG, too large or not matching their id', async () => {
+    await assert.rejects(storeMedia(Buffer.from('<svg onload="alert(1)"/>'), 'project-1'), /PNG or JPEG/);
+    await assert.rejects(storeMedia(png, 'project-1', 'a'.repeat(64)), /does not match its media id/);
+    await assert.rejects(
+      storeMedia(Buffer.concat([png, Buffer.alloc(config.snapshots.maxImageSize)]), 'project-1'),
+      { code: 'PAYLOAD_TOO_LARGE' }
+    );
+    assert.equal(objects.size, 0);
+  });
+
+  it('hides media from projects that did not upload them', async () => {
+    await storeMedia(png, 'project-1');
+
+    await assert.rejects(readMedia(pngId, 'project-2'), { code: 'NOT_FOUND' });
+    assert.deepEqual(await findMissingMedia([pngId], 'project-2'), [pngId]);
+    await assert.rejects(assertSnapshotMedia(snapshotWithMedia(pngId), 'project-2'), (error) => {
+      assert.deepEqual(error.details, { missingMedia: [pngId] });
+      return true;
+    });
+
+    // Uploading the same bytes gives the second project access, without storing them twice
+    await storeMedia(png, 'project-2');
+    assert.equal((await readMedia(pngId, 'project-2')).contentType, 'image/png');
+    await assertSnapshotMedia(snapshotWithMedia(pngId), 'project-2');
+    assert.deepEqual(objects.get(pngId).projectIds, ['project-1', 'project-2']);
+  });
+
+  it('rejects malformed media ids in lookups', async () => {
+    await assert.rejects(findMissingMedia(['../../etc/passwd'], 'project-1'), /Invalid media id/);
+    await assert.rejects(findMissingMedia('not-an-array', 'project-1'), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(readMedia('../../etc/passwd', 'project-1'), { code: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Merge Request Controller Tests
+ *
+ * Reading conflicts never re-runs the merge or writes the merge request
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MergeRequest = require('../src/models/MergeRequest');
+const Branch = require('../src/models/Branch');
+const { getMergeConflicts } = require('../src/controllers/mergeRequestController');
+
+// Minimal Express response
+const createResponse = () => ({
+  body: null,
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe('getMergeConflicts', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns the recorded conflicts without merging or saving', async () => {
+    const save = mock.fn();
+    const conflicts = [
+      { elementId: 'a', conflictType: 'both_modified', resolution: null },
+      { elementId: 'b', conflictType: 'deleted_modified', resolution: { strategy: 'ours' } },
+    ];
+    mock.method(MergeRequest, 'findOne', async () => ({ status: 'open', conflicts, mergeBaseHash: 'base', save }));
+    const findBranch = mock.method(Branch, 'findOne', async () => null);
+
+    const res = createResponse();
+    const next = mock.fn();
+    await getMergeConflicts({ params: { projectId: 'project-1', mergeRequestId: '1' } }, res, next);
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.deepEqual(res.body, { success: true, conflicts, unresolvedCount: 1, mergeBaseHash: 'base' });
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(findBranch.mock.callCount(), 0);
+  });
+
+  it('reports unknown merge requests as not found', async () => {
+    mock.method(MergeRequest, 'findOne', async () => null);
+
+    const next = mock.fn();
+    await getMergeConflicts({ params: { projectId: 'project-1', mergeRequestId: '9' } }, createResponse(), next);
+
+    assert.equal(next.mock.calls[0].arguments[0].code, 'NOT_FOUND');
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Merge Service Tests
+ *
+ * Element-level three-way merge (mergeSnapshots), resolution checks (validateResolution)
+ * and merge commit lookup (findMergeCommit)
+ */
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Commit = require('../src/models/Commit');
+const { mergeSnapshots, validateResolution, findMergeCommit } = require('../src/services/merge/mergeService');
+
+// One page with one artboard holding the given elements
+const doc = elements => ({
+  version: '2.1',
+  pages: [{ id: 'page', artboards: [{ id: 'board', elements }] }],
+});
+
+const rect = (id, properties = {}) => ({ id, type: 'Rectangle', width: 10, fill: 'red', ...properties });
+const group = (id, children, properties = {}) => ({ id, type: 'Group', ...properties, children });
+
+const elementsOf = snapshot => snapshot.pages[0].artboards[0].elements;
+
+describe('mergeSnapshots', () => {
+  it('applies changes made on the source branch only', () => {
+    const base = doc([rect('a'), rect('b')]);
+    const source = doc([rect('a', { fill: 'blue' }), rect('b'), rect('c')]);
+    const target = doc([rect('a'), rect('b')]);
+
+    const { snapshot, conflicts, stats } = mergeSnapshots(base, source, target);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(elementsOf(snapshot), [rect('a', { fill: 'blue' }), rect('b'), rect('c')]);
+    assert.deepEqual(stats, { added: 1, removed: 0, modified: 1 });
+  });
+
+  it('keeps target changes and removes elements deleted on the source', () => {
+    const base = doc([rect('a'), rect('b')]);
+    const source = doc([rect('a')]);
+    const target = doc([rect('a', { width: 20 }), rect('b')]);
+
+    const { snapshot, conflicts, stats } = mergeSnapshots(base, source, target);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(elementsOf(snapshot), [rect('a', { width: 20 })]);
+    assert.equal(stats.removed, 1);
+  });
+
+  it('merges edits to different properties of the same element', () => {
+    const base = doc([rect('a')]);
+    const source = doc([rect('a', { fill: 'blue' })]);
+    const target = doc([rect('a', { width: 20 })]);
+
+    const { snapshot, conflicts } = mergeSnapshots(base, source, target);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(elementsOf(snapshot), [rect('a', { fill: 'blue', width: 20 })]);
+  });
+
+  it('reports a both_modified conflict when both sides change the same property', () => {
+    const base = doc([rect('a')]);
+    const source = doc([rect('a', { fill: 'blue', width: 30 })]);
+    const target = doc([rect('a', { fill: 'green' })]);
+
+    const { snapshot, conflicts } = mergeSnapshots(base, source, target);
+
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].conflictType, 'both_modified');
+    assert.equal(conflicts[0].filePath, 'pages/page/artboards/board/elements/a');
+    assert.deepEqual(conflicts[0].properties, ['fill']);
+    assert.equal(conflicts[0].resolution, undefined);
+    // Unresolved: the target version stays
+    assert.deepEqual(elementsOf(snapshot), [rect('a', { fill: 'green' })]);
+  });
+
+  it('applies a stored resolution while the conflicting values are unchanged', () => {
+    const base = doc([rect('a')]);
+    const source = doc([rect('a', { fill: 'blue', width: 30 })]);
+    const target = doc([rect('a', { fill: 'green' })]);
+    const [conflict] = mergeSnapshots(base, source, target).conflicts;
+
+    const resolved = mergeSnapshots(base, source, target, [
+      { ...conflict, resolution: { strategy: 'custom', properties: { fill: 'theirs' } } },
+    ]);
+    assert.deepEqual(resolved.conflicts[0].resolution.properties, { fill: 'theirs' });
+    assert.deepEqual(elementsOf(resolved.snapshot), [rect('a', { fill: 'blue', width: 30 })]);
+
+    // The target changed the element again: the old resolution no longer applies
+    const retargeted = mergeSnapshots(base, source, doc([rect('a', { fill: 'yellow' })]), [
+      { ...conflict, resolution: { strategy: 'theirs' } },
+    ]);
+    assert.equal(retargeted.conflicts[0].resolution, undefined);
+  });
+
+  it('reports deleted_modified and duplicate_id conflicts', () => {
+    const base = doc([rect('a')]);
+    const source = doc([rect('b', { fill: 'blue' })]);
+    const target = doc([rect('a', { width: 20 }), rect('b')]);
+
+    const { conflicts } = mergeSnapshots(base, source, target);
+
+    assert.deepEqual(
+      conflicts.map(conflict => [conflict.conflictType, conflict.elementId]).sort(),
+      [['deleted_modified', 'a'], ['duplicate_id', 'b']]
+    );
+    const deleted = conflicts.find(conflict => conflict.elementId === 'a');
+    assert.equal(deleted.sourceValue, null);
+    assert.deepEqual(deleted.targetValue, rect('a', { width: 20 }));
+  });
+
+  it('merges edits to different children of a group', () => {
+    const base = doc([group('g', [rect('a'), rect('b')])]);
+    const source = doc([group('g', [rect('a', { fill: 'blue' }), rect('b'), rect('c')])]);
+    const target = doc([group('g', [rect('a'), rect('b', { width: 20 })], { name: 'Logo' })]);
+
+    const { snapshot, conflicts } = mergeSnapshots(base, source, target);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(elementsOf(snapshot), [
+      group('g', [rect('a', { fill: 'blue' }), rect('b', { width: 20 }), rect('c')], { name: 'Logo' }),
+    ]);
+  });
+
+  it('reports conflicts inside a group on the grouped element', () => {
+    const base = doc([group('g', [rect('a')])]);
+    const source = doc([group('g', [rect('a', { fill: 'blue' })])]);
+    const target = doc([group('g', [rect('a', { fill: 'green' })])]);
+
+    const { conflicts } = mergeSnapshots(base, source, target);
+
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].elementId, 'a');
+    assert.equal(conflicts[0].filePath, 'pages/page/artboards/board/elements/g/a');
+  });
+
+  it('conflicts on a group deleted on one side and changed inside on the other', () => {
+    const base = doc([group('g', [rect('a')]), rect('x')]);
+    const source = doc([group('g', [rect('a', { fill: 'blue' })]), rect('x')]);
+    const target = doc([rect('x')]);
+
+    const { snapshot, conflicts } = mergeSnapshots(base, source, target);
+    assert.deepEqual(conflicts.map(conflict => [conflict.conflictType, conflict.elementId]), [['deleted_modified', 'g']]);
+
+    const restored = mergeSnapshots(base, source, target, [{ ...conflicts[0], resolution: { strategy: 'theirs' } }]);
+    assert.deepEqual(elementsOf(snapshot), [rect('x')]);
+    assert.deepEqual(elementsOf(restored.snapshot), [group('g', [rect('a', { fill: 'blue' })]), rect('x')]);
+  });
+
+  it('moves an element the source moved into another group', () => {
+    const base = doc([group('g', [rect('a'), rect('b')]), rect('x')]);
+    const source = doc([group('g', [rect('b')]), group('h', [rect('a')]), rect('x')]);
+    const target = doc([group('g', [rect('a'), rect('b')]), rect('x', { width: 20 })]);
+
+    const { snapshot, conflicts } = mergeSnapshots(base, source, target);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(elementsOf(snapshot), [
+      group('g', [rect('b')]),
+      group('h', [rect('a')]),
+      rect('x', { width: 20 }),
+    ]);
+  });
+
+  it('keeps both sides when the base is an empty document', () => {
+    const { snapshot, conflicts } = mergeSnapshots({ pages: [] }, doc([rect('a')]), doc([rect('b')]));
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(elementsOf(snapshot).map(element => element.id).sort(), ['a', 'b']);
+  });
+});
+
+describe('validateResolution', () => {
+  const conflict = {
+    elementId: 'a',
+    conflictType: 'both_modified',
+    properties: ['fill', 'width'],
+  };
+
+  it('accepts ours, theirs and complete per-property choices', () => {
+    assert.equal(validateResolution(conflict, { strategy: 'ours' }), null);
+    assert.equal(validateResolution(conflict, { strategy: 'theirs' }), null);
+    assert.equal(validateResolution(conflict, { strategy: 'custom', properties: { fill: 'ours', width: 'theirs' } }), null);
+    assert.equal(validateResolution(conflict, { strategy: 'custom', value: rect('a') }), null);
+  });
+
+  it('rejects unknown strategies, incomplete choices and values for other elements', () => {
+    assert.match(validateResolution(conflict, { strategy: 'mine' }), /Invalid strategy/);
+    assert.match(validateResolution(conflict, { strategy: 'custom', properties: { fill: 'ours' } }), /width/);
+    assert.match(validateResolution(conflict, { strategy: 'custom', value: rect('b') }), /same id/);
+    assert.match(
+      validateResolution({ ...conflict, conflictType: 'deleted_modified' }, { strategy: 'custom', properties: { fill: 'ours' } }),
+      /only available for both_modified/
+    );
+  });
+});
+
+describe('findMergeCommit', () => {
+  const targetBranch = { _id: 'target-id' };
+  const mergeRequest = {
+    projectId: 'project-1',
+    sourceBranch: 'feature',
+    targetBranch: 'main',
+    mergedAt: new Date('2026-01-02T00:00:00Z'),
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('finds the merge commit by its recorded hash', async () => {
+    const findOne = mock.method(Commit, 'findOne', async filter => ({ hash: filter.hash }));
+
+    const commit = await findMergeCommit({ ...mergeRequest, mergeCommitHash: 'abc' }, targetBranch);
+
+    assert.equal(commit.hash, 'abc');
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { projectId: 'project-1', branchId: 'target-id', hash: 'abc' });
+  });
+
+  it('only considers merge commits made up to the merge for requests without a hash', async () => {
+    const sort = mock.fn(async () => ({ hash: 'legacy' }));
+    const findOne = mock.method(Commit, 'findOne', () => ({ sort }));
+
+    const commit = await findMergeCommit(mergeRequest, targetBranch);
+
+    assert.equal(commit.hash, 'legacy');
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      projectId: 'project-1',
+      branchId: 'target-id',
+      message: 'Merge feature into main',
+      timestamp: { $lte: mergeRequest.mergedAt },
+    });
+    assert.deepEqual(sort.mock.calls[0].arguments[0], { timestamp: -1 });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * S3 Adapter Tests
+ *
+ * Listings read keys, sizes and dates from ListObjectsV2 (every page), skip sidecars and
+ * never send a HEAD request per key; multipart uploads read their ids and ETags from the XML
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { createS3Adapter } = require('../src/services/storage/adapters/s3Adapter');
+
+const contents = (key, size, etag) => `<Contents><Key>${key}</Key><LastModified>2026-10-01T12:00:00.000Z</LastModified>`
+  + `<ETag>&quot;${etag}&quot;</ETag><Size>${size}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+
+// Two listing pages; the second key needs XML entity decoding
+const PAGES = {
+  first: '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>designs</Name>'
+    + contents('snapshots/projects/p1/current.json', 120, 'etag-1')
+    + contents('snapshots/projects/p1/current.json.meta.json', 60, 'etag-meta-1')
+    + '<IsTruncated>true</IsTruncated><NextContinuationToken>next&amp;page</NextContinuationToken></ListBucketResult>',
+  second: '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>designs</Name>'
+    + contents('snapshots/projects/p1/R&amp;D &lt;draft&gt;.json', 340, 'etag-2')
+    + '<IsTruncated>false</IsTruncated></ListBucketResult>',
+};
+
+const SIDECARS = {
+  'snapshots/projects/p1/current.json.meta.json': { contentType: 'application/json', metadata: { projectId: 'p1' }, version: '"etag-1"' },
+  'snapshots/projects/p1/R&D <draft>.json.meta.json': { contentType: 'application/json', metadata: { objectRefs: ['abc'] }, version: '"etag-2"' },
+};
+
+const createAdapter = () => createS3Adapter({
+  endpoint: 'http://s3.test',
+  region: 'us-east-1',
+  bucket: 'designs',
+  accessKeyId: 'key',
+  secretAccessKey: 'secret',
+  forcePathStyle: true,
+}, 'snapshots');
+
+describe('S3 adapter list', () => {
+  let requests;
+  let adapter;
+
+  beforeEach(() => {
+    requests = [];
+    mock.method(globalThis, 'fetch', async (url, { method }) => {
+      requests.push({ method, url });
+      if (url.searchParams.get('list-type') === '2') {
+        const page = url.searchParams.get('continuation-token') === 'next&page' ? PAGES.second : PAGES.first;
+        return new Response(page, { status: 200 });
+      }
+      const sidecar = SIDECARS[decodeURIComponent(url.pathname.replace(/^\/designs\//, ''))];
+      return sidecar ? Response.json(sidecar) : new Response('', { status: 404 });
+    });
+    adapter = createAdapter();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('takes sizes and dates from the listing and metadata from the sidecars', async () => {
+    const entries = await adapter.list('projects/p1/');
+
+    assert.deepEqual(entries, [
+      {
+        key: 'projects/p1/current.json',
+        size: 120,
+        contentType: 'application/json',
+        metadata: { projectId: 'p1' },
+        lastModified: new Date('2026-10-01T12:00:00.000Z'),
+      },
+      {
+        key: 'projects/p1/R&D <draft>.json',
+        size: 340,
+        contentType: 'application/json',
+        metadata: { objectRefs: ['abc'] },
+        lastModified: new Date('2026-10-01T12:00:00.000Z'),
+      },
+    ]);
+    assert.equal(requests.filter(request => request.method === 'HEAD').length, 0);
+    assert.equal(requests.length, 4);
+  });
+
+  it('lists without any per-key request when metadata is not needed', async () => {
+    const entries = await adapter.list('', { metadata: false });
+
+    assert.deepEqual(entries.map(entry => [entry.key, entry.size, entry.metadata]), [
+      ['projects/p1/current.json', 120, null],
+      ['projects/p1/R&D <draft>.json', 340, null],
+    ]);
+    assert.equal(requests.length, 2);
+  });
+
+  it('fails when a listing request fails', async () => {
+    mock.method(globalThis, 'fetch', async () => new Response('<Error><Code>AccessDenied</Code></Error>', { status: 403 }));
+
+    await assert.rejects(adapter.list(''), /failed: 403/);
+  });
+});
+
+describe('S3 adapter putStream', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('completes a multipart upload and stamps the sidecar with the final ETag', async () => {
+    const requests = [];
+    mock.method(globalThis, 'fetch', async (url, { method, body }) => {
+      requests.push({ method, params: Object.fromEntries(url.searchParams), body });
+      if (method === 'POST' && url.searchParams.has('uploads')) {
+        return new Response('<InitiateMultipartUploadResult><UploadId>up&amp;1</UploadId></InitiateMultipartUploadResult>');
+      }
+      if (method === 'PUT' && url.searchParams.has('partNumber')) {
+        return new Response('', { headers: { etag: `"part-${url.searchParams.get('partNumber')}"` } });
+      }
+      if (method === 'POST') {
+        return new Response('<CompleteMultipartUploadResult><ETag>&quot;whole-2&quot;</ETag></CompleteMultipartUploadResult>');
+      }
+      return new Response('', { headers: { etag: '"meta"' } });
+    });
+
+    const data = Buffer.alloc(9 * 1024 * 1024, 1);
+    await createAdapter().putStream('big.json', Readable.from([data.subarray(0, 8 * 1024 * 1024), data.subarray(8 * 1024 * 1024)]), {
+      contentType: 'application/json',
+    });
+
+    const parts = requests.filter(request => request.params.partNumber);
+    assert.deepEqual(parts.map(request => [request.params.partNumber, request.params.uploadId]), [['1', 'up&1'], ['2', 'up&1']]);
+    const complete = requests.find(request => request.method === 'POST' && request.params.uploadId);
+    assert.match(complete.body.toString(), /<ETag>"part-1"<\/ETag>.*<ETag>"part-2"<\/ETag>/);
+    const sidecar = JSON.parse(requests[requests.length - 1].body.toString());
+    assert.equal(sidecar.version, '"whole-2"');
+  });
+
+  it('aborts the multipart upload when completing returns an error document', async () => {
+    const requests = [];
+    mock.method(globalThis, 'fetch', async (url, { method }) => {
+      requests.push({ method, params: Object.fromEntries(url.searchParams) });
+      if (method === 'POST' && url.searchParams.has('uploads')) {
+        return new Response('<InitiateMultipartUploadResult><UploadId>up-2</UploadId></InitiateMultipartUploadResult>');
+      }
+      if (method === 'POST') {
+        return new Response('<Error><Code>InternalError</Code></Error>');
+      }
+      return new Response('', { headers: { etag: '"part"' } });
+    });
+
+    const data = Buffer.alloc(8 * 1024 * 1024, 1);
+    await assert.rejects(createAdapter().putStream('big.json', Readable.from([data])), /multipart POST/);
+    assert.deepEqual(requests[requests.length - 1], { method: 'DELETE', params: { uploadId: 'up-2' } });
+  });
+});
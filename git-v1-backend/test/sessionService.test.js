@@ -0,0 +1,112 @@
+/**
+ * Session Service Tests
+ *
+ * Refresh-token rotation and reuse detection (rotateRefreshToken), against an in-memory Session store
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../src/models/Session');
+const { generateRefreshToken } = require('../src/services/auth/jwtService');
+const { createSession, rotateRefreshToken, revokeSession } = require('../src/services/auth/sessionService');
+
+const req = { body: { deviceName: 'Laptop' }, get: () => 'test-agent', ip: '127.0.0.1' };
+
+// Just enough of a MongoDB filter for the queries sessionService makes
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (condition === null) {
+    return doc[key] === null || doc[key] === undefined;
+  }
+  if (condition && condition.$gt !== undefined) {
+    return doc[key] > condition.$gt;
+  }
+  return doc[key] === condition;
+});
+
+describe('rotateRefreshToken', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = [];
+    mock.method(Session, 'create', async (doc) => {
+      const session = { revokedAt: null, lastUsedAt: new Date(), ...doc };
+      sessions.push(session);
+      return session;
+    });
+    mock.method(Session, 'findOne', async filter => sessions.find(session => matches(session, filter)) || null);
+    mock.method(Session, 'findOneAndUpdate', async (filter, { $set }) => {
+      const session = sessions.find(candidate => matches(candidate, filter));
+      return session ? Object.assign(session, $set) : null;
+    });
+    mock.method(Session, 'updateOne', async (filter, { $set }) => {
+      const session = sessions.find(candidate => matches(candidate, filter));
+      if (session) {
+        Object.assign(session, $set);
+      }
+      return { modifiedCount: session ? 1 : 0 };
+    });
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const rejectsWith = (promise, code) => assert.rejects(promise, error => error.code === code && error.statusCode === 401);
+
+  it('issues a new token pair and stores the new token id', async () => {
+    const { refreshToken, sessionId } = await createSession('user-1', req);
+    const previousTokenId = sessions[0].tokenId;
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    assert.equal(rotated.userId, 'user-1');
+    assert.equal(rotated.sessionId, sessionId);
+    assert.ok(rotated.token);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.notEqual(sessions[0].tokenId, previousTokenId);
+    assert.equal(sessions[0].revokedAt, null);
+
+    // The rotated token works in turn
+    const again = await rotateRefreshToken(rotated.refreshToken, req);
+    assert.equal(again.sessionId, sessionId);
+  });
+
+  it('revokes the session when an already rotated token is presented again', async () => {
+    const { refreshToken } = await createSession('user-1', req);
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    await rejectsWith(rotateRefreshToken(refreshToken, req), 'TOKEN_REUSED');
+    assert.equal(sessions[0].revokedReason, 'reuse');
+    assert.ok(sessions[0].revokedAt);
+
+    // The legitimate holder of the newer token is signed out too
+    await rejectsWith(rotateRefreshToken(rotated.refreshToken, req), 'UNAUTHORIZED');
+  });
+
+  it('rejects tokens of revoked and expired sessions', async () => {
+    const revoked = await createSession('user-1', req);
+    await revokeSession(revoked.sessionId, 'logout');
+    await rejectsWith(rotateRefreshToken(revoked.refreshToken, req), 'UNAUTHORIZED');
+    assert.equal(sessions[0].revokedReason, 'logout');
+
+    const expired = await createSession('user-1', req);
+    sessions[1].expiresAt = new Date(Date.now() - 1000);
+    await rejectsWith(rotateRefreshToken(expired.refreshToken, req), 'UNAUTHORIZED');
+  });
+
+  it('rejects invalid tokens and tokens issued before sessions', async () => {
+    await rejectsWith(rotateRefreshToken('not-a-token', req), 'UNAUTHORIZED');
+    await rejectsWith(rotateRefreshToken(generateRefreshToken({ userId: 'user-1' }), req), 'UNAUTHORIZED');
+    assert.equal(Session.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('rejects a token presented for another user', async () => {
+    const { refreshToken, sessionId } = await createSession('user-1', req);
+    sessions[0].userId = 'user-2';
+
+    await rejectsWith(rotateRefreshToken(refreshToken, req), 'UNAUTHORIZED');
+    assert.equal(sessions[0].revokedAt, null);
+    assert.equal(sessions[0].sessionId, sessionId);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Signing Key Tests
+ *
+ * Tokens signed before a key rotation still verify, only public keys are published,
+ * and an unsafe configuration stops the server from starting
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../src/config/config');
+
+const originalJwtConfig = { ...config.jwt };
+const originalNodeEnv = config.nodeEnv;
+
+/**
+ * Load the JWT services with their key rings built from the given settings
+ * (the key rings are cached per module, as after a restart with a new configuration)
+ * @param {Object} settings - Overrides of config.jwt, plus nodeEnv
+ * @returns {Object} { jwtService, signingKeys }
+ */
+const restartWith = ({ nodeEnv = 'development', ...jwtSettings }) => {
+  config.nodeEnv = nodeEnv;
+  Object.assign(config.jwt, originalJwtConfig, { previousSecrets: [], previousRefreshSecrets: [] }, jwtSettings);
+  delete require.cache[require.resolve('../src/services/auth/signingKeys')];
+  delete require.cache[require.resolve('../src/services/auth/jwtService')];
+  return {
+    signingKeys: require('../src/services/auth/signingKeys'),
+    jwtService: require('../src/services/auth/jwtService'),
+  };
+};
+
+const SECRET_A = 'a'.repeat(40);
+const SECRET_B = 'b'.repeat(40);
+const REFRESH_SECRET = 'r'.repeat(40);
+
+describe('signing keys', () => {
+  let keysDir;
+
+  before(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitv1-keys-'));
+  });
+
+  after(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+    Object.assign(config.jwt, originalJwtConfig);
+    config.nodeEnv = originalNodeEnv;
+  });
+
+  it('still verifies tokens signed with a retired secret', () => {
+    const before = restartWith({ secret: SECRET_A, refreshSecret: REFRESH_SECRET });
+    const token = before.jwtService.generateToken({ userId: 'user-1' });
+
+    const rotated = restartWith({ secret: SECRET_B, previousSecrets: [SECRET_A], refreshSecret: REFRESH_SECRET });
+    assert.equal(rotated.jwtService.verifyToken(token).userId, 'user-1');
+    assert.notEqual(jwt.decode(rotated.jwtService.generateToken({ userId: 'user-1' }), { complete: true }).header.kid,
+      jwt.decode(token, { complete: true }).header.kid);
+
+    const retiredDropped = restartWith({ secret: SECRET_B, refreshSecret: REFRESH_SECRET });
+    assert.throws(() => retiredDropped.jwtService.verifyToken(token), /unknown signing key/);
+  });
+
+  it('still verifies tokens signed with a retired RS256 key and publishes only public keys', () => {
+    const oldKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const newKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const pem = (key, type) => key.export({ type, format: 'pem' });
+
+    fs.writeFileSync(path.join(keysDir, 'key-2025.pem'), pem(oldKey.privateKey, 'pkcs8'));
+    const before = restartWith({ algorithm: 'RS256', keysDir, keyId: 'key-2025', refreshSecret: REFRESH_SECRET });
+    const token = before.jwtService.generateToken({ userId: 'user-1' });
+
+    // Rollover: the old key keeps only its public half, the new one signs
+    fs.writeFileSync(path.join(keysDir, 'key-2025.pem'), pem(oldKey.publicKey, 'spki'));
+    fs.writeFileSync(path.join(keysDir, 'key-2026.pem'), pem(newKey.privateKey, 'pkcs8'));
+    const rotated = restartWith({ algorithm: 'RS256', keysDir, keyId: 'key-2026', refreshSecret: REFRESH_SECRET });
+
+    assert.equal(rotated.jwtService.verifyToken(token).userId, 'user-1');
+    const fresh = rotated.jwtService.generateToken({ userId: 'user-2' });
+    assert.equal(jwt.decode(fresh, { complete: true }).header.kid, 'key-2026');
+
+    const jwks = rotated.signingKeys.getPublicJwks();
+    assert.deepEqual(jwks.map(jwk => jwk.kid).sort(), ['key-2025', 'key-2026']);
+    assert.ok(jwks.every(jwk => jwk.d === undefined && jwk.alg === 'RS256' && jwk.use === 'sig'));
+    const published = crypto.createPublicKey({ key: jwks.find(jwk => jwk.kid === 'key-2026'), format: 'jwk' });
+    assert.equal(jwt.verify(fresh, published, { algorithms: ['RS256'] }).userId, 'user-2');
+  });
+
+  it('rejects tokens whose key id names a configured key but that another key signed', () => {
+    const { jwtService } = restartWith({ secret: SECRET_A, refreshSecret: REFRESH_SECRET });
+    const genuine = jwt.decode(jwtService.generateToken({ userId: 'user-1' }), { complete: true });
+    const forged = jwt.sign({ userId: 'admin', exp: Math.floor(Date.now() / 1000) + 60 }, SECRET_B, {
+      algorithm: 'HS256',
+      keyid: genuine.header.kid,
+    });
+
+    assert.throws(() => jwtService.verifyToken(forged), /invalid signature/);
+  });
+
+  it('refuses to start in production with missing, placeholder or short secrets', () => {
+    const { signingKeys } = restartWith({
+      nodeEnv: 'production',
+      secret: 'your-super-secret-jwt-key-change-in-production',
+      refreshSecret: 'short',
+    });
+
+    assert.throws(() => signingKeys.initializeSigningKeys(), (error) => {
+      assert.match(error.message, /JWT_SECRET is a placeholder value/);
+      assert.match(error.message, /JWT_REFRESH_SECRET must be at least 32 characters/);
+      return true;
+    });
+    assert.throws(() => restartWith({ nodeEnv: 'production', refreshSecret: REFRESH_SECRET })
+      .signingKeys.initializeSigningKeys(), /JWT_SECRET is not set/);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Snapshot Diff Tests
+ *
+ * Element-level diff (diffSnapshots) and the comparison helpers it builds on
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseSnapshot,
+  isEqual,
+  indexElements,
+  countElements,
+  diffSnapshots,
+} = require('../src/utils/snapshotDiff');
+
+const doc = elements => ({
+  version: '2.1',
+  pages: [{ id: 'page', artboards: [{ id: 'board', elements }] }],
+});
+
+const rect = (id, properties = {}) => ({ id, type: 'Rectangle', width: 10, fill: 'red', ...properties });
+const group = (id, children, properties = {}) => ({ id, type: 'Group', ...properties, children });
+
+describe('snapshot helpers', () => {
+  it('parses buffers, strings and objects, and treats missing data as an empty document', () => {
+    const snapshot = doc([rect('a')]);
+    assert.deepEqual(parseSnapshot(Buffer.from(JSON.stringify(snapshot))), snapshot);
+    assert.deepEqual(parseSnapshot(JSON.stringify(snapshot)), snapshot);
+    assert.equal(parseSnapshot(snapshot), snapshot);
+    assert.deepEqual(parseSnapshot(null), { pages: [] });
+  });
+
+  it('compares values regardless of key order', () => {
+    assert.ok(isEqual({ x: 1, y: { a: 1, b: 2 } }, { y: { b: 2, a: 1 }, x: 1 }));
+    assert.ok(isEqual({ x: 1, y: undefined }, { x: 1 }));
+    assert.ok(!isEqual([1, 2], [2, 1]));
+  });
+
+  it('indexes grouped elements with their parent and ancestors', () => {
+    const index = indexElements(doc([group('g', [group('h', [rect('a')])]), rect('b')]));
+
+    assert.deepEqual([...index.keys()], ['g', 'h', 'a', 'b']);
+    assert.equal(index.get('a').parentId, 'h');
+    assert.deepEqual(index.get('a').ancestors, ['g', 'h']);
+    assert.equal(index.get('b').parentId, null);
+    assert.equal(index.get('b').index, 1);
+    assert.equal(countElements(doc([group('g', [rect('a')])])), 2);
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('lists added, removed and unchanged elements', () => {
+    const diff = diffSnapshots(doc([rect('a'), rect('b')]), doc([rect('a'), rect('c')]));
+
+    assert.deepEqual(diff.summary, { added: 1, removed: 1, modified: 0, unchanged: 1 });
+    assert.equal(diff.added[0].id, 'c');
+    assert.equal(diff.removed[0].id, 'b');
+    assert.deepEqual(diff.added[0].element, rect('c'));
+  });
+
+  it('reports property changes with numeric and translation deltas', () => {
+    const before = doc([rect('a', { translation: { x: 0, y: 0 } })]);
+    const after = doc([rect('a', { width: 25, fill: 'blue', translation: { x: 5, y: -3 } })]);
+
+    const [modified] = diffSnapshots(before, after).modified;
+    const byProperty = Object.fromEntries(modified.changes.map(change => [change.property, change]));
+
+    assert.deepEqual(Object.keys(byProperty).sort(), ['fill', 'translation', 'width']);
+    assert.deepEqual(byProperty.width, { property: 'width', before: 10, after: 25, delta: 15 });
+    assert.deepEqual(byProperty.fill, { property: 'fill', before: 'red', after: 'blue' });
+    assert.deepEqual(byProperty.translation.delta, { x: 5, y: -3 });
+  });
+
+  it('reports image data as changed without echoing it', () => {
+    const diff = diffSnapshots(
+      doc([rect('a', { imageData: 'data:image/png;base64,AAAA' })]),
+      doc([rect('a', { imageData: 'data:image/png;base64,BBBB' })])
+    );
+
+    assert.deepEqual(diff.modified[0].changes, [{ property: 'imageData', changed: true }]);
+  });
+
+  it('diffs grouped elements individually', () => {
+    const before = doc([group('g', [rect('a'), rect('b')])]);
+    const after = doc([group('g', [rect('a', { fill: 'blue' }), rect('b'), rect('c')])]);
+
+    const diff = diffSnapshots(before, after);
+
+    assert.deepEqual(diff.summary, { added: 1, removed: 0, modified: 1, unchanged: 2 });
+    assert.equal(diff.modified[0].id, 'a');
+    assert.equal(diff.modified[0].parentId, 'g');
+    assert.equal(diff.added[0].parentId, 'g');
+  });
+
+  it('reports moves between groups and stacking order changes as location changes', () => {
+    const before = doc([group('g', [rect('a')]), rect('b'), rect('c')]);
+    const after = doc([group('g', []), rect('c'), rect('b'), rect('a')]);
+
+    const diff = diffSnapshots(before, after);
+    const locations = Object.fromEntries(diff.modified.map(entry => [entry.id, entry.changes]));
+
+    assert.deepEqual(Object.keys(locations).sort(), ['a', 'b', 'c']);
+    assert.equal(locations.a[0].property, 'location');
+    assert.equal(locations.a[0].before.parentId, 'g');
+    assert.equal(locations.a[0].after.parentId, null);
+    assert.deepEqual([locations.b[0].before.index, locations.b[0].after.index], [1, 2]);
+  });
+
+  it('ignores additions that only shift positions', () => {
+    const diff = diffSnapshots(doc([rect('a'), rect('b')]), doc([rect('x'), rect('a'), rect('b')]));
+
+    assert.deepEqual(diff.summary, { added: 1, removed: 0, modified: 0, unchanged: 2 });
+  });
+});
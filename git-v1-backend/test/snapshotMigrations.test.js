@@ -0,0 +1,104 @@
+/**
+ * Snapshot Migration Tests
+ *
+ * Upgrading older snapshots to the current schema, lenient on read and strict for uploads
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { migrateSnapshot, upgradeSnapshotData } = require('../src/utils/snapshotMigrations');
+const { CURRENT_SNAPSHOT_VERSION } = require('../src/utils/snapshotSchema');
+
+// A 1.0 export: no ids on the page/artboard, numeric and missing element ids, raw SDK types
+const legacySnapshot = () => ({
+  version: '1.0',
+  pages: [{
+    artboards: [{
+      elements: [
+        { id: 7, type: 'RectangleNode', width: 10 },
+        {
+          type: 'GroupNode',
+          children: [{ type: 'TextNode', text: 'Hi', _needsAsyncImageLoad: true }],
+          maskShape: { type: 'EllipseNode' },
+        },
+        { id: 'img', type: 'ComplexShapeNode', imageData: 'AAAA' },
+      ],
+    }],
+  }],
+});
+
+describe('migrateSnapshot', () => {
+  it('upgrades 1.0 snapshots to the current version', () => {
+    const { snapshot, fromVersion, migrated, errors } = migrateSnapshot(legacySnapshot());
+    const [page] = snapshot.pages;
+    const [rect, group, image] = page.artboards[0].elements;
+
+    assert.equal(fromVersion, '1.0');
+    assert.equal(migrated, true);
+    assert.deepEqual(errors, []);
+    assert.equal(snapshot.version, CURRENT_SNAPSHOT_VERSION);
+    assert.equal(page.id, 'page_0');
+    assert.equal(page.artboards[0].id, 'artboard_0');
+
+    assert.deepEqual(rect, { id: '7', type: 'Rectangle', width: 10 });
+    assert.equal(group.type, 'Group');
+    assert.equal(group.id, 'legacy-page_0-artboard_0-1');
+    assert.deepEqual(group.children[0], { id: `${group.id}.0`, type: 'Text', text: 'Hi' });
+    assert.deepEqual(group.maskShape, { id: `${group.id}.mask`, type: 'Ellipse' });
+    assert.equal(image.type, 'Image');
+  });
+
+  it('treats snapshots without a version as 1.0', () => {
+    const { version, ...unversioned } = legacySnapshot();
+
+    const result = migrateSnapshot(unversioned);
+
+    assert.equal(result.fromVersion, '1.0');
+    assert.equal(result.snapshot.version, CURRENT_SNAPSHOT_VERSION);
+    assert.equal(result.snapshot.pages[0].artboards[0].elements[0].type, 'Rectangle');
+  });
+
+  it('keeps unknown 1.0 element types as Unknown when reading', () => {
+    const snapshot = { version: '1.0', pages: [{ id: 'p', artboards: [{ id: 'a', elements: [{ id: 'x', type: 'StickerNode' }] }] }] };
+
+    const result = migrateSnapshot(snapshot);
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.snapshot.pages[0].artboards[0].elements[0], { id: 'x', type: 'Unknown', sdkType: 'StickerNode' });
+  });
+
+  it('reports unknown 1.0 element types when strict', () => {
+    const snapshot = {
+      pages: [{ id: 'p', artboards: [{ id: 'a', elements: [{ id: 'g', type: 'GroupNode', children: [{ id: 'x', type: 'StickerNode' }] }] }] }],
+    };
+
+    const { errors } = migrateSnapshot(snapshot, { strict: true });
+
+    assert.deepEqual(errors, [{
+      path: '/pages/0/artboards/0/elements/0/children/0/type',
+      message: 'is not a known element type (StickerNode)',
+    }]);
+  });
+
+  it('leaves current and unknown (newer) versions unchanged', () => {
+    const current = { version: CURRENT_SNAPSHOT_VERSION, pages: [] };
+    assert.equal(migrateSnapshot(current).snapshot, current);
+    assert.equal(migrateSnapshot(current).migrated, false);
+
+    const newer = { version: '99.0', pages: [] };
+    assert.equal(migrateSnapshot(newer).snapshot, newer);
+  });
+});
+
+describe('upgradeSnapshotData', () => {
+  it('rewrites old snapshot data and passes everything else through', () => {
+    const upgraded = JSON.parse(upgradeSnapshotData(Buffer.from(JSON.stringify(legacySnapshot()))).toString());
+    assert.equal(upgraded.version, CURRENT_SNAPSHOT_VERSION);
+
+    const current = Buffer.from(JSON.stringify({ version: CURRENT_SNAPSHOT_VERSION, pages: [] }));
+    assert.equal(upgradeSnapshotData(current), current);
+
+    const notJson = Buffer.from('not json');
+    assert.equal(upgradeSnapshotData(notJson), notJson);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Snapshot Sanitizer Tests
+ *
+ * Upload checks the JSON Schema cannot express: nesting depth, object refs, images, media ids
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeSnapshot, checkNestingDepth, detectImageType } = require('../src/utils/snapshotSanitizer');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0]);
+
+const doc = elements => ({
+  version: '2.1',
+  pages: [{ id: 'page', artboards: [{ id: 'board', elements }] }],
+});
+
+// Groups nested `levels` deep (1 = a single top-level element)
+const nestedGroups = (levels) => {
+  let element = { id: `e${levels}`, type: 'Rectangle' };
+  for (let level = levels - 1; level >= 1; level--) {
+    element = { id: `e${level}`, type: 'Group', children: [element] };
+  }
+  return element;
+};
+
+describe('sanitizeSnapshot', () => {
+  it('accepts a clean snapshot and drops import-only fields', () => {
+    const snapshot = doc([{ id: 'g', type: 'Group', _temp: 1, children: [{ id: 'a', type: 'Rectangle', _needsAsyncImageLoad: true }] }]);
+
+    assert.deepEqual(sanitizeSnapshot(snapshot), []);
+    assert.deepEqual(snapshot.pages[0].artboards[0].elements[0], {
+      id: 'g',
+      type: 'Group',
+      children: [{ id: 'a', type: 'Rectangle' }],
+    });
+  });
+
+  it('rejects groups nested deeper than the limit', () => {
+    assert.deepEqual(sanitizeSnapshot(doc([nestedGroups(3)]), { maxElementDepth: 3 }), []);
+
+    const errors = sanitizeSnapshot(doc([nestedGroups(4)]), { maxElementDepth: 3 });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /deeper than 3 element level/);
+  });
+
+  it('checks very deep JSON without overflowing the stack', () => {
+    let value = {};
+    for (let level = 0; level < 100000; level++) {
+      value = { nested: value };
+    }
+
+    const errors = checkNestingDepth({ pages: [], extra: value }, 32);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /nested deeper than/);
+  });
+
+  it('rejects object store references', () => {
+    const errors = sanitizeSnapshot(doc([{ id: 'a', type: 'Rectangle', fill: { $object: 'abc' } }]));
+
+    assert.deepEqual(errors, [{
+      path: '/pages/0/artboards/0/elements/0/fill',
+      message: 'must not contain object store references ($object)',
+    }]);
+  });
+
+  it('records the real type of embedded images', () => {
+    const snapshot = doc([{ id: 'img', type: 'Image', imageData: JPEG.toString('base64'), imageMimeType: 'image/png' }]);
+
+    assert.deepEqual(sanitizeSnapshot(snapshot), []);
+    assert.equal(snapshot.pages[0].artboards[0].elements[0].imageMimeType, 'image/jpeg');
+  });
+
+  it('rejects invalid, oversized and non-image embedded data', () => {
+    const image = imageData => doc([{ id: 'img', type: 'Image', imageData }]);
+    const messageFor = (snapshot, limits) => sanitizeSnapshot(snapshot, limits).map(error => error.message);
+
+    assert.deepEqual(messageFor(image('not base64!')), ['is not valid base64']);
+    assert.deepEqual(messageFor(image(Buffer.from('plain text!!').toString('base64'))), ['is not a PNG or JPEG image']);
+    assert.deepEqual(messageFor(image(PNG.toString('base64')), { maxImageSize: 8 }), ['image is 12 bytes, the limit is 8']);
+  });
+
+  it('requires media ids to be SHA-256 ids', () => {
+    const mediaId = 'a'.repeat(64);
+
+    assert.deepEqual(sanitizeSnapshot(doc([{ id: 'img', type: 'Image', mediaId }])), []);
+    assert.deepEqual(sanitizeSnapshot(doc([{ id: 'img', type: 'Image', mediaId: '../etc/passwd' }])), [{
+      path: '/pages/0/artboards/0/elements/0/mediaId',
+      message: 'must be a media id (lowercase hex SHA-256)',
+    }]);
+  });
+});
+
+describe('detectImageType', () => {
+  it('recognises PNG and JPEG signatures only', () => {
+    assert.equal(detectImageType(PNG), 'image/png');
+    assert.equal(detectImageType(JPEG), 'image/jpeg');
+    assert.equal(detectImageType(Buffer.from('GIF89a')), null);
+    assert.equal(detectImageType(Buffer.alloc(0)), null);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Snapshot Transport Tests
+ *
+ * Snapshots are stored compressed, streamed as stored to clients that accept the encoding,
+ * decoded for clients that do not, and revalidated with their ETag
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const config = require('../src/config/config');
+const { CURRENT_SNAPSHOT_VERSION } = require('../src/utils/snapshotSchema');
+const { saveCurrentSnapshot, headSnapshot } = require('../src/services/storage/fileStorage');
+const { sendSnapshot } = require('../src/services/storage/snapshotTransport');
+const { parseAcceptEncoding } = require('../src/services/storage/compression');
+const { startApp } = require('./helpers/app');
+
+const snapshot = {
+  version: CURRENT_SNAPSHOT_VERSION,
+  pages: [{ id: 'page-1', artboards: [{ id: 'artboard-1', elements: [{ id: 'text-1', type: 'Text', text: 'Hello' }] }] }],
+};
+
+/**
+ * GET a URL without decoding the body
+ * @returns {Promise<Object>} { status, headers, body: Buffer }
+ */
+const getRaw = (url, headers = {}) => new Promise((resolve, reject) => {
+  http.get(url, { headers }, (response) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }));
+  }).on('error', reject);
+});
+
+describe('snapshot transport', () => {
+  const originalStorage = { ...config.storage };
+  let app;
+  let file;
+
+  before(async () => {
+    Object.assign(config.storage, {
+      driver: 'local',
+      path: fs.mkdtempSync(path.join(os.tmpdir(), 'gitv1-transport-')),
+      snapshotCompression: 'gzip',
+    });
+    file = await headSnapshot(await saveCurrentSnapshot(snapshot, 'project-1', 'branch-1'));
+    app = await startApp(server => server.get('/snapshot', (req, res) => sendSnapshot(req, res, file)));
+  });
+
+  after(async () => {
+    await app.close();
+    fs.rmSync(config.storage.path, { recursive: true, force: true });
+    Object.assign(config.storage, originalStorage);
+  });
+
+  it('streams the stored gzip bytes to clients that accept gzip', async () => {
+    const response = await getRaw(`${app.url}/snapshot`, { 'Accept-Encoding': 'gzip, deflate' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers['content-encoding'], 'gzip');
+    assert.equal(response.headers.etag, file.etag);
+    assert.equal(response.headers['content-length'], String(response.body.length));
+    assert.deepEqual(JSON.parse(zlib.gunzipSync(response.body)), snapshot);
+  });
+
+  it('decodes for clients without gzip and re-encodes for brotli-only clients', async () => {
+    const identity = await getRaw(`${app.url}/snapshot`, { 'Accept-Encoding': 'identity' });
+    assert.equal(identity.headers['content-encoding'], undefined);
+    assert.deepEqual(JSON.parse(identity.body), snapshot);
+
+    const brotli = await getRaw(`${app.url}/snapshot`, { 'Accept-Encoding': 'br' });
+    assert.equal(brotli.headers['content-encoding'], 'br');
+    assert.deepEqual(JSON.parse(zlib.brotliDecompressSync(brotli.body)), snapshot);
+  });
+
+  it('answers 304 to a client holding the current copy', async () => {
+    const response = await getRaw(`${app.url}/snapshot`, { 'If-None-Match': file.etag });
+
+    assert.equal(response.status, 304);
+    assert.equal(response.body.length, 0);
+  });
+
+  it('ignores encodings the client refuses with q=0', () => {
+    assert.deepEqual([...parseAcceptEncoding('gzip;q=0, br')], ['br']);
+    assert.deepEqual([...parseAcceptEncoding('*')].sort(), ['br', 'gzip']);
+    assert.deepEqual([...parseAcceptEncoding('')], []);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Team Route Tests
+ *
+ * Only owners manage the owner role, a project always keeps one owner, and team lists
+ * carry the permission matrix the add-on hides actions with
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const TeamMember = require('../src/models/TeamMember');
+const teamRoutes = require('../src/routes/teamRoutes');
+const { PERMISSIONS } = require('../src/utils/permissions');
+const { startApp, mockTeam } = require('./helpers/app');
+
+describe('team routes', () => {
+  let app;
+  let authorization;
+
+  before(async () => {
+    app = await startApp(server => server.use('/api/v1/team', teamRoutes));
+  });
+
+  after(() => app.close());
+
+  const startTeam = (members) => {
+    authorization = mockTeam(members.map(([userId, role]) => ({ userId, role, projectId: 'project-1' })));
+  };
+  const member = userId => authorization.members.find(doc => doc.userId === userId);
+
+  beforeEach(() => {
+    startTeam([['owner', 'owner'], ['manager', 'manager'], ['designer', 'designer']]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const send = async (user, method, path, body) => {
+    const response = await fetch(`${app.url}/api/v1/team${path}`, {
+      method,
+      headers: { Authorization: authorization(user), 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('refuses to demote or remove the last owner', async () => {
+    const demoted = await send('owner', 'PUT', '/owner/role?projectId=project-1', { role: 'manager' });
+    assert.equal(demoted.status, 400);
+    assert.match(demoted.body.error.message, /at least one owner/);
+
+    const removed = await send('owner', 'DELETE', '/owner?projectId=project-1');
+    assert.equal(removed.status, 400);
+
+    assert.equal(member('owner').role, 'owner');
+    assert.equal(member('owner').save.mock.callCount(), 0);
+    assert.equal(member('owner').deleteOne.mock.callCount(), 0);
+  });
+
+  it('lets an owner step down once another owner exists', async () => {
+    startTeam([['owner', 'owner'], ['co-owner', 'owner']]);
+
+    const { status } = await send('owner', 'PUT', '/owner/role?projectId=project-1', { role: 'manager' });
+    assert.equal(status, 200);
+    assert.equal(member('owner').role, 'manager');
+  });
+
+  it('keeps managers from granting or taking the owner role', async () => {
+    const granted = await send('manager', 'PUT', '/designer/role?projectId=project-1', { role: 'owner' });
+    assert.equal(granted.status, 403);
+
+    const removed = await send('manager', 'DELETE', '/owner?projectId=project-1');
+    assert.equal(removed.status, 403);
+    assert.equal(member('designer').role, 'designer');
+  });
+
+  it('refuses role changes by members without team:manage', async () => {
+    const { status, body } = await send('designer', 'PUT', '/manager/role?projectId=project-1', { role: 'viewer' });
+    assert.equal(status, 403);
+    assert.equal(body.error.details.permission, 'team:manage');
+  });
+
+  it('sends the permission matrix with the team list', async () => {
+    mock.method(TeamMember, 'find', () => ({
+      sort: () => ({
+        exec: async () => authorization.members.map(doc => ({ ...doc, toObject: () => ({ userId: doc.userId, role: doc.role }) })),
+      }),
+    }));
+
+    const { status, body } = await send('designer', 'GET', '?projectId=project-1');
+    assert.equal(status, 200);
+    assert.equal(body.teamMembers.length, 3);
+    assert.deepEqual(body.permissions, PERMISSIONS);
+  });
+});
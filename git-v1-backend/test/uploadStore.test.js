@@ -0,0 +1,139 @@
+/**
+ * Chunked Upload Store Tests
+ *
+ * Upload sessions belong to the user who started them, parts must match their size and hash,
+ * and a snapshot is only read back when every part is there and the whole matches its SHA-256
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const config = require('../src/config/config');
+const UploadSession = require('../src/models/UploadSession');
+const {
+  createUploadSession,
+  findUploadSession,
+  storeUploadPart,
+  readUploadedSnapshot,
+} = require('../src/services/storage/uploadStore');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('upload store', () => {
+  const originalStorage = { ...config.storage };
+  let sessions;
+
+  before(() => {
+    Object.assign(config.storage, {
+      driver: 'local',
+      path: fs.mkdtempSync(path.join(os.tmpdir(), 'gitv1-uploads-')),
+      uploadPartSize: 8,
+      maxUploadSize: 64,
+    });
+  });
+
+  after(() => {
+    fs.rmSync(config.storage.path, { recursive: true, force: true });
+    Object.assign(config.storage, originalStorage);
+  });
+
+  beforeEach(() => {
+    sessions = [];
+    const byId = id => sessions.find(session => session._id === id);
+    mock.method(UploadSession, 'create', async (doc) => {
+      const session = { _id: `session-${sessions.length + 1}`, status: 'active', parts: [], ...doc };
+      sessions.push(session);
+      return session;
+    });
+    mock.method(UploadSession, 'findOne', async ({ uploadId }) =>
+      sessions.find(session => session.uploadId === uploadId) || null);
+    mock.method(UploadSession, 'updateOne', async ({ _id }, { $pull }) => {
+      const session = byId(_id);
+      session.parts = session.parts.filter(part => part.number !== $pull.parts.number);
+    });
+    mock.method(UploadSession, 'findOneAndUpdate', async ({ _id }, { $push, $set }) => {
+      const session = byId(_id);
+      session.parts = [...session.parts, $push.parts];
+      return Object.assign(session, $set);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Start an upload of a snapshot and send the given parts
+   * @param {String} text - Snapshot JSON
+   * @param {Array<Number>} partNumbers - Parts to send (default: all)
+   */
+  const upload = async (text, partNumbers = null) => {
+    const data = Buffer.from(text);
+    let session = await createUploadSession({
+      projectId: 'project-1',
+      branchId: 'branch-1',
+      userId: 'user-1',
+      size: data.length,
+      sha256: sha256(data),
+    });
+    const numbers = partNumbers || Array.from({ length: session.partCount }, (value, index) => index + 1);
+    for (const number of numbers) {
+      const part = data.subarray((number - 1) * session.partSize, number * session.partSize);
+      session = await storeUploadPart(session, number, Readable.from([part]), sha256(part));
+    }
+    return session;
+  };
+
+  it('reads back a snapshot sent in parts, in any order', async () => {
+    // 40 bytes: five parts of 8
+    const text = JSON.stringify({ version: '2.1', pages: [{ id: 'p1' }] });
+    const session = await upload(text, [3, 1, 5, 2, 4]);
+
+    assert.deepEqual(await readUploadedSnapshot(session), JSON.parse(text));
+  });
+
+  it('only finds a session for the user who started it', async () => {
+    const session = await upload('{"pages":[]}');
+
+    assert.equal((await findUploadSession(session.uploadId, 'user-1')).uploadId, session.uploadId);
+    await assert.rejects(findUploadSession(session.uploadId, 'user-2'), { code: 'NOT_FOUND' });
+
+    session.expiresAt = new Date(Date.now() - 1000);
+    await assert.rejects(findUploadSession(session.uploadId, 'user-1'), { code: 'NOT_FOUND' });
+  });
+
+  it('refuses uploads above the size limit and without a valid checksum', async () => {
+    const start = fields => createUploadSession({ projectId: 'project-1', branchId: 'branch-1', userId: 'user-1', ...fields });
+
+    await assert.rejects(start({ size: 65, sha256: 'a'.repeat(64) }), { code: 'PAYLOAD_TOO_LARGE' });
+    await assert.rejects(start({ size: 10, sha256: 'not-a-digest' }), { code: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects parts that are too large or do not match their hash', async () => {
+    const session = await upload('{"pages":[]}', []);
+
+    await assert.rejects(storeUploadPart(session, 1, Readable.from([Buffer.from('123456789')])), /larger than the expected 8 bytes/);
+    await assert.rejects(
+      storeUploadPart(session, 1, Readable.from([Buffer.from('{"pages"')]), sha256('something else')),
+      /does not match its SHA-256/
+    );
+    await assert.rejects(storeUploadPart(session, 3, Readable.from([Buffer.from('x')])), /between 1 and 2/);
+    assert.deepEqual(session.parts, []);
+  });
+
+  it('does not read back an upload with missing parts or a different whole', async () => {
+    const incomplete = await upload('{"pages":[1,2,3]}', [1, 3]);
+    await assert.rejects(readUploadedSnapshot(incomplete), (error) => {
+      assert.deepEqual(error.details, { missingParts: [2] });
+      return true;
+    });
+
+    const tampered = await upload('{"pages":[1,2,3]}');
+    tampered.sha256 = sha256('{"pages":[4,5,6]}');
+    await assert.rejects(readUploadedSnapshot(tampered), /does not match its size and SHA-256/);
+  });
+});
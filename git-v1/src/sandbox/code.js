@@ -15,7 +15,7 @@
  */
 
 import addOnSandboxSdk from "add-on-sdk-document-sandbox";
-import { editor } from "express-document-sdk";
+import { editor, fonts } from "express-document-sdk";
 
 // Get the document sandbox runtime
 const { runtime } = addOnSandboxSdk.instance;
@@ -29,6 +29,7 @@ const { runtime } = addOnSandboxSdk.instance;
 let currentBranchId = null;
 let currentBranchName = null;
 let branchStateHash = null; // Hash of current branch state for change detection
+let branchStateManifest = null; // Page and element hashes of the same state
 
 // Pending images for async processing (module-level variable, not window)
 let _pendingImages = null;
@@ -40,6 +41,7 @@ function initializeBranch(branchId, branchName) {
     currentBranchId = branchId;
     currentBranchName = branchName;
     branchStateHash = null;
+    branchStateManifest = null;
     console.log(`Branch manager initialized: ${branchName} (${branchId})`);
 }
 
@@ -68,6 +70,19 @@ function setCurrentBranch(branchId, branchName) {
  */
 function updateBranchStateHash(hash) {
     branchStateHash = hash;
+    if (branchStateManifest && branchStateManifest.stateHash !== hash) {
+        branchStateManifest = null;
+    }
+}
+
+/**
+ * Record the current document as the branch's committed state
+ * Called after a checkout, import or commit
+ */
+async function captureBranchState() {
+    branchStateManifest = await getStateManifest();
+    branchStateHash = branchStateManifest.stateHash;
+    return branchStateHash;
 }
 
 /**
@@ -80,44 +95,254 @@ function hasUncommittedChanges(currentStateHash) {
     return currentStateHash !== branchStateHash;
 }
 
+/**
+ * Get uncommitted changes per page, compared with the captured branch state
+ */
+async function getUncommittedChanges() {
+    if (!branchStateManifest) {
+        return { hasChanges: false, stateHash: null, pages: [] };
+    }
+    return diffStateManifests(branchStateManifest, await getStateManifest());
+}
+
 /**
  * Reset branch state
  */
 function resetBranchState() {
     branchStateHash = null;
+    branchStateManifest = null;
 }
 
 // ============================================
 // MODULE: STATE MANAGER
 // ============================================
 // Manages document state and change detection
+//
+// States are hashed as a tree: every element gets its own hash, a page hash
+// covers the page properties and its element hashes, and the state hash covers
+// the document properties and page hashes. Two manifests can then be compared
+// page by page and element by element.
+
+// Export fields that change on every export without the design changing
+const VOLATILE_STATE_FIELDS = ['timestamp'];
+
+// SHA-256 round constants
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+const rotateRight = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+/**
+ * SHA-256 of a string (UTF-8), as hex
+ * Implemented here because the document sandbox has no Web Crypto
+ */
+function sha256(text) {
+    // UTF-8 encode into a buffer with room for the padding
+    const bytes = new Uint8Array(text.length * 3 + 72);
+    let length = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.codePointAt(i);
+        if (code > 0xffff) {
+            i++; // Surrogate pair
+        }
+        if (code < 0x80) {
+            bytes[length++] = code;
+        } else if (code < 0x800) {
+            bytes[length++] = 0xc0 | (code >> 6);
+            bytes[length++] = 0x80 | (code & 0x3f);
+        } else if (code < 0x10000) {
+            bytes[length++] = 0xe0 | (code >> 12);
+            bytes[length++] = 0x80 | ((code >> 6) & 0x3f);
+            bytes[length++] = 0x80 | (code & 0x3f);
+        } else {
+            bytes[length++] = 0xf0 | (code >> 18);
+            bytes[length++] = 0x80 | ((code >> 12) & 0x3f);
+            bytes[length++] = 0x80 | ((code >> 6) & 0x3f);
+            bytes[length++] = 0x80 | (code & 0x3f);
+        }
+    }
+
+    const paddedLength = Math.ceil((length + 9) / 64) * 64;
+    const view = new DataView(bytes.buffer);
+    bytes[length] = 0x80;
+    view.setUint32(paddedLength - 8, Math.floor(length / 0x20000000));
+    view.setUint32(paddedLength - 4, (length << 3) >>> 0);
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const words = new Uint32Array(64);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let t = 0; t < 16; t++) {
+            words[t] = view.getUint32(offset + t * 4);
+        }
+        for (let t = 16; t < 64; t++) {
+            const s0 = rotateRight(words[t - 15], 7) ^ rotateRight(words[t - 15], 18) ^ (words[t - 15] >>> 3);
+            const s1 = rotateRight(words[t - 2], 17) ^ rotateRight(words[t - 2], 19) ^ (words[t - 2] >>> 10);
+            words[t] = words[t - 16] + s0 + words[t - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let t = 0; t < 64; t++) {
+            const s1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+            const choice = (e & f) ^ (~e & g);
+            const temp1 = (h + s1 + choice + SHA256_K[t] + words[t]) | 0;
+            const s0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (s0 + majority) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) | 0;
+        }
+
+        hash[0] = (hash[0] + a) | 0;
+        hash[1] = (hash[1] + b) | 0;
+        hash[2] = (hash[2] + c) | 0;
+        hash[3] = (hash[3] + d) | 0;
+        hash[4] = (hash[4] + e) | 0;
+        hash[5] = (hash[5] + f) | 0;
+        hash[6] = (hash[6] + g) | 0;
+        hash[7] = (hash[7] + h) | 0;
+    }
+
+    return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Serialize a value with sorted object keys (same rules as the backend)
+ */
+function canonicalStringify(value) {
+    if (value === undefined) {
+        return 'null';
+    }
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalStringify).join(',')}]`;
+    }
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Build the hash manifest of a document state
+ * @returns {Object} { stateHash, pages: [{ id, name, hash, elements: { elementId: hash } }] }
+ */
+function buildStateManifest(documentState) {
+    const state = { ...documentState };
+    VOLATILE_STATE_FIELDS.forEach(field => delete state[field]);
+
+    const pages = (state.pages || []).map((page, pageIndex) => {
+        const elements = {};
+        const artboards = (page.artboards || []).map((artboard, artboardIndex) => ({
+            ...artboard,
+            elements: (artboard.elements || []).map((element, elementIndex) => {
+                const hash = sha256(canonicalStringify(element));
+                const elementId = (element && element.id) || `${artboard.id || artboardIndex}:${elementIndex}`;
+                elements[elementId] = hash;
+                return hash;
+            })
+        }));
+
+        return {
+            id: page.id || `page_${pageIndex}`,
+            name: page.name || `Page ${pageIndex + 1}`,
+            hash: sha256(canonicalStringify({ ...page, artboards })),
+            elements
+        };
+    });
+
+    return {
+        stateHash: sha256(canonicalStringify({ ...state, pages: pages.map(page => page.hash) })),
+        pages
+    };
+}
+
+/**
+ * Compare two manifests page by page
+ * @returns {Object} { hasChanges, stateHash, pages: [{ id, name, status, added, removed, modified }] }
+ */
+function diffStateManifests(baseManifest, currentManifest) {
+    const basePages = new Map(baseManifest.pages.map(page => [page.id, page]));
+    const currentPageIds = new Set(currentManifest.pages.map(page => page.id));
+    const pages = [];
+
+    currentManifest.pages.forEach(page => {
+        const basePage = basePages.get(page.id);
+        if (!basePage) {
+            pages.push({ id: page.id, name: page.name, status: 'added', added: Object.keys(page.elements), removed: [], modified: [] });
+            return;
+        }
+        if (basePage.hash === page.hash) {
+            return;
+        }
+
+        const added = [];
+        const modified = [];
+        Object.entries(page.elements).forEach(([elementId, hash]) => {
+            if (!(elementId in basePage.elements)) {
+                added.push(elementId);
+            } else if (basePage.elements[elementId] !== hash) {
+                modified.push(elementId);
+            }
+        });
+        const removed = Object.keys(basePage.elements).filter(elementId => !(elementId in page.elements));
+        pages.push({ id: page.id, name: page.name, status: 'modified', added, removed, modified });
+    });
+
+    baseManifest.pages
+        .filter(page => !currentPageIds.has(page.id))
+        .forEach(page => {
+            pages.push({ id: page.id, name: page.name, status: 'removed', added: [], removed: Object.keys(page.elements), modified: [] });
+        });
+
+    return {
+        // Also true when only the page order changed
+        hasChanges: baseManifest.stateHash !== currentManifest.stateHash,
+        stateHash: currentManifest.stateHash,
+        pages
+    };
+}
 
 /**
  * Generate a hash from document state
  */
 function generateStateHash(documentState) {
     try {
-        const stateString = JSON.stringify(documentState);
-        let hash = 0;
-        for (let i = 0; i < stateString.length; i++) {
-            const char = stateString.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString(16);
+        return buildStateManifest(documentState).stateHash;
     } catch (error) {
         console.error('Error generating state hash:', error);
-        return Date.now().toString();
+        return null;
     }
 }
 
+/**
+ * Get the hash manifest of the current document
+ */
+async function getStateManifest() {
+    const documentState = await exportDocument();
+    return buildStateManifest(documentState);
+}
+
 /**
  * Get current document state hash
  */
 async function getCurrentStateHash() {
     try {
-        const documentState = await exportDocument();
-        return generateStateHash(documentState);
+        return (await getStateManifest()).stateHash;
     } catch (error) {
         console.error('Error getting current state hash:', error);
         return null;
@@ -131,7 +356,7 @@ function compareStates(state1, state2) {
     try {
         const hash1 = generateStateHash(state1);
         const hash2 = generateStateHash(state2);
-        return hash1 === hash2;
+        return hash1 !== null && hash1 === hash2;
     } catch (error) {
         console.error('Error comparing states:', error);
         return false;
@@ -159,6 +384,403 @@ async function isDocumentModified(lastSavedHash) {
 // ============================================
 // Handles exporting and importing Adobe Express document state
 
+// Add-on data key used to keep element, artboard and page ids stable across checkout/import
+const ELEMENT_ID_KEY = 'gitv1.elementId';
+
+/**
+ * Get the stable id of an element
+ * Falls back to the Adobe node id for elements we have never imported
+ */
+function getStableElementId(element) {
+    try {
+        const storedId = element.addOnData ? element.addOnData.getItem(ELEMENT_ID_KEY) : null;
+        if (storedId) {
+            return storedId;
+        }
+    } catch (error) {
+        console.warn('Could not read element add-on data:', error);
+    }
+    return element.id;
+}
+
+/**
+ * Remember the snapshot id on an imported element so the next export
+ * emits the same id (the three-way merge matches elements by id)
+ */
+function tagStableElementId(element, elementId) {
+    if (!elementId || !element.addOnData) {
+        return;
+    }
+    try {
+        element.addOnData.setItem(ELEMENT_ID_KEY, String(elementId));
+    } catch (error) {
+        console.warn('Could not tag element with stable id:', error);
+    }
+}
+
+// Add-on data key with the content key of an imported image, so an incremental
+// import can tell whether the image changed without reading the bitmap back
+const IMAGE_HASH_KEY = 'gitv1.imageHash';
+
+/**
+ * Key of an image element's content: its media store id, else the hash of its inline data
+ */
+function imageContentKey(elementData) {
+    if (elementData.mediaId) {
+        return elementData.mediaId;
+    }
+    return elementData.imageData ? sha256(elementData.imageData) : null;
+}
+
+/**
+ * Remember the content key of the image an element was created from
+ */
+function tagImageHash(element, elementData) {
+    const contentKey = imageContentKey(elementData);
+    if (!contentKey || !element.addOnData) {
+        return;
+    }
+    try {
+        element.addOnData.setItem(IMAGE_HASH_KEY, contentKey);
+    } catch (error) {
+        console.warn('Could not tag element with image hash:', error);
+    }
+}
+
+// Issues found while restoring elements during the current import
+let fidelityIssues = [];
+
+// Numeric differences below this are rounding, not lost properties
+const FIDELITY_TOLERANCE = 0.01;
+
+// Fields not verified after restoring an element: identity, nested elements (verified
+// on their own), and image fields (restored asynchronously)
+const FIDELITY_SKIPPED_FIELDS = ['id', 'children', 'imageData', 'mediaId', 'imageMimeType', 'originalImageWidth', 'originalImageHeight', 'imageId', '_needsAsyncImageLoad'];
+
+/**
+ * Record a property that could not be restored
+ */
+function reportFidelityIssue(elementData, property, reason) {
+    fidelityIssues.push({
+        elementId: elementData?.id || null,
+        type: elementData?.type || null,
+        property,
+        reason
+    });
+    console.warn(`⚠️ Not restored: ${elementData?.type} ${elementData?.id} ${property} (${reason})`);
+}
+
+/**
+ * Start collecting fidelity issues for an import
+ */
+function startFidelityReport() {
+    fidelityIssues = [];
+}
+
+/**
+ * Stop collecting and return the fidelity report of the import
+ * @returns {Object} { issues: [{ elementId, type, property, reason }] }
+ */
+function finishFidelityReport() {
+    const issues = fidelityIssues;
+    fidelityIssues = [];
+    return { issues };
+}
+
+/**
+ * Split SVG path data into commands and numbers so equivalent paths
+ * written with different number formatting compare equal
+ */
+function tokenizePathData(pathData) {
+    return (String(pathData).match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [])
+        .map(token => (/[a-zA-Z]/.test(token) ? token : parseFloat(token)));
+}
+
+/**
+ * Compare snapshot values, allowing small numeric differences
+ */
+function isApproximatelyEqual(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= FIDELITY_TOLERANCE;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, index) => isApproximatelyEqual(value, b[index]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(key => isApproximatelyEqual(a[key], b[key]));
+    }
+    return canonicalStringify(a) === canonicalStringify(b);
+}
+
+/**
+ * Re-serialize a restored element and report every field that differs from the snapshot
+ */
+function verifyRestoredElement(element, elementData) {
+    try {
+        const restored = serializeElement(element);
+        if (!restored) {
+            reportFidelityIssue(elementData, '*', 'restored element could not be read back');
+            return;
+        }
+        // A group's size follows its children, some of which (images) are still loading
+        const derivedFields = elementData.type === 'Group' ? ['width', 'height'] : [];
+        Object.keys(elementData)
+            .filter(field => !FIDELITY_SKIPPED_FIELDS.includes(field) && !derivedFields.includes(field))
+            .forEach(field => {
+                const matches = field === 'path'
+                    ? isApproximatelyEqual(tokenizePathData(restored.path), tokenizePathData(elementData.path))
+                    : isApproximatelyEqual(restored[field], elementData[field]);
+                if (!matches) {
+                    reportFidelityIssue(elementData, field, 'restored value differs from snapshot');
+                }
+            });
+    } catch (error) {
+        console.warn('Could not verify restored element:', error);
+    }
+}
+
+// Character style fields copied as-is (font and color are handled separately)
+const CHARACTER_STYLE_FIELDS = ['fontSize', 'letterSpacing', 'underline', 'baselineShift', 'link'];
+
+// Paragraph style fields copied as-is (list is handled separately)
+const PARAGRAPH_STYLE_FIELDS = ['spaceBefore', 'spaceAfter', 'lineSpacing'];
+
+// List style fields of a paragraph
+const LIST_STYLE_FIELDS = ['type', 'numbering', 'prefix', 'postfix', 'indentLevel'];
+
+// TextLayout values that can be set on a text node: area, autoHeight, autoWidth
+// (circular and magicFit can only be read)
+const TEXT_LAYOUT = { area: 1, autoHeight: 2, autoWidth: 3 };
+
+// Fonts resolved for the current import, by PostScript name (null if unavailable)
+const resolvedFonts = new Map();
+
+const pickDefined = (source, fields) => {
+    const picked = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) {
+            picked[field] = source[field];
+        }
+    });
+    return picked;
+};
+
+const serializeColor = color => (color ? {
+    red: color.red,
+    green: color.green,
+    blue: color.blue,
+    alpha: color.alpha !== undefined ? color.alpha : 1
+} : null);
+
+/**
+ * Serialize the content, styles and layout of a text node
+ * @returns {Object} Text fields merged into the element data
+ */
+function serializeText(element, constructorName) {
+    const textData = {
+        // Threaded text (flowing between frames) cannot be created by add-ons
+        textNodeType: constructorName === 'ThreadedTextNode' ? 'threaded' : 'standalone'
+    };
+    const content = element.fullContent;
+    
+    if (content && content.text !== undefined) {
+        textData.text = content.text;
+    } else if (element.text !== undefined) {
+        textData.text = element.text;
+    }
+    
+    if (element.textAlignment !== undefined) {
+        textData.textAlignment = element.textAlignment;
+    }
+    
+    // Point text (autoWidth) vs area text (area / autoHeight)
+    if (element.layout) {
+        textData.textLayout = pickDefined(element.layout, ['type', 'width', 'height']);
+    }
+    
+    // Where the text box sits on the artboard; styles and layout change the
+    // bounds around the origin, so import aligns these instead of the raw origin
+    if (element.boundsInParent) {
+        textData.textBounds = pickDefined(element.boundsInParent, ['x', 'y', 'width', 'height']);
+    }
+    
+    if (content && content.characterStyleRanges) {
+        textData.characterStyles = Array.from(content.characterStyleRanges).map(range => {
+            const styleData = {
+                length: range.length,
+                ...pickDefined(range, CHARACTER_STYLE_FIELDS),
+                color: serializeColor(range.color)
+            };
+            if (range.font) {
+                styleData.font = {
+                    postscriptName: range.font.postscriptName,
+                    family: range.font.family,
+                    style: range.font.style
+                };
+            }
+            return styleData;
+        });
+    }
+    
+    if (content && content.paragraphStyleRanges) {
+        textData.paragraphStyles = Array.from(content.paragraphStyleRanges).map(range => {
+            const paragraphData = {
+                length: range.length,
+                ...pickDefined(range, PARAGRAPH_STYLE_FIELDS)
+            };
+            if (range.list) {
+                paragraphData.list = pickDefined(range.list, LIST_STYLE_FIELDS);
+            }
+            return paragraphData;
+        });
+    }
+    
+    return textData;
+}
+
+/**
+ * Collect the PostScript names of all fonts used in a snapshot
+ */
+function collectSnapshotFonts(elements, names = new Set()) {
+    (elements || []).forEach(elementData => {
+        (elementData.characterStyles || []).forEach(style => {
+            if (style.font && style.font.postscriptName) {
+                names.add(style.font.postscriptName);
+            }
+        });
+        collectSnapshotFonts(elementData.children, names);
+    });
+    return names;
+}
+
+/**
+ * Resolve the snapshot's fonts before the synchronous edit that applies them
+ * (font lookup is async and cannot run inside queueAsyncEdit)
+ */
+async function resolveSnapshotFonts(documentState) {
+    const names = new Set();
+    (documentState.pages || []).forEach(page => {
+        (page.artboards || []).forEach(artboard => collectSnapshotFonts(artboard.elements, names));
+    });
+    
+    for (const name of names) {
+        if (resolvedFonts.has(name)) continue;
+        try {
+            const font = await fonts.fromPostscriptName(name);
+            resolvedFonts.set(name, font && font.availableForEditing ? font : null);
+        } catch (error) {
+            console.warn(`Could not resolve font ${name}:`, error);
+            resolvedFonts.set(name, null);
+        }
+    }
+}
+
+/**
+ * Apply text content, layout, alignment and style ranges to a text node
+ */
+function applyTextProperties(element, elementData) {
+    const content = element.fullContent;
+    
+    if (elementData.textNodeType === 'threaded') {
+        reportFidelityIssue(elementData, 'textNodeType', 'threaded text is restored as standalone text');
+    }
+    
+    if (elementData.text !== undefined && content && content.text !== elementData.text) {
+        content.text = elementData.text;
+    }
+    
+    const layout = elementData.textLayout;
+    if (layout && layout.type !== undefined) {
+        try {
+            if (layout.type === TEXT_LAYOUT.area) {
+                element.layout = { type: layout.type, width: layout.width, height: layout.height };
+            } else if (layout.type === TEXT_LAYOUT.autoHeight) {
+                element.layout = { type: layout.type, width: layout.width };
+            } else if (layout.type === TEXT_LAYOUT.autoWidth) {
+                element.layout = { type: layout.type };
+            } else {
+                reportFidelityIssue(elementData, 'textLayout', `layout type ${layout.type} cannot be set by add-ons`);
+            }
+        } catch (error) {
+            reportFidelityIssue(elementData, 'textLayout', error.message);
+        }
+    }
+    
+    if (elementData.textAlignment !== undefined) {
+        try {
+            element.textAlignment = elementData.textAlignment;
+        } catch (error) {
+            reportFidelityIssue(elementData, 'textAlignment', error.message);
+        }
+    }
+    
+    if (!content) {
+        return;
+    }
+    
+    if (elementData.characterStyles && elementData.characterStyles.length > 0) {
+        try {
+            content.characterStyleRanges = elementData.characterStyles.map(styleData => {
+                const styleInput = {
+                    length: styleData.length,
+                    ...pickDefined(styleData, CHARACTER_STYLE_FIELDS)
+                };
+                if (styleData.color) {
+                    styleInput.color = serializeColor(styleData.color);
+                }
+                if (styleData.font && styleData.font.postscriptName) {
+                    const font = resolvedFonts.get(styleData.font.postscriptName);
+                    if (font) {
+                        styleInput.font = font;
+                    } else {
+                        reportFidelityIssue(elementData, 'font', `font ${styleData.font.postscriptName} is not available`);
+                    }
+                }
+                return styleInput;
+            });
+        } catch (error) {
+            reportFidelityIssue(elementData, 'characterStyles', error.message);
+        }
+    }
+    
+    if (elementData.paragraphStyles && elementData.paragraphStyles.length > 0) {
+        try {
+            content.paragraphStyleRanges = elementData.paragraphStyles.map(paragraphData => {
+                const paragraphInput = {
+                    length: paragraphData.length,
+                    ...pickDefined(paragraphData, PARAGRAPH_STYLE_FIELDS)
+                };
+                if (paragraphData.list) {
+                    paragraphInput.list = { ...paragraphData.list };
+                }
+                return paragraphInput;
+            });
+        } catch (error) {
+            reportFidelityIssue(elementData, 'paragraphStyles', error.message);
+        }
+    }
+}
+
+/**
+ * Move a restored text node so its bounds sit where they were on the artboard
+ */
+function alignTextBounds(element, textBounds) {
+    try {
+        const bounds = element.boundsInParent;
+        if (!bounds || textBounds.x === undefined || textBounds.y === undefined) {
+            return;
+        }
+        const dx = textBounds.x - bounds.x;
+        const dy = textBounds.y - bounds.y;
+        if (dx !== 0 || dy !== 0) {
+            element.translation = { x: element.translation.x + dx, y: element.translation.y + dy };
+        }
+    } catch (error) {
+        console.warn('Could not align text bounds:', error);
+    }
+}
+
 /**
  * Serialize a single element to JSON
  */
@@ -173,7 +795,7 @@ function serializeElement(element) {
             elementType = 'Rectangle';
         } else if (constructorName === 'EllipseNode' || constructorName === 'Ellipse') {
             elementType = 'Ellipse';
-        } else if (constructorName === 'StandaloneTextNode' || constructorName === 'Pe' || constructorName === 'TextNode' || constructorName === 'Text') {
+        } else if (constructorName === 'StandaloneTextNode' || constructorName === 'ThreadedTextNode' || constructorName === 'Pe' || constructorName === 'TextNode' || constructorName === 'Text') {
             elementType = 'Text';
         } else if (constructorName === 'GroupNode' || constructorName === 'Group') {
             elementType = 'Group';
@@ -191,12 +813,13 @@ function serializeElement(element) {
         } else if (constructorName === 'ImageRectangleNode' || constructorName === 'ImageRectangle') {
             elementType = 'Image';
         } else {
-            elementType = constructorName; // Fallback to actual name
+            elementType = 'Unknown'; // Restored as a placeholder; SDK name kept in sdkType
         }
         
         const baseData = {
-            id: element.id,
+            id: getStableElementId(element),
             type: elementType,
+            ...(elementType === 'Unknown' && { sdkType: constructorName }),
             translation: element.translation ? {
                 x: element.translation.x,
                 y: element.translation.y
@@ -212,6 +835,25 @@ function serializeElement(element) {
             baseData.height = element.height;
         }
         
+        // Lock, visibility and blend mode
+        VISUAL_STATE_FIELDS.forEach(field => {
+            if (element[field] !== undefined) {
+                baseData[field] = element[field];
+            }
+        });
+        
+        // Full transform (mat2d: a, b, c, d, tx, ty); only rotation and translation can be
+        // set, so scale is recorded when it is not 1 and shows up in the fidelity report
+        if (element.transformMatrix) {
+            const matrix = Array.from(element.transformMatrix);
+            baseData.transformMatrix = matrix;
+            const flip = matrix[0] * matrix[3] - matrix[1] * matrix[2] < 0 ? -1 : 1;
+            const scale = { x: Math.hypot(matrix[0], matrix[1]), y: flip * Math.hypot(matrix[2], matrix[3]) };
+            if (Math.abs(scale.x - 1) > FIDELITY_TOLERANCE || Math.abs(scale.y - 1) > FIDELITY_TOLERANCE) {
+                baseData.scale = scale;
+            }
+        }
+        
         if (element.fill) {
             baseData.fill = serializeFill(element.fill);
         }
@@ -223,89 +865,22 @@ function serializeElement(element) {
         // Handle text-specific properties
         if (elementType === 'Text') {
             try {
-                // Get text content
-                if (element.fullContent && element.fullContent.text !== undefined) {
-                    baseData.text = element.fullContent.text;
-                } else if (element.text !== undefined) {
-                    baseData.text = element.text;
-                }
-                
-                // Get text alignment
-                if (element.textAlignment !== undefined) {
-                    baseData.textAlignment = element.textAlignment;
-                }
-                
-                // Get text layout
-                if (element.layout) {
-                    baseData.textLayout = {
-                        type: element.layout.type,
-                        width: element.layout.width,
-                        height: element.layout.height
-                    };
-                }
-                
-                // Get character styles (font, size, color, etc.)
-                if (element.fullContent && element.fullContent.characterStyleRanges) {
-                    try {
-                        const styleRanges = element.fullContent.characterStyleRanges;
-                        baseData.characterStyles = [];
-                        
-                        for (let i = 0; i < styleRanges.length; i++) {
-                            const styleRange = styleRanges[i];
-                            const styleData = {
-                                length: styleRange.length,
-                                fontSize: styleRange.fontSize,
-                                color: styleRange.color ? {
-                                    red: styleRange.color.red,
-                                    green: styleRange.color.green,
-                                    blue: styleRange.color.blue,
-                                    alpha: styleRange.color.alpha !== undefined ? styleRange.color.alpha : 1
-                                } : null,
-                                letterSpacing: styleRange.letterSpacing,
-                                underline: styleRange.underline,
-                                baselineShift: styleRange.baselineShift
-                            };
-                            
-                            // Get font information
-                            if (styleRange.font) {
-                                styleData.font = {
-                                    postscriptName: styleRange.font.postscriptName,
-                                    family: styleRange.font.family,
-                                    style: styleRange.font.style
-                                };
-                            }
-                            
-                            baseData.characterStyles.push(styleData);
-                        }
-                    } catch (styleError) {
-                        console.warn('Error reading character styles:', styleError);
-                    }
-                }
-                
-                // Get paragraph styles
-                if (element.fullContent && element.fullContent.paragraphStyleRanges) {
-                    try {
-                        const paraRanges = element.fullContent.paragraphStyleRanges;
-                        baseData.paragraphStyles = [];
-                        
-                        for (let i = 0; i < paraRanges.length; i++) {
-                            const paraRange = paraRanges[i];
-                            baseData.paragraphStyles.push({
-                                length: paraRange.length,
-                                spaceBefore: paraRange.spaceBefore,
-                                spaceAfter: paraRange.spaceAfter,
-                                lineSpacing: paraRange.lineSpacing
-                            });
-                        }
-                    } catch (paraError) {
-                        console.warn('Error reading paragraph styles:', paraError);
-                    }
-                }
+                Object.assign(baseData, serializeText(element, constructorName));
             } catch (error) {
                 console.warn('Error reading text properties:', error);
             }
         }
         
+        // Handle path geometry: SVG path data in local coordinates
+        if (elementType === 'Path') {
+            if (element.path !== undefined) {
+                baseData.path = element.path;
+            }
+            if (element.fillRule !== undefined) {
+                baseData.fillRule = element.fillRule;
+            }
+        }
+        
         // Handle rectangle corner radius
         if (elementType === 'Rectangle' && element.topLeftRadius !== undefined) {
             baseData.cornerRadius = {
@@ -369,7 +944,12 @@ function serializeElement(element) {
             }
         }
         
-        // Handle children (for groups)
+        // Clipping mask of a group, serialized as a full element
+        if (elementType === 'Group' && element.maskShape) {
+            baseData.maskShape = serializeElement(element.maskShape);
+        }
+        
+        // Handle children (for groups), in z-order: the first child is at the back
         // Note: Adobe Express SDK uses .item(index) not .get(index)
         if (element.children && element.children.length > 0) {
             baseData.children = [];
@@ -524,6 +1104,12 @@ function serializeFill(fill) {
     return fillData;
 }
 
+// Node state restored as-is: lock, visibility and blend mode
+const VISUAL_STATE_FIELDS = ['locked', 'visible', 'blendMode'];
+
+// Optional stroke style fields (line caps and joins)
+const STROKE_STYLE_FIELDS = ['cap', 'join', 'miterLimit'];
+
 /**
  * Serialize stroke property
  */
@@ -559,18 +1145,135 @@ function serializeStroke(stroke) {
         strokeData.dashOffset = stroke.dashOffset;
     }
     
+    // Line caps and joins, when the stroke exposes them
+    STROKE_STYLE_FIELDS.forEach(field => {
+        if (stroke[field] !== undefined) {
+            strokeData[field] = stroke[field];
+        }
+    });
+    
     return strokeData;
 }
 
+// Snapshot format written by exportDocument (git-v1-backend/src/schemas/snapshot.schema.json)
+const SNAPSHOT_VERSION = '2.1';
+
+// Raw SDK constructor names written by 1.0 exports, by normalized type
+const LEGACY_ELEMENT_TYPES = {
+    Pe: 'Text',
+    TextNode: 'Text',
+    StandaloneTextNode: 'Text',
+    ThreadedTextNode: 'Text',
+    RectangleNode: 'Rectangle',
+    EllipseNode: 'Ellipse',
+    GroupNode: 'Group',
+    PathNode: 'Path',
+    MediaContainerNode: 'Image',
+    ImageRectangleNode: 'Image',
+    ComplexShapeNode: 'ComplexShape'
+};
+
+// Types the 2.0 deserializer handles; 1.0 exports kept other SDK names as the type
+const SNAPSHOT_ELEMENT_TYPES = ['Rectangle', 'Ellipse', 'Text', 'Group', 'Path', 'Image', 'ComplexShape', 'Unknown'];
+
+/**
+ * 1.0 -> 2.0 for one element and its children
+ */
+function migrateElementV1(elementData, fallbackId) {
+    if (!elementData || typeof elementData !== 'object' || Array.isArray(elementData)) {
+        return elementData;
+    }
+
+    const migrated = { ...elementData };
+    delete migrated._needsAsyncImageLoad;
+
+    migrated.type = LEGACY_ELEMENT_TYPES[migrated.type] || migrated.type;
+    if (migrated.type === 'ComplexShape' && (migrated.imageData || migrated.hasImageData)) {
+        migrated.type = 'Image';
+    }
+    if (!SNAPSHOT_ELEMENT_TYPES.includes(migrated.type)) {
+        migrated.sdkType = String(migrated.type);
+        migrated.type = 'Unknown';
+    }
+    migrated.id = migrated.id === undefined || migrated.id === null || migrated.id === ''
+        ? fallbackId
+        : String(migrated.id);
+
+    if (Array.isArray(migrated.children)) {
+        migrated.children = migrated.children.map((child, index) => migrateElementV1(child, `${migrated.id}.${index}`));
+    }
+    if (migrated.type === 'Group' && migrated.maskShape) {
+        migrated.maskShape = migrateElementV1(migrated.maskShape, `${migrated.id}.mask`);
+    }
+    return migrated;
+}
+
+/**
+ * 1.0 -> 2.0: normalized element types, string ids on every page, artboard and element
+ */
+function migrateSnapshotV1ToV2(documentState) {
+    return {
+        ...documentState,
+        pages: (documentState.pages || []).map((page, pageIndex) => {
+            const pageId = page.id ? String(page.id) : `page_${pageIndex}`;
+            return {
+                ...page,
+                id: pageId,
+                artboards: (page.artboards || []).map((artboard, artboardIndex) => {
+                    const artboardId = artboard.id ? String(artboard.id) : `artboard_${artboardIndex}`;
+                    return {
+                        ...artboard,
+                        id: artboardId,
+                        elements: (artboard.elements || []).map((elementData, index) =>
+                            migrateElementV1(elementData, `legacy-${pageId}-${artboardId}-${index}`)
+                        )
+                    };
+                })
+            };
+        })
+    };
+}
+
+// Ordered upgrade steps, kept in step with git-v1-backend/src/utils/snapshotMigrations.js
+// 2.0 -> 2.1 only adds mediaId (images in the media store); inline imageData stays valid
+const SNAPSHOT_MIGRATIONS = [
+    { from: '1.0', to: '2.0', migrate: migrateSnapshotV1ToV2 },
+    { from: '2.0', to: '2.1', migrate: documentState => documentState }
+];
+
+/**
+ * Upgrade a snapshot to SNAPSHOT_VERSION before importing it
+ * Snapshots without a version predate versioning (1.0); unknown versions are imported as-is
+ */
+function migrateSnapshot(documentState) {
+    let version = documentState.version ? String(documentState.version) : '1.0';
+    let migrated = documentState;
+
+    while (version !== SNAPSHOT_VERSION) {
+        const step = SNAPSHOT_MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            console.warn(`⚠️ No migration from snapshot version ${version} to ${SNAPSHOT_VERSION}`);
+            break;
+        }
+        migrated = { ...step.migrate(migrated), version: step.to };
+        version = step.to;
+    }
+
+    if (migrated !== documentState) {
+        console.log(`🔄 Upgraded snapshot from version ${documentState.version || '1.0'} to ${version}`);
+    }
+    return migrated;
+}
+
 /**
  * Export the current document state to JSON
  */
 async function exportDocument() {
     try {
         const document = editor.documentRoot;
-        
+
         const documentState = {
-            version: "1.0",
+            version: SNAPSHOT_VERSION,
             timestamp: new Date().toISOString(),
             pages: []
         };
@@ -595,7 +1298,7 @@ async function exportDocument() {
             if (!page) continue;
             
             const pageData = {
-                id: page.id || `page_${i}`,
+                id: getStableElementId(page) || `page_${i}`,
                 name: page.name || `Page ${i + 1}`,
                 width: page.width,
                 height: page.height,
@@ -613,7 +1316,7 @@ async function exportDocument() {
                     if (!artboard) continue;
                     
                     const artboardData = {
-                        id: artboard.id || `artboard_${a}`,
+                        id: getStableElementId(artboard) || `artboard_${a}`,
                         width: artboard.width,
                         height: artboard.height,
                         elements: []
@@ -629,7 +1332,7 @@ async function exportDocument() {
                         const imageElements = []; // Store image elements for async processing
                         
                         // Image types that need async data extraction
-                        const imageTypesForExport = ['Image', 'MediaContainerNode', 'ComplexShape', 'ComplexShapeNode'];
+                        const imageTypesForExport = ['Image', 'ComplexShape'];
                         
                         for (let j = 0; j < childCount; j++) {
                             const element = children.item(j);
@@ -796,6 +1499,12 @@ function deserializeStroke(strokeData) {
             strokeOptions.dashOffset = strokeData.dashOffset;
         }
         
+        STROKE_STYLE_FIELDS.forEach(field => {
+            if (strokeData[field] !== undefined) {
+                strokeOptions[field] = strokeData[field];
+            }
+        });
+        
         return editor.makeStroke(strokeOptions);
     } catch (error) {
         console.warn('Error deserializing stroke:', error);
@@ -804,16 +1513,18 @@ function deserializeStroke(strokeData) {
 }
 
 /**
- * Deserialize and add an element to the document
+ * Deserialize an element and add it to a parent (artboard or group)
+ * With no parent the node is only created (used for group masks)
+ * Images load asynchronously; nested ones are added to pendingImages
+ * @returns {Object|null} Created node
  */
-function deserializeElement(elementData, parent) {
+function deserializeElement(elementData, parent, pendingImages = null) {
     try {
         let element;
         
-        // Handle different element types - including legacy "Pe" type
+        // Types are normalized by migrateSnapshot before import
         switch (elementData.type) {
             case 'Rectangle':
-            case 'RectangleNode':
                 element = editor.createRectangle();
                 if (elementData.width !== undefined) element.width = elementData.width;
                 if (elementData.height !== undefined) element.height = elementData.height;
@@ -842,7 +1553,6 @@ function deserializeElement(elementData, parent) {
                 break;
                 
             case 'Ellipse':
-            case 'EllipseNode':
                 element = editor.createEllipse();
                 // Ellipses use rx/ry, but we might have width/height in JSON
                 if (elementData.width !== undefined) element.rx = elementData.width / 2;
@@ -850,169 +1560,52 @@ function deserializeElement(elementData, parent) {
                 break;
                 
             case 'Text':
-            case 'TextNode':
-            case 'StandaloneTextNode':
-            case 'Pe':  // Legacy support for old exports
-                // Create text element - pass initial text content if available
-                const initialText = elementData.text || '';
-                element = editor.createText(initialText);
-                
-                // Set text content using fullContent (correct way for Adobe SDK)
-                if (elementData.text && element.fullContent) {
-                    try {
-                        element.fullContent.text = elementData.text;
-                    } catch (error) {
-                        console.warn('Could not set fullContent.text:', error);
-                    }
-                }
-                
-                // Set text alignment
-                if (elementData.textAlignment !== undefined && element.textAlignment !== undefined) {
-                    try {
-                        element.textAlignment = elementData.textAlignment;
-                    } catch (error) {
-                        console.warn('Could not set textAlignment:', error);
-                    }
-                }
-                
-                // Set text layout
-                if (elementData.textLayout && element.layout !== undefined) {
-                    try {
-                        if (elementData.textLayout.type === 2) { // autoHeight
-                            element.layout = {
-                                type: 2, // TextLayout.autoHeight
-                                width: elementData.textLayout.width
-                            };
-                        } else if (elementData.textLayout.type === 1) { // area
-                            element.layout = {
-                                type: 1, // TextLayout.area
-                                width: elementData.textLayout.width,
-                                height: elementData.textLayout.height
-                            };
-                        }
-                        // autoWidth (type 3) is default, no need to set
-                    } catch (error) {
-                        console.warn('Could not set text layout:', error);
-                    }
-                }
-                
-                // Restore character styles (font, size, color, etc.)
-                if (elementData.characterStyles && element.fullContent) {
-                    try {
-                        const styleRanges = [];
-                        for (const styleData of elementData.characterStyles) {
-                            const styleInput = {
-                                length: styleData.length
-                            };
-                            
-                            if (styleData.fontSize !== undefined) {
-                                styleInput.fontSize = styleData.fontSize;
-                            }
-                            
-                            if (styleData.color) {
-                                styleInput.color = {
-                                    red: styleData.color.red,
-                                    green: styleData.color.green,
-                                    blue: styleData.color.blue,
-                                    alpha: styleData.color.alpha !== undefined ? styleData.color.alpha : 1
-                                };
-                            }
-                            
-                            if (styleData.letterSpacing !== undefined) {
-                                styleInput.letterSpacing = styleData.letterSpacing;
-                            }
-                            
-                            if (styleData.underline !== undefined) {
-                                styleInput.underline = styleData.underline;
-                            }
-                            
-                            if (styleData.baselineShift !== undefined) {
-                                styleInput.baselineShift = styleData.baselineShift;
-                            }
-                            
-                            // Note: Font resolution is async (fonts.fromPostscriptName)
-                            // For now, we'll apply styles without font and let Adobe use defaults
-                            // Font restoration would require async handling which is complex
-                            // The font family/style info is stored but not applied in this sync context
-                            if (styleData.font && styleData.font.postscriptName) {
-                                // Store font info for potential future async restoration
-                                // For now, text will use default font but retain other styles
-                                console.log('Font info available but async resolution skipped:', styleData.font.postscriptName);
-                            }
-                            
-                            styleRanges.push(styleInput);
-                        }
-                        
-                        // Apply character styles
-                        if (styleRanges.length > 0) {
-                            element.fullContent.characterStyleRanges = styleRanges;
-                        }
-                    } catch (styleError) {
-                        console.warn('Error restoring character styles:', styleError);
-                    }
-                }
-                
-                // Restore paragraph styles
-                if (elementData.paragraphStyles && element.fullContent) {
-                    try {
-                        const paraRanges = [];
-                        for (const paraData of elementData.paragraphStyles) {
-                            paraRanges.push({
-                                length: paraData.length,
-                                spaceBefore: paraData.spaceBefore,
-                                spaceAfter: paraData.spaceAfter,
-                                lineSpacing: paraData.lineSpacing
-                            });
-                        }
-                        
-                        if (paraRanges.length > 0) {
-                            element.fullContent.paragraphStyleRanges = paraRanges;
-                        }
-                    } catch (paraError) {
-                        console.warn('Error restoring paragraph styles:', paraError);
-                    }
-                }
+                element = editor.createText(elementData.text || '');
+                applyTextProperties(element, elementData);
                 break;
                 
             case 'Group':
-            case 'GroupNode':
                 element = editor.createGroup();
                 break;
                 
             case 'Path':
-            case 'PathNode':
-                // Paths need SVG path data - skip if not available
-                if (elementData.path) {
+                // Paths are rebuilt from their SVG path data (local coordinates)
+                if (!elementData.path) {
+                    reportFidelityIssue(elementData, 'path', 'snapshot has no path data');
+                    return null;
+                }
+                try {
+                    element = editor.createPath(elementData.path);
+                } catch (error) {
+                    reportFidelityIssue(elementData, 'path', `invalid path data: ${error.message}`);
+                    return null;
+                }
+                if (elementData.fillRule !== undefined && element.fillRule !== elementData.fillRule) {
                     try {
-                        element = editor.createPath(elementData.path);
+                        element.fillRule = elementData.fillRule;
                     } catch (error) {
-                        console.warn('Could not create path:', error);
-                        return; // Skip this element
+                        // Verified below; reported if the default rule differs
                     }
-                } else {
-                    console.warn('Path element missing path data, skipping');
-                    return; // Skip this element
                 }
                 break;
                 
             case 'Image':
-            case 'MediaContainerNode':
-            case 'ImageRectangleNode':
-                // Images require async loading - we'll handle them separately in importDocument
-                // Mark this element for async processing and return early
+                // Images require async loading after the current edit (see deserializeImage)
                 elementData._needsAsyncImageLoad = true;
-                return; // Skip for now, will handle in async step in importDocument
+                if (pendingImages && parent) {
+                    pendingImages.push({ elementData, artboard: parent });
+                }
+                return null;
             
             case 'ComplexShape':
-            case 'ComplexShapeNode':
-                // ComplexShapeNode is used for complex shapes like images with effects, clipped shapes, etc.
-                // If it has imageData, treat as image
-                if (elementData.imageData || elementData.hasImageData) {
-                    elementData._needsAsyncImageLoad = true;
-                    return; // Handle as image in async step
-                }
-                // Otherwise, create a rectangle as placeholder (ComplexShape can't be created directly)
-                console.warn(`ComplexShapeNode without image data, creating rectangle placeholder`);
+                // Complex shapes with image data are migrated to Image; the rest
+                // get a rectangle as placeholder (ComplexShape can't be created directly)
+                reportFidelityIssue(elementData, 'type', 'complex shapes cannot be created by add-ons, restored as a rectangle');
+                element = editor.createRectangle();
+                break;
+                
+            case 'Unknown':
+                reportFidelityIssue(elementData, 'type', `${elementData.sdkType || 'unknown'} nodes cannot be created by add-ons, restored as a rectangle`);
                 element = editor.createRectangle();
                 break;
                 
@@ -1021,16 +1614,9 @@ function deserializeElement(elementData, parent) {
                 element = editor.createRectangle();
         }
         
-        // Set position
-        if (elementData.translation) {
-            element.translation = {
-                x: elementData.translation.x,
-                y: elementData.translation.y
-            };
-        }
-        
         // Set rotation - rotation is read-only, must use setRotationInParent()
-        // Note: This requires a rotation point, we'll use the element's center
+        // Rotating about the center moves the origin, so it comes before the
+        // translation (the stored translation is the final one)
         if (elementData.rotation !== undefined && elementData.rotation !== 0) {
             try {
                 // Get the center point of the element for rotation
@@ -1041,6 +1627,14 @@ function deserializeElement(elementData, parent) {
             }
         }
         
+        // Set position
+        if (elementData.translation) {
+            element.translation = {
+                x: elementData.translation.x,
+                y: elementData.translation.y
+            };
+        }
+        
         // Set opacity
         if (elementData.opacity !== undefined) {
             element.opacity = elementData.opacity;
@@ -1057,18 +1651,83 @@ function deserializeElement(elementData, parent) {
         }
         
         // Add element to parent
-        parent.children.append(element);
+        if (parent) {
+            parent.children.append(element);
+        }
+        tagStableElementId(element, elementData.id);
+        if (elementData.textBounds) {
+            alignTextBounds(element, elementData.textBounds);
+        }
         
-        // Handle children (for groups)
+        // Handle children (for groups), in z-order (first child is at the back)
         // Note: Only GroupNode and similar container nodes have children
         if (elementData.children && elementData.children.length > 0 && element.children) {
             for (const childData of elementData.children) {
-                deserializeElement(childData, element);
+                deserializeElement(childData, element, pendingImages);
+            }
+        }
+        
+        // Clipping mask of a group (kept separately from its children)
+        if (elementData.maskShape && elementData.type === 'Group') {
+            const mask = deserializeElement(elementData.maskShape, null);
+            if (mask) {
+                element.maskShape = mask;
+            } else {
+                reportFidelityIssue(elementData, 'maskShape', 'mask shape could not be created');
             }
         }
+        
+        verifyRestoredElement(element, elementData);
+        
+        // Last, so the node is fully built before it is locked
+        applyVisualState(element, elementData);
+        return element;
     } catch (error) {
         console.warn('Error deserializing element:', error, elementData);
+        return null;
+    }
+}
+
+/**
+ * Restore lock, visibility and blend mode
+ */
+function applyVisualState(element, elementData) {
+    VISUAL_STATE_FIELDS.forEach(field => {
+        if (elementData[field] === undefined || element[field] === elementData[field]) {
+            return;
+        }
+        try {
+            element[field] = elementData[field];
+        } catch (error) {
+            reportFidelityIssue(elementData, field, error.message);
+        }
+    });
+}
+
+// Panel UI proxy (the sandbox has no network access; media are downloaded by the panel)
+let panelProxyPromise = null;
+
+/**
+ * Get an image element's base64 data: inline imageData, or the media store
+ * image referenced by mediaId (downloaded and cached by the panel)
+ * @param {Object} elementData - Image element data from JSON
+ * @returns {Promise<{data: string, mimeType: string}|null>} Image data or null if there is none
+ */
+async function loadImageData(elementData) {
+    const mimeType = elementData.imageMimeType || 'image/png';
+    if (elementData.imageData) {
+        return { data: elementData.imageData, mimeType };
+    }
+    if (!elementData.mediaId) {
+        return null;
     }
+
+    if (!panelProxyPromise) {
+        panelProxyPromise = runtime.apiProxy("panel");
+    }
+    const panel = await panelProxyPromise;
+    const media = await panel.fetchMedia(elementData.mediaId);
+    return media ? { data: media.data, mimeType: media.mimeType || mimeType } : null;
 }
 
 /**
@@ -1080,28 +1739,35 @@ async function deserializeImage(elementData, parent) {
     try {
         console.log('🖼️ Deserializing image element:', elementData.id);
         
-        if (!elementData.imageData) {
-            console.warn('⚠️ Image element missing imageData, skipping');
+        let image;
+        try {
+            image = await loadImageData(elementData);
+        } catch (mediaError) {
+            console.error(`❌ Failed to download media ${elementData.mediaId}:`, mediaError);
+            return;
+        }
+        if (!image) {
+            console.warn('⚠️ Image element missing imageData and mediaId, skipping');
             return;
         }
         
         // Validate base64 string
-        if (typeof elementData.imageData !== 'string' || elementData.imageData.length === 0) {
+        if (typeof image.data !== 'string' || image.data.length === 0) {
             console.error('❌ Invalid base64 string in imageData');
             return;
         }
         
         // Validate base64 string has minimum length (small images are at least a few hundred chars)
-        if (elementData.imageData.length < 100) {
-            console.error(`❌ Base64 string too short (${elementData.imageData.length} chars), image data likely corrupted`);
+        if (image.data.length < 100) {
+            console.error(`❌ Base64 string too short (${image.data.length} chars), image data likely corrupted`);
             return;
         }
         
         // Convert base64 to Blob with validation
-        const mimeType = elementData.imageMimeType || 'image/png';
+        const mimeType = image.mimeType;
         let blob;
         try {
-            blob = base64ToBlob(elementData.imageData, mimeType);
+            blob = base64ToBlob(image.data, mimeType);
             console.log(`✅ Created blob: ${blob.size} bytes, type: ${blob.type}`);
         } catch (blobError) {
             console.error(`❌ Failed to create blob from base64:`, blobError);
@@ -1201,15 +1867,8 @@ async function deserializeImage(elementData, parent) {
                 throw createError;
             }
             
-            // Set position
-            if (elementData.translation) {
-                mediaContainer.translation = {
-                    x: elementData.translation.x,
-                    y: elementData.translation.y
-                };
-            }
-            
-            // Set rotation
+            // Set rotation first: rotating about the center moves the origin,
+            // and the stored translation is the final one
             if (elementData.rotation !== undefined && elementData.rotation !== 0) {
                 try {
                     const centerPoint = mediaContainer.centerPointLocal;
@@ -1219,6 +1878,14 @@ async function deserializeImage(elementData, parent) {
                 }
             }
             
+            // Set position
+            if (elementData.translation) {
+                mediaContainer.translation = {
+                    x: elementData.translation.x,
+                    y: elementData.translation.y
+                };
+            }
+            
             // Set opacity
             if (elementData.opacity !== undefined) {
                 mediaContainer.opacity = elementData.opacity;
@@ -1227,8 +1894,11 @@ async function deserializeImage(elementData, parent) {
             // Note: Mask shape restoration is complex and may not be fully supported
             // The mask shape is read-only in some cases
             
-            // Add to artboard
+            // Add to artboard (or group)
             parent.children.append(mediaContainer);
+            tagStableElementId(mediaContainer, elementData.id);
+            tagImageHash(mediaContainer, elementData);
+            applyVisualState(mediaContainer, elementData);
             
             console.log(`✅ Image element created and added to artboard at (${mediaContainer.translation.x}, ${mediaContainer.translation.y})`);
         });
@@ -1245,115 +1915,69 @@ async function deserializeImage(elementData, parent) {
  * NOTE: All document modifications must be wrapped in editor.queueAsyncEdit()
  * because this function is called after async operations (API calls)
  * 
- * PHASE 1: Minimal working version - reads from JSON and creates elements
+ * Restores every page and artboard of the snapshot: pages are created, deleted
+ * and reordered to match, with page names and dimensions preserved
+ * 
+ * Modes (options.mode):
+ * - 'incremental' (default): diff against the live document and only create,
+ *   delete or change the elements that differ (see applyDocumentPatch)
+ * - 'replace': clear the document and rebuild every element
+ * @returns {Promise<Object>} Import summary: { mode, fidelity: { issues }, ...element counts for incremental }
  */
-async function importDocument(documentState) {
+async function importDocument(documentState, options = {}) {
+    const mode = options.mode || 'incremental';
     try {
-        console.log('📥 Importing document from JSON...');
-        console.log('📄 Document state received:', JSON.stringify(documentState, null, 2));
-        
         // Validate document state
         if (!documentState) {
             throw new Error('Document state is null or undefined');
         }
         
+        // Older snapshots are upgraded to the current format first
+        documentState = migrateSnapshot(documentState);
+        
+        console.log(`📥 Importing document from JSON (${mode}, ${documentState.pages?.length || 0} pages)...`);
+        
         if (!documentState.pages || !Array.isArray(documentState.pages) || documentState.pages.length === 0) {
             console.warn('⚠️ No pages in document state, creating empty document');
             await clearDocument();
-            return;
+            return { mode: 'replace', fidelity: { issues: [] } };
+        }
+        
+        await resolveSnapshotFonts(documentState);
+        
+        if (mode === 'incremental') {
+            try {
+                startFidelityReport();
+                const stats = await applyDocumentPatch(documentState);
+                return { ...stats, fidelity: finishFidelityReport() };
+            } catch (patchError) {
+                console.warn('⚠️ Incremental import failed, rebuilding document:', patchError);
+            }
         }
         
+        startFidelityReport();
+        
         // Clear document first
         await clearDocument();
         
         // Wrap all document modifications in queueAsyncEdit
+        let targets = [];
         await editor.queueAsyncEdit(() => {
-            const document = editor.documentRoot;
-            const pages = document.pages;
+            targets = syncPageStructure(documentState.pages);
+            const pendingImages = [];
             
-            // Get or create a page
-            let page;
-            if (pages.length === 0) {
-                const firstPageData = documentState.pages[0];
-                page = pages.addPage({ 
-                    width: firstPageData.width || 1920, 
-                    height: firstPageData.height || 1080 
+            targets.forEach(({ pageData, artboards }) => {
+                artboards.forEach(({ artboardData, artboard }) => {
+                    const elements = artboardData.elements || [];
+                    console.log(`📦 Page "${pageData.name}": artboard with ${elements.length} elements`);
+                    pendingImages.push(...deserializeArtboardElements(elements, artboard));
                 });
-                console.log('✅ Created new page');
-            } else {
-                page = pages.item(0);
-                console.log('✅ Using existing page');
-            }
-            
-            // Set page dimensions if provided
-            const firstPageData = documentState.pages[0];
-            if (firstPageData.width && firstPageData.height) {
-                page.width = firstPageData.width;
-                page.height = firstPageData.height;
-                console.log(`✅ Set page dimensions: ${firstPageData.width}x${firstPageData.height}`);
-            }
-            
-            // Get or create an artboard
-            const artboards = page.artboards;
-            let artboard;
-            if (artboards.length === 0) {
-                artboard = artboards.addArtboard();
-                console.log('✅ Created new artboard');
-            } else {
-                artboard = artboards.item(0);
-                console.log('✅ Using existing artboard');
-            }
+            });
             
-            // Use deserializeElement to restore all elements with full properties
-            if (firstPageData.artboards && firstPageData.artboards.length > 0) {
-                const artboardData = firstPageData.artboards[0];
-                console.log(`📦 Found artboard with ${artboardData.elements?.length || 0} elements`);
-                
-                if (artboardData.elements && artboardData.elements.length > 0) {
-                    // Separate images from other elements (images need async processing)
-                    const regularElements = [];
-                    const imageElements = [];
-                    
-                    // Image types that need async loading
-                    const imageTypes = ['Image', 'MediaContainerNode', 'ImageRectangleNode', 'ComplexShape', 'ComplexShapeNode'];
-                    
-                    for (let i = 0; i < artboardData.elements.length; i++) {
-                        const elementData = artboardData.elements[i];
-                        // Check if element is an image type with image data
-                        const isImageType = imageTypes.includes(elementData.type);
-                        const hasImageData = elementData.imageData || elementData.hasImageData;
-                        
-                        if (isImageType && hasImageData) {
-                            imageElements.push(elementData);
-                        } else {
-                            regularElements.push(elementData);
-                        }
-                    }
-                    
-                    // First, deserialize all non-image elements synchronously
-                    for (let i = 0; i < regularElements.length; i++) {
-                        const elementData = regularElements[i];
-                        console.log(`🔨 Deserializing element ${i + 1}/${regularElements.length}:`, elementData.type);
-                        
-                        try {
-                            deserializeElement(elementData, artboard);
-                            console.log(`✅ Successfully deserialized element ${i + 1}`);
-                        } catch (elementError) {
-                            console.error(`❌ Error deserializing element ${i + 1}:`, elementError, elementData);
-                        }
-                    }
-                    
-                    // Store image elements for async processing after queueAsyncEdit
-                    if (imageElements.length > 0) {
-                        console.log(`🖼️ Found ${imageElements.length} image(s) to load asynchronously`);
-                        // We'll process images after this queueAsyncEdit completes
-                        _pendingImages = imageElements.map(el => ({ elementData: el, artboard: artboard }));
-                    }
-                } else {
-                    console.log('ℹ️ Artboard has no elements');
-                }
-            } else {
-                console.log('ℹ️ Page has no artboards');
+            // Images are loaded after queueAsyncEdit completes
+            if (pendingImages.length > 0) {
+                console.log(`🖼️ Found ${pendingImages.length} image(s) to load asynchronously`);
+                _pendingImages = pendingImages;
             }
         });
         
@@ -1371,15 +1995,377 @@ async function importDocument(documentState) {
             
             // Clear pending images
             _pendingImages = null;
+            
+            // Images were appended last; move them to their z-order
+            await editor.queueAsyncEdit(() => reorderDocumentToSnapshot(targets));
         }
         
-        console.log('✅ Document imported successfully');
+        const fidelity = finishFidelityReport();
+        console.log(`✅ Document imported successfully (${fidelity.issues.length} fidelity issue(s))`);
+        return { mode: 'replace', fidelity };
     } catch (error) {
         console.error('❌ Error importing document:', error);
         throw new Error(`Failed to import document: ${error.message}`);
     }
 }
 
+// Element fields not compared by an incremental import: image bytes are compared
+// by content key, imageId is the volatile Adobe node id, _needsAsyncImageLoad is an import marker
+const PATCH_IGNORED_FIELDS = ['imageData', 'mediaId', 'imageMimeType', 'originalImageWidth', 'originalImageHeight', 'imageId', '_needsAsyncImageLoad'];
+
+// Fields that can be changed on a live node; a change to any other field recreates the node
+const PATCHABLE_FIELDS = ['translation', 'rotation', 'opacity', 'fill', 'stroke', 'width', 'height', 'cornerRadius', 'uniformCornerRadius', 'textBounds', 'transformMatrix', ...VISUAL_STATE_FIELDS];
+
+/**
+ * Element data without the fields an incremental import ignores
+ */
+function comparableElement(elementData) {
+    const comparable = { ...elementData };
+    PATCH_IGNORED_FIELDS.forEach(field => delete comparable[field]);
+    if (Array.isArray(comparable.children)) {
+        comparable.children = comparable.children.map(comparableElement);
+    }
+    return comparable;
+}
+
+/**
+ * Get the top-level fields that differ between a live element and its snapshot
+ * @returns {Array<string>} Changed field names
+ */
+function getChangedElementFields(liveData, elementData) {
+    const live = comparableElement(liveData);
+    const target = comparableElement(elementData);
+    const fields = new Set([...Object.keys(live), ...Object.keys(target)]);
+    return [...fields].filter(field => canonicalStringify(live[field]) !== canonicalStringify(target[field]));
+}
+
+/**
+ * Check whether a live image element shows the snapshot's image
+ * Images we did not import have no stored content key and count as changed
+ */
+function isImageUnchanged(element, elementData) {
+    const contentKey = imageContentKey(elementData);
+    if (!contentKey) {
+        return true; // Nothing to restore
+    }
+    try {
+        const storedHash = element.addOnData ? element.addOnData.getItem(IMAGE_HASH_KEY) : null;
+        return storedHash === contentKey;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Change a live element in place to match its snapshot
+ * @returns {boolean} False if the changes cannot be applied in place (the node must be recreated)
+ */
+function patchElement(element, elementData, changedFields) {
+    if (!changedFields.every(field => PATCHABLE_FIELDS.includes(field))) {
+        return false;
+    }
+    // Fills and strokes cannot be removed from a live node
+    if ((changedFields.includes('fill') && !elementData.fill) || (changedFields.includes('stroke') && !elementData.stroke)) {
+        return false;
+    }
+    
+    const isRectangle = ['Rectangle', 'RectangleNode'].includes(elementData.type);
+    const isEllipse = ['Ellipse', 'EllipseNode'].includes(elementData.type);
+    const sizeChanged = changedFields.includes('width') || changedFields.includes('height');
+    const cornersChanged = changedFields.includes('cornerRadius') || changedFields.includes('uniformCornerRadius');
+    if ((sizeChanged && !isRectangle && !isEllipse) || (cornersChanged && !isRectangle)) {
+        return false;
+    }
+    
+    if (sizeChanged && isRectangle) {
+        if (elementData.width !== undefined) element.width = elementData.width;
+        if (elementData.height !== undefined) element.height = elementData.height;
+    } else if (sizeChanged && isEllipse) {
+        if (elementData.width !== undefined) element.rx = elementData.width / 2;
+        if (elementData.height !== undefined) element.ry = elementData.height / 2;
+    }
+    
+    if (cornersChanged && elementData.cornerRadius) {
+        if (elementData.uniformCornerRadius !== undefined) {
+            element.setUniformCornerRadius(elementData.uniformCornerRadius);
+        } else {
+            element.topLeftRadius = elementData.cornerRadius.topLeft;
+            element.topRightRadius = elementData.cornerRadius.topRight;
+            element.bottomRightRadius = elementData.cornerRadius.bottomRight;
+            element.bottomLeftRadius = elementData.cornerRadius.bottomLeft;
+        }
+    }
+    
+    // Rotate first: rotating about the center moves the origin, the stored translation is the final one
+    if (changedFields.includes('rotation')) {
+        element.setRotationInParent(elementData.rotation || 0, element.centerPointLocal);
+    }
+    if ((changedFields.includes('rotation') || changedFields.includes('translation')) && elementData.translation) {
+        element.translation = { x: elementData.translation.x, y: elementData.translation.y };
+    }
+    if (changedFields.includes('textBounds') && elementData.textBounds) {
+        alignTextBounds(element, elementData.textBounds);
+    }
+    
+    if (changedFields.includes('opacity')) {
+        element.opacity = elementData.opacity !== undefined ? elementData.opacity : 1;
+    }
+    if (changedFields.includes('fill')) {
+        element.fill = deserializeFill(elementData.fill);
+    }
+    if (changedFields.includes('stroke')) {
+        element.stroke = deserializeStroke(elementData.stroke);
+    }
+    // transformMatrix follows from rotation and translation; verification reports any remainder
+    applyVisualState(element, elementData);
+    return true;
+}
+
+/**
+ * Bring the elements of one artboard in line with a snapshot artboard
+ * Unchanged elements are left alone, changed ones are patched or recreated,
+ * and missing ones are created (images are returned for async loading)
+ * @returns {Array} [{ elementData, artboard }] images to load
+ */
+function patchArtboardElements(elements, artboard, stats) {
+    const children = artboard.children;
+    const targetIds = new Set(elements.map(elementData => elementData.id).filter(Boolean));
+    const liveById = new Map();
+    const obsolete = [];
+    
+    children.toArray().forEach(node => {
+        const elementId = getStableElementId(node);
+        // Duplicated nodes can share a stable id; keep the first
+        if (targetIds.has(elementId) && !liveById.has(elementId)) {
+            liveById.set(elementId, node);
+        } else {
+            obsolete.push(node);
+        }
+    });
+    
+    if (obsolete.length > 0) {
+        children.remove(...obsolete);
+        stats.removed += obsolete.length;
+    }
+    
+    const missing = [];
+    elements.forEach(elementData => {
+        const node = elementData.id ? liveById.get(elementData.id) : null;
+        if (!node) {
+            stats.created++;
+            missing.push(elementData);
+            return;
+        }
+        
+        const liveData = serializeElement(node);
+        const changedFields = liveData ? getChangedElementFields(liveData, elementData) : ['type'];
+        const imageUnchanged = !liveData?.hasImageData || isImageUnchanged(node, elementData);
+        if (changedFields.length === 0 && imageUnchanged) {
+            stats.unchanged++;
+            return;
+        }
+        
+        try {
+            if (imageUnchanged && patchElement(node, elementData, changedFields)) {
+                verifyRestoredElement(node, elementData);
+                stats.patched++;
+                return;
+            }
+        } catch (patchError) {
+            console.warn(`Could not patch element ${elementData.id}, recreating it:`, patchError);
+        }
+        children.remove(node);
+        stats.replaced++;
+        missing.push(elementData);
+    });
+    
+    return deserializeArtboardElements(missing, artboard);
+}
+
+/**
+ * Put the children of a container (artboard or group) in snapshot z-order, recursively
+ */
+function reorderToSnapshot(container, elements) {
+    try {
+        const liveById = new Map(container.children.toArray().map(node => [getStableElementId(node), node]));
+        const ordered = [];
+        (elements || []).forEach(elementData => {
+            const node = liveById.get(elementData.id);
+            if (!node) return;
+            ordered.push(node);
+            if (elementData.children && node.children) {
+                reorderToSnapshot(node, elementData.children);
+            }
+        });
+        reorderNodes(container.children, ordered);
+    } catch (error) {
+        console.warn('Could not restore z-order:', error);
+    }
+}
+
+/**
+ * Restore snapshot z-order on every artboard
+ * Must run inside editor.queueAsyncEdit()
+ * @param {Array} targets - Result of syncPageStructure()
+ */
+function reorderDocumentToSnapshot(targets) {
+    targets.forEach(({ artboards }) => {
+        artboards.forEach(({ artboardData, artboard }) => reorderToSnapshot(artboard, artboardData.elements));
+    });
+}
+
+/**
+ * Apply a snapshot to the live document, touching only what differs
+ * Elements are matched by stable id; node identities and Express's undo
+ * history survive for everything that did not change
+ * @returns {Object} { mode, created, removed, patched, replaced, unchanged }
+ */
+async function applyDocumentPatch(documentState) {
+    const stats = { mode: 'incremental', created: 0, removed: 0, patched: 0, replaced: 0, unchanged: 0 };
+    let targets = [];
+    let pendingImages = [];
+    
+    await editor.queueAsyncEdit(() => {
+        targets = syncPageStructure(documentState.pages);
+        targets.forEach(({ artboards }) => {
+            artboards.forEach(({ artboardData, artboard }) => {
+                pendingImages.push(...patchArtboardElements(artboardData.elements || [], artboard, stats));
+            });
+        });
+    });
+    
+    for (const { elementData, artboard } of pendingImages) {
+        try {
+            await deserializeImage(elementData, artboard);
+        } catch (imageError) {
+            console.error(`❌ Error deserializing image:`, imageError, elementData);
+        }
+    }
+    
+    // New nodes were appended and existing ones may have changed z-order
+    await editor.queueAsyncEdit(() => reorderDocumentToSnapshot(targets));
+    
+    console.log(`✅ Document patched: ${stats.created} created, ${stats.removed} removed, ${stats.patched} patched, ${stats.replaced} replaced, ${stats.unchanged} unchanged`);
+    return stats;
+}
+
+/**
+ * Match snapshot entries (pages or artboards) to live nodes
+ * Nodes are matched by stable id first; unmatched nodes are then reused in order
+ * @returns {Object} { nodes: node or null (to be created) per entry, leftover: unused nodes }
+ */
+function matchNodes(liveNodes, entries) {
+    const unmatched = [...liveNodes];
+    const matched = entries.map(entry => {
+        const index = unmatched.findIndex(node => getStableElementId(node) === entry.id);
+        return index >= 0 ? unmatched.splice(index, 1)[0] : null;
+    });
+    return {
+        nodes: matched.map(node => node || unmatched.shift() || null),
+        leftover: unmatched
+    };
+}
+
+/**
+ * Reorder a page or artboard list to the given node order
+ */
+function reorderNodes(list, orderedNodes) {
+    orderedNodes.forEach((node, index) => {
+        const current = list.item(index);
+        if (current && current.id !== node.id) {
+            list.moveBefore(node, current);
+        }
+    });
+}
+
+/**
+ * Make the artboards of a page match a snapshot page
+ * Artboards share the page dimensions, so only their number, order and ids are restored
+ * @returns {Array} [{ artboardData, artboard }]
+ */
+function syncArtboards(page, artboardsData) {
+    const artboards = page.artboards;
+    const { nodes, leftover } = matchNodes(artboards.toArray(), artboardsData);
+    const targets = nodes.map(artboard => artboard || artboards.addArtboard());
+    
+    // Remove after creating so the page never has zero artboards
+    leftover.forEach(artboard => artboards.remove(artboard));
+    reorderNodes(artboards, targets);
+    
+    return targets.map((artboard, index) => {
+        tagStableElementId(artboard, artboardsData[index].id);
+        return { artboardData: artboardsData[index], artboard };
+    });
+}
+
+/**
+ * Make the document's pages and artboards match a snapshot
+ * Pages are created, deleted and reordered as needed; names and dimensions are restored
+ * Must run inside editor.queueAsyncEdit()
+ * @returns {Array} [{ pageData, page, artboards: [{ artboardData, artboard }] }]
+ */
+function syncPageStructure(pagesData) {
+    const pages = editor.documentRoot.pages;
+    const { nodes, leftover } = matchNodes(pages.toArray(), pagesData);
+    const targets = nodes.map((page, index) => {
+        if (page) {
+            return page;
+        }
+        const pageData = pagesData[index];
+        console.log(`✅ Created page "${pageData.name || index + 1}"`);
+        return pages.addPage({ width: pageData.width || 1920, height: pageData.height || 1080 });
+    });
+    
+    // Remove after creating so the document never has zero pages
+    leftover.forEach(page => pages.remove(page));
+    reorderNodes(pages, targets);
+    
+    return targets.map((page, index) => {
+        const pageData = pagesData[index];
+        tagStableElementId(page, pageData.id);
+        if (pageData.name) {
+            page.name = pageData.name;
+        }
+        if (pageData.width && pageData.height) {
+            page.width = pageData.width;
+            page.height = pageData.height;
+        }
+        
+        // Every page needs at least one artboard
+        const artboardsData = pageData.artboards && pageData.artboards.length > 0
+            ? pageData.artboards
+            : [{ elements: [] }];
+        
+        return { pageData, page, artboards: syncArtboards(page, artboardsData) };
+    });
+}
+
+/**
+ * Deserialize the elements of one artboard
+ * Non-image elements are created immediately; images need async loading
+ * and are returned for deserializeImage()
+ * @returns {Array} [{ elementData, artboard }]
+ */
+function deserializeArtboardElements(elements, artboard) {
+    const imageElements = [];
+    
+    elements.forEach((elementData, index) => {
+        // Images need async loading
+        if (elementData.type === 'Image' && (elementData.imageData || elementData.mediaId || elementData.hasImageData)) {
+            imageElements.push({ elementData, artboard });
+            return;
+        }
+        
+        try {
+            deserializeElement(elementData, artboard, imageElements);
+        } catch (elementError) {
+            console.error(`❌ Error deserializing element ${index + 1}:`, elementError, elementData);
+        }
+    });
+    
+    return imageElements;
+}
+
 /**
  * Clear all elements from the current document
  * NOTE: All document modifications must be wrapped in editor.queueAsyncEdit()
@@ -1547,9 +2533,9 @@ function start() {
             }
         },
         
-        importDocument: async (documentState) => {
+        importDocument: async (documentState, options) => {
             try {
-                await importDocument(documentState);
+                return await importDocument(documentState, options);
             } catch (error) {
                 console.error('Error in importDocument API:', error);
                 throw error;
@@ -1616,11 +2602,12 @@ function start() {
         
         hasUncommittedChanges: async (savedStateHash) => {
             try {
-                if (!savedStateHash) {
+                const baselineHash = savedStateHash || branchStateHash;
+                if (!baselineHash) {
                     return false;
                 }
                 const currentHash = await getCurrentStateHash();
-                return currentHash !== savedStateHash;
+                return currentHash !== baselineHash;
             } catch (error) {
                 console.error('Error in hasUncommittedChanges API:', error);
                 return false;
@@ -1637,6 +2624,24 @@ function start() {
             }
         },
         
+        captureBranchState: async () => {
+            try {
+                return await captureBranchState();
+            } catch (error) {
+                console.error('Error in captureBranchState API:', error);
+                throw error;
+            }
+        },
+        
+        getUncommittedChanges: async () => {
+            try {
+                return await getUncommittedChanges();
+            } catch (error) {
+                console.error('Error in getUncommittedChanges API:', error);
+                throw error;
+            }
+        },
+        
         resetBranchState: () => {
             try {
                 resetBranchState();
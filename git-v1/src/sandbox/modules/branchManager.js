@@ -10,10 +10,13 @@
  * - Manages branch state persistence
  */
 
+import { getStateManifest, diffStateManifests } from './stateManager.js';
+
 // Current branch state
 let currentBranchId = null;
 let currentBranchName = null;
 let branchStateHash = null; // Hash of current branch state for change detection
+let branchStateManifest = null; // Page and element hashes of the same state
 
 /**
  * Initialize branch manager
@@ -25,6 +28,7 @@ export function initializeBranch(branchId, branchName) {
     currentBranchId = branchId;
     currentBranchName = branchName;
     branchStateHash = null;
+    branchStateManifest = null;
     console.log(`Branch manager initialized: ${branchName} (${branchId})`);
 }
 
@@ -61,6 +65,21 @@ export function setCurrentBranch(branchId, branchName) {
  */
 export function updateBranchStateHash(hash) {
     branchStateHash = hash;
+    if (branchStateManifest && branchStateManifest.stateHash !== hash) {
+        branchStateManifest = null;
+    }
+}
+
+/**
+ * Record the current document as the branch's committed state
+ * Called after a checkout, import or commit
+ * 
+ * @returns {Promise<string>} Captured state hash
+ */
+export async function captureBranchState() {
+    branchStateManifest = await getStateManifest();
+    branchStateHash = branchStateManifest.stateHash;
+    return branchStateHash;
 }
 
 /**
@@ -78,9 +97,22 @@ export function hasUncommittedChanges(currentStateHash) {
     return currentStateHash !== branchStateHash;
 }
 
+/**
+ * Get uncommitted changes per page, compared with the captured branch state
+ * 
+ * @returns {Promise<Object>} { hasChanges, stateHash, pages: [{ id, name, status, added, removed, modified }] }
+ */
+export async function getUncommittedChanges() {
+    if (!branchStateManifest) {
+        return { hasChanges: false, stateHash: null, pages: [] };
+    }
+    return diffStateManifests(branchStateManifest, await getStateManifest());
+}
+
 /**
  * Reset branch state (after commit or discard)
  */
 export function resetBranchState() {
     branchStateHash = null;
+    branchStateManifest = null;
 }
@@ -5,42 +5,246 @@
  * 
  * Manages document state and change detection.
  * This module:
- * - Generates state hashes for change detection
+ * - Generates SHA-256 state hashes over a canonical serialization
+ *   (sorted keys, volatile fields such as the export timestamp stripped)
+ * - Keeps per-page and per-element hashes so changes can be located
  * - Tracks document modification state
  * - Provides utilities for state comparison
  */
 
 import { exportDocument } from './documentManager.js';
 
+// Export fields that change on every export without the design changing
+const VOLATILE_STATE_FIELDS = ['timestamp'];
+
+// SHA-256 round constants
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+const rotateRight = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+/**
+ * SHA-256 of a string (UTF-8), as hex
+ * Implemented here because the document sandbox has no Web Crypto
+ * 
+ * @param {string} text - Text to hash
+ * @returns {string} Hex digest
+ */
+export function sha256(text) {
+    // UTF-8 encode into a buffer with room for the padding
+    const bytes = new Uint8Array(text.length * 3 + 72);
+    let length = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.codePointAt(i);
+        if (code > 0xffff) {
+            i++; // Surrogate pair
+        }
+        if (code < 0x80) {
+            bytes[length++] = code;
+        } else if (code < 0x800) {
+            bytes[length++] = 0xc0 | (code >> 6);
+            bytes[length++] = 0x80 | (code & 0x3f);
+        } else if (code < 0x10000) {
+            bytes[length++] = 0xe0 | (code >> 12);
+            bytes[length++] = 0x80 | ((code >> 6) & 0x3f);
+            bytes[length++] = 0x80 | (code & 0x3f);
+        } else {
+            bytes[length++] = 0xf0 | (code >> 18);
+            bytes[length++] = 0x80 | ((code >> 12) & 0x3f);
+            bytes[length++] = 0x80 | ((code >> 6) & 0x3f);
+            bytes[length++] = 0x80 | (code & 0x3f);
+        }
+    }
+
+    const paddedLength = Math.ceil((length + 9) / 64) * 64;
+    const view = new DataView(bytes.buffer);
+    bytes[length] = 0x80;
+    view.setUint32(paddedLength - 8, Math.floor(length / 0x20000000));
+    view.setUint32(paddedLength - 4, (length << 3) >>> 0);
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const words = new Uint32Array(64);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let t = 0; t < 16; t++) {
+            words[t] = view.getUint32(offset + t * 4);
+        }
+        for (let t = 16; t < 64; t++) {
+            const s0 = rotateRight(words[t - 15], 7) ^ rotateRight(words[t - 15], 18) ^ (words[t - 15] >>> 3);
+            const s1 = rotateRight(words[t - 2], 17) ^ rotateRight(words[t - 2], 19) ^ (words[t - 2] >>> 10);
+            words[t] = words[t - 16] + s0 + words[t - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let t = 0; t < 64; t++) {
+            const s1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+            const choice = (e & f) ^ (~e & g);
+            const temp1 = (h + s1 + choice + SHA256_K[t] + words[t]) | 0;
+            const s0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (s0 + majority) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) | 0;
+        }
+
+        hash[0] = (hash[0] + a) | 0;
+        hash[1] = (hash[1] + b) | 0;
+        hash[2] = (hash[2] + c) | 0;
+        hash[3] = (hash[3] + d) | 0;
+        hash[4] = (hash[4] + e) | 0;
+        hash[5] = (hash[5] + f) | 0;
+        hash[6] = (hash[6] + g) | 0;
+        hash[7] = (hash[7] + h) | 0;
+    }
+
+    return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Serialize a value with sorted object keys (same rules as the backend)
+ * 
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalStringify(value) {
+    if (value === undefined) {
+        return 'null';
+    }
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalStringify).join(',')}]`;
+    }
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Build the hash manifest of a document state
+ * 
+ * @param {Object} documentState - Document state object
+ * @returns {Object} { stateHash, pages: [{ id, name, hash, elements: { elementId: hash } }] }
+ */
+export function buildStateManifest(documentState) {
+    const state = { ...documentState };
+    VOLATILE_STATE_FIELDS.forEach(field => delete state[field]);
+
+    const pages = (state.pages || []).map((page, pageIndex) => {
+        const elements = {};
+        const artboards = (page.artboards || []).map((artboard, artboardIndex) => ({
+            ...artboard,
+            elements: (artboard.elements || []).map((element, elementIndex) => {
+                const hash = sha256(canonicalStringify(element));
+                const elementId = (element && element.id) || `${artboard.id || artboardIndex}:${elementIndex}`;
+                elements[elementId] = hash;
+                return hash;
+            })
+        }));
+
+        return {
+            id: page.id || `page_${pageIndex}`,
+            name: page.name || `Page ${pageIndex + 1}`,
+            hash: sha256(canonicalStringify({ ...page, artboards })),
+            elements
+        };
+    });
+
+    return {
+        stateHash: sha256(canonicalStringify({ ...state, pages: pages.map(page => page.hash) })),
+        pages
+    };
+}
+
+/**
+ * Compare two manifests page by page
+ * 
+ * @param {Object} baseManifest - Manifest of the committed state
+ * @param {Object} currentManifest - Manifest of the current state
+ * @returns {Object} { hasChanges, stateHash, pages: [{ id, name, status, added, removed, modified }] }
+ */
+export function diffStateManifests(baseManifest, currentManifest) {
+    const basePages = new Map(baseManifest.pages.map(page => [page.id, page]));
+    const currentPageIds = new Set(currentManifest.pages.map(page => page.id));
+    const pages = [];
+
+    currentManifest.pages.forEach(page => {
+        const basePage = basePages.get(page.id);
+        if (!basePage) {
+            pages.push({ id: page.id, name: page.name, status: 'added', added: Object.keys(page.elements), removed: [], modified: [] });
+            return;
+        }
+        if (basePage.hash === page.hash) {
+            return;
+        }
+
+        const added = [];
+        const modified = [];
+        Object.entries(page.elements).forEach(([elementId, hash]) => {
+            if (!(elementId in basePage.elements)) {
+                added.push(elementId);
+            } else if (basePage.elements[elementId] !== hash) {
+                modified.push(elementId);
+            }
+        });
+        const removed = Object.keys(basePage.elements).filter(elementId => !(elementId in page.elements));
+        pages.push({ id: page.id, name: page.name, status: 'modified', added, removed, modified });
+    });
+
+    baseManifest.pages
+        .filter(page => !currentPageIds.has(page.id))
+        .forEach(page => {
+            pages.push({ id: page.id, name: page.name, status: 'removed', added: [], removed: Object.keys(page.elements), modified: [] });
+        });
+
+    return {
+        // Also true when only the page order changed
+        hasChanges: baseManifest.stateHash !== currentManifest.stateHash,
+        stateHash: currentManifest.stateHash,
+        pages
+    };
+}
+
 /**
  * Generate a hash from document state
  * Used to detect if document has changed
  * 
  * @param {Object} documentState - Document state object
- * @returns {string} Hash string
+ * @returns {string|null} SHA-256 state hash
  */
 export function generateStateHash(documentState) {
     try {
-        // Create a simple hash from document state
-        // In production, you might want to use a proper hashing algorithm
-        const stateString = JSON.stringify(documentState);
-        
-        // Simple hash function (for demo purposes)
-        // In production, use crypto.createHash('sha256')
-        let hash = 0;
-        for (let i = 0; i < stateString.length; i++) {
-            const char = stateString.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        
-        return Math.abs(hash).toString(16);
+        return buildStateManifest(documentState).stateHash;
     } catch (error) {
         console.error('Error generating state hash:', error);
-        return Date.now().toString(); // Fallback to timestamp
+        return null;
     }
 }
 
+/**
+ * Get the hash manifest of the current document
+ * 
+ * @returns {Promise<Object>} State manifest
+ */
+export async function getStateManifest() {
+    const documentState = await exportDocument();
+    return buildStateManifest(documentState);
+}
+
 /**
  * Get current document state hash
  * 
@@ -48,8 +252,7 @@ export function generateStateHash(documentState) {
  */
 export async function getCurrentStateHash() {
     try {
-        const documentState = await exportDocument();
-        return generateStateHash(documentState);
+        return (await getStateManifest()).stateHash;
     } catch (error) {
         console.error('Error getting current state hash:', error);
         return null;
@@ -65,10 +268,9 @@ export async function getCurrentStateHash() {
  */
 export function compareStates(state1, state2) {
     try {
-        // Simple comparison - in production, you might want deeper comparison
         const hash1 = generateStateHash(state1);
         const hash2 = generateStateHash(state2);
-        return hash1 === hash2;
+        return hash1 !== null && hash1 === hash2;
     } catch (error) {
         console.error('Error comparing states:', error);
         return false;
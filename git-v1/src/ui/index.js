@@ -11,6 +11,7 @@
  */
 
 import addOnUISdk from "https://new.express.adobe.com/static/add-on-sdk/sdk.js";
+import { singleFlight, sendWithSession } from "./sessionFetch.js";
 
 // ============================================
 // BACKEND API CONFIGURATION
@@ -23,13 +24,55 @@ const AUTH_API_URL = `${BACKEND_BASE}/auth`;
 // Current project ID (will be set when project is loaded/created)
 let currentProjectId = null;
 let currentUserId = null; // Current active user ID (for switching)
-let currentUserRole = null; // Current user's role: 'manager' or 'designer'
+let currentUserRole = null; // Current user's role: 'owner', 'manager', 'designer', 'reviewer' or 'viewer'
 let currentUserName = null; // Current user's name
 let allUsers = []; // List of all users in project
 let currentBranchId = null; // Current active branch ID
 let currentBranchName = null; // Current active branch name
 let sandboxProxy = null; // Sandbox API proxy (set during initialization)
 
+// ============================================
+// ROLES AND PERMISSIONS
+// ============================================
+// Permission matrix of the backend (git-v1-backend/src/utils/permissions.js), sent with the
+// team lists; the backend enforces it, the panel only hides what the current role cannot do.
+// Empty until the team loads, so nothing role-gated shows before then
+let rolePermissions = {};
+
+const ROLE_LABELS = {
+    owner: 'Owner',
+    manager: 'Manager',
+    designer: 'Designer',
+    reviewer: 'Reviewer',
+    viewer: 'Viewer',
+};
+
+/**
+ * Checks whether a role has a permission
+ * @param {string} role - Team role
+ * @param {string} permission - Permission name (see rolePermissions)
+ * @returns {boolean}
+ */
+function roleCan(role, permission) {
+    return (rolePermissions[permission] || []).includes(role);
+}
+
+/**
+ * Checks whether the current user has a permission
+ * @param {string} permission - Permission name (see rolePermissions)
+ * @returns {boolean}
+ */
+function can(permission) {
+    return roleCan(currentUserRole, permission);
+}
+
+/**
+ * Display name of a role
+ */
+function roleLabel(role) {
+    return ROLE_LABELS[role] || ROLE_LABELS.designer;
+}
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -42,6 +85,9 @@ addOnUISdk.ready.then(async () => {
     // Get the proxy object for Document Sandbox runtime communication
     // This allows us to interact with the Adobe Express document
     sandboxProxy = await runtime.apiProxy("documentSandbox");
+
+    // The sandbox has no network access; it downloads media store images through the panel
+    runtime.exposeApi({ fetchMedia });
     
     // Initialize sandbox with current branch (if available)
     // This will be set after project loads
@@ -121,14 +167,15 @@ async function initializeCurrentBranch() {
                 
                 // Try to load branch snapshot
                 try {
-                    const snapshotResponse = await apiCall(`/branches/${currentBranchId}/snapshot?projectId=${currentProjectId}`, 'GET');
-                    if (snapshotResponse.success && snapshotResponse.snapshot) {
-                        await sandboxProxy.importDocument(snapshotResponse.snapshot);
+                    const snapshot = await fetchBranchSnapshot(currentBranchId);
+                    if (snapshot) {
+                        reportImportFidelity(await sandboxProxy.importDocument(snapshot));
                         console.log('Loaded branch snapshot on initialization');
                     }
                 } catch (error) {
                     console.log('No snapshot available for initial branch:', error);
                 }
+                await captureCanvasBaseline();
                 
                 console.log(`Initialized with branch: ${currentBranchName}`);
             }
@@ -156,19 +203,108 @@ function setToken(token) {
 }
 
 /**
- * Remove stored token (logout)
+ * Store the tokens of a new or refreshed session
+ * @param {object} data - Login or refresh response ({ token, refreshToken })
+ */
+function setSession(data) {
+    setToken(data.token);
+    if (data.refreshToken) {
+        localStorage.setItem('refresh_token', data.refreshToken);
+    }
+}
+
+/**
+ * Remove the stored access token
+ * The open project and user stay selected; signOut() clears those
  */
 function clearToken() {
     localStorage.removeItem('jwt_token');
+}
+
+// Shown in the backend's session list (GET /auth/sessions)
+const DEVICE_NAME = 'Adobe Express add-on';
+
+/**
+ * Exchanges the stored refresh token for a new session token pair
+ * The backend rotates the refresh token on every use, so the new one replaces it
+ * @returns {Promise<boolean>} True if the session was refreshed
+ */
+async function refreshSession() {
+    const refreshToken = localStorage.getItem('refresh_token');
+    if (!refreshToken) {
+        return false;
+    }
+    
+    try {
+        const data = await postLogin('/refresh', { refreshToken });
+        setSession(data);
+        currentUserId = data.user.userId;
+        currentUserName = data.user.name;
+        console.log('✅ Session refreshed:', data.user.name);
+        return true;
+    } catch (error) {
+        // Expired, revoked or already used: sign in again
+        console.log('Session could not be refreshed, signing in...', error);
+        localStorage.removeItem('refresh_token');
+        return false;
+    }
+}
+
+// Concurrent 401s share one refresh (a refresh token works only once)
+const refreshSessionOnce = singleFlight(refreshSession);
+
+/**
+ * Signs in from scratch when the session cannot be refreshed
+ * @returns {Promise<boolean>} True if signed in
+ */
+async function reauthenticate() {
+    clearToken();
+    return initializeAuth();
+}
+
+// Renews an expired access token for sendWithSession (refresh first, sign-in as fallback)
+const panelSession = { getToken, refresh: refreshSessionOnce, reauthenticate };
+
+/**
+ * Ends the session on the backend and forgets its tokens
+ */
+async function signOut() {
+    const token = getToken();
+    if (token) {
+        try {
+            await fetch(`${AUTH_API_URL}/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`,
+                },
+            });
+        } catch (error) {
+            console.warn('Could not end the session on the backend:', error);
+        }
+    }
+    
+    clearToken();
+    localStorage.removeItem('refresh_token');
     currentProjectId = null;
     currentUserId = null;
+    currentUserName = null;
+    console.log('👋 Signed out');
+    showNotification('Signed out. Reopen the add-on to sign in again.', 'info');
 }
 
 /**
  * Initialize authentication
- * Auto-login with mock user for testing
+ * Keeps a valid stored token, otherwise signs in with Adobe (or as the test user in development mode)
  */
 async function initializeAuth() {
+    // Needed before rendering the user switcher, also when the stored token is still valid
+    try {
+        await loadAuthConfig();
+    } catch (error) {
+        console.warn('Could not load sign-in settings:', error);
+    }
+    
     const token = getToken();
     
     if (token) {
@@ -196,48 +332,145 @@ async function initializeAuth() {
         }
     }
     
-    // Auto-login with test user (for development)
-    // In production, this would use Adobe OAuth
+    // Access tokens are short-lived; the refresh token keeps the session going
+    if (await refreshSessionOnce()) {
+        return true;
+    }
+    
+    // Sign in with Adobe; in development mode the backend accepts a test user without a token
     try {
-        console.log('Attempting auto-login...');
-        const response = await fetch(`${AUTH_API_URL}/login`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                adobeToken: 'mock-token-for-development',
+        const config = await loadAuthConfig();
+        let data;
+        if (config.devMode) {
+            console.log('Development mode: signing in as test user...');
+            data = await postLogin('/dev-login', {
                 userId: 'user123',
                 email: 'test@example.com',
                 name: 'Test User',
                 avatarUrl: null,
-            }),
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Login failed: ${response.status} - ${errorText}`);
-        }
-        
-        const data = await response.json();
-        if (data.success && data.token) {
-            setToken(data.token);
-            currentUserId = data.user.userId;
-            currentUserName = data.user.name;
+                deviceName: DEVICE_NAME,
+            });
             // Set manager as default for hackathon demo
             currentUserRole = 'manager';
-            console.log('✅ Auto-logged in:', data.user.name);
-            return true;
         } else {
-            throw new Error('Login response missing token');
+            console.log('Signing in with Adobe...');
+            data = await postLogin('/login', {
+                adobeToken: await getAdobeToken(config.ims),
+                deviceName: DEVICE_NAME,
+            });
         }
+        
+        setSession(data);
+        currentUserId = data.user.userId;
+        currentUserName = data.user.name;
+        console.log('✅ Logged in:', data.user.name);
+        return true;
     } catch (error) {
-        console.error('❌ Failed to auto-login:', error);
+        console.error('❌ Failed to sign in:', error);
         showNotification(`Failed to connect to backend.\n\nBackend: https://streambackend-7wka.onrender.com\n\nError: ${error.message}`, 'error');
         return false;
     }
 }
 
+// Sign-in settings from the backend (GET /auth/config): { devMode, ims: { clientId, authorizationUrl, tokenUrl, scope } }
+let authConfig = null;
+
+/**
+ * Loads the backend's sign-in settings (once)
+ * @returns {Promise<object>} Auth config
+ */
+async function loadAuthConfig() {
+    if (!authConfig) {
+        const response = await fetch(`${AUTH_API_URL}/config`);
+        if (!response.ok) {
+            throw new Error(`Could not load sign-in settings: ${response.status}`);
+        }
+        authConfig = await response.json();
+    }
+    return authConfig;
+}
+
+/**
+ * Posts to a login endpoint
+ * @param {string} path - '/login', '/dev-login' or '/refresh'
+ * @param {object} body - Request body
+ * @returns {Promise<object>} { user, token, refreshToken, sessionId }
+ */
+async function postLogin(path, body) {
+    const response = await fetch(`${AUTH_API_URL}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+    });
+    
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+        throw createApiError(error, response.status);
+    }
+    
+    const data = await response.json();
+    if (!data.success || !data.token) {
+        throw new Error('Login response missing token');
+    }
+    return data;
+}
+
+/**
+ * Base64url encoding (OAuth PKCE)
+ * @param {Uint8Array} bytes - Data
+ * @returns {string} Base64url string without padding
+ */
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Signs in with Adobe IMS (OAuth authorization code with PKCE) and returns the identity token
+ * The backend verifies the token's signature, client and expiry before issuing its own JWT
+ * @param {object} ims - IMS settings from loadAuthConfig()
+ * @returns {Promise<string>} IMS ID token (or access token if IMS returned none)
+ */
+async function getAdobeToken(ims) {
+    if (!ims?.clientId) {
+        throw new Error('Adobe sign-in is not configured on the backend (ADOBE_CLIENT_ID)');
+    }
+    
+    const codeVerifier = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+    const codeChallenge = toBase64Url(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier))));
+    
+    const { code, redirectUri, result } = await addOnUISdk.app.oauth.authorize({
+        authorizationUrl: ims.authorizationUrl,
+        clientId: ims.clientId,
+        scope: ims.scope,
+        codeChallenge,
+    });
+    if (result?.status !== 'SUCCESS') {
+        throw new Error(result?.description || 'Adobe sign-in was cancelled');
+    }
+    
+    const response = await fetch(ims.tokenUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            client_id: ims.clientId,
+            code,
+            code_verifier: codeVerifier,
+            redirect_uri: redirectUri,
+        }),
+    });
+    if (!response.ok) {
+        throw new Error(`Adobe token exchange failed: ${response.status}`);
+    }
+    
+    const tokens = await response.json();
+    return tokens.id_token || tokens.access_token;
+}
+
 // ============================================
 // API HELPER FUNCTIONS
 // ============================================
@@ -259,7 +492,6 @@ async function apiCall(endpoint, method = 'GET', body = null) {
         method,
         headers: {
             'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`,
         },
     };
     
@@ -267,35 +499,79 @@ async function apiCall(endpoint, method = 'GET', body = null) {
         options.body = JSON.stringify(body);
     }
     
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, options);
+    // An expired token is refreshed and the request sent again
+    const response = await sendWithSession(accessToken => fetch(`${API_BASE_URL}${endpoint}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${accessToken}`,
+        },
+    }), panelSession);
     
-    if (response.status === 401) {
-        // Token expired, try to refresh or re-login
-        clearToken();
-        const authSuccess = await initializeAuth();
-        if (!authSuccess) {
-            throw new Error('Authentication failed. Please refresh the page.');
-        }
-        // Retry with new token
-        const newToken = getToken();
-        if (!newToken) {
-            throw new Error('Failed to get new token after re-authentication');
-        }
-        options.headers['Authorization'] = `Bearer ${newToken}`;
-        const retryResponse = await fetch(`${API_BASE_URL}${endpoint}`, options);
-        if (!retryResponse.ok) {
-            const error = await retryResponse.json().catch(() => ({ error: { message: 'Unknown error' } }));
-            throw new Error(error.error?.message || `API Error: ${retryResponse.status}`);
-        }
-        return await retryResponse.json();
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+        throw createApiError(error, response.status);
     }
     
+    return await response.json();
+}
+
+// Branch snapshots last downloaded, revalidated with their ETag: branchId -> { etag, snapshot }
+const branchSnapshotCache = new Map();
+const BRANCH_SNAPSHOT_CACHE_SIZE = 5;
+
+/**
+ * Downloads a branch snapshot (working state, else last commit, else base branch)
+ * Sends the cached copy's ETag, so an unchanged branch costs a 304 instead of the full document
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<object|null>} Snapshot, or null if the branch has none
+ */
+async function fetchBranchSnapshot(branchId) {
+    const cached = branchSnapshotCache.get(branchId);
+    const response = await sendWithSession(token => fetch(`${API_BASE_URL}/branches/${branchId}/snapshot?projectId=${currentProjectId}`, {
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            ...(cached ? { 'If-None-Match': cached.etag } : {}),
+        },
+    }), panelSession);
+    
+    if (response.status === 304 && cached) {
+        // Most recently used last
+        branchSnapshotCache.delete(branchId);
+        branchSnapshotCache.set(branchId, cached);
+        return cached.snapshot;
+    }
+    if (response.status === 204) {
+        branchSnapshotCache.delete(branchId);
+        return null;
+    }
     if (!response.ok) {
         const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
-        throw new Error(error.error?.message || `API Error: ${response.status}`);
+        throw createApiError(error, response.status);
     }
     
-    return await response.json();
+    const snapshot = await response.json();
+    const etag = response.headers.get('ETag');
+    branchSnapshotCache.delete(branchId);
+    if (etag) {
+        branchSnapshotCache.set(branchId, { etag, snapshot });
+        if (branchSnapshotCache.size > BRANCH_SNAPSHOT_CACHE_SIZE) {
+            branchSnapshotCache.delete(branchSnapshotCache.keys().next().value);
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Builds an Error from an API error body, keeping the error code and details
+ * (e.g. MERGE_CONFLICT responses carry the conflict list in details)
+ */
+function createApiError(body, status) {
+    const error = new Error(body.error?.message || `API Error: ${status}`);
+    error.code = body.error?.code || null;
+    error.details = body.error?.details || null;
+    error.status = status;
+    return error;
 }
 
 // ============================================
@@ -408,6 +684,15 @@ function initializeEventListeners() {
             userSwitcherDropdown.style.display = 'none';
         });
     }
+    
+    const signOutBtn = document.getElementById('signOutBtn');
+    if (signOutBtn) {
+        signOutBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            userSwitcherDropdown.style.display = 'none';
+            await signOut();
+        });
+    }
 }
 
 // ============================================
@@ -703,6 +988,32 @@ function selectBranch(elem) {
     elem.style.background = 'rgba(20, 115, 230, 0.03)';
 }
 
+/**
+ * Record the current document as the committed state of the current canvas
+ * Uncommitted changes are detected against this baseline
+ */
+async function captureCanvasBaseline() {
+    if (!sandboxProxy) return;
+    try {
+        await sandboxProxy.captureBranchState();
+    } catch (error) {
+        console.warn('Could not capture canvas state:', error);
+    }
+}
+
+/**
+ * Warn about properties the sandbox could not restore when importing a snapshot
+ * @param {Object} importResult - Result of sandboxProxy.importDocument()
+ */
+function reportImportFidelity(importResult) {
+    const issues = importResult?.fidelity?.issues || [];
+    if (issues.length === 0) return;
+    console.warn('Import fidelity report:', issues);
+    const examples = issues.slice(0, 3).map(issue => `${issue.type || 'element'} ${issue.property}`).join(', ');
+    const more = issues.length > 3 ? ` and ${issues.length - 3} more` : '';
+    showNotification(`${issues.length} propert${issues.length === 1 ? 'y' : 'ies'} could not be restored exactly: ${examples}${more}`, 'warning');
+}
+
 /**
  * Checkout a branch (switch to it)
  * This is the main branch switching function (like git checkout)
@@ -728,20 +1039,14 @@ async function checkoutBranch(branchId, branchName) {
     }
     
     try {
-        // Step 1: Check for uncommitted changes
-        let hasUncommitted = false;
-        let currentStateHash = null;
+        // Step 1: Check for uncommitted changes against the state captured on checkout/commit
+        // (roles without commit:create cannot save them, so their edits are left behind)
+        const canSave = can('commit:create');
+        let uncommittedChanges = null;
         
         try {
-            currentStateHash = await sandboxProxy.getCurrentStateHash();
-            if (currentBranchId) {
-                // Get saved state hash for current branch
-                const currentBranch = await apiCall(`/branches/${currentBranchId}/snapshot?projectId=${currentProjectId}`, 'GET');
-                const savedHash = currentBranch.branch?.stateHash;
-                
-                if (savedHash) {
-                    hasUncommitted = await sandboxProxy.hasUncommittedChanges(savedHash);
-                }
+            if (currentBranchId && canSave) {
+                uncommittedChanges = await sandboxProxy.getUncommittedChanges();
             }
         } catch (error) {
             console.warn('Could not check for uncommitted changes:', error);
@@ -749,8 +1054,8 @@ async function checkoutBranch(branchId, branchName) {
         }
         
         // Step 2: If there are uncommitted changes, prompt user
-        if (hasUncommitted && currentBranchId) {
-            const action = await showUncommittedChangesDialog();
+        if (uncommittedChanges?.hasChanges && currentBranchId) {
+            const action = await showUncommittedChangesDialog(uncommittedChanges);
             
             if (action === 'cancel') {
                 return;
@@ -773,9 +1078,9 @@ async function checkoutBranch(branchId, branchName) {
         
         // Step 3: Export current document state (if we have a current branch)
         let currentSnapshot = null;
-        if (currentBranchId) {
+        if (currentBranchId && canSave) {
             try {
-                currentSnapshot = await sandboxProxy.exportDocument();
+                currentSnapshot = await uploadSnapshotMedia(await sandboxProxy.exportDocument());
             } catch (error) {
                 console.error('Error exporting current document:', error);
                 showNotification('Warning: Could not save current document state', 'warning');
@@ -794,10 +1099,14 @@ async function checkoutBranch(branchId, branchName) {
         }
         
         // Step 5: Import target branch snapshot into document
-        if (checkoutResponse.snapshot) {
+        if (checkoutResponse.hasSnapshot) {
             try {
-                await sandboxProxy.importDocument(checkoutResponse.snapshot);
-                console.log('Document imported from branch snapshot');
+                // Downloaded separately so an unchanged branch is answered with a 304
+                const snapshot = await fetchBranchSnapshot(branchId);
+                // Incremental import: only the elements that differ between the canvases are touched
+                const importResult = await sandboxProxy.importDocument(snapshot);
+                console.log('Document imported from branch snapshot', importResult);
+                reportImportFidelity(importResult);
             } catch (error) {
                 console.error('Error importing document:', error);
                 showNotification('Warning: Could not load branch snapshot. Document may be empty.', 'warning');
@@ -818,11 +1127,7 @@ async function checkoutBranch(branchId, branchName) {
         
         // Update sandbox branch state
         await sandboxProxy.setCurrentBranch(branchId, branchName);
-        
-        // Update saved state hash
-        if (currentStateHash) {
-            await sandboxProxy.updateBranchStateHash(currentStateHash);
-        }
+        await captureCanvasBaseline();
         
         // Step 7: Update UI
         await loadBranches(); // Reload branches to update current branch indicator
@@ -834,11 +1139,27 @@ async function checkoutBranch(branchId, branchName) {
     }
 }
 
+/**
+ * Describe the uncommitted edits of one page
+ * @param {Object} page - Page entry from getUncommittedChanges()
+ * @returns {string} Summary such as "2 added, 1 modified"
+ */
+function describePageChanges(page) {
+    if (page.status === 'added') return 'new page';
+    if (page.status === 'removed') return 'page removed';
+    const parts = [];
+    if (page.added.length) parts.push(`${page.added.length} added`);
+    if (page.modified.length) parts.push(`${page.modified.length} modified`);
+    if (page.removed.length) parts.push(`${page.removed.length} removed`);
+    return parts.length ? parts.join(', ') : 'page settings changed';
+}
+
 /**
  * Show dialog for handling uncommitted changes
+ * @param {Object} changes - Result of sandboxProxy.getUncommittedChanges()
  * @returns {Promise<string>} User's choice: 'commit', 'save', 'discard', or 'cancel'
  */
-function showUncommittedChangesDialog() {
+function showUncommittedChangesDialog(changes = { pages: [] }) {
     return new Promise((resolve) => {
         // Create uncommitted changes modal if it doesn't exist
         let uncommittedModal = document.getElementById('uncommittedChangesModal');
@@ -849,9 +1170,10 @@ function showUncommittedChangesDialog() {
             uncommittedModal.innerHTML = `
                 <div class="modal-content" style="max-width: 500px;">
                     <div class="modal-title">Uncommitted Changes</div>
-                    <div style="margin-bottom: 20px; color: var(--color-text);">
+                    <div style="margin-bottom: 12px; color: var(--color-text);">
                         You have uncommitted changes in your current branch. What would you like to do?
                     </div>
+                    <ul id="uncommittedPageList" class="uncommitted-page-list"></ul>
                     <div class="modal-footer" style="flex-direction: column; gap: 8px;">
                         <button id="uncommittedCommit" class="btn btn-primary" style="width: 100%;">Commit Changes</button>
                         <button id="uncommittedSave" class="btn btn-secondary" style="width: 100%;">Save & Switch</button>
@@ -861,34 +1183,36 @@ function showUncommittedChangesDialog() {
                 </div>
             `;
             document.body.appendChild(uncommittedModal);
-            
-            // Handle clicks
-            document.getElementById('uncommittedCommit').onclick = () => {
-                uncommittedModal.classList.remove('active');
-                resolve('commit');
-            };
-            document.getElementById('uncommittedSave').onclick = () => {
-                uncommittedModal.classList.remove('active');
-                resolve('save');
-            };
-            document.getElementById('uncommittedDiscard').onclick = () => {
-                uncommittedModal.classList.remove('active');
-                resolve('discard');
-            };
-            document.getElementById('uncommittedCancel').onclick = () => {
-                uncommittedModal.classList.remove('active');
-                resolve('cancel');
-            };
-            
-            // Close on backdrop click
-            uncommittedModal.onclick = (e) => {
-                if (e.target === uncommittedModal) {
-                    uncommittedModal.classList.remove('active');
-                    resolve('cancel');
-                }
-            };
         }
         
+        // List the pages with edits
+        const pageList = document.getElementById('uncommittedPageList');
+        pageList.innerHTML = changes.pages.length
+            ? changes.pages.map(page => `
+                <li class="uncommitted-page uncommitted-page-${page.status}">
+                    <span class="uncommitted-page-name">${escapeHtml(page.name)}</span>
+                    <span class="uncommitted-page-summary">${describePageChanges(page)}</span>
+                </li>
+            `).join('')
+            : '<li class="uncommitted-page"><span class="uncommitted-page-summary">Page order changed</span></li>';
+        
+        // Handlers are reassigned on every open so they resolve this dialog's promise
+        const choose = (action) => {
+            uncommittedModal.classList.remove('active');
+            resolve(action);
+        };
+        document.getElementById('uncommittedCommit').onclick = () => choose('commit');
+        document.getElementById('uncommittedSave').onclick = () => choose('save');
+        document.getElementById('uncommittedDiscard').onclick = () => choose('discard');
+        document.getElementById('uncommittedCancel').onclick = () => choose('cancel');
+        
+        // Close on backdrop click
+        uncommittedModal.onclick = (e) => {
+            if (e.target === uncommittedModal) {
+                choose('cancel');
+            }
+        };
+        
         // Show modal
         uncommittedModal.classList.add('active');
     });
@@ -1006,13 +1330,7 @@ async function approveMerge(btnOrEvent) {
     }
 
     const card = btn.closest('.card');
-    if (!card) {
-        console.error('Could not find card element');
-        showNotification('Error: Could not find merge request', 'error');
-        return;
-    }
-    
-    const mergeRequestId = card.getAttribute('data-merge-id');
+    const mergeRequestId = card?.getAttribute('data-merge-id') || btn.getAttribute('data-merge-id');
     if (!mergeRequestId) {
         console.error('Could not find merge request ID');
         showNotification('Error: Could not find merge request ID', 'error');
@@ -1199,7 +1517,7 @@ async function completeMerge(btnOrEvent) {
                     
                     try {
                         // Export current document state
-                        const currentSnapshot = await sandboxProxy.exportDocument();
+                        const currentSnapshot = await uploadSnapshotMedia(await sandboxProxy.exportDocument());
                         
                         // Save to source branch
                         const saveResponse = await apiCall(
@@ -1249,12 +1567,18 @@ async function completeMerge(btnOrEvent) {
                 
                 try {
                     // Get the merged snapshot from backend
-                    const snapshotResponse = await apiCall(`/branches/${targetBranchId}/snapshot?projectId=${currentProjectId}`, 'GET');
+                    const snapshot = await fetchBranchSnapshot(targetBranchId);
                     
-                    if (snapshotResponse.success && snapshotResponse.snapshot) {
+                    if (snapshot) {
                         // Import the merged snapshot into the document
-                        await sandboxProxy.importDocument(snapshotResponse.snapshot);
+                        reportImportFidelity(await sandboxProxy.importDocument(snapshot));
+                        await captureCanvasBaseline();
                         console.log('✅ Document reloaded with blended content');
+                        
+                        // Merge commits are created server-side, so attach a thumbnail now that the canvas shows them
+                        if (response.mergeCommit?.hash) {
+                            await uploadCommitThumbnail(response.mergeCommit.hash);
+                        }
                         showNotification('Blend completed! Document updated with blended content.', 'success');
                     } else {
                         console.warn('No snapshot found for target branch, document may be empty');
@@ -1283,6 +1607,16 @@ async function completeMerge(btnOrEvent) {
             throw new Error(response.message || response.error?.message || 'Merge failed');
         }
     } catch (error) {
+        if (error.code === 'MERGE_CONFLICT') {
+            // Conflicts were recorded on the merge request - let the user resolve them
+            console.warn('Merge blocked by conflicts:', error.details);
+            showNotification(`${error.message}. Resolve them before blending.`, 'warning');
+            btn.disabled = false;
+            btn.textContent = 'Blend Now';
+            await loadMergeRequests('all');
+            await showConflictResolutionPanel(mergeRequestId);
+            return;
+        }
         console.error('Error completing merge:', error);
         console.error('Error details:', {
             message: error.message,
@@ -1359,7 +1693,7 @@ async function inviteMember() {
         const response = await apiCall(`/team/invite`, 'POST', {
             projectId: currentProjectId,
             email: email,
-            role: 'designer', // Default role
+            role: document.getElementById('inviteRole')?.value || 'designer',
         });
         
         if (response.success) {
@@ -1634,7 +1968,8 @@ async function loadProjectData() {
             loadHistory(),
             loadMergeRequests('all'),
             loadTeamMembers(),
-            loadProjectSettings()
+            loadProjectSettings(),
+            loadApiTokens()
         ]);
         
         // Set initial filter button state
@@ -1851,6 +2186,7 @@ function renderBranches(branches) {
         const isCurrentBranch = currentBranchId === (branch._id?.toString() || branch.id);
         
         branchItem.innerHTML = `
+            <img class="branch-thumbnail" alt="">
             <div class="branch-info">
                 <div class="branch-name">
                     ${branch.name}
@@ -1875,8 +2211,10 @@ function renderBranches(branches) {
                     <button class="btn btn-sm btn-primary checkout-btn" data-branch-id="${branch._id || branch.id}" data-branch-name="${branch.name}">Switch</button>
                 ` : ''}
                 ${!isPrimary ? `
-                    <button class="btn btn-sm btn-secondary merge-btn">Blend</button>
-                    ${currentUserRole === 'manager' ? `
+                    ${can('merge_request:create') ? `
+                        <button class="btn btn-sm btn-secondary merge-btn">Blend</button>
+                    ` : ''}
+                    ${can('branch:delete') ? `
                         <button class="btn btn-sm btn-secondary delete-btn">Delete</button>
                     ` : ''}
                 ` : ''}
@@ -1918,10 +2256,129 @@ function renderBranches(branches) {
             }
         }
         
+        if (branch.lastCommit?.hash) {
+            attachCommitThumbnail(branchItem.querySelector('.branch-thumbnail'), branch.lastCommit.hash);
+        }
+        
         branchList.appendChild(branchItem);
     });
 }
 
+// ============================================
+// COMMIT THUMBNAILS
+// ============================================
+
+// Object URLs of fetched thumbnails, keyed by commit hash (null = commit has no thumbnail)
+const thumbnailCache = new Map();
+
+/**
+ * Renders the current page as a PNG thumbnail
+ * @returns {Promise<Blob|null>} PNG blob, or null if rendering is unavailable
+ */
+async function renderCanvasThumbnail() {
+    try {
+        const { constants } = addOnUISdk;
+        const renditions = await addOnUISdk.app.document.createRenditions(
+            {
+                range: constants.Range.currentPage,
+                format: constants.RenditionFormat.png,
+                requestedSize: { width: 400 },
+            },
+            constants.RenditionIntent.preview
+        );
+        return renditions?.[0]?.blob || null;
+    } catch (error) {
+        console.warn('Could not render canvas thumbnail:', error);
+        return null;
+    }
+}
+
+/**
+ * Renders the current page and attaches it to a commit that has no thumbnail yet
+ * @param {string} commitHash - Commit hash
+ */
+async function uploadCommitThumbnail(commitHash) {
+    const thumbnail = await renderCanvasThumbnail();
+    if (!thumbnail) return;
+    
+    try {
+        const formData = new FormData();
+        formData.append('thumbnail', thumbnail, 'thumbnail.png');
+        
+        const response = await fetch(`${API_BASE_URL}/commits/${commitHash}/thumbnail?projectId=${currentProjectId}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${getToken()}`,
+            },
+            body: formData,
+        });
+        
+        if (response.ok) {
+            thumbnailCache.delete(commitHash);
+        } else {
+            console.warn(`Could not upload thumbnail for commit ${commitHash}: ${response.status}`);
+        }
+    } catch (error) {
+        console.warn(`Could not upload thumbnail for commit ${commitHash}:`, error);
+    }
+}
+
+/**
+ * Fetches a commit thumbnail (authenticated) and returns an object URL for it
+ * @param {string} commitHash - Commit hash
+ * @returns {Promise<string|null>} Object URL, or null if the commit has no thumbnail
+ */
+async function getCommitThumbnailUrl(commitHash) {
+    if (thumbnailCache.has(commitHash)) {
+        return thumbnailCache.get(commitHash);
+    }
+    
+    let url = null;
+    try {
+        const response = await fetch(`${API_BASE_URL}/commits/${commitHash}/thumbnail?projectId=${currentProjectId}`, {
+            headers: {
+                'Authorization': `Bearer ${getToken()}`,
+            },
+        });
+        if (response.ok) {
+            url = URL.createObjectURL(await response.blob());
+        }
+    } catch (error) {
+        console.warn(`Could not load thumbnail for commit ${commitHash}:`, error);
+        return null;
+    }
+    
+    thumbnailCache.set(commitHash, url);
+    return url;
+}
+
+/**
+ * Loads a commit thumbnail into an <img>, leaving it hidden if there is none
+ * @param {HTMLImageElement} img - Image element
+ * @param {string} commitHash - Commit hash
+ */
+async function attachCommitThumbnail(img, commitHash) {
+    if (!img || !commitHash) return;
+    
+    const url = await getCommitThumbnailUrl(commitHash);
+    if (url) {
+        img.src = url;
+        img.classList.add('loaded');
+    }
+}
+
+// Commit hashes are full SHA-256 digests; show the abbreviated form like git
+const SHORT_HASH_LENGTH = 7;
+
+/**
+ * Abbreviates a commit hash for display
+ * @param {string} hash - Full commit hash
+ * @returns {string} Short hash
+ */
+function shortHash(hash) {
+    return hash ? hash.substring(0, SHORT_HASH_LENGTH) : '';
+}
+
 /**
  * Loads version history from the backend
  */
@@ -1967,13 +2424,26 @@ function renderHistory(commits) {
         const date = new Date(commit.timestamp).toLocaleString();
         const authorName = commit.author?.name || 'Unknown';
         
-        // Only show revert button for managers, and not for the most recent commit (current state)
-        const canRevert = currentUserRole === 'manager' && index > 0;
+        // Only show revert button to owners and managers, and not for the most recent commit (current state)
+        const canRevert = can('commit:revert') && index > 0;
+        
+        // Element-level stats computed by the backend (added / modified / deleted)
+        const changes = commit.changes || {};
+        const changeSummary = (changes.filesAdded || changes.filesModified || changes.filesDeleted) ? `
+            <div style="font-size: 11px; margin-top: 4px;">
+                <span style="color: var(--color-success);">+${changes.filesAdded || 0}</span>
+                <span style="color: var(--color-warning); margin-left: 6px;">~${changes.filesModified || 0}</span>
+                <span style="color: var(--color-danger); margin-left: 6px;">−${changes.filesDeleted || 0}</span>
+                <span style="color: var(--color-text-secondary); margin-left: 6px;">elements</span>
+            </div>
+        ` : '';
         
         historyItem.innerHTML = `
+            <img class="commit-thumbnail" alt="">
             <div class="history-timestamp">${date}</div>
-            <div class="history-message"><strong>${commit.hash.substring(0, 7)}</strong> - ${commit.message}</div>
+            <div class="history-message"><strong title="${commit.hash}">${shortHash(commit.hash)}</strong> - ${commit.message}</div>
             <div class="history-author">${authorName}</div>
+            ${changeSummary}
             ${canRevert ? `
                 <button class="btn btn-sm btn-secondary revert-commit-btn" 
                         data-commit-hash="${commit.hash}" 
@@ -1997,7 +2467,11 @@ function renderHistory(commits) {
             }
         }
         
-        historyContainer.appendChild(historyItem);
+        if (commit.snapshot?.thumbnailUrl) {
+            attachCommitThumbnail(historyItem.querySelector('.commit-thumbnail'), commit.hash);
+        }
+        
+        historyContainer.appendChild(historyItem);
     });
 }
 
@@ -2074,6 +2548,24 @@ function renderMergeRequests(mergeRequests) {
                 return;
             }
             
+            // Handle review changes button
+            if (target.classList.contains('review-changes-btn') || target.closest('.review-changes-btn')) {
+                const btn = target.classList.contains('review-changes-btn') ? target : target.closest('.review-changes-btn');
+                e.stopPropagation();
+                e.preventDefault();
+                await showMergeReviewPanel(btn.getAttribute('data-merge-id'));
+                return;
+            }
+            
+            // Handle resolve conflicts button
+            if (target.classList.contains('resolve-conflicts-btn') || target.closest('.resolve-conflicts-btn')) {
+                const btn = target.classList.contains('resolve-conflicts-btn') ? target : target.closest('.resolve-conflicts-btn');
+                e.stopPropagation();
+                e.preventDefault();
+                await showConflictResolutionPanel(btn.getAttribute('data-merge-id'));
+                return;
+            }
+            
             // Handle complete merge button
             if (target.classList.contains('complete-merge-btn') || target.closest('.complete-merge-btn')) {
                 const btn = target.classList.contains('complete-merge-btn') ? target : target.closest('.complete-merge-btn');
@@ -2181,25 +2673,44 @@ function renderMergeRequests(mergeRequests) {
             `;
         }
         
-        // Only managers can take action on merge requests
+        // Show conflicts recorded by the last blend attempt
+        const conflicts = mr.conflicts || [];
+        const unresolvedConflicts = conflicts.filter(c => !c.resolution).length;
+        const canResolveConflicts = can('merge_request:resolve') || mr.createdBy === currentUserId;
+        let conflictsAlert = '';
+        if (mr.status === 'open' && conflicts.length > 0) {
+            const allResolved = unresolvedConflicts === 0;
+            conflictsAlert = `
+                <div style="padding: 12px; background: ${allResolved ? 'rgba(16, 124, 16, 0.05)' : 'rgba(220, 38, 38, 0.05)'}; border: 1px solid ${allResolved ? 'rgba(16, 124, 16, 0.3)' : 'rgba(220, 38, 38, 0.3)'}; border-radius: 6px; margin-bottom: 16px;">
+                    <div style="font-size: 13px; font-weight: 600; color: ${allResolved ? 'var(--color-success)' : 'var(--color-danger)'}; margin-bottom: 8px;">
+                        ${allResolved
+                            ? `✓ All ${conflicts.length} conflict${conflicts.length > 1 ? 's' : ''} resolved`
+                            : `⚠ ${unresolvedConflicts} of ${conflicts.length} conflict${conflicts.length > 1 ? 's' : ''} unresolved`}
+                    </div>
+                    ${canResolveConflicts ? `<button class="btn btn-secondary resolve-conflicts-btn" data-merge-id="${mr.mergeRequestId}">${allResolved ? 'Review Resolutions' : 'Resolve Conflicts'}</button>` : ''}
+                </div>
+            `;
+        }
+        
+        // Only owners and managers can take action on merge requests
         let actionButtons = '';
-        if (mr.status === 'open' && currentUserRole === 'manager') {
-            // Manager can merge or request changes
+        if (mr.status === 'open' && can('merge_request:merge')) {
+            // Owner/manager can merge or request changes (blend is blocked while conflicts are unresolved)
             actionButtons = `
-                <button class="btn btn-primary complete-merge-btn" data-merge-id="${mr.mergeRequestId}">Blend Now</button>
+                <button class="btn btn-primary complete-merge-btn" data-merge-id="${mr.mergeRequestId}" ${unresolvedConflicts > 0 ? 'disabled title="Resolve all conflicts before blending"' : ''}>Blend Now</button>
                 <button class="btn btn-secondary request-changes-btn" data-merge-id="${mr.mergeRequestId}">Request Changes</button>
             `;
-        } else if (mr.status === 'open' && currentUserRole !== 'manager') {
-            // Non-managers can only view (designers)
+        } else if (mr.status === 'open') {
+            // Everyone else reviews from the review modal or only views
             const isCreator = mr.createdBy === currentUserId;
             actionButtons = `
                 <div style="padding: 8px 12px; background: rgba(128, 128, 128, 0.1); border-radius: 4px; font-size: 12px; color: var(--color-text-secondary); border-left: 3px solid var(--color-border);">
-                    ${isCreator ? 'Created by you • ' : ''}Waiting for Manager to review
+                    ${isCreator ? 'Created by you • ' : ''}Waiting for an owner or manager to blend
                 </div>
             `;
         } else if (mr.status === 'merged') {
-            // Only managers can revert merges
-            if (currentUserRole === 'manager') {
+            // Only owners and managers can revert merges
+            if (can('merge_request:merge')) {
                 actionButtons = `
                     <div style="padding: 8px 12px; background: rgba(16, 124, 16, 0.05); border-radius: 4px; font-size: 12px; color: var(--color-success); margin-bottom: 8px;">
                         Blended by ${mr.mergedByUser?.name || mr.createdByUser?.name || 'User'} on ${new Date(mr.mergedAt).toLocaleDateString()}
@@ -2232,6 +2743,7 @@ function renderMergeRequests(mergeRequests) {
                 ${mr.title ? `<div style="font-size: 13px; color: var(--color-text-secondary);">${mr.title}</div>` : ''}
             </div>
             ${changesRequestedAlert}
+            ${conflictsAlert}
             <div class="stat-grid">
                 <div class="stat-card">
                     <div class="stat-value">${mr.stats?.filesChanged || 0}</div>
@@ -2243,6 +2755,7 @@ function renderMergeRequests(mergeRequests) {
                 </div>
             </div>
             ${reviewerHistory}
+            <button class="btn btn-sm btn-secondary review-changes-btn" data-merge-id="${mr.mergeRequestId}" style="margin-top: 12px;">Review Changes</button>
             ${actionButtons ? `<div class="btn-group" style="margin-top: 16px;">${actionButtons}</div>` : ''}
         `;
         
@@ -2270,6 +2783,574 @@ function getStatusBadge(status, reviewers) {
     return badges[status] || '<span class="badge badge-info">Unknown</span>';
 }
 
+// ============================================
+// MERGE CONFLICT RESOLUTION
+// ============================================
+
+// Properties shown for conflicts that are not per-property (deleted/added on one side)
+const CONFLICT_SUMMARY_PROPERTIES = ['translation', 'width', 'height', 'rotation', 'opacity', 'fill', 'stroke', 'text'];
+
+/**
+ * Escapes text for safe insertion into HTML
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a snapshot property value for the conflict panel
+ */
+function formatConflictValue(property, value) {
+    if (value === undefined || value === null) {
+        return '<span style="color: var(--color-text-secondary);">—</span>';
+    }
+    if (property === 'translation' && typeof value === 'object') {
+        return `x ${Math.round(value.x)}, y ${Math.round(value.y)}`;
+    }
+    if (property === 'fill' && value.color) {
+        const { red = 0, green = 0, blue = 0, alpha = 1 } = value.color;
+        const rgba = `rgba(${Math.round(red * 255)}, ${Math.round(green * 255)}, ${Math.round(blue * 255)}, ${alpha})`;
+        return `<span style="display: inline-block; width: 12px; height: 12px; border-radius: 2px; border: 1px solid var(--color-border); background: ${rgba}; vertical-align: middle;"></span> ${rgba}`;
+    }
+    if (typeof value === 'number') {
+        return String(Math.round(value * 100) / 100);
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return escapeHtml(text.length > 80 ? `${text.substring(0, 80)}…` : text);
+}
+
+/**
+ * Renders one side (target or source) of a conflicting element
+ */
+function renderConflictSide(title, element, properties) {
+    if (!element) {
+        return `
+            <div style="flex: 1; min-width: 0; padding: 8px; border: 1px solid var(--color-border); border-radius: 4px;">
+                <div style="font-size: 11px; font-weight: 600; margin-bottom: 6px;">${escapeHtml(title)}</div>
+                <div style="font-size: 12px; color: var(--color-danger);">Deleted</div>
+            </div>
+        `;
+    }
+    const rows = properties.map(property => `
+        <div style="display: flex; gap: 6px; font-size: 11px; margin-bottom: 2px;">
+            <span style="color: var(--color-text-secondary); min-width: 70px;">${escapeHtml(property)}</span>
+            <span style="word-break: break-all;">${formatConflictValue(property, element[property])}</span>
+        </div>
+    `).join('');
+    return `
+        <div style="flex: 1; min-width: 0; padding: 8px; border: 1px solid var(--color-border); border-radius: 4px;">
+            <div style="font-size: 11px; font-weight: 600; margin-bottom: 6px;">${escapeHtml(title)}</div>
+            ${rows}
+        </div>
+    `;
+}
+
+/**
+ * Shows the conflict resolution panel for a merge request
+ * Each conflicting element is shown side by side; the user keeps the target version,
+ * takes the source version, or picks per property. Choices are saved on the merge request.
+ * @param {string|number} mergeRequestId - Merge request number
+ */
+async function showConflictResolutionPanel(mergeRequestId) {
+    if (!currentProjectId) {
+        showNotification('No project selected', 'warning');
+        return;
+    }
+
+    let conflicts;
+    let mergeRequest;
+    try {
+        const [conflictsResponse, mrResponse] = await Promise.all([
+            apiCall(`/merge-requests/${mergeRequestId}/conflicts?projectId=${currentProjectId}`, 'GET'),
+            apiCall(`/merge-requests/${mergeRequestId}?projectId=${currentProjectId}`, 'GET'),
+        ]);
+        conflicts = conflictsResponse.conflicts || [];
+        mergeRequest = mrResponse.mergeRequest;
+    } catch (error) {
+        console.error('Error loading merge conflicts:', error);
+        showNotification(`Failed to load conflicts: ${error.message}`, 'error');
+        return;
+    }
+
+    if (conflicts.length === 0) {
+        showNotification('No conflicts - this request can be blended.', 'success');
+        await loadMergeRequests('all');
+        return;
+    }
+
+    const targetName = mergeRequest?.targetBranch || 'target';
+    const sourceName = mergeRequest?.sourceBranch || 'source';
+    const conflictLabels = {
+        both_modified: 'Changed on both canvases',
+        deleted_modified: 'Deleted on one canvas, changed on the other',
+        duplicate_id: 'Added on both canvases',
+    };
+
+    let conflictModal = document.getElementById('conflictModal');
+    if (!conflictModal) {
+        conflictModal = document.createElement('div');
+        conflictModal.id = 'conflictModal';
+        conflictModal.className = 'modal';
+        document.body.appendChild(conflictModal);
+    }
+
+    const conflictCards = conflicts.map((conflict, index) => {
+        const isPerProperty = conflict.conflictType === 'both_modified' && conflict.properties?.length > 0;
+        const properties = isPerProperty ? conflict.properties : CONFLICT_SUMMARY_PROPERTIES;
+        const resolution = conflict.resolution;
+        const choice = resolution
+            ? (resolution.strategy === 'custom' && resolution.properties ? 'properties' : resolution.strategy)
+            : '';
+
+        const propertyPickers = isPerProperty ? `
+            <div class="conflict-property-picker" data-index="${index}" style="display: ${choice === 'properties' ? 'block' : 'none'}; margin-top: 8px;">
+                ${conflict.properties.map(property => `
+                    <div style="display: flex; align-items: center; gap: 8px; font-size: 12px; margin-bottom: 4px;">
+                        <span style="min-width: 80px;">${escapeHtml(property)}</span>
+                        <select class="conflict-property-select" data-index="${index}" data-property="${escapeHtml(property)}">
+                            <option value="">Choose…</option>
+                            <option value="ours" ${resolution?.properties?.[property] === 'ours' ? 'selected' : ''}>${escapeHtml(targetName)}</option>
+                            <option value="theirs" ${resolution?.properties?.[property] === 'theirs' ? 'selected' : ''}>${escapeHtml(sourceName)}</option>
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        ` : '';
+
+        return `
+            <div class="card" style="margin-bottom: 12px;">
+                <div style="font-size: 12px; font-weight: 600; margin-bottom: 4px;">
+                    ${escapeHtml(conflict.elementType || 'Element')} <span style="color: var(--color-text-secondary); font-weight: normal;">${escapeHtml(conflict.elementId)}</span>
+                </div>
+                <div style="font-size: 11px; color: var(--color-warning); margin-bottom: 8px;">${conflictLabels[conflict.conflictType] || conflict.conflictType}</div>
+                <div style="display: flex; gap: 8px;">
+                    ${renderConflictSide(`${targetName} (keep)`, conflict.targetValue, properties)}
+                    ${renderConflictSide(`${sourceName} (incoming)`, conflict.sourceValue, properties)}
+                </div>
+                <div style="display: flex; flex-wrap: wrap; gap: 12px; margin-top: 8px; font-size: 12px;">
+                    <label><input type="radio" name="conflict-${index}" value="ours" ${choice === 'ours' ? 'checked' : ''}> Keep ${escapeHtml(targetName)}</label>
+                    <label><input type="radio" name="conflict-${index}" value="theirs" ${choice === 'theirs' ? 'checked' : ''}> Use ${escapeHtml(sourceName)}</label>
+                    ${isPerProperty ? `<label><input type="radio" name="conflict-${index}" value="properties" ${choice === 'properties' ? 'checked' : ''}> Choose per property</label>` : ''}
+                </div>
+                ${propertyPickers}
+                ${resolution ? `<div style="font-size: 11px; color: var(--color-text-secondary); margin-top: 6px;">Resolved by ${escapeHtml(resolution.resolvedBy || 'Unknown')} on ${new Date(resolution.resolvedAt).toLocaleString()}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    conflictModal.innerHTML = `
+        <div class="modal-content" style="max-width: 640px;">
+            <div class="modal-title">Resolve Conflicts · #${mergeRequestId}</div>
+            <div style="font-size: 12px; color: var(--color-text-secondary); margin-bottom: 12px;">
+                ${escapeHtml(sourceName)} → ${escapeHtml(targetName)}: ${conflicts.length} element${conflicts.length > 1 ? 's' : ''} changed on both sides. Blending stays blocked until every conflict is resolved.
+            </div>
+            ${conflictCards}
+            <div class="modal-footer">
+                <button id="conflictCancel" class="btn btn-secondary">Cancel</button>
+                <button id="conflictSave" class="btn btn-primary">Save Resolutions</button>
+            </div>
+        </div>
+    `;
+
+    // Toggle per-property pickers
+    conflictModal.querySelectorAll('input[type="radio"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            const index = radio.name.replace('conflict-', '');
+            const picker = conflictModal.querySelector(`.conflict-property-picker[data-index="${index}"]`);
+            if (picker) {
+                picker.style.display = radio.value === 'properties' ? 'block' : 'none';
+            }
+        });
+    });
+
+    document.getElementById('conflictCancel').onclick = () => conflictModal.classList.remove('active');
+    conflictModal.onclick = (e) => {
+        if (e.target === conflictModal) {
+            conflictModal.classList.remove('active');
+        }
+    };
+
+    document.getElementById('conflictSave').onclick = async () => {
+        const resolutions = [];
+        for (let index = 0; index < conflicts.length; index++) {
+            const conflict = conflicts[index];
+            const selected = conflictModal.querySelector(`input[name="conflict-${index}"]:checked`);
+            if (!selected) {
+                continue;
+            }
+            if (selected.value !== 'properties') {
+                resolutions.push({ elementId: conflict.elementId, strategy: selected.value });
+                continue;
+            }
+            const properties = {};
+            conflictModal.querySelectorAll(`.conflict-property-select[data-index="${index}"]`).forEach(select => {
+                if (select.value) {
+                    properties[select.getAttribute('data-property')] = select.value;
+                }
+            });
+            if (Object.keys(properties).length < conflict.properties.length) {
+                showNotification(`Choose a side for every property of ${conflict.elementType || 'element'} ${conflict.elementId}`, 'warning');
+                return;
+            }
+            resolutions.push({ elementId: conflict.elementId, strategy: 'custom', properties });
+        }
+
+        if (resolutions.length === 0) {
+            showNotification('Choose a resolution for at least one conflict', 'warning');
+            return;
+        }
+
+        const saveBtn = document.getElementById('conflictSave');
+        saveBtn.disabled = true;
+        saveBtn.textContent = 'Saving...';
+
+        try {
+            const response = await apiCall(
+                `/merge-requests/${mergeRequestId}/conflicts/resolve?projectId=${currentProjectId}`,
+                'POST',
+                { resolutions }
+            );
+            conflictModal.classList.remove('active');
+            if (response.unresolvedCount > 0) {
+                showNotification(`Saved. ${response.unresolvedCount} conflict${response.unresolvedCount > 1 ? 's' : ''} still unresolved.`, 'warning');
+            } else {
+                showNotification('All conflicts resolved. The request can be blended now.', 'success');
+            }
+            await loadMergeRequests('all');
+        } catch (error) {
+            console.error('Error saving conflict resolutions:', error);
+            showNotification(`Failed to save resolutions: ${error.message}`, 'error');
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Resolutions';
+        }
+    };
+
+    conflictModal.classList.add('active');
+}
+
+// ============================================
+// MERGE REQUEST REVIEW
+// ============================================
+
+// Highlight colors for the review thumbnails
+const REVIEW_HIGHLIGHT_COLORS = {
+    added: '#107c10',
+    removed: '#d7373f',
+    modified: '#e68619',
+};
+
+// Document state saved while the source snapshot is previewed on the canvas
+let reviewPreview = null;
+
+/**
+ * Converts a serialized fill to a CSS color
+ */
+function fillToCss(fill) {
+    if (!fill || !fill.color) {
+        return 'none';
+    }
+    const { red = 0, green = 0, blue = 0, alpha = 1 } = fill.color;
+    return `rgba(${Math.round(red * 255)}, ${Math.round(green * 255)}, ${Math.round(blue * 255)}, ${alpha})`;
+}
+
+/**
+ * Gets the bounding box of a serialized element
+ */
+function getElementBounds(element) {
+    const x = element.translation?.x || 0;
+    const y = element.translation?.y || 0;
+    const width = element.width ?? element.textLayout?.width ?? 100;
+    const height = element.height ?? element.textLayout?.height ?? 24;
+    return { x, y, width, height };
+}
+
+/**
+ * Renders a serialized element (and its children) as SVG markup
+ */
+function renderElementSvg(element) {
+    const { x, y, width, height } = getElementBounds(element);
+    const fill = fillToCss(element.fill);
+    const stroke = element.stroke?.color ? fillToCss(element.stroke) : 'none';
+    const strokeWidth = element.stroke?.width || 0;
+    const transform = element.rotation ? ` transform="rotate(${element.rotation} ${x} ${y})"` : '';
+    const opacity = element.opacity ?? 1;
+
+    switch (element.type) {
+        case 'Ellipse':
+            return `<ellipse cx="${x + width / 2}" cy="${y + height / 2}" rx="${width / 2}" ry="${height / 2}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" opacity="${opacity}"${transform}/>`;
+        case 'Text': {
+            const fontSize = element.characterStyles?.[0]?.fontSize || Math.min(height, 24);
+            const color = element.characterStyles?.[0]?.color ? fillToCss({ color: element.characterStyles[0].color }) : '#000';
+            const text = escapeHtml((element.text || '').substring(0, 40));
+            return `<text x="${x}" y="${y + fontSize}" font-size="${fontSize}" fill="${color}" opacity="${opacity}"${transform}>${text}</text>`;
+        }
+        case 'Image':
+            return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#d0d0d0" opacity="${opacity}"${transform}/>`
+                + `<line x1="${x}" y1="${y}" x2="${x + width}" y2="${y + height}" stroke="#a0a0a0"${transform}/>`;
+        case 'Group': {
+            const children = (element.children || []).map(renderElementSvg).join('');
+            return `<g transform="translate(${x} ${y})${element.rotation ? ` rotate(${element.rotation})` : ''}" opacity="${opacity}">${children}</g>`;
+        }
+        default:
+            return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" opacity="${opacity}"${transform}/>`;
+    }
+}
+
+/**
+ * Renders an artboard thumbnail with highlight boxes around changed elements
+ * @param {Object} artboard - Serialized artboard
+ * @param {Object} highlights - elementId -> 'added' | 'removed' | 'modified'
+ * @returns {string} SVG markup
+ */
+function renderArtboardThumbnail(artboard, highlights) {
+    if (!artboard) {
+        return '<div class="empty-state" style="padding: 24px; font-size: 11px;">Not present</div>';
+    }
+
+    const elements = artboard.elements || [];
+    const width = artboard.width || 1080;
+    const height = artboard.height || 1080;
+    const strokeWidth = Math.max(width, height) / 150;
+
+    const shapes = elements.map(renderElementSvg).join('');
+    const boxes = elements
+        .filter(element => highlights[element.id])
+        .map(element => {
+            const { x, y, width: w, height: h } = getElementBounds(element);
+            const color = REVIEW_HIGHLIGHT_COLORS[highlights[element.id]];
+            return `<rect x="${x - strokeWidth}" y="${y - strokeWidth}" width="${w + strokeWidth * 2}" height="${h + strokeWidth * 2}" fill="none" stroke="${color}" stroke-width="${strokeWidth}" stroke-dasharray="${strokeWidth * 3} ${strokeWidth * 2}"/>`;
+        })
+        .join('');
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" style="width: 100%; height: auto; background: #fff; border: 1px solid var(--color-border); border-radius: 4px;">
+            ${shapes}${boxes}
+        </svg>
+    `;
+}
+
+/**
+ * Finds an artboard in a snapshot by page and artboard id
+ */
+function findArtboard(snapshot, pageId, artboardId) {
+    const page = (snapshot?.pages || []).find(p => p.id === pageId);
+    return {
+        page,
+        artboard: (page?.artboards || []).find(a => a.id === artboardId),
+    };
+}
+
+/**
+ * Describes a modified element's property changes for the review list
+ */
+function describeReviewChanges(item) {
+    return item.changes.map(change => {
+        if (change.changed) {
+            return `<div>${escapeHtml(change.property)}: changed</div>`;
+        }
+        if (change.property === 'location') {
+            return `<div>moved / reordered</div>`;
+        }
+        return `<div>${escapeHtml(change.property)}: ${formatConflictValue(change.property, change.before)} → ${formatConflictValue(change.property, change.after)}</div>`;
+    }).join('');
+}
+
+/**
+ * Applies the source snapshot to the document for review, or restores the original document
+ * @param {Object} diff - Diff response for the merge request
+ */
+async function toggleReviewPreview(diff) {
+    if (!sandboxProxy) {
+        showNotification('Sandbox not initialized. Please refresh the page.', 'error');
+        return;
+    }
+
+    const previewBtn = document.getElementById('reviewPreviewToggle');
+
+    try {
+        if (!reviewPreview) {
+            if (diff.to?.type !== 'branch' || !diff.to.branchId) {
+                showNotification('Preview is only available for open requests', 'info');
+                return;
+            }
+            if (previewBtn) {
+                previewBtn.disabled = true;
+                previewBtn.textContent = 'Applying...';
+            }
+            // Keep the current document so we can flip back exactly
+            const originalSnapshot = await sandboxProxy.exportDocument();
+            const snapshot = await fetchBranchSnapshot(diff.to.branchId);
+            if (!snapshot) {
+                throw new Error('Source canvas has no snapshot');
+            }
+            await sandboxProxy.importDocument(snapshot);
+            reviewPreview = { originalSnapshot };
+            showNotification(`Previewing "${diff.to.label}" on your canvas. Flip back when done.`, 'info');
+        } else {
+            if (previewBtn) {
+                previewBtn.disabled = true;
+                previewBtn.textContent = 'Restoring...';
+            }
+            await sandboxProxy.importDocument(reviewPreview.originalSnapshot);
+            reviewPreview = null;
+            showNotification('Your canvas has been restored', 'success');
+        }
+    } catch (error) {
+        console.error('Error toggling review preview:', error);
+        showNotification(`Preview failed: ${error.message}`, 'error');
+    }
+
+    if (previewBtn) {
+        previewBtn.disabled = false;
+        previewBtn.textContent = reviewPreview ? '↶ Flip Back' : 'Preview on Canvas';
+    }
+}
+
+/**
+ * Closes the review panel, restoring the document if a preview is applied
+ */
+async function closeMergeReviewPanel() {
+    const reviewModal = document.getElementById('reviewModal');
+    if (reviewPreview) {
+        await toggleReviewPreview(null);
+    }
+    if (reviewModal) {
+        reviewModal.classList.remove('active');
+    }
+}
+
+/**
+ * Shows the "Review changes" panel for a merge request: before/after thumbnails of
+ * affected artboards with highlighted elements, the list of changed elements, and a
+ * temporary on-canvas preview of the source snapshot
+ * @param {string|number} mergeRequestId - Merge request number
+ */
+async function showMergeReviewPanel(mergeRequestId) {
+    if (!currentProjectId) {
+        showNotification('No project selected', 'warning');
+        return;
+    }
+
+    let diff;
+    let mergeRequest;
+    try {
+        const [diffResponse, mrResponse] = await Promise.all([
+            apiCall(`/history/diff?projectId=${currentProjectId}&mergeRequestId=${mergeRequestId}&includeSnapshots=true`, 'GET'),
+            apiCall(`/merge-requests/${mergeRequestId}?projectId=${currentProjectId}`, 'GET'),
+        ]);
+        diff = diffResponse;
+        mergeRequest = mrResponse.mergeRequest;
+    } catch (error) {
+        console.error('Error loading merge request changes:', error);
+        showNotification(`Failed to load changes: ${error.message}`, 'error');
+        return;
+    }
+
+    // Group changed elements by artboard
+    const affected = new Map();
+    const track = (item, kind) => {
+        const key = `${item.pageId}::${item.artboardId}`;
+        if (!affected.has(key)) {
+            affected.set(key, { pageId: item.pageId, artboardId: item.artboardId, before: {}, after: {} });
+        }
+        const entry = affected.get(key);
+        if (kind !== 'added') entry.before[item.id] = kind;
+        if (kind !== 'removed') entry.after[item.id] = kind;
+    };
+    diff.added.forEach(item => track(item, 'added'));
+    diff.removed.forEach(item => track(item, 'removed'));
+    diff.modified.forEach(item => track(item, 'modified'));
+
+    const thumbnails = [...affected.values()].map(({ pageId, artboardId, before, after }) => {
+        const fromArtboard = findArtboard(diff.snapshots?.from, pageId, artboardId);
+        const toArtboard = findArtboard(diff.snapshots?.to, pageId, artboardId);
+        const pageName = toArtboard.page?.name || fromArtboard.page?.name || 'Page';
+        return `
+            <div style="margin-bottom: 12px;">
+                <div style="font-size: 12px; font-weight: 600; margin-bottom: 6px;">${escapeHtml(pageName)}</div>
+                <div style="display: flex; gap: 8px;">
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="font-size: 11px; color: var(--color-text-secondary); margin-bottom: 4px;">Before</div>
+                        ${renderArtboardThumbnail(fromArtboard.artboard, before)}
+                    </div>
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="font-size: 11px; color: var(--color-text-secondary); margin-bottom: 4px;">After</div>
+                        ${renderArtboardThumbnail(toArtboard.artboard, after)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const listItem = (item, kind, details = '') => `
+        <div style="padding: 8px; border-left: 3px solid ${REVIEW_HIGHLIGHT_COLORS[kind]}; background: rgba(0, 0, 0, 0.02); border-radius: 4px; margin-bottom: 6px;">
+            <div style="font-size: 12px; font-weight: 600;">
+                ${kind === 'added' ? '+ Added' : kind === 'removed' ? '− Removed' : '~ Modified'} ${escapeHtml(item.type || 'Element')}
+                <span style="font-weight: normal; color: var(--color-text-secondary);">${escapeHtml(item.id)}</span>
+            </div>
+            ${details ? `<div style="font-size: 11px; margin-top: 4px;">${details}</div>` : ''}
+        </div>
+    `;
+    const changeList = [
+        ...diff.added.map(item => listItem(item, 'added')),
+        ...diff.removed.map(item => listItem(item, 'removed')),
+        ...diff.modified.map(item => listItem(item, 'modified', describeReviewChanges(item))),
+    ].join('');
+
+    const isOpen = mergeRequest?.status === 'open';
+    const canApprove = isOpen && mergeRequest.createdBy !== currentUserId && can('merge_request:review');
+    const canPreview = isOpen && diff.to?.type === 'branch';
+
+    let reviewModal = document.getElementById('reviewModal');
+    if (!reviewModal) {
+        reviewModal = document.createElement('div');
+        reviewModal.id = 'reviewModal';
+        reviewModal.className = 'modal';
+        document.body.appendChild(reviewModal);
+    }
+
+    reviewModal.innerHTML = `
+        <div class="modal-content" style="max-width: 720px;">
+            <div class="modal-title">Review Changes · #${mergeRequestId}</div>
+            <div style="font-size: 12px; color: var(--color-text-secondary); margin-bottom: 12px;">
+                ${escapeHtml(mergeRequest?.sourceBranch || '')} → ${escapeHtml(mergeRequest?.targetBranch || '')} ·
+                <span style="color: ${REVIEW_HIGHLIGHT_COLORS.added};">+${diff.summary.added}</span>
+                <span style="color: ${REVIEW_HIGHLIGHT_COLORS.modified};">~${diff.summary.modified}</span>
+                <span style="color: ${REVIEW_HIGHLIGHT_COLORS.removed};">−${diff.summary.removed}</span>
+            </div>
+            ${thumbnails || '<div class="empty-state">No element changes</div>'}
+            ${changeList ? `<div style="margin-top: 12px;">${changeList}</div>` : ''}
+            <div class="modal-footer">
+                <button id="reviewClose" class="btn btn-secondary">Close</button>
+                ${canPreview ? `<button id="reviewPreviewToggle" class="btn btn-secondary">Preview on Canvas</button>` : ''}
+                ${canApprove ? `<button id="reviewApprove" class="btn btn-primary" data-merge-id="${mergeRequestId}">✓ Approve</button>` : ''}
+            </div>
+        </div>
+    `;
+
+    document.getElementById('reviewClose').onclick = () => closeMergeReviewPanel();
+    reviewModal.onclick = (e) => {
+        if (e.target === reviewModal) {
+            closeMergeReviewPanel();
+        }
+    };
+    if (canPreview) {
+        document.getElementById('reviewPreviewToggle').onclick = () => toggleReviewPreview(diff);
+    }
+    if (canApprove) {
+        document.getElementById('reviewApprove').onclick = async (e) => {
+            await closeMergeReviewPanel();
+            await approveMerge(e);
+        };
+    }
+
+    reviewModal.classList.add('active');
+}
+
 /**
  * Revert branch to a specific commit
  */
@@ -2320,10 +3401,11 @@ async function revertToCommit(commitHash, branchId, commitMessage) {
             if (isOnBranch && sandboxProxy) {
                 try {
                     // Get the reverted snapshot
-                    const snapshotResponse = await apiCall(`/branches/${branchIdStr}/snapshot?projectId=${currentProjectId}`, 'GET');
+                    const snapshot = await fetchBranchSnapshot(branchIdStr);
                     
-                    if (snapshotResponse.success && snapshotResponse.snapshot) {
-                        await sandboxProxy.importDocument(snapshotResponse.snapshot);
+                    if (snapshot) {
+                        reportImportFidelity(await sandboxProxy.importDocument(snapshot));
+                        await captureCanvasBaseline();
                         console.log('✅ Document reloaded with reverted content');
                         showNotification('Document updated with reverted content.', 'success');
                     }
@@ -2386,10 +3468,11 @@ async function revertMerge(mergeRequestId) {
             if (isOnTargetBranch && sandboxProxy) {
                 try {
                     // Get the reverted snapshot
-                    const snapshotResponse = await apiCall(`/branches/${targetBranchId}/snapshot?projectId=${currentProjectId}`, 'GET');
+                    const snapshot = await fetchBranchSnapshot(targetBranchId);
                     
-                    if (snapshotResponse.success && snapshotResponse.snapshot) {
-                        await sandboxProxy.importDocument(snapshotResponse.snapshot);
+                    if (snapshot) {
+                        reportImportFidelity(await sandboxProxy.importDocument(snapshot));
+                        await captureCanvasBaseline();
                         console.log('✅ Document reloaded with reverted merge content');
                         showNotification('Document updated with reverted merge content.', 'success');
                     }
@@ -2424,6 +3507,8 @@ async function loadTeamMembers() {
         const response = await apiCall(`/team?projectId=${currentProjectId}`, 'GET');
         
         if (response.success && response.teamMembers) {
+            rolePermissions = response.permissions || rolePermissions;
+
             // Detect current user's role
             const currentUserMember = response.teamMembers.find(
                 member => member.userId === currentUserId
@@ -2487,36 +3572,123 @@ function renderTeamMembers(teamMembers) {
             ? '<span class="badge badge-warning">Pending</span>'
             : '<span class="badge badge-warning">Inactive</span>';
         
-        const userName = member.user?.name || member.email || 'Unknown';
+        const userName = escapeHtml(member.user?.name || member.email || 'Unknown');
         const role = member.role || 'designer';
         
+        // Owners and managers change roles here; only owners can grant, change or remove the owner role
+        const canEdit = can('team:manage') && member.userId !== currentUserId
+            && (role !== 'owner' || can('team:manage_owners'));
+        const roleControl = canEdit ? `
+            <select class="member-role-select" data-user-id="${escapeHtml(member.userId)}" style="font-size: 12px; margin-top: 4px;">
+                ${assignableRoles().map(r => `<option value="${r}" ${r === role ? 'selected' : ''}>${roleLabel(r)}</option>`).join('')}
+            </select>
+        ` : `
+            <div style="font-size: 12px; color: var(--color-text-secondary);">
+                ${roleLabel(role)}
+            </div>
+        `;
+        
         card.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center;">
                 <div>
                     <div class="card-title">${userName}</div>
-                    <div style="font-size: 12px; color: var(--color-text-secondary);">
-                        ${role.charAt(0).toUpperCase() + role.slice(1)}
-                    </div>
+                    ${roleControl}
+                </div>
+                <div style="display: flex; gap: 6px; align-items: center;">
+                    ${statusBadge}
+                    ${canEdit ? `<button class="btn btn-sm btn-secondary remove-member-btn" data-user-id="${escapeHtml(member.userId)}">Remove</button>` : ''}
                 </div>
-                ${statusBadge}
             </div>
         `;
         
+        const roleSelect = card.querySelector('.member-role-select');
+        if (roleSelect) {
+            roleSelect.addEventListener('change', () => updateMemberRole(member.userId, roleSelect.value, role, roleSelect));
+        }
+        const removeBtn = card.querySelector('.remove-member-btn');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => removeMember(member.userId, member.user?.name || member.email));
+        }
+        
         membersList.appendChild(card);
     });
     
-    // Hide invite section for designers
+    // Show invite section only to roles that manage the team
     const inviteSection = teamSection.querySelector('h3:last-of-type');
     if (inviteSection && inviteSection.textContent.includes('Invite Member')) {
-        const inviteContainer = inviteSection.nextElementSibling;
-        if (inviteContainer && currentUserRole !== 'manager') {
-            inviteSection.style.display = 'none';
-            inviteContainer.style.display = 'none';
-            const inviteButton = inviteContainer.nextElementSibling;
-            if (inviteButton && inviteButton.tagName === 'BUTTON') {
-                inviteButton.style.display = 'none';
-            }
+        // Heading, email and role inputs, and the send button
+        const display = can('team:manage') ? '' : 'none';
+        let element = inviteSection;
+        while (element) {
+            element.style.display = display;
+            if (element.tagName === 'BUTTON') break;
+            element = element.nextElementSibling;
+        }
+    }
+    
+    // Roles the current user can invite with
+    const inviteRole = document.getElementById('inviteRole');
+    if (inviteRole) {
+        const selected = inviteRole.value || 'designer';
+        inviteRole.innerHTML = assignableRoles()
+            .map(r => `<option value="${r}" ${r === selected ? 'selected' : ''}>${roleLabel(r)}</option>`)
+            .join('');
+    }
+}
+
+/**
+ * Roles the current user can give to members (owner only for owners)
+ * @returns {Array<string>}
+ */
+function assignableRoles() {
+    return Object.keys(ROLE_LABELS).filter(role => role !== 'owner' || can('team:manage_owners'));
+}
+
+/**
+ * Changes the role of a team member
+ * @param {string} userId - Member
+ * @param {string} role - New role
+ * @param {string} previousRole - Role to restore in the select if the change fails
+ * @param {HTMLSelectElement} select - Role select of the member
+ */
+async function updateMemberRole(userId, role, previousRole, select) {
+    try {
+        const response = await apiCall(`/team/${encodeURIComponent(userId)}/role?projectId=${currentProjectId}`, 'PUT', { role });
+        
+        if (response.success) {
+            showNotification(`Role changed to ${roleLabel(role)}`, 'success');
+            await Promise.all([loadTeamMembers(), loadAllUsers()]);
+        }
+    } catch (error) {
+        console.error('Error changing role:', error);
+        showNotification(`Failed to change role: ${error.message}`, 'error');
+        if (select) {
+            select.value = previousRole;
+        }
+    }
+}
+
+/**
+ * Removes a member from the project
+ * @param {string} userId - Member
+ * @param {string} name - Member name (for the confirmation)
+ */
+async function removeMember(userId, name) {
+    const confirmed = await showConfirmation(`Remove ${name || 'this member'} from the project?`);
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        const response = await apiCall(`/team/${encodeURIComponent(userId)}?projectId=${currentProjectId}`, 'DELETE');
+        
+        if (response.success) {
+            showNotification('Member removed', 'success');
+            await Promise.all([loadTeamMembers(), loadAllUsers()]);
         }
+    } catch (error) {
+        console.error('Error removing member:', error);
+        showNotification(`Failed to remove member: ${error.message}`, 'error');
     }
 }
 
@@ -2524,12 +3696,12 @@ function renderTeamMembers(teamMembers) {
  * Applies role-based UI changes (hides/shows elements based on user role)
  */
 function applyRoleBasedUI() {
-    const isManager = currentUserRole === 'manager';
+    const isManager = can('team:manage');
     
-    // 1. Hide Settings tab for designers
+    // 1. Hide Settings tab for roles without project:settings
     const settingsTab = document.querySelector('[data-tab="settings"]');
     if (settingsTab) {
-        if (!isManager) {
+        if (!can('project:settings')) {
             settingsTab.style.display = 'none';
             
             // If Settings tab is currently active, switch to Branches
@@ -2544,7 +3716,13 @@ function applyRoleBasedUI() {
     
     // 2. Hide invite section in team tab (handled in renderTeamMembers)
     
-    // 3. Add role badge to header-controls (next to user switcher)
+    // 3. Hide canvas creation for reviewers and viewers
+    const newCanvasBtn = document.getElementById('newCanvasBtn');
+    if (newCanvasBtn) {
+        newCanvasBtn.style.display = can('branch:create') ? '' : 'none';
+    }
+    
+    // 4. Add role badge to header-controls (next to user switcher)
     const headerControls = document.querySelector('.header-controls');
     if (headerControls && !headerControls.querySelector('.role-badge')) {
         const roleBadge = document.createElement('div');
@@ -2552,14 +3730,14 @@ function applyRoleBasedUI() {
         roleBadge.style.cssText = 'font-size: 11px; padding: 6px 10px; border-radius: 0 4px 4px 0; font-weight: 600; height: 28px; display: flex; align-items: center; box-sizing: border-box;';
         roleBadge.style.background = isManager ? 'rgba(20, 115, 230, 0.15)' : 'rgba(111, 111, 111, 0.1)';
         roleBadge.style.color = isManager ? 'var(--color-primary)' : 'var(--color-text-secondary)';
-        roleBadge.textContent = isManager ? 'Manager' : 'Designer';
+        roleBadge.textContent = roleLabel(currentUserRole);
         headerControls.appendChild(roleBadge);
     } else if (headerControls) {
         const existingBadge = headerControls.querySelector('.role-badge');
         if (existingBadge) {
             existingBadge.style.background = isManager ? 'rgba(20, 115, 230, 0.15)' : 'rgba(111, 111, 111, 0.1)';
             existingBadge.style.color = isManager ? 'var(--color-primary)' : 'var(--color-text-secondary)';
-            existingBadge.textContent = isManager ? 'Manager' : 'Designer';
+            existingBadge.textContent = roleLabel(currentUserRole);
         }
     }
     
@@ -2577,10 +3755,11 @@ async function loadAllUsers() {
         
         if (response.success && response.users) {
             allUsers = response.users;
+            rolePermissions = response.permissions || rolePermissions;
             
-            // If currentUserId is not set or not in users, set to first manager or first user
+            // If currentUserId is not set or not in users, set to first owner/manager or first user
             if (!currentUserId || !allUsers.find(u => u.userId === currentUserId)) {
-                const manager = allUsers.find(u => u.role === 'manager');
+                const manager = allUsers.find(u => roleCan(u.role, 'team:manage'));
                 if (manager) {
                     currentUserId = manager.userId;
                     currentUserName = manager.name;
@@ -2620,20 +3799,26 @@ function renderUserSwitcher() {
     const currentUser = allUsers.find(u => u.userId === currentUserId);
     if (currentUser) {
         currentUserBadge.textContent = currentUser.name;
-        // Make manager name bold
-        if (currentUser.role === 'manager') {
+        // Make owner and manager names bold
+        if (roleCan(currentUser.role, 'team:manage')) {
             currentUserBadge.style.fontWeight = '700';
         } else {
             currentUserBadge.style.fontWeight = '500';
         }
     }
     
+    // Outside development mode the list only shows the team
+    const title = document.getElementById('userSwitcherTitle');
+    if (title) {
+        title.textContent = authConfig?.devMode ? 'Switch User' : 'Team';
+    }
+    
     // Render user list
     userList.innerHTML = '';
     
     allUsers.forEach(user => {
         const isCurrent = user.userId === currentUserId;
-        const isManager = user.role === 'manager';
+        const isManager = roleCan(user.role, 'team:manage');
         
         const userItem = document.createElement('div');
         userItem.style.cssText = `
@@ -2649,11 +3834,11 @@ function renderUserSwitcher() {
         `;
         userItem.innerHTML = `
             <span style="flex: 1; ${isManager ? 'font-weight: 700; color: var(--color-primary);' : ''}">${user.name}</span>
-            <span style="font-size: 10px; padding: 2px 6px; border-radius: 3px; ${isManager ? 'background: rgba(20, 115, 230, 0.1); color: var(--color-primary);' : 'background: rgba(0,0,0,0.05); color: var(--color-text-secondary);'}">${isManager ? 'Manager' : 'Designer'}</span>
+            <span style="font-size: 10px; padding: 2px 6px; border-radius: 3px; ${isManager ? 'background: rgba(20, 115, 230, 0.1); color: var(--color-primary);' : 'background: rgba(0,0,0,0.05); color: var(--color-text-secondary);'}">${roleLabel(user.role)}</span>
             ${isCurrent ? '<span style="color: var(--color-primary); font-size: 10px;">✓</span>' : ''}
         `;
         
-        if (!isCurrent) {
+        if (!isCurrent && authConfig?.devMode) {
             userItem.addEventListener('click', () => {
                 switchUser(user.userId);
                 document.getElementById('userSwitcherDropdown').style.display = 'none';
@@ -2682,32 +3867,21 @@ async function switchUser(userId) {
         return;
     }
     
+    // Signing in as someone else without their Adobe account is a development-only feature
+    if (!authConfig?.devMode) {
+        showNotification('Switching users is only available in development mode', 'warning');
+        return;
+    }
+    
     try {
-        const response = await fetch(`${AUTH_API_URL}/login`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                adobeToken: 'mock-token-switch',
-                userId: user.userId,
-                email: user.email,
-                name: user.name,
-                avatarUrl: user.avatarUrl || null,
-            }),
+        const data = await postLogin('/dev-login', {
+            userId: user.userId,
+            email: user.email,
+            name: user.name,
+            avatarUrl: user.avatarUrl || null,
+            deviceName: DEVICE_NAME,
         });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Login failed: ${response.status} ${errorText}`);
-        }
-
-        const data = await response.json();
-        if (data.success && data.token) {
-            setToken(data.token);
-        } else {
-            throw new Error('Login response missing token');
-        }
+        setSession(data);
     } catch (error) {
         console.error('Failed to switch user:', error);
         showNotification(`Failed to switch user: ${error.message}`, 'error');
@@ -2882,12 +4056,16 @@ window.addDesigner = addDesigner;
 window.revertToCommit = revertToCommit;
 window.revertMerge = revertMerge;
 window.completeMerge = completeMerge;
+window.showConflictResolutionPanel = showConflictResolutionPanel;
+window.showMergeReviewPanel = showMergeReviewPanel;
 window.filterMerge = filterMerge;
 window.inviteMember = inviteMember;
 window.handleProjectSelection = handleProjectSelection;
 window.submitCommit = submitCommit;
 window.createCommit = createCommit;
 window.saveProjectSettings = saveProjectSettings;
+window.createApiToken = createApiToken;
+window.revokeApiToken = revokeApiToken;
 window.checkoutBranchById = checkoutBranch;
 
 /**
@@ -2987,6 +4165,141 @@ async function saveProjectSettings() {
     }
 }
 
+// ============================================
+// API TOKENS
+// ============================================
+// Project tokens for scripts and CI (GET/POST/DELETE /projects/:projectId/tokens)
+const API_TOKEN_SCOPE_LABELS = {
+    'history:read': 'Read history',
+    'commits:write': 'Create commits',
+    'merge_requests:manage': 'Manage merge requests',
+};
+
+/**
+ * Loads the project's API tokens (managers see all, others their own)
+ */
+async function loadApiTokens() {
+    if (!currentProjectId) return;
+    
+    try {
+        const response = await apiCall(`/projects/${currentProjectId}/tokens`, 'GET');
+        if (response.success) {
+            renderApiTokens(response.tokens);
+        }
+    } catch (error) {
+        console.error('Error loading API tokens:', error);
+    }
+}
+
+/**
+ * Renders the API token list in the Settings tab
+ */
+function renderApiTokens(tokens) {
+    const tokenList = document.getElementById('apiTokenList');
+    if (!tokenList) return;
+    
+    if (tokens.length === 0) {
+        tokenList.innerHTML = '<div style="font-size: 12px; color: var(--color-text-secondary); padding: 8px 0;">No API tokens yet</div>';
+        return;
+    }
+    
+    tokenList.innerHTML = tokens.map(token => {
+        const scopes = token.scopes.map(scope => API_TOKEN_SCOPE_LABELS[scope] || scope).join(', ');
+        const expires = token.expiresAt ? `expires ${new Date(token.expiresAt).toLocaleDateString()}` : 'never expires';
+        const lastUsed = token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleDateString()}` : 'never used';
+        return `
+            <div class="card">
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+                    <div>
+                        <div class="card-title">
+                            ${escapeHtml(token.name)}
+                            <span class="badge ${token.type === 'service' ? 'badge-info' : 'badge-success'}">${token.type === 'service' ? 'Service' : 'Personal'}</span>
+                        </div>
+                        <div style="font-size: 12px; color: var(--color-text-secondary);">
+                            ${escapeHtml(token.prefix)}… · ${escapeHtml(scopes)}
+                        </div>
+                        <div style="font-size: 11px; color: var(--color-text-secondary);">
+                            Created ${new Date(token.createdAt).toLocaleDateString()} · ${expires} · ${lastUsed}
+                        </div>
+                    </div>
+                    <button class="btn btn-secondary" style="font-size: 11px; padding: 4px 10px;" onclick="revokeApiToken('${escapeHtml(token.tokenId)}')">Revoke</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Creates an API token from the Settings form and shows it once
+ */
+async function createApiToken() {
+    if (!currentProjectId) {
+        showNotification('No project selected', 'warning');
+        return;
+    }
+    
+    const settingsSection = document.getElementById('settings');
+    const name = settingsSection.querySelector('#apiTokenName').value.trim();
+    const type = settingsSection.querySelector('#apiTokenType').value;
+    const scopes = [...settingsSection.querySelectorAll('.api-token-scope:checked')].map(input => input.value);
+    const expiry = settingsSection.querySelector('#apiTokenExpiry').value;
+    
+    if (!name) {
+        showNotification('Please enter a token name', 'warning');
+        return;
+    }
+    if (scopes.length === 0) {
+        showNotification('Please select at least one scope', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await apiCall(`/projects/${currentProjectId}/tokens`, 'POST', {
+            name,
+            type,
+            scopes,
+            expiresInDays: expiry ? parseInt(expiry) : null,
+        });
+        
+        if (response.success) {
+            // The token cannot be retrieved again, so it stays visible until the next one is created
+            const created = document.getElementById('apiTokenCreated');
+            created.style.display = 'block';
+            created.innerHTML = `
+                <div class="label">Copy this token now, it will not be shown again</div>
+                <input type="text" readonly value="${escapeHtml(response.token)}" onfocus="this.select()" style="width: 100%; font-family: monospace; font-size: 11px;">
+            `;
+            settingsSection.querySelector('#apiTokenName').value = '';
+            showNotification(`API token "${name}" created`, 'success');
+            await loadApiTokens();
+        }
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        showNotification(`Failed to create API token: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Revokes an API token; scripts using it stop working immediately
+ */
+async function revokeApiToken(tokenId) {
+    const confirmed = await showConfirmation('Revoke this API token? Scripts using it will stop working.');
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        const response = await apiCall(`/projects/${currentProjectId}/tokens/${encodeURIComponent(tokenId)}`, 'DELETE');
+        if (response.success) {
+            showNotification('API token revoked', 'success');
+            await loadApiTokens();
+        }
+    } catch (error) {
+        console.error('Error revoking API token:', error);
+        showNotification(`Failed to revoke API token: ${error.message}`, 'error');
+    }
+}
+
 /**
  * Creates a new commit with current document snapshot
  */
@@ -2996,6 +4309,11 @@ async function createCommit() {
         return;
     }
     
+    if (!can('commit:create')) {
+        showNotification(`${roleLabel(currentUserRole)}s cannot create snapshots`, 'warning');
+        return;
+    }
+    
     // Get current branch (for now, use main or first branch)
     const branchList = document.getElementById('branchList');
     if (!branchList || branchList.children.length === 0) {
@@ -3020,9 +4338,13 @@ async function createCommit() {
                     <label class="label">Commit Message</label>
                     <textarea id="commitMessage" placeholder="Describe your changes..." style="min-height: 100px;"></textarea>
                 </div>
+                <div class="upload-progress" id="commitProgress">
+                    <div class="upload-progress-bar"><div class="upload-progress-fill" id="commitProgressFill"></div></div>
+                    <div class="upload-progress-label" id="commitProgressLabel"></div>
+                </div>
                 <div class="modal-footer">
                     <button class="btn btn-secondary" onclick="closeModal('commitModal')">Cancel</button>
-                    <button class="btn btn-primary" onclick="submitCommit()">Create Commit</button>
+                    <button class="btn btn-primary" id="commitSubmitButton" onclick="submitCommit()">Create Commit</button>
                 </div>
             </div>
         `;
@@ -3049,65 +4371,384 @@ async function createCommit() {
     document.getElementById('commitMessage').focus();
 }
 
+// ============================================
+// MEDIA STORE
+// ============================================
+// Images are uploaded once to the media store (keyed by the SHA-256 of their bytes)
+// and referenced from snapshots by mediaId instead of inline base64
+const MEDIA_CACHE_MAX_BYTES = 64 * 1024 * 1024; // Base64 characters kept in the panel
+const MEDIA_LOOKUP_BATCH = 1000; // Ids per missing-media lookup (server limit)
+
+// Downloaded and uploaded images, most recently used last: mediaId -> { data, mimeType }
+const mediaCache = new Map();
+let mediaCacheBytes = 0;
+// Downloads in flight, so concurrent requests for one image share a fetch: mediaId -> Promise
+const mediaRequests = new Map();
+
+/**
+ * Adds an image to the media cache, evicting the least recently used ones over the size limit
+ */
+function cacheMedia(mediaId, media) {
+    if (mediaCache.has(mediaId)) {
+        mediaCacheBytes -= mediaCache.get(mediaId).data.length;
+        mediaCache.delete(mediaId);
+    }
+    mediaCache.set(mediaId, media);
+    mediaCacheBytes += media.data.length;
+    while (mediaCacheBytes > MEDIA_CACHE_MAX_BYTES && mediaCache.size > 1) {
+        const [oldestId, oldest] = mediaCache.entries().next().value;
+        mediaCache.delete(oldestId);
+        mediaCacheBytes -= oldest.data.length;
+    }
+}
+
+/**
+ * Base64 of bytes (in chunks, String.fromCharCode cannot take a whole image)
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Bytes of a base64 string
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Downloads an image from the media store (cached; called by the sandbox while importing)
+ * @param {string} mediaId - Media id
+ * @returns {Promise<{data: string, mimeType: string}>} Base64 image data and MIME type
+ */
+async function fetchMedia(mediaId) {
+    const cached = mediaCache.get(mediaId);
+    if (cached) {
+        cacheMedia(mediaId, cached);
+        return cached;
+    }
+    if (mediaRequests.has(mediaId)) {
+        return mediaRequests.get(mediaId);
+    }
+
+    const request = (async () => {
+        const response = await sendWithSession(token => fetch(`${API_BASE_URL}/media/${mediaId}?projectId=${currentProjectId}`, {
+            headers: { 'Authorization': `Bearer ${token}` },
+        }), panelSession);
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+            throw createApiError(error, response.status);
+        }
+
+        const media = {
+            data: bytesToBase64(new Uint8Array(await response.arrayBuffer())),
+            mimeType: response.headers.get('Content-Type') || 'image/png',
+        };
+        cacheMedia(mediaId, media);
+        return media;
+    })();
+
+    mediaRequests.set(mediaId, request);
+    try {
+        return await request;
+    } finally {
+        mediaRequests.delete(mediaId);
+    }
+}
+
+/**
+ * Moves a snapshot's inline images to the media store
+ * Only images the server does not have yet are uploaded; uploaded images stay
+ * in the media cache, so importing the snapshot again needs no download
+ * @param {object} snapshot - Exported document
+ * @returns {Promise<object>} Snapshot with mediaId in place of imageData
+ */
+async function uploadSnapshotMedia(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.pages)) {
+        return snapshot;
+    }
+
+    // mediaId -> { bytes, mimeType, data }
+    const images = new Map();
+    const extract = async (element) => {
+        if (!element || typeof element !== 'object') {
+            return element;
+        }
+        const result = { ...element };
+        if (typeof result.imageData === 'string' && result.imageData.length > 0) {
+            const bytes = base64ToBytes(result.imageData);
+            const mediaId = await sha256Hex(bytes);
+            images.set(mediaId, { bytes, mimeType: result.imageMimeType || 'image/png', data: result.imageData });
+            delete result.imageData;
+            result.mediaId = mediaId;
+        }
+        if (Array.isArray(result.children)) {
+            result.children = await Promise.all(result.children.map(extract));
+        }
+        if (result.type === 'Group' && result.maskShape) {
+            result.maskShape = await extract(result.maskShape);
+        }
+        return result;
+    };
+
+    const pages = await Promise.all(snapshot.pages.map(async page => ({
+        ...page,
+        artboards: await Promise.all((page.artboards || []).map(async artboard => ({
+            ...artboard,
+            elements: await Promise.all((artboard.elements || []).map(extract)),
+        }))),
+    })));
+    if (images.size === 0) {
+        return snapshot;
+    }
+
+    const ids = [...images.keys()];
+    const missing = [];
+    for (let start = 0; start < ids.length; start += MEDIA_LOOKUP_BATCH) {
+        const data = await withUploadRetry(() => uploadRequest('/media/missing', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ projectId: currentProjectId, mediaIds: ids.slice(start, start + MEDIA_LOOKUP_BATCH) }),
+        }));
+        missing.push(...data.missing);
+    }
+
+    for (const mediaId of missing) {
+        const image = images.get(mediaId);
+        await withUploadRetry(() => uploadRequest(`/media/${mediaId}?projectId=${currentProjectId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': image.mimeType },
+            body: image.bytes,
+        }));
+    }
+    if (missing.length > 0) {
+        console.log(`🖼️ Uploaded ${missing.length} of ${images.size} image(s) to the media store`);
+    }
+
+    images.forEach(({ data, mimeType }, mediaId) => cacheMedia(mediaId, { data, mimeType }));
+    return { ...snapshot, pages };
+}
+
+// ============================================
+// CHUNKED COMMIT UPLOADS
+// ============================================
+const COMMIT_UPLOAD_RETRIES = 4; // Attempts per request before giving up
+const COMMIT_UPLOAD_RETRY_DELAY = 1000; // First retry delay in ms, doubled each attempt
+
+// Upload kept after a failed commit so the next attempt resumes it
+// { branchId, contentKey, bytes, uploadId }
+let pendingCommitUpload = null;
+
+/**
+ * SHA-256 of bytes as hex
+ * @param {Uint8Array} bytes - Data
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256Hex(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Authenticated request for upload endpoints (raw or multipart bodies, which apiCall cannot send)
+ * Refreshes the session once on 401
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {object} options - fetch options
+ * @returns {Promise<object>} Response data
+ */
+async function uploadRequest(endpoint, options) {
+    const response = await sendWithSession(token => fetch(`${API_BASE_URL}${endpoint}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${token}`,
+        },
+    }), panelSession);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
+        throw createApiError(error, response.status);
+    }
+    return await response.json();
+}
+
+/**
+ * Runs a request, retrying network failures and server errors with exponential backoff
+ * @param {Function} request - Returns a promise
+ * @returns {Promise<*>} Request result
+ */
+async function withUploadRetry(request) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            const retryable = !error.status || error.status >= 500;
+            if (!retryable || attempt >= COMMIT_UPLOAD_RETRIES) {
+                throw error;
+            }
+            const delay = COMMIT_UPLOAD_RETRY_DELAY * 2 ** (attempt - 1);
+            console.warn(`Upload request failed (${error.message}), retrying in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Shows upload progress in the commit modal
+ * @param {number|null} fraction - 0..1, or null to hide the bar
+ * @param {string} label - Status text
+ */
+function setCommitProgress(fraction, label = '') {
+    const progress = document.getElementById('commitProgress');
+    if (!progress) return;
+
+    progress.classList.toggle('active', fraction !== null);
+    document.getElementById('commitProgressFill').style.width = `${Math.round((fraction || 0) * 100)}%`;
+    document.getElementById('commitProgressLabel').textContent = label;
+}
+
+/**
+ * Formats a byte count for progress labels
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "1.2 MB"
+ */
+function formatUploadSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Uploads a snapshot in parts, resuming the pending upload of the same content if there is one
+ * @param {string} branchId - Target branch
+ * @param {object} documentData - Exported document
+ * @returns {Promise<object>} Upload session ({ uploadId, ... })
+ */
+async function uploadCommitSnapshot(branchId, documentData) {
+    // The export timestamp changes on every export; resume when only it differs
+    const contentKey = await sha256Hex(new TextEncoder().encode(JSON.stringify({ ...documentData, timestamp: null })));
+
+    let upload = null;
+    let bytes = null;
+    if (pendingCommitUpload?.branchId === branchId && pendingCommitUpload.contentKey === contentKey) {
+        bytes = pendingCommitUpload.bytes;
+        try {
+            const data = await withUploadRetry(() => uploadRequest(`/commits/uploads/${pendingCommitUpload.uploadId}`, { method: 'GET' }));
+            upload = data.upload;
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            console.log('Pending upload expired, starting over');
+        }
+    }
+
+    if (!upload) {
+        bytes = new TextEncoder().encode(JSON.stringify(documentData));
+        const sha256 = await sha256Hex(bytes);
+        const data = await withUploadRetry(() => uploadRequest('/commits/uploads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                projectId: currentProjectId,
+                branchId,
+                size: bytes.length,
+                sha256,
+            }),
+        }));
+        upload = data.upload;
+    }
+    pendingCommitUpload = { branchId, contentKey, bytes, uploadId: upload.uploadId };
+
+    const partBytes = number => bytes.subarray((number - 1) * upload.partSize, Math.min(number * upload.partSize, bytes.length));
+    const received = new Set(upload.receivedParts);
+    let sent = upload.receivedParts.reduce((total, number) => total + partBytes(number).length, 0);
+    const report = () => setCommitProgress(sent / bytes.length, `Uploading ${formatUploadSize(sent)} of ${formatUploadSize(bytes.length)}`);
+    report();
+
+    for (let number = 1; number <= upload.partCount; number++) {
+        if (received.has(number)) continue;
+
+        const part = partBytes(number);
+        const partSha256 = await sha256Hex(part);
+        await withUploadRetry(() => uploadRequest(`/commits/uploads/${upload.uploadId}/parts/${number}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'X-Content-SHA256': partSha256,
+            },
+            body: part,
+        }));
+        sent += part.length;
+        report();
+    }
+
+    return upload;
+}
+
 /**
  * Submits a commit
+ * The snapshot is uploaded in resumable parts; if the upload fails, submitting again
+ * continues where it stopped as long as the document has not changed
  */
 async function submitCommit() {
     const branchId = document.getElementById('commitBranchSelect').value;
     const message = document.getElementById('commitMessage').value.trim();
-    
+
     if (!message) {
         showNotification('Commit message is required', 'warning');
         return;
     }
-    
+
     if (!branchId) {
         showNotification('Please select a canvas', 'warning');
         return;
     }
-    
+
+    const submitButton = document.getElementById('commitSubmitButton');
+    submitButton.disabled = true;
+    setCommitProgress(0, 'Exporting document...');
+
     try {
         // Get document snapshot from Adobe Express
         const { runtime } = addOnUISdk.instance;
         const sandboxProxy = await runtime.apiProxy("documentSandbox");
-        
-        // Export document as JSON
-        const documentData = await sandboxProxy.exportDocument();
-        
-        // Convert to Blob
-        const blob = new Blob([JSON.stringify(documentData)], { type: 'application/json' });
-        const file = new File([blob], 'snapshot.json', { type: 'application/json' });
-        
-        // Create FormData for file upload
-        const formData = new FormData();
-        formData.append('snapshot', file);
-        formData.append('projectId', currentProjectId);
-        formData.append('branchId', branchId);
-        formData.append('message', message);
-        formData.append('changes', JSON.stringify({
-            filesAdded: 0,
-            filesModified: 1,
-            filesDeleted: 0,
-            componentsUpdated: 0,
-        }));
-        
-        const token = getToken();
-        const response = await fetch(`${API_BASE_URL}/commits`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-            },
-            body: formData,
+
+        // Export document as JSON; images go to the media store, the snapshot references them
+        const documentData = await uploadSnapshotMedia(await sandboxProxy.exportDocument());
+
+        const upload = await uploadCommitSnapshot(branchId, documentData);
+
+        // Render a page thumbnail (optional - commit still succeeds without it)
+        setCommitProgress(1, 'Creating commit...');
+        const thumbnail = await renderCanvasThumbnail();
+
+        // Change statistics are computed by the backend from the snapshot diff
+        const data = await withUploadRetry(() => {
+            const formData = new FormData();
+            formData.append('message', message);
+            if (thumbnail) {
+                formData.append('thumbnail', thumbnail, 'thumbnail.png');
+            }
+            return uploadRequest(`/commits/uploads/${upload.uploadId}/complete`, {
+                method: 'POST',
+                body: formData,
+            });
         });
-        
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
-            throw new Error(error.error?.message || `API Error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
+        pendingCommitUpload = null;
+
         if (data.success) {
+            // The committed document is the new baseline for change detection
+            if (branchId === currentBranchId) {
+                await captureCanvasBaseline();
+            }
             showNotification('Commit created successfully', 'success');
             closeModal('commitModal');
             document.getElementById('commitMessage').value = '';
@@ -3115,7 +4756,14 @@ async function submitCommit() {
             await loadBranches();
         }
     } catch (error) {
+        // Keep the upload for a retry unless the server rejected it (e.g. an invalid snapshot)
+        if (error.status && error.status < 500 && !error.details?.missingParts) {
+            pendingCommitUpload = null;
+        }
         console.error('Error creating commit:', error);
         showNotification(`Failed to create commit: ${error.message}`, 'error');
+    } finally {
+        submitButton.disabled = false;
+        setCommitProgress(null);
     }
 }
\ No newline at end of file
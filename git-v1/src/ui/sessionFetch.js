@@ -0,0 +1,56 @@
+/**
+ * ============================================
+ * SESSION-AWARE REQUESTS
+ * ============================================
+ *
+ * Access tokens are short-lived (1h), so a 401 usually means the token expired, not
+ * that the user signed out. Requests renew the session with the refresh token and are
+ * sent again; only if that fails does the panel sign in from scratch.
+ * Kept free of the add-on SDK so it can be tested with Node (test/sessionFetch.test.mjs).
+ */
+
+/**
+ * Wraps an async task so concurrent callers share one run
+ * The backend rotates refresh tokens and revokes the session when one is used twice,
+ * so parallel 401s must not each send the same refresh token
+ * @param {function(): Promise<*>} task - Task to run
+ * @returns {function(): Promise<*>} Shared task
+ */
+export function singleFlight(task) {
+    let pending = null;
+    return () => {
+        if (!pending) {
+            pending = Promise.resolve()
+                .then(task)
+                .finally(() => {
+                    pending = null;
+                });
+        }
+        return pending;
+    };
+}
+
+/**
+ * Sends an authenticated request, renewing the session once on 401
+ * @param {function(string): Promise<Response>} send - Sends the request with the given access token
+ * @param {object} session - Session hooks
+ * @param {function(): string|null} session.getToken - Current access token
+ * @param {function(): Promise<boolean>} session.refresh - Exchanges the refresh token (true on success)
+ * @param {function(): Promise<boolean>} session.reauthenticate - Signs in again (true on success)
+ * @returns {Promise<Response>} Response (a 401 only if the renewed token was refused too)
+ */
+export async function sendWithSession(send, { getToken, refresh, reauthenticate }) {
+    const response = await send(getToken());
+    if (response.status !== 401) {
+        return response;
+    }
+
+    if (!await refresh() && !await reauthenticate()) {
+        throw new Error('Authentication failed. Please refresh the page.');
+    }
+    const token = getToken();
+    if (!token) {
+        throw new Error('Failed to get new token after re-authentication');
+    }
+    return send(token);
+}
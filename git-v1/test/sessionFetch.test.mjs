@@ -0,0 +1,104 @@
+/**
+ * Session-aware request tests
+ *
+ * An expired access token (401) is refreshed and the request sent again
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { singleFlight, sendWithSession } from '../src/ui/sessionFetch.js';
+
+const response = status => ({ status, ok: status >= 200 && status < 300 });
+
+/**
+ * A backend that accepts only the current access token and a panel session around it
+ * @param {object} options - { refreshWorks, signInWorks }
+ */
+function createPanel({ refreshWorks = true, signInWorks = true } = {}) {
+    const state = { token: 'expired', validToken: 'fresh-1', refreshes: 0, signIns: 0, sent: [] };
+    const session = {
+        getToken: () => state.token,
+        refresh: singleFlight(async () => {
+            state.refreshes++;
+            await new Promise(resolve => setTimeout(resolve, 5));
+            if (!refreshWorks) {
+                return false;
+            }
+            state.token = state.validToken;
+            return true;
+        }),
+        reauthenticate: async () => {
+            state.signIns++;
+            state.token = signInWorks ? state.validToken : null;
+            return signInWorks;
+        },
+    };
+    const send = async (token) => {
+        state.sent.push(token);
+        return response(token === state.validToken ? 200 : 401);
+    };
+    return { state, session, send };
+}
+
+describe('sendWithSession', () => {
+    it('passes through responses to a valid token', async () => {
+        const { state, session, send } = createPanel();
+        state.token = state.validToken;
+
+        const result = await sendWithSession(send, session);
+
+        assert.equal(result.status, 200);
+        assert.equal(state.refreshes, 0);
+        assert.deepEqual(state.sent, ['fresh-1']);
+    });
+
+    it('refreshes an expired access token and retries with the new one', async () => {
+        const { state, session, send } = createPanel();
+
+        const result = await sendWithSession(send, session);
+
+        assert.equal(result.status, 200);
+        assert.deepEqual(state.sent, ['expired', 'fresh-1']);
+        assert.equal(state.refreshes, 1);
+        assert.equal(state.signIns, 0);
+    });
+
+    it('refreshes once for concurrent requests with an expired token', async () => {
+        const { state, session, send } = createPanel();
+
+        const results = await Promise.all([1, 2, 3].map(() => sendWithSession(send, session)));
+
+        assert.deepEqual(results.map(result => result.status), [200, 200, 200]);
+        assert.equal(state.refreshes, 1);
+    });
+
+    it('signs in again only when the refresh fails', async () => {
+        const { state, session, send } = createPanel({ refreshWorks: false });
+
+        const result = await sendWithSession(send, session);
+
+        assert.equal(result.status, 200);
+        assert.equal(state.refreshes, 1);
+        assert.equal(state.signIns, 1);
+    });
+
+    it('fails when neither refresh nor sign-in works', async () => {
+        const { session, send } = createPanel({ refreshWorks: false, signInWorks: false });
+
+        await assert.rejects(sendWithSession(send, session), /Authentication failed/);
+    });
+
+    it('returns the second 401 instead of retrying forever', async () => {
+        const { state, session, send } = createPanel();
+        state.validToken = 'never-valid';
+        session.refresh = async () => {
+            state.token = 'fresh-but-refused';
+            return true;
+        };
+
+        const result = await sendWithSession(send, session);
+
+        assert.equal(result.status, 401);
+        assert.deepEqual(state.sent, ['expired', 'fresh-but-refused']);
+    });
+});